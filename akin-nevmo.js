@@ -1,355 +1,6728 @@
 // === AKIN NEVMO - COMPLETE SINGLE FILE WITH TRANSFER STATUS CHECKING ===
-// Save this as `akin-nevmo.js` and run with: node akin-nevmo.js
+// The whole app lives here and is built by createApp(). Start it with: node server.js
+// No MTN sandbox? Run `node momo-simulator.js` and start the app with BASE_URL=http://localhost:4000
+// Run the tests with: npm test
 
-require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // ======================
 // CONFIGURATION
 // ======================
 
-// Your MTN number (where all donations go)
-const PLATFORM_PHONE = '231887716973';
+// Build the app configuration from environment variables
+function loadConfig(env = process.env) {
+  const targetEnvironment = env.TARGET_ENVIRONMENT || 'sandbox';
+  const preset = MARKETS[(env.MARKET || 'LR').toUpperCase()];
+  if (!preset) {
+    throw new Error(`Unknown MARKET "${env.MARKET}" - use one of ${Object.keys(MARKETS).join(', ')}`);
+  }
 
-// MTN API Configuration
-const MTN_CONFIG = {
-  consumerKey: process.env.MTN_CONSUMER_KEY || 'YOUR_CONSUMER_KEY',
-  consumerSecret: process.env.MTN_CONSUMER_SECRET || 'YOUR_CONSUMER_SECRET',
-  subscriptionKey: process.env.MTN_SUBSCRIPTION_KEY || 'YOUR_SUBSCRIPTION_KEY',
-  baseUrl: process.env.BASE_URL || 'https://sandbox.momodeveloper.mtn.com',
-  targetEnvironment: process.env.TARGET_ENVIRONMENT || 'sandbox'
-};
+  // Market Configuration (currency, amount limits and phone number rules of this deployment).
+  // MARKET picks a preset from MARKETS and MARKET_* variables override parts of it.
+  // The MTN sandbox only accepts EUR, so that is the default currency there.
+  const market = {
+    ...preset,
+    currency: env.MARKET_CURRENCY || (targetEnvironment === 'sandbox' ? 'EUR' : preset.currency),
+    callingCode: env.MARKET_CALLING_CODE || preset.callingCode,
+    nationalNumberLengths: env.MARKET_NUMBER_LENGTHS
+      ? env.MARKET_NUMBER_LENGTHS.split(',').map(Number)
+      : preset.nationalNumberLengths,
+    minAmount: Number(env.MARKET_MIN_AMOUNT) || preset.minAmount,
+    maxAmount: Number(env.MARKET_MAX_AMOUNT) || preset.maxAmount
+  };
 
-// In-memory storage for transactions (use database in production)
-let transactions = {};
+  return {
+    port: env.PORT || 3000,
 
-// ======================
-// EXPRESS APP SETUP
-// ======================
+    // Number of reverse proxies in front of the app, so client IPs are read from X-Forwarded-For
+    trustProxyHops: Number(env.TRUST_PROXY_HOPS || 0),
+
+    // Your MTN number (where all withdrawals are paid from)
+    platformPhone: env.PLATFORM_PHONE || '231887716973',
+
+    // MTN API Configuration
+    mtn: {
+      consumerKey: env.MTN_CONSUMER_KEY || 'YOUR_CONSUMER_KEY',
+      consumerSecret: env.MTN_CONSUMER_SECRET || 'YOUR_CONSUMER_SECRET',
+      subscriptionKey: env.MTN_SUBSCRIPTION_KEY || 'YOUR_SUBSCRIPTION_KEY',
+      baseUrl: env.BASE_URL || 'https://sandbox.momodeveloper.mtn.com',
+      targetEnvironment,
+      // How long to wait for MTN to answer one request
+      timeoutMs: Number(env.MTN_TIMEOUT_MS || 10 * 1000),
+      // Failed requests that may succeed next time are retried after a random wait that
+      // doubles with each attempt. Transfers and payment requests are re-sent with the same
+      // reference ID, so MTN never acts on one twice.
+      retry: {
+        maxRetries: Number(env.MTN_MAX_RETRIES || 2),
+        baseDelayMs: Number(env.MTN_RETRY_BASE_DELAY_MS || 200),
+        maxDelayMs: Number(env.MTN_RETRY_MAX_DELAY_MS || 5 * 1000)
+      },
+      // After this many outage failures in a row calls fail fast until resetMs has passed
+      circuitBreaker: {
+        failureThreshold: Number(env.MTN_CIRCUIT_FAILURE_THRESHOLD || 5),
+        resetMs: Number(env.MTN_CIRCUIT_RESET_MS || 30 * 1000)
+      },
+      // Public URL of this server - when set, MTN posts status changes to /api/mtn/callback
+      callbackBaseUrl: env.CALLBACK_BASE_URL,
+      // Optional secret used to sign callback URLs so forged callbacks are rejected
+      callbackSecret: env.CALLBACK_SECRET,
+      // Collection is a separate MTN product with its own API user and subscription key.
+      // Falls back to the disbursement credentials above when not set.
+      collection: {
+        consumerKey: env.MTN_COLLECTION_CONSUMER_KEY || env.MTN_CONSUMER_KEY || 'YOUR_CONSUMER_KEY',
+        consumerSecret: env.MTN_COLLECTION_CONSUMER_SECRET || env.MTN_CONSUMER_SECRET || 'YOUR_CONSUMER_SECRET',
+        subscriptionKey: env.MTN_COLLECTION_SUBSCRIPTION_KEY || env.MTN_SUBSCRIPTION_KEY || 'YOUR_SUBSCRIPTION_KEY'
+      },
+      remittance: {
+        consumerKey: env.MTN_REMITTANCE_CONSUMER_KEY || env.MTN_CONSUMER_KEY || 'YOUR_CONSUMER_KEY',
+        consumerSecret: env.MTN_REMITTANCE_CONSUMER_SECRET || env.MTN_CONSUMER_SECRET || 'YOUR_CONSUMER_SECRET',
+        subscriptionKey: env.MTN_REMITTANCE_SUBSCRIPTION_KEY || env.MTN_SUBSCRIPTION_KEY || 'YOUR_SUBSCRIPTION_KEY'
+      }
+    },
+
+    market,
+
+    // Storage Configuration ('file' persists to DATA_FILE, 'memory' is wiped on restart)
+    storage: {
+      type: env.STORAGE || 'file',
+      dataFile: env.DATA_FILE || path.join(__dirname, 'akin-nevmo-data.json'),
+      // Audit log, appended to one JSON line per entry (defaults to DATA_FILE with .audit.jsonl added)
+      auditFile: env.AUDIT_FILE
+    },
+
+    // SMS Configuration (used to deliver sign-in codes)
+    sms: {
+      provider: env.SMS_PROVIDER || 'console',
+      httpUrl: env.SMS_HTTP_URL,
+      httpToken: env.SMS_HTTP_TOKEN
+    },
+
+    // Sign-in Configuration
+    auth: {
+      // Sessions are lost on restart when no secret is configured
+      sessionSecret: env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+      sessionTtlMs: 7 * 24 * 60 * 60 * 1000,
+      otpTtlMs: 5 * 60 * 1000,
+      // Codes sent and wrong guesses allowed per phone over otpWindowMs, however many codes are issued
+      otpMaxSends: 3,
+      otpMaxAttempts: 5,
+      otpWindowMs: 15 * 60 * 1000
+    },
+
+    // Reconciliation Configuration (background status checks for unfinished transactions)
+    reconcile: {
+      enabled: env.RECONCILE_ENABLED !== 'false',
+      intervalMs: Number(env.RECONCILE_INTERVAL_MS) || 60 * 1000,
+      // First re-check after this long, doubling after every check up to the maximum
+      initialBackoffMs: Number(env.STATUS_CHECK_BACKOFF_MS) || 30 * 1000,
+      maxBackoffMs: Number(env.STATUS_CHECK_MAX_BACKOFF_MS) || 30 * 60 * 1000,
+      // Transactions still unfinished this long after creation are marked TIMED_OUT
+      timeoutMs: Number(env.TRANSACTION_TIMEOUT_MS) || 24 * 60 * 60 * 1000,
+      // Hour of the day (UTC) when the daily local-vs-MTN report runs
+      reportHourUtc: Number(env.RECONCILE_REPORT_HOUR_UTC || 2)
+    },
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+    // Savings plan Configuration (scheduler that collects recurring savings on their due dates)
+    savings: {
+      schedulerEnabled: env.SAVINGS_SCHEDULER_ENABLED !== 'false',
+      intervalMs: Number(env.SAVINGS_SCHEDULER_INTERVAL_MS) || 60 * 1000,
+      // A failed collection is retried this many times before the cycle is skipped
+      maxRetries: Number(env.SAVINGS_PLAN_MAX_RETRIES || 2),
+      retryDelayMs: Number(env.SAVINGS_PLAN_RETRY_DELAY_MS) || 60 * 60 * 1000
+    },
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+    // Gift Configuration (money sent from one MTN number to another through the platform).
+    // The sender pays the gift amount plus a fee of GIFT_FEE_PERCENT of the amount and GIFT_FEE_FIXED.
+    gifts: {
+      feePercent: Number(env.GIFT_FEE_PERCENT || 0),
+      feeFixed: Number(env.GIFT_FEE_FIXED || 0)
+    },
+
+    // Bulk Disbursement Configuration (CSV batches of payments made by staff)
+    bulk: {
+      maxRows: Number(env.BULK_MAX_ROWS) || 1000,
+      // Rows sent to (or payees looked up with) MTN at the same time
+      concurrency: Number(env.BULK_CONCURRENCY) || 3
+    },
+
+    // Staff API keys for admin routes, as comma-separated `name:role:key` entries
+    // e.g. STAFF_API_KEYS=amina:admin:long-random-key,kofi:operator:another-key
+    staff: {
+      apiKeys: (env.STAFF_API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+          const [name, role, ...key] = entry.split(':');
+          return { name, role, key: key.join(':') };
+        })
+    },
+
+    // Payee Configuration (check with MTN that a number is an active MoMo account before paying it)
+    payees: {
+      validationEnabled: env.PAYEE_VALIDATION_ENABLED !== 'false',
+      // How long a lookup is reused before MTN is asked again
+      lookupCacheMs: Number(env.PAYEE_LOOKUP_CACHE_MS) || 5 * 60 * 1000,
+      // Name lookups allowed per signed-in user (or staff member) and per client IP over lookupWindowMs
+      lookupsPerUser: Number(env.PAYEE_LOOKUPS_PER_USER) || 20,
+      lookupsPerIp: Number(env.PAYEE_LOOKUPS_PER_IP) || 60,
+      lookupWindowMs: Number(env.PAYEE_LOOKUP_WINDOW_MS) || 15 * 60 * 1000
+    },
+
+    // Risk Configuration (checks that run before any money is sent or collected).
+    // Payments that would take a phone number or client IP over a limit are refused. Rapid
+    // repeats and unusual amounts are HELD until an admin approves or rejects them.
+    // Limits default to multiples of the market's largest single payment.
+    risk: {
+      enabled: env.RISK_CHECKS_ENABLED !== 'false',
+      transactionLimit: Number(env.RISK_TRANSACTION_LIMIT) || market.maxAmount,
+      // Totals over the last 24 hours and the last 30 days
+      dailyLimit: Number(env.RISK_DAILY_LIMIT) || market.maxAmount * 2,
+      monthlyLimit: Number(env.RISK_MONTHLY_LIMIT) || market.maxAmount * 10,
+      ipDailyLimit: Number(env.RISK_IP_DAILY_LIMIT) || market.maxAmount * 5,
+      ipMonthlyLimit: Number(env.RISK_IP_MONTHLY_LIMIT) || market.maxAmount * 20,
+      // Held when the number already made this many payments of the same kind within the window
+      rapidRepeatCount: Number(env.RISK_RAPID_REPEAT_COUNT) || 5,
+      rapidRepeatWindowMs: Number(env.RISK_RAPID_REPEAT_WINDOW_MS) || 10 * 60 * 1000,
+      // Held when the amount is this many times the number's average successful payment of the
+      // same kind (once it has unusualAmountMinHistory of them)
+      unusualAmountFactor: Number(env.RISK_UNUSUAL_AMOUNT_FACTOR) || 5,
+      unusualAmountMinHistory: 3
+    },
+
+    // Refund Configuration: how refunds of collected payments are paid by default -
+    // 'transfer' (a disbursement to the payer) or 'momo_refund' (the MoMo refund endpoint)
+    refunds: {
+      method: env.REFUND_METHOD || 'transfer'
+    },
+
+    // Maker-checker Configuration: withdrawals and campaign payouts above the threshold wait as
+    // PENDING_APPROVAL until an admin other than the person who asked for them approves them
+    approvals: {
+      withdrawalThreshold: Number(env.WITHDRAWAL_APPROVAL_THRESHOLD) || market.maxAmount / 5
+    },
+
+    // Idempotency Configuration (Idempotency-Key header on money-moving endpoints)
+    idempotency: {
+      retentionMs: Number(env.IDEMPOTENCY_RETENTION_MS) || 24 * 60 * 60 * 1000
+    },
+
+    // Logging Configuration (JSON lines on stdout, warnings and errors on stderr)
+    logging: {
+      level: env.LOG_LEVEL || 'info'
+    }
+  };
+}
 
 // ======================
-// MTN API FUNCTIONS
+// TRANSACTION STORE
 // ======================
 
-// Get Access Token from MTN
-async function getAccessToken() {
-  try {
-    const authString = Buffer.from(`${MTN_CONFIG.consumerKey}:${MTN_CONFIG.consumerSecret}`).toString('base64');
-    
-    const response = await axios.post(
-      `${MTN_CONFIG.baseUrl}/disbursement/token/`,
-      'grant_type=client_credentials',
-      {
-        headers: {
-          'Authorization': `Basic ${authString}`,
-          'Ocp-Apim-Subscription-Key': MTN_CONFIG.subscriptionKey,
-          'X-Target-Environment': MTN_CONFIG.targetEnvironment,
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      }
-    );
-    return response.data.access_token;
-  } catch (error) {
-    console.error('❌ MTN Auth Error:', error.response?.data || error.message);
-    throw new Error('Failed to authenticate with MTN API');
-  }
-}
+// Every store implements the same async interface:
+//   getTransaction(id)                          -> transaction or null
+//   createTransaction(transaction)              -> transaction
+//   updateTransaction(id, changes, { fromStatuses }) -> updated transaction or null
+//     Returns null (and changes nothing) when the transaction is missing, or when
+//     fromStatuses is given and the current status is not one of them.
+//   listTransactions({ phone, ip, status, campaignId, from, to }) -> transactions, oldest first
+//   queryTransactions(filters, { sort, order, after, limit }) -> { transactions, next }
+//     filters: { phone, statuses, types, minAmount, maxAmount, from, to } (all optional).
+//     Sorted by sort (createdAt, updatedAt or amount) then id, in order (asc or desc). Pass the
+//     returned `next` ({ value, id }, null on the last page) as `after` to get the following page.
+//   scanTransactions(filters, { sort, order }) -> async iterator over every match, in the same order
+//     Matches are found and sorted once, so reading them all costs no more than one query.
+//   countTransactions()                         -> number
+//   getUser(phone) / createUser(user)           -> user or null
+//   postJournalEntry(entry, { requireFunds })   -> posted entry
+//     Debits must equal credits. An entry whose reference was already posted is returned as is.
+//     requireFunds lists credit-normal accounts (e.g. savings) whose credits must still cover
+//     their debits afterwards - the whole entry is refused with code INSUFFICIENT_FUNDS otherwise.
+//   getAccount(account)                         -> { account, debits, credits, entries }
+//   listAccounts(prefix)                        -> [{ account, debits, credits }]
+//   claimIdempotencyKey({ key, fingerprint, expiresAt }) -> existing record, or null when newly claimed
+//   completeIdempotencyKey(key, response)       -> record with the stored response
+//   releaseIdempotencyKey(key)                  -> true when a claim without a response was dropped
+//   purgeIdempotencyKeys(now)                   -> number of expired keys removed
+//   getSavingsPlan(id) / createSavingsPlan(plan) -> savings plan or null
+//   updateSavingsPlan(id, changes, { fromStatuses }) -> updated plan or null (same rules as updateTransaction)
+//   listSavingsPlans({ phone, status })         -> savings plans, oldest first
+//   getGoal(id) / findGoal(phone, name) / createGoal(goal) -> savings goal or null
+//     A user's goal names are unique.
+//   listGoals({ phone })                        -> savings goals, oldest first
+//   getCampaign(id) / createCampaign(campaign)  -> donation campaign or null
+//   updateCampaign(id, changes, { fromStatuses }) -> updated campaign or null (same rules as updateTransaction)
+//   listCampaigns({ status })                   -> donation campaigns, oldest first
+//   getGift(id) / createGift(gift)              -> gift or null
+//   updateGift(id, changes, { fromStatuses })   -> updated gift or null (same rules as updateTransaction)
+//   listGifts({ phone, status })                -> gifts, oldest first
+//   getDisbursementBatch(id) / createDisbursementBatch(batch) -> bulk disbursement batch or null
+//   updateDisbursementBatch(id, changes, { fromStatuses }) -> updated batch or null (same rules as updateTransaction)
+//   listDisbursementBatches({ status })         -> bulk disbursement batches, oldest first
+//   appendAuditEntry(entry)                     -> entry with its `sequence` number (1, 2, ...)
+//     The audit log is append-only - there is no way to change or remove an entry. It is not part
+//     of the data `persist` writes: the file store appends each entry to a JSON Lines file of its own.
+//   listAuditEntries(filters, { before, limit }) -> { entries, next }
+//     filters: { actions, actor, actorType, targetType, targetId, from, to } (all optional).
+//     Newest first. Pass the returned `next` (null on the last page) as `before` to get older entries.
+// Records are copied in and out so callers can never mutate stored state directly.
 
-// Send Money via MTN Disbursements API
-async function sendMoney(amount, recipientPhone, message, externalId = null) {
-  try {
-    const accessToken = await getAccessToken();
-    const xReferenceId = externalId || Date.now().toString();
-    
-    // Store transaction in memory
-    transactions[xReferenceId] = {
-      id: xReferenceId,
-      amount: amount,
-      recipient: recipientPhone,
-      message: message,
-      status: 'INITIATED',
-      createdAt: new Date().toISOString()
-    };
-    
-    const response = await axios.post(
-      `${MTN_CONFIG.baseUrl}/disbursement/v1_0/transfer`,
-      {
-        amount: amount.toString(),
-        currency: 'XAF',
-        externalId: xReferenceId,
-        payee: {
-          partyIdType: 'MSISDN',
-          partyId: recipientPhone
-        },
-        payerMessage: message,
-        payeeNote: 'From Akin NevMo'
-      },
-      {
-        headers: {
-          'X-Reference-Id': xReferenceId,
-          'Ocp-Apim-Subscription-Key': MTN_CONFIG.subscriptionKey,
-          'Authorization': `Bearer ${accessToken}`,
-          'X-Target-Environment': MTN_CONFIG.targetEnvironment,
-          'Content-Type': 'application/json'
+// Schema migrations, applied in order to the raw data object. Each is given the deployment's
+// market as well, for its phone number rules.
+// Never edit an existing migration - add a new one with the next version number.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create transactions collection',
+    up(data) {
+      // Legacy dumps stored transactions as an object keyed by reference ID
+      const legacy = data.transactions && !Array.isArray(data.transactions) ? data.transactions : {};
+      data.transactions = Array.isArray(data.transactions) ? data.transactions : Object.values(legacy);
+    }
+  },
+  {
+    version: 2,
+    description: 'Add updatedAt to transactions',
+    up(data) {
+      data.transactions.forEach(transaction => {
+        transaction.updatedAt = transaction.updatedAt || transaction.createdAt;
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Create users, balances and balance adjustments collections',
+    up(data) {
+      data.users = data.users || [];
+      data.balances = data.balances || [];
+      data.balanceAdjustments = data.balanceAdjustments || [];
+    }
+  },
+  {
+    version: 4,
+    description: 'Replace savings balances with a double-entry journal',
+    up(data) {
+      data.journal = data.journal || [];
+      data.balances
+        .filter(entry => entry.balance > 0)
+        .forEach(entry => {
+          data.journal.push({
+            reference: `opening:${entry.phone}:${entry.goal}`,
+            description: `Opening balance for "${entry.goal}"`,
+            lines: [
+              { account: 'platform:wallet', debit: entry.balance },
+              { account: `savings:${entry.phone}:${entry.goal}`, credit: entry.balance }
+            ],
+            createdAt: entry.updatedAt || new Date().toISOString()
+          });
+        });
+      delete data.balances;
+      delete data.balanceAdjustments;
+    }
+  },
+  {
+    version: 5,
+    description: 'Create idempotency keys collection',
+    up(data) {
+      data.idempotencyKeys = data.idempotencyKeys || [];
+    }
+  },
+  {
+    version: 6,
+    description: 'Create savings plans collection',
+    up(data) {
+      data.savingsPlans = data.savingsPlans || [];
+    }
+  },
+  {
+    version: 7,
+    description: 'Create savings goals and link savings to them',
+    up(data) {
+      data.goals = data.goals || [];
+      const goalIds = new Map(data.goals.map(goal => [`${goal.phone}:${goal.name}`, goal.id]));
+      const goalId = (phone, name, createdAt) => {
+        const key = `${phone}:${name}`;
+        if (!goalIds.has(key)) {
+          const goal = { id: crypto.randomUUID(), phone, name, targetAmount: null, deadline: null, lockUntil: null, createdAt };
+          data.goals.push(goal);
+          goalIds.set(key, goal.id);
         }
-      }
-    );
+        return goalIds.get(key);
+      };
 
-    // Update transaction status
-    transactions[xReferenceId].status = 'ACCEPTED';
-    transactions[xReferenceId].mtmResponse = response.data;
+      data.journal.forEach(entry => entry.lines.forEach(line => {
+        const match = /^savings:(\d+):(.+)$/.exec(line.account);
+        if (match) goalId(match[1], match[2], entry.createdAt);
+      }));
+      data.transactions
+        .filter(transaction => transaction.goal && (transaction.type === 'saving' || transaction.type === 'withdrawal'))
+        .forEach(transaction => {
+          const phone = transaction.type === 'saving' ? transaction.payer : transaction.recipient;
+          transaction.goalId = goalId(phone, transaction.goal, transaction.createdAt);
+        });
+      data.savingsPlans.forEach(plan => {
+        plan.goalId = goalId(plan.phone, plan.goal, plan.createdAt);
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Create donation campaigns collection',
+    up(data) {
+      data.campaigns = data.campaigns || [];
+    }
+  },
+  {
+    version: 9,
+    description: 'Create gifts collection',
+    up(data) {
+      data.gifts = data.gifts || [];
+    }
+  },
+  {
+    version: 10,
+    description: 'Create disbursement batches collection',
+    up(data) {
+      data.disbursementBatches = data.disbursementBatches || [];
+    }
+  },
+  {
+    version: 11,
+    description: 'Create audit log',
+    up(data) {
+      data.auditLog = data.auditLog || [];
+    }
+  },
+  {
+    version: 12,
+    description: 'Store phone numbers in E.164 format',
+    up(data, { market }) {
+      // Phone numbers used to be stored as the digits typed (e.g. 0887000001).
+      // Ones that are not valid in the market are left as they are.
+      const e164 = phone => (phone && normalizeMsisdn(phone, market)) || phone;
+      const savingsAccount = account => {
+        const match = /^savings:(\d+):(.+)$/.exec(account || '');
+        return match ? `savings:${e164(match[1])}:${match[2]}` : account;
+      };
 
-    return {
-      success: true,
-      transactionId: xReferenceId,
-      response: response.data
-    };
-  } catch (error) {
-    console.error('❌ MTN Transfer Error:', error.response?.data || error.message);
-    if (transactions[xReferenceId]) {
-      transactions[xReferenceId].status = 'FAILED';
-      transactions[xReferenceId].error = error.response?.data || error.message;
+      // One number typed two ways could register twice - the first account is kept
+      const users = new Map();
+      data.users.forEach(user => {
+        const phone = e164(user.phone);
+        if (!users.has(phone)) users.set(phone, { ...user, phone });
+      });
+      data.users = Array.from(users.values());
+
+      // ... and have two goals of the same name - the first is kept and the other's records move to it
+      const goalIds = new Map();
+      const mergedGoalIds = new Map();
+      data.goals = data.goals.filter(goal => {
+        goal.phone = e164(goal.phone);
+        const key = `${goal.phone}:${goal.name}`;
+        if (goalIds.has(key)) {
+          mergedGoalIds.set(goal.id, goalIds.get(key));
+          return false;
+        }
+        goalIds.set(key, goal.id);
+        return true;
+      });
+      const goalId = id => mergedGoalIds.get(id) || id;
+
+      data.journal.forEach(entry => entry.lines.forEach(line => {
+        line.account = savingsAccount(line.account);
+      }));
+      data.transactions.forEach(transaction => {
+        ['payer', 'recipient'].forEach(field => {
+          if (transaction[field]) transaction[field] = e164(transaction[field]);
+        });
+        if (transaction.goalId) transaction.goalId = goalId(transaction.goalId);
+        if (transaction.refundAccount) transaction.refundAccount = savingsAccount(transaction.refundAccount);
+      });
+      data.savingsPlans.forEach(plan => {
+        plan.phone = e164(plan.phone);
+        if (plan.goalId) plan.goalId = goalId(plan.goalId);
+      });
+      data.gifts.forEach(gift => {
+        gift.sender = e164(gift.sender);
+        gift.recipient = e164(gift.recipient);
+      });
+      data.campaigns.forEach(campaign => {
+        campaign.beneficiary = e164(campaign.beneficiary);
+      });
+    }
+  },
+  {
+    version: 13,
+    description: 'Move the audit log out of the data file',
+    up(data) {
+      // createFileStore has already copied the entries to the audit file
+      delete data.auditLog;
     }
-    throw new Error(error.response?.data?.error || 'Transfer failed');
   }
+];
+
+function runMigrations(data, { market }) {
+  let applied = 0;
+  MIGRATIONS
+    .filter(migration => migration.version > (data.schemaVersion || 0))
+    .forEach(migration => {
+      migration.up(data, { market });
+      data.schemaVersion = migration.version;
+      applied++;
+    });
+  return applied;
 }
 
-// Get Transfer Status from MTN
-async function getTransferStatus(referenceId) {
-  try {
-    const accessToken = await getAccessToken();
-    
-    const response = await axios.get(
-      `${MTN_CONFIG.baseUrl}/disbursement/v1_0/transfer/${referenceId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'X-Target-Environment': MTN_CONFIG.targetEnvironment,
-          'Ocp-Apim-Subscription-Key': MTN_CONFIG.subscriptionKey
-        }
-      }
-    );
+// Phone numbers a transaction is indexed under (payer for collections, recipient for transfers)
+function transactionPhones(transaction) {
+  return [transaction.payer, transaction.recipient].filter(Boolean);
+}
 
-    // Update transaction status
-    if (transactions[referenceId]) {
-      transactions[referenceId].status = response.data.status || 'UNKNOWN';
-      transactions[referenceId].statusDetails = response.data;
-    }
+function addToIndex(index, key, id) {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+}
+
+function removeFromIndex(index, key, id) {
+  const ids = index.get(key);
+  if (!ids) return;
+  ids.delete(id);
+  if (ids.size === 0) index.delete(key);
+}
+
+// Value a transaction is sorted by in queryTransactions (amounts as numbers, dates as ISO strings)
+function sortValue(transaction, sort) {
+  return sort === 'amount' ? Number(transaction.amount) : transaction[sort] || '';
+}
+
+// Order of two { value, id } sort keys: by value, then by ID so every position is unique
+function compareSortKeys(a, b) {
+  if (a.value !== b.value) return a.value < b.value ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+}
 
-    return response.data;
-  } catch (error) {
-    console.error('❌ Get Transfer Status Error:', error.response?.data || error.message);
-    throw new Error(error.response?.data?.error || 'Failed to get transfer status');
+// Index of IDs sorted by createdAt, for date range scans
+function sortedInsert(list, entry) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].createdAt <= entry.createdAt) low = mid + 1;
+    else high = mid;
   }
+  list.splice(low, 0, entry);
 }
 
-// ======================
-// API ROUTES
-// ======================
+function lowerBound(list, createdAt) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].createdAt < createdAt) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    platformPhone: PLATFORM_PHONE,
-    targetEnvironment: MTN_CONFIG.targetEnvironment,
-    transactionCount: Object.keys(transactions).length,
-    timestamp: new Date().toISOString()
-  });
-});
+// Amounts are kept to 2 decimal places so repeated additions never drift
+const roundAmount = amount => Math.round(amount * 100) / 100;
 
-// Donate endpoint
-app.post('/api/donate', async (req, res) => {
-  try {
-    const { phone, amount, message = 'Donation from Akin NevMo' } = req.body;
+// Core store shared by the memory and file implementations.
+// `logChange` is called after every write with the one record it changed: { collection, key, value },
+// where value is null once the record is removed. `persist` is called with the full data object
+// once it is loaded, and again whenever logChange returns true (its log is due to be folded in).
+// `auditLog` holds the audit entries written so far and `appendAudit` is called with each new one.
+// `market` is the deployment's market, which migrations need (defaults to the one configured in the environment).
+function createStore({
+  data = {},
+  persist = () => {},
+  logChange = () => false,
+  auditLog = [],
+  appendAudit = () => {},
+  market = loadConfig().market
+} = {}) {
+  runMigrations(data, { market });
 
-    if (!phone || !amount || amount < 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid phone number and amount (min 100 XAF) required'
-      });
-    }
+  const byId = new Map();
+  const byPhone = new Map();
+  const byIp = new Map();
+  const byStatus = new Map();
+  const byCampaign = new Map();
+  const byDate = [];
 
-    const cleanPhone = phone.replace(/\D/g, '');
-    if (cleanPhone.length < 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid phone number'
-      });
-    }
+  function indexTransaction(transaction) {
+    byId.set(transaction.id, transaction);
+    transactionPhones(transaction).forEach(phone => addToIndex(byPhone, phone, transaction.id));
+    if (transaction.ip) addToIndex(byIp, transaction.ip, transaction.id);
+    addToIndex(byStatus, transaction.status, transaction.id);
+    if (transaction.campaignId) addToIndex(byCampaign, transaction.campaignId, transaction.id);
+    sortedInsert(byDate, { id: transaction.id, createdAt: transaction.createdAt });
+  }
 
-    const result = await sendMoney(amount, PLATFORM_PHONE, `${message} from ${cleanPhone}`);
+  data.transactions.forEach(indexTransaction);
 
-    res.json({
-      success: true,
-      message: `Donation of ${amount} XAF initiated!`,
-      transactionId: result.transactionId,
-      status: 'Check status using /api/transaction/${result.transactionId}'
-    });
+  const users = new Map(data.users.map(user => [user.phone, user]));
 
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+  // Journal entries by reference, plus running debit/credit totals and entry references per account
+  const journal = new Map();
+  const accounts = new Map();
+
+  function indexJournalEntry(entry) {
+    journal.set(entry.reference, entry);
+    entry.lines.forEach(line => {
+      if (!accounts.has(line.account)) {
+        accounts.set(line.account, { account: line.account, debits: 0, credits: 0, entries: [] });
+      }
+      const account = accounts.get(line.account);
+      account.debits = roundAmount(account.debits + (line.debit || 0));
+      account.credits = roundAmount(account.credits + (line.credit || 0));
+      if (account.entries[account.entries.length - 1] !== entry.reference) {
+        account.entries.push(entry.reference);
+      }
     });
   }
-});
 
-// Save endpoint
-app.post('/api/save', async (req, res) => {
-  try {
-    const { goal, amount, frequency = 'monthly' } = req.body;
+  data.journal.forEach(indexJournalEntry);
 
-    if (!goal || !amount || amount < 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Goal and amount (min 100 XAF) required'
-      });
+  const idempotencyKeys = new Map(data.idempotencyKeys.map(record => [record.key, record]));
+
+  const savingsPlans = new Map(data.savingsPlans.map(plan => [plan.id, plan]));
+
+  const goals = new Map(data.goals.map(goal => [goal.id, goal]));
+  const goalsByName = new Map(data.goals.map(goal => [`${goal.phone}:${goal.name}`, goal.id]));
+
+  const campaigns = new Map(data.campaigns.map(campaign => [campaign.id, campaign]));
+
+  const gifts = new Map(data.gifts.map(gift => [gift.id, gift]));
+
+  const disbursementBatches = new Map(data.disbursementBatches.map(batch => [batch.id, batch]));
+
+  persist(data);
+
+  const copy = record => (record ? JSON.parse(JSON.stringify(record)) : null);
+
+  // Transactions matching queryTransactions filters, sorted, with the comparison and sort key used
+  function sortedMatches({ phone, statuses, types, minAmount, maxAmount, from, to }, sort, order) {
+    const start = from ? lowerBound(byDate, from) : 0;
+    const end = to ? lowerBound(byDate, to) : byDate.length;
+    let ids = byDate.slice(start, end).map(entry => entry.id);
+    if (phone) {
+      const phoneIds = byPhone.get(phone) || new Set();
+      ids = ids.filter(id => phoneIds.has(id));
     }
 
-    const message = `Savings for "${goal}" (${frequency})`;
-    const result = await sendMoney(amount, PLATFORM_PHONE, message);
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => compareSortKeys(a, b) * direction;
+    const key = transaction => ({ value: sortValue(transaction, sort), id: transaction.id });
+    const matches = ids
+      .map(id => byId.get(id))
+      .filter(transaction => !statuses || statuses.includes(transaction.status))
+      .filter(transaction => !types || types.includes(transaction.type))
+      .filter(transaction => minAmount === undefined || Number(transaction.amount) >= minAmount)
+      .filter(transaction => maxAmount === undefined || Number(transaction.amount) <= maxAmount)
+      .sort((a, b) => compare(key(a), key(b)));
+    return { matches, compare, key };
+  }
 
-    res.json({
-      success: true,
-      message: `Savings of ${amount} XAF initiated for "${goal}"!`,
-      transactionId: result.transactionId
-    });
+  function snapshot() {
+    data.transactions = Array.from(byId.values());
+    data.users = Array.from(users.values());
+    data.journal = Array.from(journal.values());
+    data.idempotencyKeys = Array.from(idempotencyKeys.values());
+    data.savingsPlans = Array.from(savingsPlans.values());
+    data.goals = Array.from(goals.values());
+    data.campaigns = Array.from(campaigns.values());
+    data.gifts = Array.from(gifts.values());
+    data.disbursementBatches = Array.from(disbursementBatches.values());
+    return data;
+  }
 
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+  function save(collection, key, value) {
+    if (logChange({ collection, key, value })) persist(snapshot());
   }
-});
 
-// Withdraw endpoint
-app.post('/api/withdraw', async (req, res) => {
-  try {
-    const { phone, amount } = req.body;
+  return {
+    async getTransaction(id) {
+      return copy(byId.get(id));
+    },
 
-    if (!phone || !amount || amount < 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid phone number and amount (min 100 XAF) required'
-      });
-    }
+    async createTransaction(transaction) {
+      if (byId.has(transaction.id)) {
+        throw new Error(`Transaction ${transaction.id} already exists`);
+      }
+      const record = copy({ ...transaction, updatedAt: transaction.updatedAt || transaction.createdAt });
+      indexTransaction(record);
+      save('transactions', record.id, record);
+      return copy(record);
+    },
 
-    const cleanPhone = phone.replace(/\D/g, '');
-    if (cleanPhone.length < 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid phone number'
+    async updateTransaction(id, changes, { fromStatuses } = {}) {
+      const existing = byId.get(id);
+      if (!existing) return null;
+      if (fromStatuses && !fromStatuses.includes(existing.status)) return null;
+
+      const updated = copy({ ...existing, ...changes, id, updatedAt: new Date().toISOString() });
+      if (updated.status !== existing.status) {
+        removeFromIndex(byStatus, existing.status, id);
+        addToIndex(byStatus, updated.status, id);
+      }
+      transactionPhones(existing).forEach(phone => removeFromIndex(byPhone, phone, id));
+      transactionPhones(updated).forEach(phone => addToIndex(byPhone, phone, id));
+      if (updated.ip !== existing.ip) {
+        if (existing.ip) removeFromIndex(byIp, existing.ip, id);
+        if (updated.ip) addToIndex(byIp, updated.ip, id);
+      }
+      byId.set(id, updated);
+      save('transactions', id, updated);
+      return copy(updated);
+    },
+
+    async listTransactions({ phone, ip, status, campaignId, from, to } = {}) {
+      // Start from the campaign or IP index (kept in creation order) when one is asked for,
+      // otherwise from the date index. Then narrow with the other indexes.
+      let ids;
+      if (campaignId || ip) {
+        ids = Array.from((campaignId ? byCampaign.get(campaignId) : byIp.get(ip)) || [])
+          .filter(id => (!from || byId.get(id).createdAt >= from) && (!to || byId.get(id).createdAt < to));
+      } else {
+        const start = from ? lowerBound(byDate, from) : 0;
+        const end = to ? lowerBound(byDate, to) : byDate.length;
+        ids = byDate.slice(start, end).map(entry => entry.id);
+      }
+
+      if (phone) {
+        const phoneIds = byPhone.get(phone) || new Set();
+        ids = ids.filter(id => phoneIds.has(id));
+      }
+      if (campaignId && ip) {
+        const ipIds = byIp.get(ip) || new Set();
+        ids = ids.filter(id => ipIds.has(id));
+      }
+      if (status) {
+        const statusIds = byStatus.get(status) || new Set();
+        ids = ids.filter(id => statusIds.has(id));
+      }
+      return ids.map(id => copy(byId.get(id)));
+    },
+
+    async queryTransactions(filters = {}, { sort = 'createdAt', order = 'asc', after, limit = 50 } = {}) {
+      const { matches, compare, key } = sortedMatches(filters, sort, order);
+
+      // Seek past the cursor with a binary search
+      let start = 0;
+      if (after) {
+        let high = matches.length;
+        while (start < high) {
+          const mid = (start + high) >> 1;
+          if (compare(key(matches[mid]), after) <= 0) start = mid + 1;
+          else high = mid;
+        }
+      }
+
+      const page = matches.slice(start, start + limit);
+      return {
+        transactions: page.map(copy),
+        next: matches.length > start + limit ? key(page[page.length - 1]) : null
+      };
+    },
+
+    async *scanTransactions(filters = {}, { sort = 'createdAt', order = 'asc' } = {}) {
+      for (const transaction of sortedMatches(filters, sort, order).matches) {
+        yield copy(transaction);
+      }
+    },
+
+    async countTransactions() {
+      return byId.size;
+    },
+
+    async getUser(phone) {
+      return copy(users.get(phone));
+    },
+
+    async createUser(user) {
+      if (users.has(user.phone)) {
+        throw new Error(`User ${user.phone} already exists`);
+      }
+      const record = copy({ ...user, createdAt: user.createdAt || new Date().toISOString() });
+      users.set(record.phone, record);
+      save('users', record.phone, record);
+      return copy(record);
+    },
+
+    async postJournalEntry(entry, { requireFunds = [] } = {}) {
+      if (journal.has(entry.reference)) {
+        return copy(journal.get(entry.reference));
+      }
+
+      const lines = entry.lines.map(line => ({
+        account: line.account,
+        ...(line.debit ? { debit: roundAmount(line.debit) } : { credit: roundAmount(line.credit) })
+      }));
+      const totalDebits = roundAmount(lines.reduce((sum, line) => sum + (line.debit || 0), 0));
+      const totalCredits = roundAmount(lines.reduce((sum, line) => sum + (line.credit || 0), 0));
+      if (lines.length < 2 || totalDebits <= 0 || totalDebits !== totalCredits) {
+        throw new Error(`Journal entry ${entry.reference} does not balance`);
+      }
+
+      requireFunds.forEach(name => {
+        const account = accounts.get(name) || { debits: 0, credits: 0 };
+        const change = lines
+          .filter(line => line.account === name)
+          .reduce((sum, line) => sum + (line.credit || 0) - (line.debit || 0), 0);
+        const available = roundAmount(account.credits - account.debits);
+        if (available + change < 0) {
+          const error = new Error(`Insufficient funds in ${name}. Available: ${available}`);
+          error.code = 'INSUFFICIENT_FUNDS';
+          error.available = available;
+          throw error;
+        }
       });
-    }
 
-    const message = 'Withdrawal from Akin NevMo savings';
-    const result = await sendMoney(amount, cleanPhone, message);
+      const record = { ...entry, lines, createdAt: new Date().toISOString() };
+      indexJournalEntry(record);
+      save('journal', record.reference, record);
+      return copy(record);
+    },
 
-    res.json({
-      success: true,
-      message: `Withdrawal of ${amount} XAF initiated!`,
-      transactionId: result.transactionId
-    });
+    async getAccount(name) {
+      const account = accounts.get(name);
+      if (!account) return null;
+      return {
+        account: name,
+        debits: account.debits,
+        credits: account.credits,
+        entries: account.entries.map(reference => copy(journal.get(reference)))
+      };
+    },
 
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+    async listAccounts(prefix = '') {
+      return Array.from(accounts.values())
+        .filter(account => account.account.startsWith(prefix))
+        .map(({ account, debits, credits }) => ({ account, debits, credits }));
+    },
 
-// Get Transaction Status
-app.get('/api/transaction/:referenceId', async (req, res) => {
-  try {
-    const { referenceId } = req.params;
-    
-    // First check our local storage
-    if (transactions[referenceId]) {
-      // If status is not final, check with MTN
-      if (['INITIATED', 'ACCEPTED'].includes(transactions[referenceId].status)) {
-        const mtmStatus = await getTransferStatus(referenceId);
-        return res.json({
-          success: true,
-          transaction: transactions[referenceId],
-          mtmStatus: mtmStatus
-        });
+    async claimIdempotencyKey({ key, fingerprint, expiresAt }) {
+      const existing = idempotencyKeys.get(key);
+      if (existing && new Date(existing.expiresAt) > new Date()) {
+        return copy(existing);
       }
-      
-      // Return cached status
-      return res.json({
-        success: true,
-        transaction: transactions[referenceId]
+      idempotencyKeys.set(key, { key, fingerprint, expiresAt, createdAt: new Date().toISOString() });
+      save('idempotencyKeys', key, idempotencyKeys.get(key));
+      return null;
+    },
+
+    async completeIdempotencyKey(key, response) {
+      const record = idempotencyKeys.get(key);
+      if (!record) return null;
+      record.response = copy(response);
+      save('idempotencyKeys', key, record);
+      return copy(record);
+    },
+
+    async releaseIdempotencyKey(key) {
+      const record = idempotencyKeys.get(key);
+      if (!record || record.response) return false;
+      idempotencyKeys.delete(key);
+      save('idempotencyKeys', key, null);
+      return true;
+    },
+
+    async purgeIdempotencyKeys(now = new Date()) {
+      let removed = 0;
+      idempotencyKeys.forEach((record, key) => {
+        if (new Date(record.expiresAt) <= now) {
+          idempotencyKeys.delete(key);
+          save('idempotencyKeys', key, null);
+          removed++;
+        }
       });
+      return removed;
+    },
+
+    async getSavingsPlan(id) {
+      return copy(savingsPlans.get(id));
+    },
+
+    async createSavingsPlan(plan) {
+      if (savingsPlans.has(plan.id)) {
+        throw new Error(`Savings plan ${plan.id} already exists`);
+      }
+      const record = copy({ ...plan, updatedAt: plan.updatedAt || plan.createdAt });
+      savingsPlans.set(record.id, record);
+      save('savingsPlans', record.id, record);
+      return copy(record);
+    },
+
+    async updateSavingsPlan(id, changes, { fromStatuses } = {}) {
+      const existing = savingsPlans.get(id);
+      if (!existing) return null;
+      if (fromStatuses && !fromStatuses.includes(existing.status)) return null;
+
+      const updated = copy({ ...existing, ...changes, id, updatedAt: new Date().toISOString() });
+      savingsPlans.set(id, updated);
+      save('savingsPlans', id, updated);
+      return copy(updated);
+    },
+
+    async listSavingsPlans({ phone, status } = {}) {
+      return Array.from(savingsPlans.values())
+        .filter(plan => (!phone || plan.phone === phone) && (!status || plan.status === status))
+        .map(copy);
+    },
+
+    async getGoal(id) {
+      return copy(goals.get(id));
+    },
+
+    async findGoal(phone, name) {
+      return copy(goals.get(goalsByName.get(`${phone}:${name}`)));
+    },
+
+    async createGoal(goal) {
+      if (goals.has(goal.id)) {
+        throw new Error(`Goal ${goal.id} already exists`);
+      }
+      if (goalsByName.has(`${goal.phone}:${goal.name}`)) {
+        throw new Error(`Goal "${goal.name}" already exists`);
+      }
+      const record = copy({ ...goal, createdAt: goal.createdAt || new Date().toISOString() });
+      goals.set(record.id, record);
+      goalsByName.set(`${record.phone}:${record.name}`, record.id);
+      save('goals', record.id, record);
+      return copy(record);
+    },
+
+    async listGoals({ phone } = {}) {
+      return Array.from(goals.values())
+        .filter(goal => !phone || goal.phone === phone)
+        .map(copy);
+    },
+
+    async getCampaign(id) {
+      return copy(campaigns.get(id));
+    },
+
+    async createCampaign(campaign) {
+      if (campaigns.has(campaign.id)) {
+        throw new Error(`Campaign ${campaign.id} already exists`);
+      }
+      const record = copy({ ...campaign, updatedAt: campaign.updatedAt || campaign.createdAt });
+      campaigns.set(record.id, record);
+      save('campaigns', record.id, record);
+      return copy(record);
+    },
+
+    async updateCampaign(id, changes, { fromStatuses } = {}) {
+      const existing = campaigns.get(id);
+      if (!existing) return null;
+      if (fromStatuses && !fromStatuses.includes(existing.status)) return null;
+
+      const updated = copy({ ...existing, ...changes, id, updatedAt: new Date().toISOString() });
+      campaigns.set(id, updated);
+      save('campaigns', id, updated);
+      return copy(updated);
+    },
+
+    async listCampaigns({ status } = {}) {
+      return Array.from(campaigns.values())
+        .filter(campaign => !status || campaign.status === status)
+        .map(copy);
+    },
+
+    async getGift(id) {
+      return copy(gifts.get(id));
+    },
+
+    async createGift(gift) {
+      if (gifts.has(gift.id)) {
+        throw new Error(`Gift ${gift.id} already exists`);
+      }
+      const record = copy({ ...gift, updatedAt: gift.updatedAt || gift.createdAt });
+      gifts.set(record.id, record);
+      save('gifts', record.id, record);
+      return copy(record);
+    },
+
+    async updateGift(id, changes, { fromStatuses } = {}) {
+      const existing = gifts.get(id);
+      if (!existing) return null;
+      if (fromStatuses && !fromStatuses.includes(existing.status)) return null;
+
+      const updated = copy({ ...existing, ...changes, id, updatedAt: new Date().toISOString() });
+      gifts.set(id, updated);
+      save('gifts', id, updated);
+      return copy(updated);
+    },
+
+    async listGifts({ phone, status } = {}) {
+      return Array.from(gifts.values())
+        .filter(gift => !phone || gift.sender === phone || gift.recipient === phone)
+        .filter(gift => !status || gift.status === status)
+        .map(copy);
+    },
+
+    async getDisbursementBatch(id) {
+      return copy(disbursementBatches.get(id));
+    },
+
+    async createDisbursementBatch(batch) {
+      if (disbursementBatches.has(batch.id)) {
+        throw new Error(`Disbursement batch ${batch.id} already exists`);
+      }
+      const record = copy({ ...batch, updatedAt: batch.updatedAt || batch.createdAt });
+      disbursementBatches.set(record.id, record);
+      save('disbursementBatches', record.id, record);
+      return copy(record);
+    },
+
+    async updateDisbursementBatch(id, changes, { fromStatuses } = {}) {
+      const existing = disbursementBatches.get(id);
+      if (!existing) return null;
+      if (fromStatuses && !fromStatuses.includes(existing.status)) return null;
+
+      const updated = copy({ ...existing, ...changes, id, updatedAt: new Date().toISOString() });
+      disbursementBatches.set(id, updated);
+      save('disbursementBatches', id, updated);
+      return copy(updated);
+    },
+
+    async listDisbursementBatches({ status } = {}) {
+      return Array.from(disbursementBatches.values())
+        .filter(batch => !status || batch.status === status)
+        .map(copy);
+    },
+
+    async appendAuditEntry(entry) {
+      const record = copy({ ...entry, sequence: auditLog.length + 1 });
+      appendAudit(record);
+      auditLog.push(record);
+      return copy(record);
+    },
+
+    async listAuditEntries({ actions, actor, actorType, targetType, targetId, from, to } = {}, { before, limit = 50 } = {}) {
+      const entries = [];
+      let index = Math.min(before ? before - 1 : auditLog.length, auditLog.length) - 1;
+      for (; index >= 0 && entries.length <= limit; index--) {
+        const entry = auditLog[index];
+        if (actions && !actions.includes(entry.action)) continue;
+        if (actor && entry.actor.name !== actor && entry.actor.phone !== actor) continue;
+        if (actorType && entry.actor.type !== actorType) continue;
+        if (targetType && entry.target?.type !== targetType) continue;
+        if (targetId && entry.target?.id !== targetId) continue;
+        if (from && entry.at < from) continue;
+        if (to && entry.at >= to) continue;
+        entries.push(entry);
+      }
+      const page = entries.slice(0, limit);
+      return {
+        entries: page.map(copy),
+        next: entries.length > limit ? page[page.length - 1].sequence : null
+      };
     }
-    
-    // If not in local storage, check with MTN directly
-    const mtmStatus = await getTransferStatus(referenceId);
-    return res.json({
-      success: true,
-      message: 'Transaction found in MTN system',
-      mtmStatus: mtmStatus
-    });
-    
-  } catch (error) {
-    res.status(404).json({
-      success: false,
-      error: error.message
-    });
+  };
+}
+
+// In-memory store (used for tests, everything is lost on restart)
+function createMemoryStore({ market } = {}) {
+  return createStore({ market });
+}
+
+// The field each stored collection is keyed by, for replaying a file store's change log
+const STORE_COLLECTION_KEYS = {
+  transactions: 'id',
+  users: 'phone',
+  journal: 'reference',
+  idempotencyKeys: 'key',
+  savingsPlans: 'id',
+  goals: 'id',
+  campaigns: 'id',
+  gifts: 'id',
+  disbursementBatches: 'id'
+};
+
+// The records of a JSON Lines file ([] when it does not exist). A crash while appending can
+// leave the last line cut short, so it is cut off before anything is appended again.
+function readJsonLines(file) {
+  const text = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+  if (complete !== text) fs.truncateSync(file, Buffer.byteLength(complete));
+  return complete.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// File-backed store. Every change is appended to `${filePath}.log` as one JSON line, and the log
+// is folded into the data file (rewritten atomically with a temp file + rename) on start-up and
+// after every `compactEvery` changes. Audit entries are appended to `auditFile` instead.
+function createFileStore(filePath, { market, auditFile = `${filePath}.audit.jsonl`, compactEvery = 1000 } = {}) {
+  const logFile = `${filePath}.log`;
+  let data = {};
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Changes made since the data file was last written
+  const changes = readJsonLines(logFile);
+  Object.entries(STORE_COLLECTION_KEYS).forEach(([collection, keyField]) => {
+    const updates = changes.filter(change => change.collection === collection);
+    if (updates.length === 0) return;
+    const records = new Map((data[collection] || []).map(record => [record[keyField], record]));
+    updates.forEach(({ key, value }) => (value ? records.set(key, value) : records.delete(key)));
+    data[collection] = Array.from(records.values());
+  });
+
+  // Before schema version 13 the audit log was kept in the data file
+  if (data.auditLog?.length && !fs.existsSync(auditFile)) {
+    const tempFile = `${auditFile}.tmp`;
+    fs.writeFileSync(tempFile, data.auditLog.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    fs.renameSync(tempFile, auditFile);
   }
-});
 
-// Get All Transactions (for admin/debugging)
-app.get('/api/transactions', (req, res) => {
-  res.json({
-    success: true,
-    count: Object.keys(transactions).length,
-    transactions: transactions
+  let logged = 0;
+
+  return createStore({
+    data,
+    market,
+    auditLog: readJsonLines(auditFile),
+    // Replaying the log again after a crash between the rename and the truncate changes nothing
+    persist(current) {
+      const tempFile = `${filePath}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(current));
+      fs.renameSync(tempFile, filePath);
+      fs.writeFileSync(logFile, '');
+      logged = 0;
+    },
+    logChange(change) {
+      fs.appendFileSync(logFile, `${JSON.stringify(change)}\n`);
+      return ++logged >= compactEvery;
+    },
+    appendAudit(entry) {
+      fs.appendFileSync(auditFile, `${JSON.stringify(entry)}\n`);
+    }
   });
-});
+}
 
 // ======================
-// SERVE FRONTEND HTML
+// LOGGING
 // ======================
 
-app.get('/', (req, res) => {
-  res.send(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Akin NevMo - Send Love with MTN Mobile Money</title>
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-        }
-        
-        :root {
-            --primary: #009688;
-            --primary-dark: #00796b;
-            --secondary: #ff9800;
-            --light: #f5f5f5;
-            --dark: #333;
-            --success: #4caf50;
-            --danger: #f44336;
-            --warning: #ff9800;
-            --info: #2196f3;
-        }
+// What the running code is doing this for: { requestId, req } for an HTTP request, or
+// { requestId, actor } for a background job. Log lines and audit entries are tagged from it.
+const requestContext = new AsyncLocalStorage();
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Hide the middle of a phone number, keeping enough to tell numbers apart: 231******009
+function maskPhone(phone) {
+  const digits = String(phone);
+  return digits.slice(0, 3) + '*'.repeat(Math.max(digits.length - 6, 0)) + digits.slice(-3);
+}
+
+// Mask every phone number (9 to 15 digits on their own) inside a piece of text
+function maskPhoneNumbers(text) {
+  return text.replace(/(\+?)\b(\d{9,15})\b/g, (match, plus, digits) => plus + maskPhone(digits));
+}
+
+// What a log line says about an error. MTN's answer is kept, the stack only for unexpected errors.
+function describeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.response?.status,
+    response: error.response?.data,
+    stack: error.code || error.response ? undefined : error.stack
+  };
+}
+
+// JSON.stringify replacer for log lines: errors become plain objects and phone numbers are masked
+function logValue(key, value) {
+  if (value instanceof Error) return describeError(value);
+  return typeof value === 'string' ? maskPhoneNumbers(value) : value;
+}
+
+// Logger that writes one JSON object per line: { time, level, msg, requestId, ...fields }.
+// `write(line, level)` replaces the output (tests collect lines with it).
+function createLogger({ level = 'info', write, fields = {} } = {}) {
+  const minimum = LOG_LEVELS[level] || LOG_LEVELS.info;
+  const output = write || ((line, lineLevel) => {
+    const stream = LOG_LEVELS[lineLevel] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  });
+
+  function log(lineLevel, msg, extra = {}) {
+    if (LOG_LEVELS[lineLevel] < minimum) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      requestId: requestContext.getStore()?.requestId,
+      ...fields,
+      ...extra
+    };
+    output(JSON.stringify(entry, logValue), lineLevel);
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    // Logger that adds `extra` fields to every line
+    child: extra => createLogger({ level, write, fields: { ...fields, ...extra } })
+  };
+}
+
+// ======================
+// MTN CLIENT
+// ======================
+
+// What our own API answers when a call to MTN fails with each MtnError code
+const MTN_ERROR_HTTP_STATUS = {
+  MTN_TIMEOUT: 504,
+  MTN_UNREACHABLE: 503,
+  MTN_UNAVAILABLE: 503,
+  MTN_BUSY: 503,
+  MTN_SERVER_ERROR: 502,
+  MTN_AUTH_FAILED: 502,
+  MTN_NOT_FOUND: 404,
+  MTN_CONFLICT: 409,
+  MTN_REJECTED: 422
+};
+
+// Failures that are worth another attempt - MTN may answer the next one
+const RETRYABLE_MTN_ERRORS = ['MTN_TIMEOUT', 'MTN_UNREACHABLE', 'MTN_BUSY', 'MTN_SERVER_ERROR'];
+
+// Failures that say MTN itself is in trouble rather than that it refused one request
+const MTN_OUTAGE_ERRORS = ['MTN_TIMEOUT', 'MTN_UNREACHABLE', 'MTN_SERVER_ERROR'];
+
+// A failed call to MTN. `code` is one of MTN_ERROR_HTTP_STATUS and `response` is MTN's
+// answer when there was one. `outcomeUnknown` is set when a request may have reached MTN
+// without us hearing back, so whatever it asked for may still happen.
+class MtnError extends Error {
+  constructor(code, message, { response, outcomeUnknown = false } = {}) {
+    super(message);
+    this.name = 'MtnError';
+    this.code = code;
+    this.httpStatus = MTN_ERROR_HTTP_STATUS[code];
+    this.response = response;
+    this.outcomeUnknown = outcomeUnknown;
+  }
+}
+
+// Turn an axios error into an MtnError
+function toMtnError(error) {
+  if (error instanceof MtnError) return error;
+
+  const { response } = error;
+  if (!response) {
+    if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) {
+      return new MtnError('MTN_TIMEOUT', 'MTN did not answer in time', { outcomeUnknown: true });
+    }
+    // A refused connection or failed DNS lookup never sent anything, a dropped one may have
+    const neverSent = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+    return new MtnError('MTN_UNREACHABLE', `Could not reach MTN (${error.code || error.message})`, {
+      outcomeUnknown: !neverSent
+    });
+  }
+
+  const { status, data } = response;
+  const code = status === 401 || status === 403 ? 'MTN_AUTH_FAILED'
+    : status === 404 ? 'MTN_NOT_FOUND'
+    : status === 409 ? 'MTN_CONFLICT'
+    : status === 429 ? 'MTN_BUSY'
+    : status >= 500 ? 'MTN_SERVER_ERROR'
+    : 'MTN_REJECTED';
+  return new MtnError(code, data?.message || data?.error || `MTN answered with status ${status}`, { response });
+}
+
+// Stops calling MTN for a while once too many calls in a row failed because of an outage.
+// After resetMs one trial call is let through: success closes the circuit again, failure
+// keeps it open for another resetMs. Answers that MTN refused a request count as success.
+function createCircuitBreaker({ failureThreshold = 5, resetMs = 30 * 1000, logger = createLogger() } = {}) {
+  let state = 'CLOSED';
+  let failures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+
+  function currentState() {
+    if (state === 'OPEN' && Date.now() - openedAt >= resetMs) return 'HALF_OPEN';
+    return state;
+  }
+
+  return {
+    async run(call) {
+      state = currentState();
+      if (state === 'OPEN' || (state === 'HALF_OPEN' && trialRunning)) {
+        throw new MtnError('MTN_UNAVAILABLE', 'MTN is unavailable at the moment, please try again shortly');
+      }
+
+      const trial = state === 'HALF_OPEN';
+      trialRunning = trial;
+      try {
+        const result = await call();
+        state = 'CLOSED';
+        failures = 0;
+        return result;
+      } catch (error) {
+        if (!MTN_OUTAGE_ERRORS.includes(error.code)) {
+          state = 'CLOSED';
+          failures = 0;
+        } else if (trial || ++failures >= failureThreshold) {
+          if (state !== 'OPEN') logger.error('MTN circuit opened', { failures, resetMs });
+          state = 'OPEN';
+          openedAt = Date.now();
+        }
+        throw error;
+      } finally {
+        if (trial) trialRunning = false;
+      }
+    },
+
+    status() {
+      const current = currentState();
+      return {
+        state: current,
+        failures,
+        ...(current !== 'CLOSED' ? {
+          openedAt: new Date(openedAt).toISOString(),
+          retryAt: new Date(openedAt + resetMs).toISOString()
+        } : {})
+      };
+    }
+  };
+}
+
+// Caches one token per product until shortly before it expires. Callers that arrive
+// while a refresh is running share that refresh instead of starting their own.
+function createTokenManager(fetchToken, { expiryMarginMs = 60 * 1000 } = {}) {
+  const cache = new Map();
+  const refreshing = new Map();
+
+  return {
+    async get(product) {
+      const cached = cache.get(product);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.token;
+      }
+
+      if (!refreshing.has(product)) {
+        const refresh = fetchToken(product)
+          .then(({ token, expiresIn }) => {
+            cache.set(product, { token, expiresAt: Date.now() + expiresIn * 1000 - expiryMarginMs });
+            return token;
+          })
+          .finally(() => refreshing.delete(product));
+        refreshing.set(product, refresh);
+      }
+      return refreshing.get(product);
+    },
+
+    invalidate(product) {
+      cache.delete(product);
+    }
+  };
+}
+
+// Thin client for the MTN MoMo API. It only talks HTTP - storing transactions is up to the app.
+// Failed requests reject with an MtnError, whose `response` holds MTN's answer. Every request
+// is logged with the request ID of the route or job that made it.
+function createMtnClient(mtnConfig, { logger = createLogger() } = {}) {
+  const breaker = createCircuitBreaker({ ...mtnConfig.circuitBreaker, logger });
+
+  // Random wait before retry number `attempt` (full jitter), so callers that failed
+  // together do not all come back at the same moment
+  function retryDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = mtnConfig.retry;
+    return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  }
+
+  // Send one request to MTN with the timeout, retries and circuit breaker applied.
+  // Every request is safe to repeat: lookups change nothing, and creates carry their
+  // X-Reference-Id so MTN answers 409 to a repeat of one that already landed.
+  async function send(request) {
+    const isCreate = Boolean(request.headers['X-Reference-Id']);
+    let mayHaveLanded = false;
+
+    const call = { method: request.method.toUpperCase(), path: request.url.slice(mtnConfig.baseUrl.length) };
+
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const response = await breaker.run(() =>
+          axios({ ...request, timeout: mtnConfig.timeoutMs }).catch(error => {
+            throw toMtnError(error);
+          })
+        );
+        logger.info('MTN request', { ...call, attempt, status: response.status, durationMs: Date.now() - startedAt });
+        return response;
+      } catch (error) {
+        logger.warn('MTN request failed', { ...call, attempt, error, durationMs: Date.now() - startedAt });
+        if (isCreate && mayHaveLanded && error.code === 'MTN_CONFLICT') {
+          // An earlier attempt got through even though we never heard back
+          return { status: 202, data: '' };
+        }
+        // A server error may come after MTN stored the request, so a 409 on the retry also means it landed
+        mayHaveLanded = mayHaveLanded || error.outcomeUnknown || error.code === 'MTN_SERVER_ERROR';
+        if (!RETRYABLE_MTN_ERRORS.includes(error.code) || attempt >= mtnConfig.retry.maxRetries) {
+          error.outcomeUnknown = isCreate && mayHaveLanded;
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelay(attempt)));
+      }
+    }
+  }
+
+  // Credentials for one MTN product - disbursement uses the top-level settings
+  function productCredentials(product) {
+    return product === 'disbursement' ? mtnConfig : mtnConfig[product];
+  }
+
+  // Request a new Access Token from MTN for one product
+  async function requestAccessToken(product) {
+    try {
+      const { consumerKey, consumerSecret, subscriptionKey } = productCredentials(product);
+      const authString = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+      
+      const response = await send({
+        method: 'post',
+        url: `${mtnConfig.baseUrl}/${product}/token/`,
+        data: 'grant_type=client_credentials',
+        headers: {
+          'Authorization': `Basic ${authString}`,
+          'Ocp-Apim-Subscription-Key': subscriptionKey,
+          'X-Target-Environment': mtnConfig.targetEnvironment,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+      return {
+        token: response.data.access_token,
+        expiresIn: Number(response.data.expires_in) || 3600
+      };
+    } catch (error) {
+      logger.error('MTN authentication failed', { product, error });
+      // Keep outages as they are so callers can tell them from bad credentials
+      if (MTN_OUTAGE_ERRORS.includes(error.code) || error.code === 'MTN_UNAVAILABLE') throw error;
+      throw new MtnError('MTN_AUTH_FAILED', 'Failed to authenticate with MTN API', { response: error.response });
+    }
+  }
+
+  const tokens = createTokenManager(requestAccessToken);
+
+  // Run an MTN request with a product token. When MTN answers 401 the cached
+  // token is dropped and the request is retried once with a fresh one.
+  async function withAccessToken(product, request) {
+    const accessToken = await tokens.get(product);
+    try {
+      return await request(accessToken);
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+      tokens.invalidate(product);
+      return request(await tokens.get(product));
+    }
+  }
+
+  function requestHeaders(product, accessToken, extra = {}) {
+    return {
+      ...extra,
+      'Ocp-Apim-Subscription-Key': productCredentials(product).subscriptionKey,
+      'Authorization': `Bearer ${accessToken}`,
+      'X-Target-Environment': mtnConfig.targetEnvironment
+    };
+  }
+
+  // Headers for a new transfer or payment request
+  function createHeaders(product, accessToken, referenceId, callbackUrl) {
+    return requestHeaders(product, accessToken, {
+      'X-Reference-Id': referenceId,
+      ...(callbackUrl ? { 'X-Callback-Url': callbackUrl } : {}),
+      'Content-Type': 'application/json'
+    });
+  }
+
+  return {
+    // State of the circuit breaker ({ state, failures, openedAt, retryAt })
+    health() {
+      return breaker.status();
+    },
+
+    // Get Access Token from MTN (cached)
+    async getAccessToken(product = 'disbursement') {
+      return tokens.get(product);
+    },
+
+    // Send Money via MTN Disbursements API
+    async transfer({ referenceId, amount, currency, payee, payerMessage, payeeNote, callbackUrl }) {
+      const response = await withAccessToken('disbursement', accessToken =>
+        send({
+          method: 'post',
+          url: `${mtnConfig.baseUrl}/disbursement/v1_0/transfer`,
+          data: {
+            amount: amount.toString(),
+            currency,
+            externalId: referenceId,
+            payee: {
+              partyIdType: 'MSISDN',
+              partyId: payee
+            },
+            payerMessage,
+            payeeNote
+          },
+          headers: createHeaders('disbursement', accessToken, referenceId, callbackUrl)
+        })
+      );
+      return response.data;
+    },
+
+    // Get Transfer Status from MTN
+    async getTransferStatus(referenceId) {
+      const response = await withAccessToken('disbursement', accessToken =>
+        send({
+          method: 'get',
+          url: `${mtnConfig.baseUrl}/disbursement/v1_0/transfer/${referenceId}`,
+          headers: requestHeaders('disbursement', accessToken)
+        })
+      );
+      return response.data;
+    },
+
+    // Request Payment from a payer via MTN Collections API (payer approves on their phone)
+    async requestToPay({ referenceId, amount, currency, payer, payerMessage, payeeNote, callbackUrl }) {
+      const response = await withAccessToken('collection', accessToken =>
+        send({
+          method: 'post',
+          url: `${mtnConfig.baseUrl}/collection/v1_0/requesttopay`,
+          data: {
+            amount: amount.toString(),
+            currency,
+            externalId: referenceId,
+            payer: {
+              partyIdType: 'MSISDN',
+              partyId: payer
+            },
+            payerMessage,
+            payeeNote
+          },
+          headers: createHeaders('collection', accessToken, referenceId, callbackUrl)
+        })
+      );
+      return response.data;
+    },
+
+    // Get RequestToPay Status from MTN
+    async getRequestToPayStatus(referenceId) {
+      const response = await withAccessToken('collection', accessToken =>
+        send({
+          method: 'get',
+          url: `${mtnConfig.baseUrl}/collection/v1_0/requesttopay/${referenceId}`,
+          headers: requestHeaders('collection', accessToken)
+        })
+      );
+      return response.data;
+    },
+
+    // Refund a collected payment to its payer via the MTN Disbursements API.
+    // referenceIdToRefund is the X-Reference-Id of the original RequestToPay.
+    async refund({ referenceId, referenceIdToRefund, amount, currency, payerMessage, payeeNote, callbackUrl }) {
+      const response = await withAccessToken('disbursement', accessToken =>
+        send({
+          method: 'post',
+          url: `${mtnConfig.baseUrl}/disbursement/v1_0/refund`,
+          data: {
+            amount: amount.toString(),
+            currency,
+            externalId: referenceId,
+            payerMessage,
+            payeeNote,
+            referenceIdToRefund
+          },
+          headers: createHeaders('disbursement', accessToken, referenceId, callbackUrl)
+        })
+      );
+      return response.data;
+    },
+
+    // Get Refund Status from MTN
+    async getRefundStatus(referenceId) {
+      const response = await withAccessToken('disbursement', accessToken =>
+        send({
+          method: 'get',
+          url: `${mtnConfig.baseUrl}/disbursement/v1_0/refund/${referenceId}`,
+          headers: requestHeaders('disbursement', accessToken)
+        })
+      );
+      return response.data;
+    },
+
+    // Whether an MSISDN is an active MoMo account (true/false)
+    async isAccountHolderActive(msisdn, product = 'disbursement') {
+      const response = await withAccessToken(product, accessToken =>
+        send({
+          method: 'get',
+          url: `${mtnConfig.baseUrl}/${product}/v1_0/accountholder/msisdn/${encodeURIComponent(msisdn)}/active`,
+          headers: requestHeaders(product, accessToken)
+        })
+      );
+      return response.data.result === true;
+    },
+
+    // Name MTN has registered for an MSISDN ({ name, given_name, family_name, ... })
+    async getBasicUserInfo(msisdn, product = 'disbursement') {
+      const response = await withAccessToken(product, accessToken =>
+        send({
+          method: 'get',
+          url: `${mtnConfig.baseUrl}/${product}/v1_0/accountholder/msisdn/${encodeURIComponent(msisdn)}/basicuserinfo`,
+          headers: requestHeaders(product, accessToken)
+        })
+      );
+      return response.data;
+    }
+  };
+}
+
+// ======================
+// SHARED RULES
+// ======================
+
+// Statuses only move forward: a later rank never goes back to an earlier one.
+// HELD (stopped by the risk checks) and PENDING_APPROVAL (waiting for a maker-checker approval)
+// transactions have not been sent to MTN, and only a staff decision moves them on.
+// TIMED_OUT stops status checks, but a late SUCCESSFUL/FAILED from MTN can still settle it.
+// SUCCESSFUL, FAILED and REJECTED (rank 4) never change again.
+const TRANSACTION_STATUS_RANK = {
+  HELD: 0,
+  PENDING_APPROVAL: 0,
+  INITIATED: 0,
+  ACCEPTED: 1,
+  PENDING: 2,
+  TIMED_OUT: 3,
+  SUCCESSFUL: 4,
+  FAILED: 4,
+  REJECTED: 4
+};
+
+const UNFINISHED_STATUSES = ['INITIATED', 'ACCEPTED', 'PENDING'];
+
+const TRANSACTION_TYPES = [
+  'donation', 'saving', 'withdrawal', 'campaign_payout',
+  'gift_collection', 'gift_disbursement', 'gift_refund', 'refund', 'bulk_disbursement'
+];
+
+// What admin transaction searches can sort by
+const TRANSACTION_SORT_KEYS = ['createdAt', 'updatedAt', 'amount'];
+
+// Waiting for a staff decision before anything is sent to MTN
+const AWAITING_DECISION_STATUSES = ['HELD', 'PENDING_APPROVAL'];
+
+// True once we no longer need to ask MTN about a transaction
+function isFinalStatus(status) {
+  return TRANSACTION_STATUS_RANK[status] >= 3;
+}
+
+// True once nothing can change a transaction's status again (TIMED_OUT still can)
+function isSettledStatus(status) {
+  return TRANSACTION_STATUS_RANK[status] >= 4;
+}
+
+// Market presets. Amount limits apply to each payment; nationalNumberLengths are the allowed
+// lengths of a phone number without its country calling code (and without a trunk 0 where
+// the national format has one).
+const MARKETS = {
+  LR: { country: 'LR', currency: 'LRD', callingCode: '231', nationalNumberLengths: [9], minAmount: 100, maxAmount: 500000 },
+  CM: { country: 'CM', currency: 'XAF', callingCode: '237', nationalNumberLengths: [9], minAmount: 100, maxAmount: 1000000 },
+  CI: { country: 'CI', currency: 'XOF', callingCode: '225', nationalNumberLengths: [10], minAmount: 100, maxAmount: 1000000 },
+  GH: { country: 'GH', currency: 'GHS', callingCode: '233', nationalNumberLengths: [9], minAmount: 1, maxAmount: 10000 },
+  UG: { country: 'UG', currency: 'UGX', callingCode: '256', nationalNumberLengths: [9], minAmount: 500, maxAmount: 5000000 }
+};
+
+// Normalize a phone number to E.164 digits without the "+" (the MSISDN format MTN expects),
+// or return null when it is not a valid number in the market.
+// Accepts international (+231 88..., 00231 88..., 23188...) and national (088..., 88...) formats.
+// The customer pages run this same function, so it must not use anything outside itself.
+function normalizeMsisdn(input, market) {
+  let digits = String(input || '').trim().replace(/[\s().-]/g, '');
+  if (!/^(\+|00)?\d+$/.test(digits)) return null;
+
+  const international = /^(\+|00)/.test(digits);
+  digits = digits.replace(/^(\+|00)/, '');
+  let national;
+  if (international) {
+    if (!digits.startsWith(market.callingCode)) return null;
+    national = digits.slice(market.callingCode.length);
+  } else if (digits.startsWith(market.callingCode) &&
+    market.nationalNumberLengths.includes(digits.length - market.callingCode.length)) {
+    national = digits.slice(market.callingCode.length);
+  } else if (market.nationalNumberLengths.includes(digits.length)) {
+    national = digits;
+  } else {
+    national = digits.replace(/^0/, '');
+  }
+
+  return market.nationalNumberLengths.includes(national.length) ? market.callingCode + national : null;
+}
+
+const SAVINGS_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Due date of a savings plan's nth collection (cycle 0 is the start date).
+// Monthly plans keep the start day, moved back to the last day of shorter months.
+function planDueDate(startDate, frequency, cycle) {
+  const start = new Date(startDate);
+  const dayMs = 24 * 60 * 60 * 1000;
+  if (frequency === 'daily') return new Date(start.getTime() + cycle * dayMs);
+  if (frequency === 'weekly') return new Date(start.getTime() + cycle * 7 * dayMs);
+
+  const due = new Date(start);
+  due.setUTCDate(1);
+  due.setUTCMonth(start.getUTCMonth() + cycle);
+  const lastDay = new Date(Date.UTC(due.getUTCFullYear(), due.getUTCMonth() + 1, 0)).getUTCDate();
+  due.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return due;
+}
+
+// Progress towards a savings goal from its saved total and successful deposits ([{ amount, at }], oldest first).
+// The completion date assumes the user keeps saving at their average pace since the first deposit,
+// so it needs at least a day of history.
+function goalProgress(goal, saved, deposits, now = new Date()) {
+  const progress = {
+    saved,
+    percentComplete: goal.targetAmount ? Math.min(100, Math.round(saved / goal.targetAmount * 1000) / 10) : null,
+    projectedCompletionDate: null,
+    onTrack: null
+  };
+  if (!goal.targetAmount || deposits.length === 0) return progress;
+  if (saved >= goal.targetAmount) {
+    progress.onTrack = true;
+    return progress;
+  }
+
+  const elapsed = now - new Date(deposits[0].at);
+  const deposited = deposits.reduce((sum, deposit) => sum + Number(deposit.amount), 0);
+  if (elapsed < 24 * 60 * 60 * 1000 || deposited <= 0) return progress;
+
+  const projected = new Date(now.getTime() + (goal.targetAmount - saved) / (deposited / elapsed));
+  progress.projectedCompletionDate = projected.toISOString();
+  progress.onTrack = goal.deadline ? projected <= new Date(goal.deadline) : null;
+  return progress;
+}
+
+// Counts and totals for the admin dashboard, overall and per day (UTC) and type. Rates are
+// percentages of the transactions that have finished: SUCCESSFUL against FAILED or REJECTED.
+function transactionStats(transactions) {
+  const group = () => ({ count: 0, amount: 0, successful: 0, successfulAmount: 0, failed: 0 });
+  const rates = totals => {
+    const finished = totals.successful + totals.failed;
+    return {
+      ...totals,
+      amount: roundAmount(totals.amount),
+      successfulAmount: roundAmount(totals.successfulAmount),
+      successRate: finished ? Math.round(totals.successful / finished * 1000) / 10 : null,
+      failureRate: finished ? Math.round(totals.failed / finished * 1000) / 10 : null
+    };
+  };
+
+  const overall = group();
+  const byDay = new Map();
+  const byType = new Map();
+  for (const transaction of transactions) {
+    const day = transaction.createdAt.slice(0, 10);
+    const type = transaction.type || 'unknown';
+    if (!byDay.has(day)) byDay.set(day, group());
+    if (!byType.has(type)) byType.set(type, group());
+
+    for (const totals of [overall, byDay.get(day), byType.get(type)]) {
+      totals.count++;
+      totals.amount += Number(transaction.amount);
+      if (transaction.status === 'SUCCESSFUL') {
+        totals.successful++;
+        totals.successfulAmount += Number(transaction.amount);
+      } else if (['FAILED', 'REJECTED'].includes(transaction.status)) {
+        totals.failed++;
+      }
+    }
+  }
+
+  return {
+    ...rates(overall),
+    byDay: Array.from(byDay, ([day, totals]) => ({ day, ...rates(totals) })).sort((a, b) => (a.day < b.day ? -1 : 1)),
+    byType: Array.from(byType, ([type, totals]) => ({ type, ...rates(totals) })).sort((a, b) => b.count - a.count)
+  };
+}
+
+// Rows of a CSV document as { line, fields }, where line is the 1-based line the row starts on.
+// Handles quoted fields (with commas, line breaks or "" for a quote) and both line endings.
+// Blank lines are skipped.
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim()) rows.push({ line: rowLine, fields });
+    fields = [];
+    field = '';
+    rowLine = line;
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\n') line++;
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') continue;
+      if (char === '\r') line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+// Run `task` on every item, at most `limit` at a time
+async function runConcurrently(items, limit, task) {
+  const queue = [...items];
+  const worker = async () => {
+    while (queue.length > 0) await task(queue.shift());
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, queue.length) }, worker));
+}
+
+// Counts hits per key over fixed windows of `windowMs`. hit(key) returns 0 while the key is
+// within `limit`, or the seconds until its window ends once it has gone over.
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      for (const [other, entry] of windows) {
+        if (entry.endsAt <= now) windows.delete(other);
+      }
+      if (!windows.has(key)) windows.set(key, { endsAt: now + windowMs, hits: 0 });
+
+      const entry = windows.get(key);
+      entry.hits++;
+      return entry.hits <= limit ? 0 : Math.ceil((entry.endsAt - now) / 1000);
+    }
+  };
+}
+
+// One CSV line. Fields are quoted when needed, and ones a spreadsheet would run as a
+// formula (starting with = + - @) are prefixed with ' so an opened results file is harmless.
+function toCsvLine(values) {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+// Each role can do everything the roles below it can
+const STAFF_ROLE_RANK = {
+  operator: 1,
+  admin: 2
+};
+
+const hashApiKey = key => crypto.createHash('sha256').update(key).digest();
+
+// ======================
+// LEDGER ACCOUNTS
+// ======================
+
+// Account names:
+//   platform:wallet               - money held in the platform's MTN wallet (asset)
+//   pending:disbursements         - money sent to MTN (withdrawals, payouts, gifts, refunds) but not yet confirmed (liability)
+//   savings:<phone>:<goal>        - what the platform owes a user for one savings goal (liability)
+//   campaign:<campaignId>         - donations received for a campaign (liability)
+//   gift:<giftId>                 - a gift collected from its sender and not yet delivered or refunded (liability)
+//   revenue:fees                  - fees the platform has earned (revenue)
+const LEDGER_ACCOUNTS = {
+  platformWallet: 'platform:wallet',
+  pendingDisbursements: 'pending:disbursements',
+  savings: (phone, goal) => `savings:${phone}:${goal}`,
+  campaign: campaignId => `campaign:${campaignId}`,
+  gift: giftId => `gift:${giftId}`,
+  fees: 'revenue:fees'
+};
+
+const GENERAL_CAMPAIGN = 'general';
+
+// Liability and revenue accounts grow with credits, asset accounts with debits
+function accountBalance({ account, debits, credits }) {
+  const creditNormal = /^(savings|campaign|pending|gift|revenue):/.test(account);
+  return roundAmount(creditNormal ? credits - debits : debits - credits);
+}
+
+// ======================
+// SMS
+// ======================
+
+// Build the sendSms(to, message) function for the configured provider
+function createSmsSender(smsConfig, { logger = createLogger() } = {}) {
+  // SMS senders - add a new provider here and select it with SMS_PROVIDER
+  const senders = {
+    // Development sender: prints the message to the server log
+    async console(to, message) {
+      logger.info('SMS', { to, message });
+    },
+
+    // Generic HTTP gateway: POSTs { to, message } to SMS_HTTP_URL
+    async http(to, message) {
+      await axios.post(
+        smsConfig.httpUrl,
+        { to, message },
+        { headers: smsConfig.httpToken ? { 'Authorization': `Bearer ${smsConfig.httpToken}` } : {} }
+      );
+    }
+  };
+
+  return async function sendSms(to, message) {
+    const sender = senders[smsConfig.provider];
+    if (!sender) {
+      throw new Error(`Unknown SMS provider: ${smsConfig.provider}`);
+    }
+    try {
+      await sender(to, message);
+    } catch (error) {
+      logger.error('SMS could not be sent', { provider: smsConfig.provider, to, error });
+      throw new Error('Failed to send SMS');
+    }
+  };
+}
+
+// ======================
+// APP FACTORY
+// ======================
+
+// Build the Express app. Every dependency can be swapped out (tests pass an in-memory
+// store and a fake MTN client); the defaults are built from `config`.
+// Nothing is started here - see server.js.
+function createApp({
+  config = loadConfig(),
+  logger = createLogger(config.logging),
+  store = config.storage.type === 'memory'
+    ? createMemoryStore({ market: config.market })
+    : createFileStore(config.storage.dataFile, { market: config.market, auditFile: config.storage.auditFile }),
+  mtnClient = createMtnClient(config.mtn, { logger }),
+  sendSms = createSmsSender(config.sms, { logger })
+} = {}) {
+  // ======================
+  // EXPRESS APP SETUP
+  // ======================
+
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  if (config.trustProxyHops > 0) {
+    app.set('trust proxy', config.trustProxyHops);
+  }
+
+  // Every request runs with a request ID (the caller's X-Request-Id when it is a sensible one)
+  // so its log lines, MTN calls and audit entries can be tied together
+  app.use((req, res, next) => {
+    const given = req.get('X-Request-Id');
+    const requestId = given && /^[\w.:-]{1,100}$/.test(given) ? given : crypto.randomUUID();
+    const startedAt = Date.now();
+    res.set('X-Request-Id', requestId);
+    res.on('finish', () => {
+      logger.info('HTTP request', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      });
+    });
+    requestContext.run({ requestId, req }, next);
+  });
+
+  // Run a background job with its own request ID, acting as the system
+  function runAsJob(name, job) {
+    return requestContext.run({ requestId: crypto.randomUUID(), actor: { type: 'system', name } }, job);
+  }
+
+  // ======================
+  // MARKET RULES
+  // ======================
+
+  const { market } = config;
+
+  // Phone number as E.164 digits, or null when it is not a valid number in this market
+  const normalizePhone = phone => normalizeMsisdn(phone, market);
+
+  // Whether a payment amount is within the market's limits
+  function isValidAmount(amount) {
+    const value = Number(amount);
+    return Number.isFinite(value) && value >= market.minAmount && value <= market.maxAmount;
+  }
+
+  // Limits for error messages, e.g. "100 - 500000 EUR"
+  const amountLimits = `${market.minAmount} - ${market.maxAmount} ${market.currency}`;
+
+  // ======================
+  // TRANSACTIONS
+  // ======================
+
+  // Reference ID for a new MTN request
+  function generateReferenceId() {
+    return crypto.randomUUID();
+  }
+
+  // Save a status change, post its ledger entries and move its gift on (when it is a gift leg).
+  // Duplicate or out-of-order updates are ignored and return null. A transaction waiting for a
+  // staff decision only changes when fromStatuses names its status (see releaseTransaction).
+  async function updateTransactionStatus(referenceId, changes, options = {}) {
+    const rank = TRANSACTION_STATUS_RANK[changes.status];
+    if (rank === undefined) {
+      logger.warn('Ignoring unknown transaction status', { transactionId: referenceId, status: changes.status });
+      return null;
+    }
+
+    const fromStatuses = options.fromStatuses || Object.keys(TRANSACTION_STATUS_RANK)
+      .filter(status => !AWAITING_DECISION_STATUSES.includes(status) && TRANSACTION_STATUS_RANK[status] < rank);
+    const before = await store.getTransaction(referenceId);
+    const transaction = await store.updateTransaction(referenceId, changes, { fromStatuses });
+    if (transaction) {
+      await audit('transaction.updated', {
+        target: { type: 'transaction', id: referenceId },
+        before: pickFields(before, Object.keys(changes)),
+        after: pickFields(transaction, Object.keys(changes))
+      });
+      await postTransactionEntries(transaction);
+      if (transaction.giftId) {
+        await advanceGift(transaction);
+      }
+    }
+    return transaction;
+  }
+
+  // Signature that ties a callback URL to one reference ID
+  function callbackSignature(referenceId) {
+    return crypto.createHmac('sha256', config.mtn.callbackSecret).update(referenceId).digest('hex');
+  }
+
+  // X-Callback-Url for an outgoing MTN request (none when no public URL is configured)
+  function callbackUrl(referenceId) {
+    if (!config.mtn.callbackBaseUrl) return undefined;
+
+    let url = `${config.mtn.callbackBaseUrl.replace(/\/$/, '')}/api/mtn/callback/${referenceId}`;
+    if (config.mtn.callbackSecret) {
+      url += `?signature=${callbackSignature(referenceId)}`;
+    }
+    return url;
+  }
+
+  // Store a new transaction once the risk checks have seen it. A flagged transaction is stored
+  // HELD and one with an `approval` request PENDING_APPROVAL - neither is sent yet. One over a
+  // limit is stored FAILED (which returns any money reserved for it) and an error with code
+  // LIMIT_EXCEEDED is thrown.
+  async function createCheckedTransaction(transaction) {
+    const risk = await assessRisk({
+      type: transaction.type,
+      phone: transaction.product === 'collection' ? transaction.payer : transaction.recipient,
+      ip: transaction.ip,
+      amount: transaction.amount
+    });
+    let status = 'INITIATED';
+    if (!risk.refused && risk.flags.length > 0) {
+      status = 'HELD';
+    } else if (!risk.refused && transaction.approval) {
+      status = 'PENDING_APPROVAL';
+    }
+    const created = await store.createTransaction({
+      ...transaction,
+      status,
+      ...(risk.flags.length > 0 ? { riskFlags: risk.flags } : {})
+    });
+    await audit('transaction.created', { target: { type: 'transaction', id: created.id }, after: created });
+
+    if (risk.refused) {
+      logger.warn('Transaction refused by risk checks', { transactionId: created.id, reason: risk.refused });
+      await updateTransactionStatus(created.id, {
+        status: 'FAILED',
+        error: { code: 'LIMIT_EXCEEDED', message: risk.refused }
+      });
+      const error = new Error(risk.refused);
+      error.code = 'LIMIT_EXCEEDED';
+      throw error;
+    }
+    if (status === 'HELD') {
+      logger.warn('Transaction held for review', { transactionId: created.id, flags: risk.flags });
+    } else if (status === 'PENDING_APPROVAL') {
+      logger.info('Transaction needs a second approver', { transactionId: created.id, requestedBy: created.approval.requestedBy });
+    }
+    return created;
+  }
+
+  // Move a transaction on from HELD or PENDING_APPROVAL after a staff decision, and send it to
+  // MTN when it becomes INITIATED. Claiming it with fromStatuses first means two decisions can
+  // never both send it. Returns null when the transaction is not in fromStatus.
+  async function releaseTransaction(referenceId, fromStatus, changes) {
+    const transaction = await updateTransactionStatus(referenceId, changes, { fromStatuses: [fromStatus] });
+    if (transaction?.status === 'INITIATED') {
+      await submitTransaction(transaction);
+    }
+    return transaction;
+  }
+
+  // Result of sendMoney/requestToPay for a transaction that is waiting for a staff decision
+  function awaitingDecision(transaction) {
+    return {
+      success: true,
+      transactionId: transaction.id,
+      held: transaction.status === 'HELD',
+      pendingApproval: transaction.status === 'PENDING_APPROVAL'
+    };
+  }
+
+  // Error to pass on for a failed MTN call. An MtnError keeps its code, so routes can answer
+  // with a matching HTTP status, and carries MTN's own explanation or `fallback`.
+  function mtnFailure(error, fallback) {
+    const data = error.response?.data;
+    const message = data?.message || data?.error || fallback;
+    if (!(error instanceof MtnError)) return new Error(message);
+    // Timeouts and outages have no answer from MTN and keep their own message
+    if (!error.response) return error;
+    return new MtnError(error.code, message, { response: error.response });
+  }
+
+  // Record that MTN did not take a transaction and return the error to throw. When the request
+  // may have reached MTN anyway the transaction is left unfinished for the reconciliation
+  // worker to settle, rather than failed while MTN might still carry it out.
+  async function submitFailed(referenceId, error, fallback) {
+    if (error.outcomeUnknown) {
+      await store.updateTransaction(referenceId, {
+        submitUnconfirmed: { code: error.code, message: error.message, at: new Date().toISOString() }
+      });
+      logger.warn('Transaction may have reached MTN - leaving it for the reconciliation worker', { transactionId: referenceId });
+    } else {
+      await updateTransactionStatus(referenceId, {
+        status: 'FAILED',
+        error: error.response?.data || error.message
+      });
+    }
+    return mtnFailure(error, fallback);
+  }
+
+  // HTTP status a route answers with when an action fails: a failed MTN call maps to its
+  // own status, a transaction over a limit to 403 and anything else to 500
+  function httpStatusFor(error) {
+    if (error instanceof MtnError) return error.httpStatus;
+    return error.code === 'LIMIT_EXCEEDED' ? 403 : 500;
+  }
+
+  // Send Money via MTN Disbursements API.
+  // Resolves with held or pendingApproval set when the transfer waits for a staff decision.
+  async function sendMoney(amount, recipientPhone, message, externalId = null, details = {}) {
+    const xReferenceId = externalId || generateReferenceId();
+
+    // Store transaction
+    const transaction = await createCheckedTransaction({
+      ...details,
+      id: xReferenceId,
+      amount: amount,
+      currency: market.currency,
+      recipient: recipientPhone,
+      message: message,
+      createdAt: new Date().toISOString()
+    });
+
+    if (AWAITING_DECISION_STATUSES.includes(transaction.status)) {
+      return awaitingDecision(transaction);
+    }
+    return submitTransfer(transaction);
+  }
+
+  // Hand a stored transfer to MTN
+  async function submitTransfer(transaction) {
+    const xReferenceId = transaction.id;
+    try {
+      const response = await mtnClient.transfer({
+        referenceId: xReferenceId,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        payee: transaction.recipient,
+        payerMessage: transaction.message,
+        payeeNote: 'From Akin NevMo',
+        callbackUrl: callbackUrl(xReferenceId)
+      });
+
+      // Update transaction status
+      await updateTransactionStatus(xReferenceId, { status: 'ACCEPTED', mtmResponse: response });
+
+      return {
+        success: true,
+        transactionId: xReferenceId,
+        held: false,
+        response: response
+      };
+    } catch (error) {
+      logger.error('MTN transfer failed', { transactionId: xReferenceId, error });
+      throw await submitFailed(xReferenceId, error, 'Transfer failed');
+    }
+  }
+
+  // Request Payment from a payer via MTN Collections API (payer approves on their phone).
+  // Resolves with held set when the risk checks held the request for review.
+  async function requestToPay(amount, payerPhone, message, externalId = null, details = {}) {
+    const xReferenceId = externalId || generateReferenceId();
+
+    // Store transaction
+    const transaction = await createCheckedTransaction({
+      ...details,
+      id: xReferenceId,
+      product: 'collection',
+      amount: amount,
+      currency: market.currency,
+      payer: payerPhone,
+      message: message,
+      createdAt: new Date().toISOString()
+    });
+
+    if (AWAITING_DECISION_STATUSES.includes(transaction.status)) {
+      return awaitingDecision(transaction);
+    }
+    return submitRequestToPay(transaction);
+  }
+
+  // Hand a stored payment request to MTN
+  async function submitRequestToPay(transaction) {
+    const xReferenceId = transaction.id;
+    try {
+      const response = await mtnClient.requestToPay({
+        referenceId: xReferenceId,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        payer: transaction.payer,
+        payerMessage: transaction.message,
+        payeeNote: 'To Akin NevMo',
+        callbackUrl: callbackUrl(xReferenceId)
+      });
+
+      // Request accepted - waiting for the payer to approve
+      await updateTransactionStatus(xReferenceId, { status: 'ACCEPTED', mtmResponse: response });
+
+      return {
+        success: true,
+        transactionId: xReferenceId,
+        held: false,
+        response: response
+      };
+    } catch (error) {
+      logger.error('MTN payment request failed', { transactionId: xReferenceId, error });
+      throw await submitFailed(xReferenceId, error, 'Payment request failed');
+    }
+  }
+
+  // Refund a collected payment to its payer via the MoMo refund endpoint. Resolves like sendMoney.
+  async function refundPayment(amount, original, message, externalId = null, details = {}) {
+    const xReferenceId = externalId || generateReferenceId();
+
+    // Store transaction
+    const transaction = await createCheckedTransaction({
+      ...details,
+      id: xReferenceId,
+      amount: amount,
+      currency: market.currency,
+      recipient: original.payer,
+      message: message,
+      refundOf: original.id,
+      refundMethod: 'momo_refund',
+      createdAt: new Date().toISOString()
+    });
+
+    if (AWAITING_DECISION_STATUSES.includes(transaction.status)) {
+      return awaitingDecision(transaction);
+    }
+    return submitRefund(transaction);
+  }
+
+  // Hand a stored refund to MTN
+  async function submitRefund(transaction) {
+    const xReferenceId = transaction.id;
+    try {
+      const response = await mtnClient.refund({
+        referenceId: xReferenceId,
+        referenceIdToRefund: transaction.refundOf,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        payerMessage: transaction.message,
+        payeeNote: 'Refund from Akin NevMo',
+        callbackUrl: callbackUrl(xReferenceId)
+      });
+
+      // Update transaction status
+      await updateTransactionStatus(xReferenceId, { status: 'ACCEPTED', mtmResponse: response });
+
+      return {
+        success: true,
+        transactionId: xReferenceId,
+        held: false,
+        response: response
+      };
+    } catch (error) {
+      logger.error('MTN refund failed', { transactionId: xReferenceId, error });
+      throw await submitFailed(xReferenceId, error, 'Refund failed');
+    }
+  }
+
+  // Hand a stored transaction to MTN through the API that matches it
+  function submitTransaction(transaction) {
+    if (transaction.product === 'collection') return submitRequestToPay(transaction);
+    if (transaction.refundMethod === 'momo_refund') return submitRefund(transaction);
+    return submitTransfer(transaction);
+  }
+
+  // Get RequestToPay Status from MTN
+  async function getRequestToPayStatus(referenceId, changes = {}) {
+    try {
+      const mtnStatus = await mtnClient.getRequestToPayStatus(referenceId);
+
+      // Update transaction status
+      await updateTransactionStatus(referenceId, {
+        ...changes,
+        status: mtnStatus.status || 'UNKNOWN',
+        statusDetails: mtnStatus
+      });
+
+      return mtnStatus;
+    } catch (error) {
+      logger.error('MTN payment request status check failed', { transactionId: referenceId, error });
+      throw mtnFailure(error, 'Failed to get payment request status');
+    }
+  }
+
+  // What anyone holding a reference ID may see of a transaction - no phone numbers, client IP,
+  // risk flags or staff decisions
+  const CUSTOMER_TRANSACTION_FIELDS = [
+    'id', 'type', 'amount', 'currency', 'status', 'message', 'goal', 'campaignId', 'giftId', 'refundOf', 'createdAt', 'updatedAt'
+  ];
+
+  function customerTransaction(transaction) {
+    if (!transaction) return null;
+    return Object.fromEntries(CUSTOMER_TRANSACTION_FIELDS
+      .filter(key => transaction[key] !== undefined)
+      .map(key => [key, transaction[key]]));
+  }
+
+  // ... and of what MTN reports about it
+  function customerMtnStatus(mtnStatus) {
+    return { status: mtnStatus.status, ...(mtnStatus.reason ? { reason: mtnStatus.reason } : {}) };
+  }
+
+  // Ask MTN for the status of a stored transaction using the API that created it.
+  // `changes` are saved along with the status MTN reports.
+  async function checkTransactionStatus(transaction, changes = {}) {
+    if (transaction.product === 'collection') return getRequestToPayStatus(transaction.id, changes);
+    if (transaction.refundMethod === 'momo_refund') return getRefundStatus(transaction.id, changes);
+    return getTransferStatus(transaction.id, changes);
+  }
+
+  // Get Transfer Status from MTN
+  async function getTransferStatus(referenceId, changes = {}) {
+    try {
+      const mtnStatus = await mtnClient.getTransferStatus(referenceId);
+
+      // Update transaction status
+      await updateTransactionStatus(referenceId, {
+        ...changes,
+        status: mtnStatus.status || 'UNKNOWN',
+        statusDetails: mtnStatus
+      });
+
+      return mtnStatus;
+    } catch (error) {
+      logger.error('MTN transfer status check failed', { transactionId: referenceId, error });
+      throw mtnFailure(error, 'Failed to get transfer status');
+    }
+  }
+
+  // Get Refund Status from MTN
+  async function getRefundStatus(referenceId, changes = {}) {
+    try {
+      const mtnStatus = await mtnClient.getRefundStatus(referenceId);
+
+      // Update transaction status
+      await updateTransactionStatus(referenceId, {
+        ...changes,
+        status: mtnStatus.status || 'UNKNOWN',
+        statusDetails: mtnStatus
+      });
+
+      return mtnStatus;
+    } catch (error) {
+      logger.error('MTN refund status check failed', { transactionId: referenceId, error });
+      throw mtnFailure(error, 'Failed to get refund status');
+    }
+  }
+
+  // ======================
+  // USER ACCOUNTS & SIGN-IN
+  // ======================
+
+  // Sign-in codes by phone (only a hash of the latest code is kept). Codes sent and wrong guesses
+  // are counted over a window that a new code does not reset.
+  const otpCodes = new Map();
+
+  const hashCode = code => crypto.createHash('sha256').update(code).digest('hex');
+
+  function otpWindow(phone) {
+    const now = Date.now();
+    for (const [key, entry] of otpCodes) {
+      if (entry.windowEndsAt <= now) otpCodes.delete(key);
+    }
+    if (!otpCodes.has(phone)) {
+      otpCodes.set(phone, { windowEndsAt: now + config.auth.otpWindowMs, sends: 0, attempts: 0 });
+    }
+    return otpCodes.get(phone);
+  }
+
+  // Seconds until another code may be sent to `phone`, or 0 when one may be sent now
+  function otpRetryAfter(phone) {
+    const entry = otpWindow(phone);
+    return entry.sends < config.auth.otpMaxSends ? 0 : Math.ceil((entry.windowEndsAt - Date.now()) / 1000);
+  }
+
+  async function sendOtp(phone) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const entry = otpWindow(phone);
+    entry.sends++;
+    entry.hash = hashCode(code);
+    entry.expiresAt = Date.now() + config.auth.otpTtlMs;
+    await sendSms(phone, `Your Akin NevMo sign-in code is ${code}. It expires in 5 minutes.`);
+  }
+
+  function verifyOtp(phone, code) {
+    const pending = otpCodes.get(phone);
+    if (!pending || !pending.hash || pending.expiresAt < Date.now()) {
+      return false;
+    }
+
+    pending.attempts++;
+    if (pending.attempts > config.auth.otpMaxAttempts) {
+      delete pending.hash;
+      return false;
+    }
+
+    const expected = Buffer.from(pending.hash, 'hex');
+    const actual = Buffer.from(hashCode(String(code)), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return false;
+    }
+
+    otpCodes.delete(phone);
+    return true;
+  }
+
+  // Session tokens are `<base64url payload>.<HMAC signature>`
+  function signSession(phone) {
+    const payload = Buffer.from(JSON.stringify({
+      sub: phone,
+      exp: Date.now() + config.auth.sessionTtlMs
+    })).toString('base64url');
+    const signature = crypto.createHmac('sha256', config.auth.sessionSecret).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+  }
+
+  function verifySession(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', config.auth.sessionSecret).update(payload).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return session.exp > Date.now() ? session : null;
+  }
+
+  // Route middleware: requires `Authorization: Bearer <session token>` and sets req.user
+  async function requireUser(req, res, next) {
+    try {
+      const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+      const session = verifySession(token);
+      const user = session && await store.getUser(session.sub);
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Please sign in to continue'
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // ======================
+  // STAFF ACCESS
+  // ======================
+
+  const staffKeys = config.staff.apiKeys
+    .filter(({ name, role, key }) => name && STAFF_ROLE_RANK[role] && key)
+    .map(({ name, role, key }) => ({ name, role, hash: hashApiKey(key) }));
+
+  // The staff member behind the request's `X-API-Key` header, or null
+  function authenticateStaff(req) {
+    const apiKey = req.get('X-API-Key');
+    if (!apiKey) return null;
+
+    const hash = hashApiKey(apiKey);
+    const match = staffKeys.find(staff => crypto.timingSafeEqual(staff.hash, hash));
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  // Route middleware: requires a staff API key with at least `role`, and sets req.staff
+  function requireStaff(role) {
+    return (req, res, next) => {
+      const staff = authenticateStaff(req);
+
+      if (!staff) {
+        return res.status(401).json({
+          success: false,
+          error: 'A valid staff API key is required (X-API-Key header)'
+        });
+      }
+
+      if (STAFF_ROLE_RANK[staff.role] < STAFF_ROLE_RANK[role]) {
+        return res.status(403).json({
+          success: false,
+          error: `This action requires the ${role} role`
+        });
+      }
+
+      req.staff = staff;
+      next();
+    };
+  }
+
+  // Route middleware: requires a staff API key (any role) or a signed-in user, and sets req.staff or req.user
+  function requireUserOrStaff(req, res, next) {
+    const staff = authenticateStaff(req);
+    if (!staff) return requireUser(req, res, next);
+
+    req.staff = staff;
+    next();
+  }
+
+  // ======================
+  // IDEMPOTENCY
+  // ======================
+
+  // Route middleware: a request repeated with the same Idempotency-Key gets the original
+  // response back instead of moving money twice. Keys are scoped to the signed-in user or
+  // staff member (when there is one) and kept for config.idempotency.retentionMs.
+  async function idempotent(req, res, next) {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey) return next();
+
+    try {
+      const owner = req.user?.phone || (req.staff ? `staff:${req.staff.name}` : 'anonymous');
+      const key = `${owner}:${idempotencyKey}`;
+      const fingerprint = crypto.createHash('sha256')
+        .update(`${req.method} ${req.path} ${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+
+      const existing = await store.claimIdempotencyKey({
+        key,
+        fingerprint,
+        expiresAt: new Date(Date.now() + config.idempotency.retentionMs).toISOString()
+      });
+
+      if (existing && existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          error: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing && !existing.response) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      if (existing) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+      }
+
+      // Remember whatever the route answers so a replay gets exactly the same response
+      let answered = false;
+      const json = res.json.bind(res);
+      res.json = body => {
+        if (!answered) {
+          answered = true;
+          store.completeIdempotencyKey(key, { statusCode: res.statusCode, body })
+            .catch(error => logger.error('Could not store idempotent response', { error }));
+        }
+        return json(body);
+      };
+      // A route that threw, or a client that hung up first, leaves nothing to replay - free the
+      // key so a retry is not stuck on 409 until it expires
+      res.on('close', () => {
+        if (answered) return;
+        answered = true;
+        store.releaseIdempotencyKey(key)
+          .catch(error => logger.error('Could not release Idempotency-Key', { error }));
+      });
+      next();
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // ======================
+  // AUDIT LOG
+  // ======================
+
+  // Append-only record of every money-moving and staff action: who did it, from which IP, in
+  // which request, and the state of what they acted on before and after. Entries keep full
+  // phone numbers - unlike log lines they are only readable by admins.
+
+  const AUDIT_PAGE_SIZE = 50;
+  const AUDIT_MAX_PAGE_SIZE = 500;
+  const AUDIT_ACTOR_TYPES = ['staff', 'user', 'anonymous', 'mtn', 'system'];
+
+  // Who the current request or background job acts for
+  function currentActor() {
+    const context = requestContext.getStore();
+    const req = context?.req;
+    if (!req) return context?.actor || { type: 'system' };
+    if (req.staff) return { type: 'staff', name: req.staff.name, role: req.staff.role };
+    if (req.user) return { type: 'user', phone: req.user.phone };
+    return req.actor || { type: 'anonymous' };
+  }
+
+  // Copy of just `keys` from a record (null for no record)
+  function pickFields(record, keys) {
+    if (!record) return null;
+    return Object.fromEntries(keys.map(key => [key, record[key] === undefined ? null : record[key]]));
+  }
+
+  // Record an action in the audit log. The action has already happened by the time it is
+  // recorded, so a failed write is logged rather than thrown.
+  async function audit(action, { target, before = null, after = null, details } = {}) {
+    const context = requestContext.getStore();
+    try {
+      await store.appendAuditEntry({
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        action,
+        actor: currentActor(),
+        ip: context?.req?.ip || null,
+        requestId: context?.requestId || null,
+        target,
+        before,
+        after,
+        ...(details ? { details } : {})
+      });
+    } catch (error) {
+      logger.error('Could not write audit entry', { action, target, error });
+    }
+  }
+
+  // Filters and page of an audit log query, or { error }
+  function parseAuditQuery(query) {
+    const filters = {
+      actions: queryList(query.action),
+      actor: query.actor ? normalizePhone(query.actor) || query.actor : undefined,
+      actorType: query.actorType,
+      targetType: query.targetType,
+      targetId: query.targetId
+    };
+    if (filters.actorType && !AUDIT_ACTOR_TYPES.includes(filters.actorType)) {
+      return { error: `actorType must be one of: ${AUDIT_ACTOR_TYPES.join(', ')}` };
+    }
+    for (const bound of ['from', 'to']) {
+      if (query[bound] === undefined) continue;
+      const date = new Date(query[bound]);
+      if (isNaN(date)) return { error: `${bound} must be a date` };
+      filters[bound] = date.toISOString();
+    }
+    const limit = query.limit !== undefined ? Number(query.limit) : AUDIT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_PAGE_SIZE) {
+      return { error: `limit must be a whole number from 1 to ${AUDIT_MAX_PAGE_SIZE}` };
+    }
+    if (query.cursor !== undefined && !/^[1-9]\d*$/.test(query.cursor)) {
+      return { error: 'Invalid cursor' };
+    }
+    return { filters, limit, before: query.cursor ? Number(query.cursor) : undefined };
+  }
+
+  // ======================
+  // PAYEE VALIDATION
+  // ======================
+
+  // Recent lookups by phone, so showing the name on a form and then submitting it asks MTN only once
+  const payeeLookups = new Map();
+
+  // Ask MTN whether a number can receive money and who it is registered to.
+  // Returns { phone, active, name }; name is null when MTN does not share it.
+  async function lookupPayee(phone) {
+    const now = Date.now();
+    const cached = payeeLookups.get(phone);
+    if (cached && cached.expiresAt > now) return cached.payee;
+
+    const active = await mtnClient.isAccountHolderActive(phone);
+    let name = null;
+    if (active) {
+      try {
+        const info = await mtnClient.getBasicUserInfo(phone);
+        name = info.name || [info.given_name, info.family_name].filter(Boolean).join(' ') || null;
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+
+    const payee = { phone, active, name };
+    payeeLookups.forEach((lookup, key) => {
+      if (lookup.expiresAt <= now) payeeLookups.delete(key);
+    });
+    payeeLookups.set(phone, { payee, expiresAt: now + config.payees.lookupCacheMs });
+    return payee;
+  }
+
+  // Route middleware: refuse to pay a number MTN does not know as an active MoMo account.
+  // `getPhone(req)` returns the number that will receive the money; numbers the route would
+  // reject anyway (missing or invalid) are left to its own validation.
+  function requirePayee(getPhone) {
+    return async (req, res, next) => {
+      if (!config.payees.validationEnabled) return next();
+
+      try {
+        const phone = normalizePhone(await getPhone(req));
+        if (!phone) return next();
+
+        try {
+          req.payee = await lookupPayee(phone);
+        } catch (error) {
+          logger.error('Payee lookup failed', { phone, error });
+          return res.status(503).json({
+            success: false,
+            error: 'Could not check the number with MTN. Please try again.'
+          });
+        }
+
+        if (!req.payee.active) {
+          return res.status(400).json({
+            success: false,
+            error: `+${phone} is not an active MTN Mobile Money account`
+          });
+        }
+        next();
+      } catch (error) {
+        res.status(httpStatusFor(error)).json({
+          success: false,
+          error: error.message
+        });
+      }
+    };
+  }
+
+  // ======================
+  // TRANSACTION SEARCH
+  // ======================
+
+  const SEARCH_PAGE_SIZE = 50;
+  const SEARCH_MAX_PAGE_SIZE = 500;
+
+  // Columns of a CSV transaction export
+  const EXPORT_COLUMNS = [
+    'id', 'createdAt', 'updatedAt', 'type', 'status', 'amount', 'currency', 'payer', 'recipient',
+    'goal', 'campaignId', 'giftId', 'batchId', 'refundOf', 'message'
+  ];
+
+  // Comma-separated query values as a list, or undefined when empty
+  function queryList(value) {
+    const list = String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    return list.length > 0 ? list : undefined;
+  }
+
+  // Read the search filters and sort order of a transaction query (?status=&type=&phone=
+  // &minAmount=&maxAmount=&from=&to=&sort=&order=). Returns { error } when one is invalid.
+  function parseTransactionSearch(query) {
+    const filters = {
+      statuses: queryList(query.status),
+      types: queryList(query.type),
+      minAmount: query.minAmount !== undefined ? Number(query.minAmount) : undefined,
+      maxAmount: query.maxAmount !== undefined ? Number(query.maxAmount) : undefined
+    };
+    const sort = query.sort || 'createdAt';
+    const order = query.order || 'asc';
+
+    if (filters.statuses?.some(status => TRANSACTION_STATUS_RANK[status] === undefined)) {
+      return { error: `status must be one of: ${Object.keys(TRANSACTION_STATUS_RANK).join(', ')}` };
+    }
+    if (filters.types?.some(type => !TRANSACTION_TYPES.includes(type))) {
+      return { error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+    }
+    if ([filters.minAmount, filters.maxAmount].some(amount => amount !== undefined && !Number.isFinite(amount))) {
+      return { error: 'minAmount and maxAmount must be numbers' };
+    }
+    for (const bound of ['from', 'to']) {
+      if (query[bound] === undefined) continue;
+      const date = new Date(query[bound]);
+      if (isNaN(date)) return { error: `${bound} must be a date` };
+      filters[bound] = date.toISOString();
+    }
+    if (query.phone) {
+      filters.phone = normalizePhone(query.phone) || query.phone;
+    }
+    if (!TRANSACTION_SORT_KEYS.includes(sort) || !['asc', 'desc'].includes(order)) {
+      return { error: `sort must be one of: ${TRANSACTION_SORT_KEYS.join(', ')} and order asc or desc` };
+    }
+    return { filters, sort, order };
+  }
+
+  // Cursors are opaque to clients: the sort they belong to plus the last row's sort key
+  function encodeCursor(sort, order, next) {
+    return next ? Buffer.from(JSON.stringify({ sort, order, ...next })).toString('base64url') : null;
+  }
+
+  function decodeCursor(cursor, sort, order) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (decoded.sort !== sort || decoded.order !== order || typeof decoded.id !== 'string') return null;
+      // Amounts sort as numbers and dates as ISO strings
+      const validValue = sort === 'amount' ? Number.isFinite(decoded.value) : typeof decoded.value === 'string';
+      if (!validValue) return null;
+      return { value: decoded.value, id: decoded.id };
+    } catch {
+      return null;
+    }
+  }
+
+  // ======================
+  // RISK CHECKS
+  // ======================
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Never checked: refunds only return money to the number that paid it
+  const RISK_EXEMPT_TYPES = ['gift_refund', 'refund'];
+
+  // Check a payment before it is stored. `phone` is the payer of a collection or the recipient
+  // of a transfer, and `ip` the client that asked for it (none for scheduled or follow-up payments).
+  // Returns { refused, flags }: refused explains the limit the payment would go over (or is null),
+  // and flags name the reasons to hold it for review.
+  async function assessRisk({ type, phone, ip, amount }) {
+    const rules = config.risk;
+    if (!rules.enabled || RISK_EXEMPT_TYPES.includes(type)) return { refused: null, flags: [] };
+
+    const now = Date.now();
+    const since = ms => new Date(now - ms).toISOString();
+    const monthAgo = since(30 * DAY_MS);
+    // Failed and rejected payments moved no money, so they do not count towards the limits
+    const volume = (transactions, ms) => roundAmount(transactions
+      .filter(transaction => transaction.createdAt >= since(ms) && !['FAILED', 'REJECTED'].includes(transaction.status))
+      .reduce((sum, transaction) => sum + Number(transaction.amount), 0));
+
+    const recent = await store.listTransactions({ phone, from: monthAgo });
+    const fromIp = ip ? await store.listTransactions({ ip, from: monthAgo }) : [];
+
+    const limits = [
+      { flag: 'TRANSACTION_LIMIT', used: 0, limit: rules.transactionLimit, name: 'the limit for a single payment' },
+      { flag: 'DAILY_LIMIT', used: volume(recent, DAY_MS), limit: rules.dailyLimit, name: `the daily limit for +${phone}` },
+      { flag: 'MONTHLY_LIMIT', used: volume(recent, 30 * DAY_MS), limit: rules.monthlyLimit, name: `the 30-day limit for +${phone}` },
+      ...(ip ? [
+        { flag: 'IP_DAILY_LIMIT', used: volume(fromIp, DAY_MS), limit: rules.ipDailyLimit, name: 'the daily limit for your network' },
+        { flag: 'IP_MONTHLY_LIMIT', used: volume(fromIp, 30 * DAY_MS), limit: rules.ipMonthlyLimit, name: 'the 30-day limit for your network' }
+      ] : [])
+    ];
+    const exceeded = limits.find(({ used, limit }) => used + Number(amount) > limit);
+    if (exceeded) {
+      return {
+        refused: `This payment would go over ${exceeded.name} of ${exceeded.limit} ${market.currency}`,
+        flags: [exceeded.flag]
+      };
+    }
+
+    const flags = [];
+    const sameKind = recent.filter(transaction => transaction.type === type);
+    if (sameKind.filter(transaction => transaction.createdAt >= since(rules.rapidRepeatWindowMs)).length >= rules.rapidRepeatCount) {
+      flags.push('RAPID_REPEATS');
+    }
+    const succeeded = sameKind.filter(transaction => transaction.status === 'SUCCESSFUL');
+    if (succeeded.length >= rules.unusualAmountMinHistory) {
+      const average = succeeded.reduce((sum, transaction) => sum + Number(transaction.amount), 0) / succeeded.length;
+      if (Number(amount) > average * rules.unusualAmountFactor) flags.push('UNUSUAL_AMOUNT');
+    }
+    return { refused: null, flags };
+  }
+
+  // False for transactions that never reached MTN: waiting for a decision, refused by the risk
+  // checks or rejected by staff
+  function wasSentToMtn(transaction) {
+    return !AWAITING_DECISION_STATUSES.includes(transaction.status) &&
+      !['LIMIT_EXCEEDED', 'REJECTED_IN_REVIEW'].includes(transaction.error?.code);
+  }
+
+  // ======================
+  // LEDGER POSTINGS
+  // ======================
+
+  // Reserve savings for a withdrawal before MTN is called, so two withdrawals can never
+  // spend the same money. Throws with code INSUFFICIENT_FUNDS when the goal cannot cover it.
+  async function reserveWithdrawal(transactionId, phone, goal, amount) {
+    const savingsAccount = LEDGER_ACCOUNTS.savings(phone, goal);
+    return store.postJournalEntry({
+      reference: `${transactionId}:reserved`,
+      transactionId,
+      description: `Withdrawal from "${goal}" sent to MTN`,
+      lines: [
+        { account: savingsAccount, debit: amount },
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, credit: amount }
+      ]
+    }, { requireFunds: [savingsAccount] });
+  }
+
+  // Reserve a campaign's donations for a payout to its beneficiary, like reserveWithdrawal
+  async function reserveCampaignPayout(transactionId, campaign, amount) {
+    const campaignAccount = LEDGER_ACCOUNTS.campaign(campaign.id);
+    return store.postJournalEntry({
+      reference: `${transactionId}:reserved`,
+      transactionId,
+      description: `Payout of "${campaign.title}" sent to MTN`,
+      lines: [
+        { account: campaignAccount, debit: amount },
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, credit: amount }
+      ]
+    }, { requireFunds: [campaignAccount] });
+  }
+
+  // Reserve money held for a gift before sending it on (to the recipient, or back to the sender)
+  async function reserveGiftLeg(transactionId, gift, amount, description) {
+    const giftAccount = LEDGER_ACCOUNTS.gift(gift.id);
+    return store.postJournalEntry({
+      reference: `${transactionId}:reserved`,
+      transactionId,
+      description,
+      lines: [
+        { account: giftAccount, debit: amount },
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, credit: amount }
+      ]
+    }, { requireFunds: [giftAccount] });
+  }
+
+  // Return what reserveGiftLeg set aside for a leg whose transaction was never stored
+  async function releaseGiftLeg(transactionId, gift, amount) {
+    return store.postJournalEntry({
+      reference: `${transactionId}:released`,
+      transactionId,
+      description: 'Gift payment never sent - returned to the gift',
+      lines: [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.gift(gift.id), credit: amount }
+      ]
+    });
+  }
+
+  // Reserve the total of a bulk disbursement batch in the account it is paid from, like reserveWithdrawal.
+  // Each row then settles as its own transaction (see postTransactionEntries).
+  async function reserveDisbursementBatch(batch) {
+    return store.postJournalEntry({
+      reference: `batch:${batch.id}:reserved`,
+      description: `Bulk disbursement of ${batch.rows.length} payments`,
+      lines: [
+        { account: batch.sourceAccount, debit: batch.total },
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, credit: batch.total }
+      ]
+    }, { requireFunds: [batch.sourceAccount] });
+  }
+
+  // Return a batch row that was never sent to MTN to the batch's account
+  async function releaseBatchRow(batch, row) {
+    return store.postJournalEntry({
+      reference: `${row.transactionId}:settled`,
+      transactionId: row.transactionId,
+      description: `Bulk disbursement line ${row.line} not sent - returned to its account`,
+      lines: [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: row.amount },
+        { account: batch.sourceAccount, credit: row.amount }
+      ]
+    });
+  }
+
+  // Reserve the money for a refund in the account its payment was credited to, like reserveWithdrawal
+  async function reserveRefund(transactionId, account, amount) {
+    return store.postJournalEntry({
+      reference: `${transactionId}:reserved`,
+      transactionId,
+      description: 'Refund sent to MTN',
+      lines: [
+        { account, debit: amount },
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, credit: amount }
+      ]
+    }, { requireFunds: [account] });
+  }
+
+  // Post the entries for a transaction's current status. Each transaction settles at most
+  // once (reference `<id>:settled`), so repeated or late status updates are harmless.
+  async function postTransactionEntries(transaction) {
+    const amount = Number(transaction.amount);
+    const reference = `${transaction.id}:settled`;
+    const failed = ['FAILED', 'REJECTED'].includes(transaction.status);
+    let description;
+    let lines;
+
+    if (transaction.type === 'saving' && transaction.status === 'SUCCESSFUL') {
+      description = `Saving for "${transaction.goal}" collected`;
+      lines = [
+        { account: LEDGER_ACCOUNTS.platformWallet, debit: amount },
+        { account: LEDGER_ACCOUNTS.savings(transaction.payer, transaction.goal), credit: amount }
+      ];
+    } else if (transaction.type === 'donation' && transaction.status === 'SUCCESSFUL') {
+      description = 'Donation collected';
+      lines = [
+        { account: LEDGER_ACCOUNTS.platformWallet, debit: amount },
+        { account: LEDGER_ACCOUNTS.campaign(transaction.campaignId || GENERAL_CAMPAIGN), credit: amount }
+      ];
+    } else if (transaction.type === 'withdrawal' && transaction.status === 'SUCCESSFUL') {
+      description = 'Withdrawal paid out';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.platformWallet, credit: amount }
+      ];
+    } else if (transaction.type === 'withdrawal' && failed) {
+      description = `Withdrawal failed - returned to "${transaction.goal}"`;
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.savings(transaction.recipient, transaction.goal), credit: amount }
+      ];
+    } else if (transaction.type === 'campaign_payout' && transaction.status === 'SUCCESSFUL') {
+      description = 'Campaign payout paid out';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.platformWallet, credit: amount }
+      ];
+    } else if (transaction.type === 'campaign_payout' && failed) {
+      description = 'Campaign payout failed - returned to the campaign';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.campaign(transaction.campaignId), credit: amount }
+      ];
+    } else if (transaction.type === 'gift_collection' && transaction.status === 'SUCCESSFUL') {
+      description = 'Gift collected from the sender';
+      lines = [
+        { account: LEDGER_ACCOUNTS.platformWallet, debit: amount },
+        { account: LEDGER_ACCOUNTS.gift(transaction.giftId), credit: amount }
+      ];
+    } else if (transaction.type === 'gift_disbursement' && transaction.status === 'SUCCESSFUL') {
+      // The fee is only earned once the gift is delivered
+      const fee = Number(transaction.fee || 0);
+      description = 'Gift delivered to the recipient';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.platformWallet, credit: amount },
+        ...(fee > 0 ? [
+          { account: LEDGER_ACCOUNTS.gift(transaction.giftId), debit: fee },
+          { account: LEDGER_ACCOUNTS.fees, credit: fee }
+        ] : [])
+      ];
+    } else if (transaction.type === 'gift_refund' && transaction.status === 'SUCCESSFUL') {
+      description = 'Gift refunded to the sender';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.platformWallet, credit: amount }
+      ];
+    } else if ((transaction.type === 'gift_disbursement' || transaction.type === 'gift_refund') && failed) {
+      description = transaction.type === 'gift_refund'
+        ? 'Gift refund failed - held for the sender'
+        : 'Gift delivery failed - returned to the gift';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.gift(transaction.giftId), credit: amount }
+      ];
+    } else if (transaction.type === 'bulk_disbursement' && transaction.status === 'SUCCESSFUL') {
+      description = 'Bulk disbursement paid out';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.platformWallet, credit: amount }
+      ];
+    } else if (transaction.type === 'bulk_disbursement' && failed) {
+      description = 'Bulk disbursement failed - returned to its account';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: transaction.sourceAccount, credit: amount }
+      ];
+    } else if (transaction.type === 'refund' && transaction.status === 'SUCCESSFUL') {
+      description = 'Refund paid out';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: LEDGER_ACCOUNTS.platformWallet, credit: amount }
+      ];
+    } else if (transaction.type === 'refund' && failed) {
+      description = 'Refund failed - returned to its account';
+      lines = [
+        { account: LEDGER_ACCOUNTS.pendingDisbursements, debit: amount },
+        { account: transaction.refundAccount, credit: amount }
+      ];
+    } else {
+      return null;
+    }
+
+    return store.postJournalEntry({ reference, transactionId: transaction.id, description, lines });
+  }
+
+  // ======================
+  // RECONCILIATION WORKER
+  // ======================
+
+  // Results of the most recent runs, shown at /api/admin/reconciliation
+  const reconciliation = {
+    lastPendingRun: null,
+    lastReport: null
+  };
+
+  // Wait before the next background check: initialBackoff * 2^checks, capped at maxBackoff
+  function statusCheckBackoff(checks) {
+    return Math.min(config.reconcile.initialBackoffMs * 2 ** checks, config.reconcile.maxBackoffMs);
+  }
+
+  // Re-check every unfinished transaction whose backoff has elapsed, and time out the ones past the deadline
+  async function reconcilePendingTransactions() {
+    const startedAt = new Date();
+    const run = { startedAt: startedAt.toISOString(), checked: 0, updated: 0, timedOut: 0, errors: [] };
+    const lists = await Promise.all(UNFINISHED_STATUSES.map(status => store.listTransactions({ status })));
+
+    for (const transaction of lists.flat()) {
+      const age = startedAt - new Date(transaction.createdAt);
+      if (age > config.reconcile.timeoutMs) {
+        if (await updateTransactionStatus(transaction.id, { status: 'TIMED_OUT' })) {
+          run.timedOut++;
+        }
+        continue;
+      }
+
+      if (transaction.nextStatusCheckAt && new Date(transaction.nextStatusCheckAt) > startedAt) {
+        continue;
+      }
+
+      const checks = transaction.statusChecks || 0;
+      run.checked++;
+      try {
+        const mtnStatus = await checkTransactionStatus(transaction);
+        if (mtnStatus.status !== transaction.status) run.updated++;
+      } catch (error) {
+        if (error.code === 'MTN_NOT_FOUND' && transaction.submitUnconfirmed && transaction.status === 'INITIATED') {
+          // The request we never heard back about did not reach MTN after all
+          await updateTransactionStatus(transaction.id, { status: 'FAILED', error: 'MTN never received this transaction' });
+          run.updated++;
+          continue;
+        }
+        run.errors.push({ id: transaction.id, error: error.message });
+      }
+      await store.updateTransaction(transaction.id, {
+        statusChecks: checks + 1,
+        nextStatusCheckAt: new Date(Date.now() + statusCheckBackoff(checks + 1)).toISOString()
+      });
+    }
+
+    run.finishedAt = new Date().toISOString();
+    reconciliation.lastPendingRun = run;
+    return run;
+  }
+
+  // Compare every transaction from the last 24 hours with what MTN reports.
+  // Asking MTN also applies any forward status change, so a mismatch is marked resolved when it was fixed.
+  async function runReconciliationReport() {
+    const startedAt = new Date();
+    const from = new Date(startedAt - 24 * 60 * 60 * 1000).toISOString();
+    const transactions = (await store.listTransactions({ from })).filter(wasSentToMtn);
+    const report = {
+      startedAt: startedAt.toISOString(),
+      from,
+      total: transactions.length,
+      matched: 0,
+      mismatches: [],
+      errors: []
+    };
+
+    for (const transaction of transactions) {
+      try {
+        const mtnStatus = await checkTransactionStatus(transaction);
+        if (mtnStatus.status === transaction.status) {
+          report.matched++;
+          continue;
+        }
+        const current = await store.getTransaction(transaction.id);
+        report.mismatches.push({
+          id: transaction.id,
+          type: transaction.type,
+          amount: transaction.amount,
+          localStatus: transaction.status,
+          mtnStatus: mtnStatus.status,
+          resolved: current.status === mtnStatus.status
+        });
+      } catch (error) {
+        report.errors.push({ id: transaction.id, localStatus: transaction.status, error: error.message });
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    reconciliation.lastReport = report;
+    if (report.mismatches.length > 0) {
+      logger.warn('Reconciliation found mismatches with MTN', { mismatches: report.mismatches.length });
+    }
+    return report;
+  }
+
+  // Start the background worker. Returns a function that stops it.
+  function startReconciliationWorker() {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await reconcilePendingTransactions();
+        await store.purgeIdempotencyKeys();
+
+        const now = new Date();
+        const today = now.toISOString().slice(0, 10);
+        const lastReportDay = reconciliation.lastReport?.startedAt.slice(0, 10);
+        if (now.getUTCHours() === config.reconcile.reportHourUtc && lastReportDay !== today) {
+          await runReconciliationReport();
+        }
+      } catch (error) {
+        logger.error('Reconciliation failed', { error });
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(() => runAsJob('reconciliation', tick), config.reconcile.intervalMs);
+    return () => clearInterval(timer);
+  }
+
+  // ======================
+  // DONATION CAMPAIGNS
+  // ======================
+
+  // Campaign statuses: ACTIVE (takes donations until its end date) and CLOSED.
+  // Donations are credited to the campaign's ledger account and paid out to the beneficiary by staff.
+
+  function isCampaignOpen(campaign, now = new Date()) {
+    return campaign.status === 'ACTIVE' && new Date(campaign.endDate) > now;
+  }
+
+  // Public view of a campaign with its progress and most recent donors.
+  // Donor numbers are never shown and anonymous donors are listed without a name.
+  async function describeCampaign(campaign, { recentDonors = 10 } = {}) {
+    const donations = [];
+    for (const transaction of await store.listTransactions({ campaignId: campaign.id, status: 'SUCCESSFUL' })) {
+      if (transaction.type !== 'donation') continue;
+      // A refunded donation only counts for what was kept
+      const refunded = transaction.refundIds?.length ? (await describeRefunds(transaction)).refunded : 0;
+      const amount = roundAmount(transaction.amount - refunded);
+      if (amount > 0) donations.push({ ...transaction, amount });
+    }
+    const raised = roundAmount(donations.reduce((sum, donation) => sum + Number(donation.amount), 0));
+
+    return {
+      id: campaign.id,
+      title: campaign.title,
+      description: campaign.description,
+      targetAmount: campaign.targetAmount,
+      endDate: campaign.endDate,
+      status: campaign.status,
+      open: isCampaignOpen(campaign),
+      raised,
+      percentComplete: Math.min(100, Math.round(raised / campaign.targetAmount * 1000) / 10),
+      donorCount: donations.length,
+      recentDonors: donations.slice(-recentDonors).reverse().map(donation => ({
+        name: donation.anonymous || !donation.donorName ? 'Anonymous' : donation.donorName,
+        amount: donation.amount,
+        at: donation.updatedAt
+      }))
+    };
+  }
+
+  // Staff view: the public view plus the beneficiary and what is left to pay out
+  async function describeCampaignForStaff(campaign) {
+    const account = await store.getAccount(LEDGER_ACCOUNTS.campaign(campaign.id));
+    return {
+      ...(await describeCampaign(campaign)),
+      beneficiary: campaign.beneficiary,
+      available: account ? accountBalance(account) : 0,
+      createdBy: campaign.createdBy,
+      createdAt: campaign.createdAt
+    };
+  }
+
+  // ======================
+  // GIFTS
+  // ======================
+
+  // A gift is one parent record with up to three legs, each its own MTN transaction:
+  //   collection   - RequestToPay from the sender for the amount plus the fee
+  //   disbursement - Transfer of the amount to the recipient, once the collection succeeds
+  //   refund       - Transfer of everything collected back to the sender, when the disbursement fails
+  // Gift statuses: COLLECTING -> DISBURSING -> COMPLETED, or FAILED when the sender does not pay,
+  // or REFUNDING -> REFUNDED (REFUND_FAILED needs staff to return the money by hand).
+  // A leg that times out leaves the gift where it is, so a late answer from MTN still moves it on.
+
+  function giftFee(amount) {
+    return roundAmount(amount * config.gifts.feePercent / 100 + config.gifts.feeFixed);
+  }
+
+  // Move a gift on after one of its legs changed status. Every step claims the gift with
+  // fromStatuses first, so repeated callbacks can never send the money twice.
+  async function advanceGift(transaction) {
+    const succeeded = transaction.status === 'SUCCESSFUL';
+    if (!succeeded && !['FAILED', 'REJECTED'].includes(transaction.status)) return null;
+
+    if (transaction.type === 'gift_collection') {
+      if (!succeeded) {
+        return store.updateGift(transaction.giftId, { status: 'FAILED' }, { fromStatuses: ['COLLECTING'] });
+      }
+      const gift = await store.updateGift(transaction.giftId, {
+        status: 'DISBURSING',
+        disbursementId: generateReferenceId()
+      }, { fromStatuses: ['COLLECTING'] });
+      if (gift) await sendGiftLeg(gift, 'disbursement');
+      return gift;
+    }
+
+    if (transaction.type === 'gift_disbursement') {
+      if (succeeded) {
+        return store.updateGift(transaction.giftId, { status: 'COMPLETED' }, { fromStatuses: ['DISBURSING'] });
+      }
+      const gift = await store.updateGift(transaction.giftId, {
+        status: 'REFUNDING',
+        refundId: generateReferenceId()
+      }, { fromStatuses: ['DISBURSING'] });
+      if (gift) await sendGiftLeg(gift, 'refund');
+      return gift;
+    }
+
+    if (transaction.type === 'gift_refund') {
+      if (!succeeded) {
+        logger.error('Gift refund failed - return the money by hand', {
+          giftId: transaction.giftId,
+          amount: transaction.amount,
+          currency: market.currency,
+          recipient: transaction.recipient
+        });
+      }
+      return store.updateGift(transaction.giftId, {
+        status: succeeded ? 'REFUNDED' : 'REFUND_FAILED'
+      }, { fromStatuses: ['REFUNDING'] });
+    }
+
+    return null;
+  }
+
+  // Pay out a gift's disbursement or refund leg. A failed transfer is recorded on the
+  // leg's transaction (which moves the gift on), so errors are only logged here - unless the
+  // transaction was never stored, when the money set aside goes back to the gift.
+  async function sendGiftLeg(gift, leg) {
+    const refund = leg === 'refund';
+    const referenceId = refund ? gift.refundId : gift.disbursementId;
+    const amount = refund ? gift.total : gift.amount;
+    let reserved = false;
+    try {
+      await reserveGiftLeg(referenceId, gift, amount, refund
+        ? `Refund of gift to +${gift.recipient} sent to MTN`
+        : `Gift to +${gift.recipient} sent to MTN`);
+      reserved = true;
+      await sendMoney(
+        amount,
+        refund ? gift.sender : gift.recipient,
+        refund ? `Refund: your gift to +${gift.recipient} could not be delivered` : gift.message,
+        referenceId,
+        { type: `gift_${leg}`, giftId: gift.id, ...(refund ? {} : { fee: gift.fee }) }
+      );
+    } catch (error) {
+      logger.error('Gift payment failed', { giftId: gift.id, leg, error });
+      // Without a stored transaction nothing would ever return the reservation
+      if (reserved && !(await store.getTransaction(referenceId))) {
+        await releaseGiftLeg(referenceId, gift, amount);
+      }
+    }
+  }
+
+  // A gift with the status of each of its legs
+  async function describeGift(gift) {
+    const legs = [];
+    for (const [leg, id] of [['collection', gift.collectionId], ['disbursement', gift.disbursementId], ['refund', gift.refundId]]) {
+      if (!id) continue;
+      const transaction = await store.getTransaction(id);
+      legs.push({ leg, id, amount: transaction?.amount ?? null, status: transaction?.status || 'INITIATED' });
+    }
+    return { ...gift, legs };
+  }
+
+  // ======================
+  // REFUNDS
+  // ======================
+
+  // A refund returns all or part of a successful collection to its payer, either as a
+  // disbursement transfer or through the MoMo refund endpoint. The money comes out of the
+  // account the collection was credited to (its campaign, savings goal or gift).
+  // Refunds are linked both ways: refund.refundOf names the original, original.refundIds its refunds.
+
+  const REFUNDABLE_TYPES = ['donation', 'saving', 'gift_collection'];
+  const REFUND_METHODS = ['transfer', 'momo_refund'];
+
+  // Originals with a refund being created right now - one at a time each, so two refunds
+  // can never both take what is left
+  const refundsInProgress = new Set();
+
+  // Ledger account a collection was credited to, which its refunds are paid from
+  function refundSourceAccount(original) {
+    if (original.type === 'saving') return LEDGER_ACCOUNTS.savings(original.payer, original.goal);
+    if (original.type === 'gift_collection') return LEDGER_ACCOUNTS.gift(original.giftId);
+    return LEDGER_ACCOUNTS.campaign(original.campaignId || GENERAL_CAMPAIGN);
+  }
+
+  // A payment's refunds, how much they returned and how much can still be refunded
+  // (refunds that have not failed are already taken off)
+  async function describeRefunds(original) {
+    const refunds = [];
+    for (const id of original.refundIds || []) {
+      const refund = await store.getTransaction(id);
+      if (refund) refunds.push(refund);
+    }
+    const total = list => roundAmount(list.reduce((sum, refund) => sum + Number(refund.amount), 0));
+    return {
+      refunds,
+      refunded: total(refunds.filter(refund => refund.status === 'SUCCESSFUL')),
+      refundable: roundAmount(original.amount - total(refunds.filter(refund => !['FAILED', 'REJECTED'].includes(refund.status))))
+    };
+  }
+
+  // What a transaction lookup shows about refunds: a payment's refunds, or the payment a refund returns
+  async function refundLinks(transaction) {
+    if (transaction.refundOf) {
+      return { original: customerTransaction(await store.getTransaction(transaction.refundOf)) };
+    }
+    if (!transaction.refundIds?.length) return {};
+    const { refunds, refunded, refundable } = await describeRefunds(transaction);
+    return { refunds: refunds.map(customerTransaction), refunded, refundable };
+  }
+
+  // ======================
+  // BULK DISBURSEMENTS
+  // ======================
+
+  // A batch pays many numbers from one campaign account (the general fund by default), uploaded
+  // as a CSV of msisdn, amount and note. It is checked as a whole before anything moves: every
+  // row must be valid and the account must cover the total, which is reserved up front.
+  // Rows are then sent through sendMoney config.bulk.concurrency at a time, each as its own
+  // bulk_disbursement transaction, so a row's outcome is simply its transaction's status.
+  // Batch statuses: RUNNING -> COMPLETED (every row has been handed to MTN or given up on).
+
+  const BULK_NOTE_MAX_LENGTH = 160;
+
+  // Batches being sent right now by ID, so a batch never runs twice at once
+  const batchRuns = new Map();
+
+  // Rows of an uploaded CSV as { line, fields }. A first line that does not start with a number
+  // is taken as the header.
+  function bulkCsvRows(csv) {
+    const parsed = parseCsv(csv);
+    if (parsed.length > 0 && !/\d/.test(parsed[0].fields[0]) && isNaN(Number(parsed[0].fields[1]))) {
+      parsed.shift();
+    }
+    return parsed;
+  }
+
+  // Check every row from bulkCsvRows(). Returns { rows, errors } with one error per bad row
+  // ({ line, error }). Only rows that are otherwise valid have their payee looked up with MTN,
+  // config.bulk.concurrency at a time.
+  async function validateBulkRows(parsed) {
+    const checked = parsed.map(({ line, fields }) => {
+      const [msisdn = '', amount = '', note = ''] = fields.map(field => field.trim());
+      const phone = normalizePhone(msisdn);
+      const value = Number(amount);
+      let error = null;
+
+      if (fields.length > 3) {
+        error = 'Expected 3 columns: msisdn, amount and note';
+      } else if (!phone) {
+        error = `"${msisdn}" is not a valid phone number`;
+      } else if (!amount || !isValidAmount(value)) {
+        error = `Amount must be ${amountLimits}`;
+      } else if (note.length > BULK_NOTE_MAX_LENGTH) {
+        error = `Note must be at most ${BULK_NOTE_MAX_LENGTH} characters`;
+      }
+      return { line, phone, amount: value, note, error };
+    });
+
+    if (config.payees.validationEnabled) {
+      await runConcurrently(checked.filter(row => !row.error), config.bulk.concurrency, async row => {
+        try {
+          if (!(await lookupPayee(row.phone)).active) {
+            row.error = `+${row.phone} is not an active MTN Mobile Money account`;
+          }
+        } catch (lookupError) {
+          logger.error('Payee lookup failed', { phone: row.phone, error: lookupError });
+          row.error = `Could not check +${row.phone} with MTN`;
+        }
+      });
+    }
+
+    const rows = [];
+    const errors = [];
+    for (const { error, ...row } of checked) {
+      if (error) {
+        errors.push({ line: row.line, error });
+      } else {
+        rows.push({ ...row, transactionId: generateReferenceId() });
+      }
+    }
+    return { rows, errors };
+  }
+
+  // Send a batch's rows (the ones not sent yet), or join the run already sending them
+  function runDisbursementBatch(batchId) {
+    if (!batchRuns.has(batchId)) {
+      const run = sendBatchRows(batchId)
+        .catch(error => logger.error('Bulk disbursement failed', { batchId, error }))
+        .finally(() => batchRuns.delete(batchId));
+      batchRuns.set(batchId, run);
+    }
+    return batchRuns.get(batchId);
+  }
+
+  async function sendBatchRows(batchId) {
+    const batch = await store.getDisbursementBatch(batchId);
+    if (!batch || batch.status !== 'RUNNING') return batch;
+
+    const queue = [];
+    for (const row of batch.rows) {
+      if (!(await store.getTransaction(row.transactionId))) queue.push(row);
+    }
+
+    // A failed row is recorded on its transaction, so errors are only logged here
+    await runConcurrently(queue, config.bulk.concurrency, async row => {
+      try {
+        await sendMoney(row.amount, row.phone, row.note || 'Payment from Akin NevMo', row.transactionId, {
+          type: 'bulk_disbursement',
+          batchId: batch.id,
+          sourceAccount: batch.sourceAccount,
+          requestedBy: batch.createdBy,
+          ...(row.amount > config.approvals.withdrawalThreshold ? { approval: { requestedBy: batch.createdBy } } : {})
+        });
+      } catch (error) {
+        logger.error('Bulk disbursement row failed', { batchId: batch.id, line: row.line, error });
+      }
+    });
+
+    // A row that never became a transaction gives its money back
+    for (const row of batch.rows) {
+      if (!(await store.getTransaction(row.transactionId))) await releaseBatchRow(batch, row);
+    }
+
+    logger.info('Bulk disbursement sent', { batchId: batch.id, rows: batch.rows.length });
+    return store.updateDisbursementBatch(batch.id, {
+      status: 'COMPLETED',
+      completedAt: new Date().toISOString()
+    }, { fromStatuses: ['RUNNING'] });
+  }
+
+  // Send every batch a restart interrupted
+  function resumeDisbursementBatches() {
+    return runAsJob('bulk-disbursements', async () => {
+      for (const batch of await store.listDisbursementBatches({ status: 'RUNNING' })) {
+        await runDisbursementBatch(batch.id);
+      }
+    });
+  }
+
+  // Readable reason a row's payment failed
+  function rowError(transaction) {
+    const error = transaction?.error;
+    if (!error) return null;
+    return typeof error === 'string' ? error : error.message || error.code || JSON.stringify(error);
+  }
+
+  // A batch with the outcome of each row (its transaction's status) and a count per outcome.
+  // Rows not sent yet are QUEUED while the batch runs and NOT_SENT once it has finished.
+  async function describeDisbursementBatch(batch, { includeRows = true } = {}) {
+    const rows = [];
+    for (const row of batch.rows) {
+      const transaction = await store.getTransaction(row.transactionId);
+      const status = transaction?.status || (batch.status === 'RUNNING' ? 'QUEUED' : 'NOT_SENT');
+      rows.push({ ...row, status, error: rowError(transaction) });
+    }
+
+    const outcomes = {};
+    rows.forEach(row => {
+      outcomes[row.status] = (outcomes[row.status] || 0) + 1;
+    });
+    const paid = roundAmount(rows
+      .filter(row => row.status === 'SUCCESSFUL')
+      .reduce((sum, row) => sum + row.amount, 0));
+
+    return {
+      ...batch,
+      rows: undefined,
+      rowCount: rows.length,
+      outcomes,
+      paid,
+      ...(includeRows ? { rows } : {})
+    };
+  }
+
+  // ======================
+  // SAVINGS GOALS
+  // ======================
+
+  // Find one of the user's goals by ID or by name. Unless `create` is false, a new name
+  // creates a goal without a target, so savings sent with just a goal name are still linked to a goal.
+  async function resolveGoal(phone, { goalId, goal }, { create = true } = {}) {
+    if (goalId) {
+      const record = await store.getGoal(goalId);
+      return record && record.phone === phone ? record : null;
+    }
+    const name = typeof goal === 'string' ? goal.trim() : '';
+    if (!name) return null;
+
+    const existing = await store.findGoal(phone, name);
+    if (existing || !create) return existing;
+    return store.createGoal({
+      id: generateReferenceId(),
+      phone,
+      name,
+      targetAmount: null,
+      deadline: null,
+      lockUntil: null
+    });
+  }
+
+  function isGoalLocked(goal, now = new Date()) {
+    return Boolean(goal.lockUntil) && new Date(goal.lockUntil) > now;
+  }
+
+  // A user's goals with their saved totals and progress
+  async function describeGoals(phone, goals, now = new Date()) {
+    const accounts = await store.listAccounts(LEDGER_ACCOUNTS.savings(phone, ''));
+    const deposits = (await store.listTransactions({ phone, status: 'SUCCESSFUL' }))
+      .filter(transaction => transaction.type === 'saving');
+
+    return goals.map(goal => {
+      const account = accounts.find(entry => entry.account === LEDGER_ACCOUNTS.savings(phone, goal.name));
+      const goalDeposits = deposits
+        .filter(transaction => transaction.goalId === goal.id)
+        .map(transaction => ({ amount: transaction.amount, at: transaction.updatedAt }));
+      return {
+        ...goal,
+        locked: isGoalLocked(goal, now),
+        ...goalProgress(goal, account ? accountBalance(account) : 0, goalDeposits, now)
+      };
+    });
+  }
+
+  // ======================
+  // SAVINGS PLANS
+  // ======================
+
+  // Plan statuses: ACTIVE (collecting), PAUSED, CANCELLED, COMPLETED (end date or target reached)
+  // A plan collects once per cycle. `attempts` counts tries for the current cycle and
+  // `activeTransactionId` is the collection still waiting for MTN. Every try is kept in `runs`.
+
+  // Results of the most recent scheduler run
+  const savingsScheduler = {
+    lastRun: null
+  };
+
+  // Amount to collect this cycle - the last collection stops exactly at the target
+  function planCycleAmount(plan) {
+    if (!plan.targetAmount) return plan.amount;
+    return roundAmount(Math.min(plan.amount, plan.targetAmount - plan.totalSaved));
+  }
+
+  // True once a plan has reached its target or has no due dates left before its end date
+  function isPlanFinished(plan) {
+    if (plan.targetAmount && plan.totalSaved >= plan.targetAmount) return true;
+    return Boolean(plan.endDate) && new Date(plan.nextRunAt) > new Date(plan.endDate);
+  }
+
+  // Changes that move a plan on to its next cycle
+  function nextPlanCycle(plan) {
+    return {
+      cycle: plan.cycle + 1,
+      attempts: 0,
+      nextRunAt: planDueDate(plan.startDate, plan.frequency, plan.cycle + 1).toISOString()
+    };
+  }
+
+  // Request this cycle's collection from the plan owner
+  async function startSavingsPlanRun(plan, now) {
+    const referenceId = generateReferenceId();
+    const amount = planCycleAmount(plan);
+    const run = {
+      cycle: plan.cycle,
+      dueAt: plan.nextRunAt,
+      attempt: plan.attempts + 1,
+      transactionId: referenceId,
+      amount,
+      status: 'PENDING',
+      startedAt: now.toISOString()
+    };
+
+    // Claim the cycle first - a plan paused or cancelled since it was listed is left alone
+    const claimed = await store.updateSavingsPlan(plan.id, {
+      attempts: plan.attempts + 1,
+      activeTransactionId: referenceId,
+      runs: [...plan.runs, run]
+    }, { fromStatuses: ['ACTIVE'] });
+    if (!claimed) return null;
+
+    const message = `Savings plan for "${plan.goal}" (${plan.frequency})`;
+    try {
+      await requestToPay(amount, plan.phone, message, referenceId, {
+        type: 'saving',
+        goal: plan.goal,
+        goalId: plan.goalId,
+        planId: plan.id,
+        planCycle: plan.cycle
+      });
+    } catch (error) {
+      // The transaction is already FAILED - settle now so the retry is scheduled
+      return settleSavingsPlanRun(claimed, now);
+    }
+    return claimed;
+  }
+
+  // Record the outcome of a plan's collection once MTN has finished with it.
+  // Returns null while the collection is still unfinished.
+  async function settleSavingsPlanRun(plan, now) {
+    const transaction = await store.getTransaction(plan.activeTransactionId);
+    if (transaction && !isFinalStatus(transaction.status)) return null;
+
+    const status = transaction ? transaction.status : 'FAILED';
+    const changes = {
+      activeTransactionId: null,
+      runs: plan.runs.map(run => (run.transactionId === plan.activeTransactionId
+        ? { ...run, status, finishedAt: now.toISOString(), ...(transaction?.error ? { error: transaction.error } : {}) }
+        : run))
+    };
+
+    if (status === 'SUCCESSFUL') {
+      changes.totalSaved = roundAmount(plan.totalSaved + transaction.amount);
+      Object.assign(changes, nextPlanCycle(plan));
+    } else if (plan.attempts <= config.savings.maxRetries) {
+      changes.nextRunAt = new Date(now.getTime() + config.savings.retryDelayMs).toISOString();
+    } else {
+      logger.warn('Savings plan cycle skipped', { planId: plan.id, cycle: plan.cycle, attempts: plan.attempts });
+      Object.assign(changes, nextPlanCycle(plan));
+    }
+
+    if (plan.status !== 'CANCELLED' && isPlanFinished({ ...plan, ...changes })) {
+      changes.status = 'COMPLETED';
+    }
+    return store.updateSavingsPlan(plan.id, changes);
+  }
+
+  // Settle finished collections and start every collection that is due
+  async function runSavingsPlans(now = new Date()) {
+    const run = { startedAt: now.toISOString(), started: 0, settled: 0, completed: 0, errors: [] };
+
+    for (let plan of await store.listSavingsPlans()) {
+      try {
+        if (plan.activeTransactionId) {
+          plan = await settleSavingsPlanRun(plan, now);
+          if (!plan) continue;
+          run.settled++;
+        }
+        if (plan.status !== 'ACTIVE') continue;
+
+        if (isPlanFinished(plan)) {
+          if (await store.updateSavingsPlan(plan.id, { status: 'COMPLETED' }, { fromStatuses: ['ACTIVE'] })) {
+            run.completed++;
+          }
+          continue;
+        }
+        if (new Date(plan.nextRunAt) <= now && await startSavingsPlanRun(plan, now)) {
+          run.started++;
+        }
+      } catch (error) {
+        run.errors.push({ id: plan.id, error: error.message });
+      }
+    }
+
+    run.finishedAt = new Date().toISOString();
+    savingsScheduler.lastRun = run;
+    return run;
+  }
+
+  // Start the savings plan scheduler. Returns a function that stops it.
+  function startSavingsScheduler() {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await runSavingsPlans();
+      } catch (error) {
+        logger.error('Savings scheduler failed', { error });
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(() => runAsJob('savings-scheduler', tick), config.savings.intervalMs);
+    return () => clearInterval(timer);
+  }
+
+  // ======================
+  // API ROUTES
+  // ======================
+
+  // Health check (details only for staff)
+  app.get('/health', async (req, res) => {
+    // The app still answers while MTN's circuit is open, so it reports DEGRADED rather than
+    // failing the check - restarting it would not bring MTN back
+    const mtn = mtnClient.health?.();
+    const status = mtn && mtn.state !== 'CLOSED' ? 'DEGRADED' : 'OK';
+
+    if (!authenticateStaff(req)) {
+      return res.json({
+        status,
+        mtn: mtn?.state,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({ 
+      status, 
+      mtn,
+      platformPhone: config.platformPhone,
+      targetEnvironment: config.mtn.targetEnvironment,
+      storage: config.storage.type,
+      transactionCount: await store.countTransactions(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Currency, amount limits and phone number rules, so the pages check input exactly like the server
+  app.get('/api/market', (req, res) => {
+    res.json({
+      success: true,
+      market
+    });
+  });
+
+  // Register a new user
+  app.post('/api/auth/register', async (req, res) => {
+    try {
+      const { phone, name } = req.body;
+      const cleanPhone = normalizePhone(phone);
+
+      if (!cleanPhone || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Valid phone number and name required'
+        });
+      }
+
+      if (await store.getUser(cleanPhone)) {
+        return res.status(409).json({
+          success: false,
+          error: 'This phone number is already registered'
+        });
+      }
+
+      await store.createUser({ phone: cleanPhone, name: name.trim() });
+      await sendOtp(cleanPhone);
+
+      res.json({
+        success: true,
+        message: 'Account created! We sent a sign-in code to your phone.'
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Send a sign-in code to a registered user
+  app.post('/api/auth/otp', async (req, res) => {
+    try {
+      const cleanPhone = normalizePhone(req.body.phone);
+
+      if (!cleanPhone || !(await store.getUser(cleanPhone))) {
+        return res.status(404).json({
+          success: false,
+          error: 'No account found for this phone number'
+        });
+      }
+
+      const retryAfter = otpRetryAfter(cleanPhone);
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many sign-in codes requested. Please try again later.'
+        });
+      }
+
+      await sendOtp(cleanPhone);
+
+      res.json({
+        success: true,
+        message: 'We sent a sign-in code to your phone.'
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Exchange a sign-in code for a session token
+  app.post('/api/auth/verify', async (req, res) => {
+    try {
+      const { phone, code } = req.body;
+      const cleanPhone = normalizePhone(phone);
+      const user = cleanPhone && await store.getUser(cleanPhone);
+
+      if (!user || !code || !verifyOtp(cleanPhone, code)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired code'
+        });
+      }
+
+      res.json({
+        success: true,
+        token: signSession(cleanPhone),
+        user: user
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Signed-in user's profile and savings balances
+  app.get('/api/account', requireUser, async (req, res) => {
+    try {
+      const prefix = LEDGER_ACCOUNTS.savings(req.user.phone, '');
+      const accounts = await store.listAccounts(prefix);
+
+      res.json({
+        success: true,
+        user: req.user,
+        balances: accounts.map(account => ({
+          goal: account.account.slice(prefix.length),
+          balance: accountBalance(account)
+        }))
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Donate endpoint
+  // Optional: campaignId to give to a campaign, donorName and anonymous (hide the name on the campaign page)
+  app.post('/api/donate', idempotent, async (req, res) => {
+    try {
+      const { phone, amount, campaignId, donorName, anonymous = false } = req.body;
+
+      if (!phone || !isValidAmount(amount)) {
+        return res.status(400).json({
+          success: false,
+          error: `Valid phone number and amount (${amountLimits}) required`
+        });
+      }
+
+      const cleanPhone = normalizePhone(phone);
+      if (!cleanPhone) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid phone number'
+        });
+      }
+
+      let campaign = null;
+      if (campaignId) {
+        campaign = await store.getCampaign(campaignId);
+        if (!campaign) {
+          return res.status(404).json({
+            success: false,
+            error: 'Campaign not found'
+          });
+        }
+        if (!isCampaignOpen(campaign)) {
+          return res.status(400).json({
+            success: false,
+            error: 'This campaign is no longer accepting donations'
+          });
+        }
+      }
+
+      const message = req.body.message || (campaign ? `Donation to "${campaign.title}"` : 'Donation from Akin NevMo');
+      const result = await requestToPay(Number(amount), cleanPhone, message, null, {
+        type: 'donation',
+        ...(campaign ? { campaignId: campaign.id } : {}),
+        ...(typeof donorName === 'string' && donorName.trim() ? { donorName: donorName.trim().slice(0, 50) } : {}),
+        anonymous: Boolean(anonymous),
+        ip: req.ip
+      });
+
+      const donation = campaign ? `Donation of ${amount} ${market.currency} to "${campaign.title}"` : `Donation of ${amount} ${market.currency}`;
+      res.json({
+        success: true,
+        message: result.held
+          ? `${donation} is waiting for a security review. You will be asked to approve the payment once it is cleared.`
+          : `${donation} requested! Approve the payment on your phone.`,
+        transactionId: result.transactionId,
+        held: result.held,
+        status: `Check status using /api/transaction/${result.transactionId}`
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Name lookups are limited per caller and per client IP: each one can cost an MTN call and
+  // tells the caller who a number belongs to
+  const payeeLookupsByCaller = createRateLimiter({ limit: config.payees.lookupsPerUser, windowMs: config.payees.lookupWindowMs });
+  const payeeLookupsByIp = createRateLimiter({ limit: config.payees.lookupsPerIp, windowMs: config.payees.lookupWindowMs });
+
+  // Look up the name registered to an MTN number, so the sender can check it before paying
+  app.get('/api/payees/:phone', requireUserOrStaff, async (req, res) => {
+    try {
+      const caller = req.staff ? `staff:${req.staff.name}` : req.user.phone;
+      const retryAfter = Math.max(payeeLookupsByCaller.hit(caller), payeeLookupsByIp.hit(req.ip));
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many number lookups. Please try again later.'
+        });
+      }
+
+      const phone = normalizePhone(req.params.phone);
+      if (!phone) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid phone number'
+        });
+      }
+
+      let payee;
+      try {
+        payee = await lookupPayee(phone);
+      } catch (error) {
+        logger.error('Payee lookup failed', { phone, error });
+        return res.status(503).json({
+          success: false,
+          error: 'Could not check the number with MTN. Please try again.'
+        });
+      }
+
+      res.json({
+        success: true,
+        payee
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Send a gift to another MTN number: collected from the sender, then paid to the recipient.
+  // The sender approves amount + fee on their phone; the recipient gets the amount.
+  app.post('/api/gifts', idempotent, requirePayee(req => req.body.recipient), async (req, res) => {
+    try {
+      const { sender, recipient, amount } = req.body;
+
+      if (!sender || !recipient || !isValidAmount(amount)) {
+        return res.status(400).json({
+          success: false,
+          error: `Sender, recipient and amount (${amountLimits}) required`
+        });
+      }
+
+      const cleanSender = normalizePhone(sender);
+      const cleanRecipient = normalizePhone(recipient);
+      if (!cleanSender || !cleanRecipient) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid phone number'
+        });
+      }
+      if (cleanSender === cleanRecipient) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot send a gift to yourself'
+        });
+      }
+
+      const value = Number(amount);
+      const fee = giftFee(value);
+      const total = roundAmount(value + fee);
+      if (total > market.maxAmount) {
+        return res.status(400).json({
+          success: false,
+          error: `Amount plus the ${fee} ${market.currency} fee cannot be more than ${market.maxAmount} ${market.currency}`
+        });
+      }
+      const message = req.body.message || 'A gift for you via Akin NevMo';
+      const gift = await store.createGift({
+        id: generateReferenceId(),
+        sender: cleanSender,
+        recipient: cleanRecipient,
+        recipientName: req.payee?.name || null,
+        amount: value,
+        fee,
+        total,
+        message,
+        status: 'COLLECTING',
+        collectionId: generateReferenceId(),
+        disbursementId: null,
+        refundId: null,
+        createdAt: new Date().toISOString()
+      });
+      await audit('gift.created', { target: { type: 'gift', id: gift.id }, after: gift });
+
+      const collection = await requestToPay(total, cleanSender, `Gift to +${cleanRecipient}`, gift.collectionId, {
+        type: 'gift_collection',
+        giftId: gift.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: collection.held
+          ? `Gift of ${value} ${market.currency} to +${cleanRecipient} is waiting for a security review. You will be asked to approve the payment of ${total} ${market.currency} once it is cleared.`
+          : `Gift of ${value} ${market.currency} to +${cleanRecipient} requested! Approve the payment of ${total} ${market.currency} on your phone.`,
+        giftId: gift.id,
+        transactionId: gift.collectionId,
+        held: collection.held,
+        amount: value,
+        fee,
+        total,
+        status: `Check status using /api/gifts/${gift.id}`
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Gift status with its legs. An unfinished leg is checked with MTN first, which also moves the gift on.
+  app.get('/api/gifts/:giftId', async (req, res) => {
+    try {
+      let gift = await store.getGift(req.params.giftId);
+      if (!gift) {
+        return res.status(404).json({
+          success: false,
+          error: 'Gift not found'
+        });
+      }
+
+      const currentLeg = gift.refundId || gift.disbursementId || gift.collectionId;
+      const transaction = await store.getTransaction(currentLeg);
+      if (transaction && !isFinalStatus(transaction.status) && wasSentToMtn(transaction)) {
+        try {
+          await checkTransactionStatus(transaction);
+        } catch (error) {
+          // Show the stored status when MTN cannot be reached
+        }
+        gift = await store.getGift(gift.id);
+      }
+
+      res.json({
+        success: true,
+        gift: await describeGift(gift)
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Campaigns currently taking donations
+  app.get('/api/campaigns', async (req, res) => {
+    try {
+      const campaigns = (await store.listCampaigns({ status: 'ACTIVE' })).filter(campaign => isCampaignOpen(campaign));
+
+      res.json({
+        success: true,
+        count: campaigns.length,
+        campaigns: await Promise.all(campaigns.map(campaign => describeCampaign(campaign, { recentDonors: 0 })))
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // One campaign with its progress and recent donors (public - shown on /campaigns/:campaignId)
+  app.get('/api/campaigns/:campaignId', async (req, res) => {
+    try {
+      const campaign = await store.getCampaign(req.params.campaignId);
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        campaign: await describeCampaign(campaign)
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Create a savings goal (signed-in users only)
+  // Body: name, targetAmount, optional deadline and lockUntil (no withdrawals before this date)
+  app.post('/api/goals', requireUser, async (req, res) => {
+    try {
+      const { name, targetAmount, deadline, lockUntil } = req.body;
+      const goalName = typeof name === 'string' ? name.trim() : '';
+      const due = deadline ? new Date(deadline) : null;
+      const locked = lockUntil ? new Date(lockUntil) : null;
+
+      if (!goalName || !targetAmount || Number(targetAmount) < market.minAmount) {
+        return res.status(400).json({
+          success: false,
+          error: `Goal name and target amount (min ${market.minAmount} ${market.currency}) required`
+        });
+      }
+
+      const now = new Date();
+      if ((due && (isNaN(due) || due < now)) || (locked && (isNaN(locked) || locked < now))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Deadline and lock date must be valid dates in the future'
+        });
+      }
+
+      if (await store.findGoal(req.user.phone, goalName)) {
+        return res.status(409).json({
+          success: false,
+          error: `You already have a goal called "${goalName}"`
+        });
+      }
+
+      const goal = await store.createGoal({
+        id: generateReferenceId(),
+        phone: req.user.phone,
+        name: goalName,
+        targetAmount: Number(targetAmount),
+        deadline: due ? due.toISOString() : null,
+        lockUntil: locked ? locked.toISOString() : null
+      });
+      const [described] = await describeGoals(req.user.phone, [goal]);
+
+      res.status(201).json({
+        success: true,
+        message: `Goal "${goal.name}" created!`,
+        goal: described
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Signed-in user's goals with saved totals, percent complete and projected completion dates
+  app.get('/api/goals', requireUser, async (req, res) => {
+    try {
+      const goals = await describeGoals(req.user.phone, await store.listGoals({ phone: req.user.phone }));
+
+      res.json({
+        success: true,
+        count: goals.length,
+        goals: goals
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // One goal with its progress and every deposit made towards it
+  app.get('/api/goals/:goalId', requireUser, async (req, res) => {
+    try {
+      const goal = await resolveGoal(req.user.phone, { goalId: req.params.goalId });
+      if (!goal) {
+        return res.status(404).json({
+          success: false,
+          error: 'Savings goal not found'
+        });
+      }
+
+      const [described] = await describeGoals(req.user.phone, [goal]);
+      const deposits = (await store.listTransactions({ phone: req.user.phone }))
+        .filter(transaction => transaction.type === 'saving' && transaction.goalId === goal.id)
+        .map(({ id, amount, status, planId, createdAt, updatedAt }) => ({ id, amount, status, planId, createdAt, updatedAt }));
+
+      res.json({
+        success: true,
+        goal: described,
+        deposits: deposits
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Save endpoint - a one-off saving (signed-in users only - the user's own number is charged).
+  // Recurring savings are created at /api/savings-plans.
+  // Body: goal (name - a new name creates the goal) or goalId, amount
+  app.post('/api/save', requireUser, idempotent, async (req, res) => {
+    try {
+      const { goal, goalId, amount } = req.body;
+
+      if (!(goal || goalId) || !isValidAmount(amount)) {
+        return res.status(400).json({
+          success: false,
+          error: `Goal and amount (${amountLimits}) required`
+        });
+      }
+
+      const savingsGoal = await resolveGoal(req.user.phone, { goal, goalId });
+      if (!savingsGoal) {
+        return res.status(404).json({
+          success: false,
+          error: 'Savings goal not found'
+        });
+      }
+
+      const message = `Savings for "${savingsGoal.name}"`;
+      const result = await requestToPay(Number(amount), req.user.phone, message, null, {
+        type: 'saving',
+        goal: savingsGoal.name,
+        goalId: savingsGoal.id,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: result.held
+          ? `Savings of ${amount} ${market.currency} for "${savingsGoal.name}" are waiting for a security review. You will be asked to approve the payment once they are cleared.`
+          : `Savings of ${amount} ${market.currency} requested for "${savingsGoal.name}"! Approve the payment on your phone.`,
+        transactionId: result.transactionId,
+        goalId: savingsGoal.id,
+        held: result.held
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Withdraw endpoint (signed-in users only - pays out of a savings goal to the user's own number)
+  app.post('/api/withdraw', requireUser, idempotent, requirePayee(req => req.user.phone), async (req, res) => {
+    try {
+      const { goal, goalId, amount } = req.body;
+
+      if (!(goal || goalId) || !isValidAmount(amount)) {
+        return res.status(400).json({
+          success: false,
+          error: `Savings goal and amount (${amountLimits}) required`
+        });
+      }
+
+      const savingsGoal = await resolveGoal(req.user.phone, { goal, goalId }, { create: false });
+      if (!savingsGoal) {
+        return res.status(404).json({
+          success: false,
+          error: 'Savings goal not found'
+        });
+      }
+
+      if (isGoalLocked(savingsGoal)) {
+        return res.status(403).json({
+          success: false,
+          error: `"${savingsGoal.name}" is locked until ${savingsGoal.lockUntil.slice(0, 10)}`
+        });
+      }
+
+      const value = Number(amount);
+      const referenceId = generateReferenceId();
+
+      try {
+        await reserveWithdrawal(referenceId, req.user.phone, savingsGoal.name, value);
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+          return res.status(400).json({
+            success: false,
+            error: `Insufficient balance. Available: ${error.available} ${market.currency}`
+          });
+        }
+        throw error;
+      }
+
+      const message = 'Withdrawal from Akin NevMo savings';
+      const result = await sendMoney(value, req.user.phone, message, referenceId, {
+        type: 'withdrawal',
+        goal: savingsGoal.name,
+        goalId: savingsGoal.id,
+        ip: req.ip,
+        ...(value > config.approvals.withdrawalThreshold ? { approval: { requestedBy: req.user.phone } } : {})
+      });
+
+      let reply = `Withdrawal of ${amount} ${market.currency} initiated!`;
+      if (result.held) {
+        reply = `Withdrawal of ${amount} ${market.currency} is waiting for a security review.`;
+      } else if (result.pendingApproval) {
+        reply = `Withdrawal of ${amount} ${market.currency} needs to be approved before it is sent. Your savings are set aside until then.`;
+      }
+      res.json({
+        success: true,
+        message: reply,
+        transactionId: result.transactionId,
+        held: result.held,
+        pendingApproval: Boolean(result.pendingApproval)
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Create a recurring savings plan (signed-in users only - the user's own number is charged)
+  // Body: goal (name) or goalId, amount, frequency (daily|weekly|monthly), optional startDate, endDate and targetAmount
+  app.post('/api/savings-plans', requireUser, idempotent, async (req, res) => {
+    try {
+      const { goal, goalId, amount, frequency, startDate, endDate, targetAmount } = req.body;
+      const now = new Date();
+      const start = startDate ? new Date(startDate) : now;
+      const end = endDate ? new Date(endDate) : null;
+      const target = targetAmount ? Number(targetAmount) : null;
+
+      if (!(goal || goalId) || !isValidAmount(amount) || !SAVINGS_FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({
+          success: false,
+          error: `Goal, amount (${amountLimits}) and frequency (daily, weekly or monthly) required`
+        });
+      }
+
+      const today = now.toISOString().slice(0, 10);
+      if (isNaN(start) || start.toISOString().slice(0, 10) < today || (end && (isNaN(end) || end < start))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Start date cannot be in the past and end date must come after it'
+        });
+      }
+
+      if (targetAmount && !(target >= Number(amount))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Target amount must be at least the amount saved each time'
+        });
+      }
+
+      const savingsGoal = await resolveGoal(req.user.phone, { goal, goalId });
+      if (!savingsGoal) {
+        return res.status(404).json({
+          success: false,
+          error: 'Savings goal not found'
+        });
+      }
+
+      const plan = await store.createSavingsPlan({
+        id: generateReferenceId(),
+        phone: req.user.phone,
+        goal: savingsGoal.name,
+        goalId: savingsGoal.id,
+        amount: Number(amount),
+        frequency,
+        startDate: start.toISOString(),
+        endDate: end ? end.toISOString() : null,
+        targetAmount: target,
+        status: 'ACTIVE',
+        cycle: 0,
+        attempts: 0,
+        nextRunAt: start.toISOString(),
+        activeTransactionId: null,
+        totalSaved: 0,
+        runs: [],
+        createdAt: now.toISOString()
+      });
+      await audit('savings_plan.created', { target: { type: 'savings_plan', id: plan.id }, after: plan });
+
+      res.status(201).json({
+        success: true,
+        message: `Savings plan created! We will request ${plan.amount} ${market.currency} ${frequency} for "${plan.goal}".`,
+        plan: plan
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Signed-in user's savings plans
+  app.get('/api/savings-plans', requireUser, async (req, res) => {
+    try {
+      const plans = await store.listSavingsPlans({ phone: req.user.phone });
+
+      res.json({
+        success: true,
+        count: plans.length,
+        plans: plans
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Route middleware: loads one of the signed-in user's savings plans into req.plan
+  async function loadSavingsPlan(req, res, next) {
+    try {
+      const plan = await store.getSavingsPlan(req.params.planId);
+      if (!plan || plan.phone !== req.user.phone) {
+        return res.status(404).json({
+          success: false,
+          error: 'Savings plan not found'
+        });
+      }
+      req.plan = plan;
+      next();
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // One savings plan with its history of runs
+  app.get('/api/savings-plans/:planId', requireUser, loadSavingsPlan, (req, res) => {
+    res.json({
+      success: true,
+      plan: req.plan
+    });
+  });
+
+  // Pause, resume or cancel a savings plan.
+  // A collection already sent to MTN still completes and is credited to the goal.
+  const PLAN_ACTIONS = {
+    pause: {
+      fromStatuses: ['ACTIVE'],
+      error: 'Only active plans can be paused',
+      changes: () => ({ status: 'PAUSED' })
+    },
+    resume: {
+      fromStatuses: ['PAUSED'],
+      error: 'Only paused plans can be resumed',
+      // Cycles missed while paused are skipped rather than collected all at once
+      changes: plan => {
+        const now = new Date();
+        if (plan.activeTransactionId || new Date(plan.nextRunAt) >= now) return { status: 'ACTIVE' };
+        let cycle = plan.cycle;
+        while (planDueDate(plan.startDate, plan.frequency, cycle) < now) cycle++;
+        return {
+          status: 'ACTIVE',
+          cycle,
+          attempts: 0,
+          nextRunAt: planDueDate(plan.startDate, plan.frequency, cycle).toISOString()
+        };
+      }
+    },
+    cancel: {
+      fromStatuses: ['ACTIVE', 'PAUSED'],
+      error: 'This plan has already ended',
+      changes: () => ({ status: 'CANCELLED', cancelledAt: new Date().toISOString() })
+    }
+  };
+
+  app.post('/api/savings-plans/:planId/:action(pause|resume|cancel)', requireUser, loadSavingsPlan, async (req, res) => {
+    try {
+      const action = PLAN_ACTIONS[req.params.action];
+      const changes = action.changes(req.plan);
+      const plan = await store.updateSavingsPlan(req.plan.id, changes, {
+        fromStatuses: action.fromStatuses
+      });
+
+      if (!plan) {
+        return res.status(409).json({
+          success: false,
+          error: action.error
+        });
+      }
+      await audit(`savings_plan.${req.params.action}`, {
+        target: { type: 'savings_plan', id: plan.id },
+        before: pickFields(req.plan, Object.keys(changes)),
+        after: pickFields(plan, Object.keys(changes))
+      });
+
+      res.json({
+        success: true,
+        plan: plan
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get Transaction Status (public, so only customer-safe fields are shown)
+  app.get('/api/transaction/:referenceId', async (req, res) => {
+    try {
+      const { referenceId } = req.params;
+    
+      // First check our local storage
+      const transaction = await store.getTransaction(referenceId);
+      if (transaction) {
+        // If status is not final, check with MTN
+        if (!isFinalStatus(transaction.status) && wasSentToMtn(transaction)) {
+          const mtmStatus = await checkTransactionStatus(transaction);
+          const current = await store.getTransaction(referenceId);
+          return res.json({
+            success: true,
+            transaction: customerTransaction(current),
+            mtmStatus: customerMtnStatus(mtmStatus),
+            ...(await refundLinks(current))
+          });
+        }
+      
+        // Return cached status
+        return res.json({
+          success: true,
+          transaction: customerTransaction(transaction),
+          ...(await refundLinks(transaction))
+        });
+      }
+    
+      // If not in local storage, check with MTN directly
+      const mtmStatus = await getTransferStatus(referenceId);
+      return res.json({
+        success: true,
+        message: 'Transaction found in MTN system',
+        mtmStatus: customerMtnStatus(mtmStatus)
+      });
+    
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // MTN Callback - MTN calls this when a transfer or payment request changes status
+  async function handleMtnCallback(req, res) {
+    req.actor = { type: 'mtn' };
+    try {
+      const { referenceId } = req.params;
+      const payload = req.body || {};
+
+      if (config.mtn.callbackSecret) {
+        const expected = Buffer.from(callbackSignature(referenceId));
+        const actual = Buffer.from(String(req.query.signature || ''));
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(expected, actual)) {
+          logger.warn('MTN callback with a bad signature', { transactionId: referenceId });
+          return res.status(403).json({
+            success: false,
+            error: 'Invalid callback signature'
+          });
+        }
+      }
+
+      const transaction = await store.getTransaction(referenceId);
+      if (!transaction) {
+        logger.warn('MTN callback for an unknown transaction', { transactionId: referenceId, payload });
+        return res.status(404).json({
+          success: false,
+          error: 'Unknown reference ID'
+        });
+      }
+
+      // The payload must describe the transaction we sent
+      const mismatch = (payload.externalId && payload.externalId !== transaction.id) ||
+        (payload.amount && Number(payload.amount) !== Number(transaction.amount));
+      if (mismatch || !payload.status) {
+        logger.warn('MTN callback does not match its transaction', { transactionId: referenceId, payload });
+        return res.status(400).json({
+          success: false,
+          error: 'Callback does not match the transaction'
+        });
+      }
+
+      // The callback is only a hint that something changed: the status applied is the one MTN
+      // reports when asked, so knowing a reference ID is not enough to settle a payment.
+      // A late callback can still settle a TIMED_OUT transaction.
+      if (!isSettledStatus(transaction.status) && wasSentToMtn(transaction)) {
+        const mtnStatus = await checkTransactionStatus(transaction, { callbackReceivedAt: new Date().toISOString() });
+        if (mtnStatus.status !== payload.status) {
+          logger.warn('MTN callback status differs from MTN', { transactionId: referenceId, payload, mtnStatus });
+        }
+      }
+
+      const current = await store.getTransaction(referenceId);
+      res.json({
+        success: true,
+        applied: current.status !== transaction.status,
+        status: current.status
+      });
+
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  app.route('/api/mtn/callback/:referenceId')
+    .post(handleMtnCallback)
+    .put(handleMtnCallback);
+
+  // Search transactions (staff only), one page at a time.
+  // Filters: ?status= and ?type= (comma-separated), ?phone=, ?minAmount=, ?maxAmount= and
+  // ?from= / ?to= (createdAt, to is exclusive). Sort with ?sort=createdAt|updatedAt|amount and
+  // ?order=asc|desc; ?limit= sets the page size. Pass nextCursor back as ?cursor= for the next page.
+  app.get('/api/transactions', requireStaff('operator'), async (req, res) => {
+    try {
+      const search = parseTransactionSearch(req.query);
+      const limit = req.query.limit !== undefined ? Number(req.query.limit) : SEARCH_PAGE_SIZE;
+      const after = req.query.cursor ? decodeCursor(req.query.cursor, search.sort, search.order) : undefined;
+      if (search.error || !Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_PAGE_SIZE || after === null) {
+        return res.status(400).json({
+          success: false,
+          error: search.error || (after === null
+            ? 'Invalid cursor for this sort order'
+            : `limit must be a whole number from 1 to ${SEARCH_MAX_PAGE_SIZE}`)
+        });
+      }
+
+      const { transactions, next } = await store.queryTransactions(search.filters, {
+        sort: search.sort,
+        order: search.order,
+        after,
+        limit
+      });
+      res.json({
+        success: true,
+        count: transactions.length,
+        transactions,
+        nextCursor: encodeCursor(search.sort, search.order, next)
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Export every transaction matching a search as ?format=csv (default) or jsonl (staff only).
+  // Takes the same filters and sort as /api/transactions. Rows are read from the store and
+  // written a page at a time, so a large export is never held in memory.
+  app.get('/api/transactions/export', requireStaff('operator'), async (req, res) => {
+    const search = parseTransactionSearch(req.query);
+    const format = req.query.format || 'csv';
+    if (search.error || !['csv', 'jsonl'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: search.error || 'format must be csv or jsonl'
+      });
+    }
+
+    // Wait for the client to catch up (or go away) before reading the next page
+    const write = chunk => new Promise(resolve => {
+      if (res.write(chunk)) return resolve();
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+
+    try {
+      await audit('transactions.exported', { details: { format, query: req.query } });
+      res.attachment(`transactions-${new Date().toISOString().slice(0, 10)}.${format}`);
+      res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+      if (format === 'csv') await write(toCsvLine(EXPORT_COLUMNS) + '\n');
+
+      // One scan for the whole export, written SEARCH_MAX_PAGE_SIZE lines at a time
+      let lines = [];
+      for await (const transaction of store.scanTransactions(search.filters, { sort: search.sort, order: search.order })) {
+        if (res.destroyed) break;
+        lines.push(format === 'csv'
+          ? toCsvLine(EXPORT_COLUMNS.map(column => transaction[column]))
+          : JSON.stringify(transaction));
+        if (lines.length === SEARCH_MAX_PAGE_SIZE) {
+          await write(lines.join('\n') + '\n');
+          lines = [];
+        }
+      }
+      if (lines.length > 0) await write(lines.join('\n') + '\n');
+      res.end();
+    } catch (error) {
+      logger.error('Transaction export failed', { error });
+      if (!res.headersSent) {
+        return res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+      res.destroy(error);
+    }
+  });
+
+  // Dashboard figures for transactions created between ?from= and ?to= (staff only),
+  // the last 30 days by default: totals, success and failure rates, per day and per type
+  app.get('/api/admin/stats', requireStaff('operator'), async (req, res) => {
+    try {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+      if (isNaN(from) || isNaN(to) || from >= to) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be dates, with from before to'
+        });
+      }
+
+      const transactions = await store.listTransactions({ from: from.toISOString(), to: to.toISOString() });
+      res.json({
+        success: true,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        currency: market.currency,
+        stats: transactionStats(transactions)
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Ask MTN for a transaction's status now instead of waiting for the reconciliation worker (staff only)
+  app.post('/api/admin/transactions/:referenceId/recheck', requireStaff('operator'), async (req, res) => {
+    try {
+      const transaction = await store.getTransaction(req.params.referenceId);
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transaction not found'
+        });
+      }
+      if (!wasSentToMtn(transaction)) {
+        return res.status(400).json({
+          success: false,
+          error: 'This transaction was never sent to MTN'
+        });
+      }
+
+      const mtmStatus = await checkTransactionStatus(transaction);
+      const current = await store.getTransaction(transaction.id);
+      await audit('transaction.rechecked', {
+        target: { type: 'transaction', id: transaction.id },
+        before: { status: transaction.status },
+        after: { status: current.status }
+      });
+      res.json({
+        success: true,
+        transaction: current,
+        mtmStatus
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Last reconciliation results (staff only)
+  app.get('/api/admin/reconciliation', requireStaff('operator'), (req, res) => {
+    res.json({
+      success: true,
+      lastPendingRun: reconciliation.lastPendingRun,
+      lastReport: reconciliation.lastReport
+    });
+  });
+
+  // Savings plans of every user and the last scheduler run (staff only)
+  // Optional filters: ?phone=&status=
+  app.get('/api/admin/savings-plans', requireStaff('operator'), async (req, res) => {
+    try {
+      const { phone, status } = req.query;
+      const plans = await store.listSavingsPlans({ phone: phone && (normalizePhone(phone) || phone), status });
+
+      res.json({
+        success: true,
+        count: plans.length,
+        plans: plans,
+        lastSchedulerRun: savingsScheduler.lastRun
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Create a donation campaign (staff only)
+  // Body: title, description, beneficiary (MTN number the donations are paid out to), targetAmount, endDate
+  app.post('/api/admin/campaigns', requireStaff('operator'), requirePayee(req => req.body.beneficiary), async (req, res) => {
+    try {
+      const { title, description = '', beneficiary, targetAmount, endDate } = req.body;
+      const cleanBeneficiary = normalizePhone(beneficiary);
+      const end = endDate ? new Date(endDate) : null;
+
+      if (!title || !targetAmount || Number(targetAmount) < market.minAmount || !cleanBeneficiary) {
+        return res.status(400).json({
+          success: false,
+          error: `Title, beneficiary phone number and target amount (min ${market.minAmount} ${market.currency}) required`
+        });
+      }
+
+      if (!end || isNaN(end) || end < new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'End date must be a valid date in the future'
+        });
+      }
+
+      const campaign = await store.createCampaign({
+        id: generateReferenceId(),
+        title: title.trim(),
+        description: String(description).trim(),
+        beneficiary: cleanBeneficiary,
+        targetAmount: Number(targetAmount),
+        endDate: end.toISOString(),
+        status: 'ACTIVE',
+        createdBy: req.staff.name,
+        createdAt: new Date().toISOString()
+      });
+      await audit('campaign.created', { target: { type: 'campaign', id: campaign.id }, after: campaign });
+
+      res.status(201).json({
+        success: true,
+        campaign: await describeCampaignForStaff(campaign),
+        url: `/campaigns/${campaign.id}`
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Every campaign with its beneficiary and balance (staff only). Optional filter: ?status=
+  app.get('/api/admin/campaigns', requireStaff('operator'), async (req, res) => {
+    try {
+      const campaigns = await store.listCampaigns({ status: req.query.status });
+
+      res.json({
+        success: true,
+        count: campaigns.length,
+        campaigns: await Promise.all(campaigns.map(describeCampaignForStaff))
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Stop taking donations for a campaign (staff only). Its balance can still be paid out.
+  app.post('/api/admin/campaigns/:campaignId/close', requireStaff('operator'), async (req, res) => {
+    try {
+      const campaign = await store.updateCampaign(req.params.campaignId, {
+        status: 'CLOSED',
+        closedBy: req.staff.name,
+        closedAt: new Date().toISOString()
+      }, { fromStatuses: ['ACTIVE'] });
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          error: 'No active campaign with this ID'
+        });
+      }
+      await audit('campaign.closed', {
+        target: { type: 'campaign', id: campaign.id },
+        before: { status: 'ACTIVE' },
+        after: pickFields(campaign, ['status', 'closedBy', 'closedAt'])
+      });
+
+      res.json({
+        success: true,
+        campaign: await describeCampaignForStaff(campaign)
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Pay a campaign's donations out to its beneficiary (admin only).
+  // Body: optional amount - defaults to everything not yet paid out.
+  app.post('/api/admin/campaigns/:campaignId/payout', requireStaff('admin'), idempotent,
+    requirePayee(async req => (await store.getCampaign(req.params.campaignId))?.beneficiary), async (req, res) => {
+    try {
+      const campaign = await store.getCampaign(req.params.campaignId);
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
+
+      const account = await store.getAccount(LEDGER_ACCOUNTS.campaign(campaign.id));
+      const available = account ? accountBalance(account) : 0;
+      // Without an amount, pay out as much as one payment can carry
+      const value = req.body.amount ? Number(req.body.amount) : Math.min(available, market.maxAmount);
+
+      if (!isValidAmount(value)) {
+        return res.status(400).json({
+          success: false,
+          error: `Payout amount must be ${amountLimits}. Available: ${available} ${market.currency}`
+        });
+      }
+
+      const referenceId = generateReferenceId();
+      try {
+        await reserveCampaignPayout(referenceId, campaign, value);
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+          return res.status(400).json({
+            success: false,
+            error: `Insufficient campaign balance. Available: ${error.available} ${market.currency}`
+          });
+        }
+        throw error;
+      }
+
+      const message = `Donations from "${campaign.title}"`;
+      const result = await sendMoney(value, campaign.beneficiary, message, referenceId, {
+        type: 'campaign_payout',
+        campaignId: campaign.id,
+        requestedBy: req.staff.name,
+        ...(value > config.approvals.withdrawalThreshold ? { approval: { requestedBy: req.staff.name } } : {})
+      });
+
+      let reply = `Payout of ${value} ${market.currency} to +${campaign.beneficiary} initiated!`;
+      if (result.held) {
+        reply = `Payout of ${value} ${market.currency} to +${campaign.beneficiary} is held for review.`;
+      } else if (result.pendingApproval) {
+        reply = `Payout of ${value} ${market.currency} to +${campaign.beneficiary} needs approval from another admin.`;
+      }
+      res.json({
+        success: true,
+        message: reply,
+        transactionId: result.transactionId,
+        held: result.held,
+        pendingApproval: Boolean(result.pendingApproval)
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Gifts (staff only), e.g. ?status=REFUND_FAILED for refunds that need to be made by hand
+  // Optional filters: ?phone= (sender or recipient) and ?status=
+  app.get('/api/admin/gifts', requireStaff('operator'), async (req, res) => {
+    try {
+      const { phone, status } = req.query;
+      const gifts = await store.listGifts({ phone: phone && (normalizePhone(phone) || phone), status });
+      res.json({
+        success: true,
+        count: gifts.length,
+        gifts: await Promise.all(gifts.map(describeGift))
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Pay many numbers at once from a CSV of msisdn, amount and note (admin only). Send the file
+  // as the text/csv body, or as JSON { csv }. The optional campaignId (query or JSON) picks the
+  // campaign paid from, the general fund otherwise. Nothing is sent unless every row is valid;
+  // the batch then runs in the background - follow it with GET /api/admin/disbursements/:batchId.
+  app.post('/api/admin/disbursements', requireStaff('admin'), express.text({ type: 'text/csv', limit: '1mb' }), idempotent, async (req, res) => {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+      const campaignId = req.query.campaignId || req.body.campaignId;
+      if (typeof csv !== 'string' || !csv.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload a CSV with msisdn, amount and note columns'
+        });
+      }
+
+      if (campaignId && !(await store.getCampaign(campaignId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
+
+      // Counted before any row is looked up with MTN
+      const parsed = bulkCsvRows(csv);
+      if (parsed.length === 0 || parsed.length > config.bulk.maxRows) {
+        return res.status(400).json({
+          success: false,
+          error: `A batch must have between 1 and ${config.bulk.maxRows} rows`
+        });
+      }
+
+      const { rows, errors } = await validateBulkRows(parsed);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${errors.length} of ${parsed.length} rows have errors - nothing was sent`,
+          errors
+        });
+      }
+
+      const batch = {
+        id: generateReferenceId(),
+        status: 'RUNNING',
+        sourceAccount: LEDGER_ACCOUNTS.campaign(campaignId || GENERAL_CAMPAIGN),
+        total: roundAmount(rows.reduce((sum, row) => sum + row.amount, 0)),
+        rows,
+        createdBy: req.staff.name,
+        createdAt: new Date().toISOString()
+      };
+      try {
+        await reserveDisbursementBatch(batch);
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+          return res.status(400).json({
+            success: false,
+            error: `The batch needs ${batch.total} ${market.currency} but only ${error.available} ${market.currency} is available in ${batch.sourceAccount}`
+          });
+        }
+        throw error;
+      }
+      await store.createDisbursementBatch(batch);
+      await audit('disbursement_batch.created', { target: { type: 'disbursement_batch', id: batch.id }, after: batch });
+      runDisbursementBatch(batch.id);
+
+      res.status(202).json({
+        success: true,
+        message: `Sending ${rows.length} payments totalling ${batch.total} ${market.currency}`,
+        batch: await describeDisbursementBatch(batch, { includeRows: false })
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Bulk disbursement batches (staff only), oldest first. Optional filter: ?status=
+  app.get('/api/admin/disbursements', requireStaff('operator'), async (req, res) => {
+    try {
+      const batches = await store.listDisbursementBatches({ status: req.query.status });
+      res.json({
+        success: true,
+        count: batches.length,
+        batches: await Promise.all(batches.map(batch => describeDisbursementBatch(batch, { includeRows: false })))
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // One batch with the outcome of every row (staff only)
+  app.get('/api/admin/disbursements/:batchId', requireStaff('operator'), async (req, res) => {
+    try {
+      const batch = await store.getDisbursementBatch(req.params.batchId);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+      res.json({
+        success: true,
+        batch: await describeDisbursementBatch(batch)
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // A batch's rows with their outcome as a CSV download (staff only)
+  app.get('/api/admin/disbursements/:batchId/results.csv', requireStaff('operator'), async (req, res) => {
+    try {
+      const batch = await store.getDisbursementBatch(req.params.batchId);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+
+      const { rows } = await describeDisbursementBatch(batch);
+      const lines = [
+        toCsvLine(['line', 'msisdn', 'amount', 'note', 'transaction_id', 'status', 'error']),
+        ...rows.map(row => toCsvLine([row.line, row.phone, row.amount, row.note, row.transactionId, row.status, row.error]))
+      ];
+      res.attachment(`disbursement-${batch.id}.csv`);
+      res.type('text/csv').send(lines.join('\n') + '\n');
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Transactions the risk checks held for review (staff only), oldest first
+  app.get('/api/admin/held-transactions', requireStaff('operator'), async (req, res) => {
+    try {
+      const transactions = await store.listTransactions({ status: 'HELD' });
+      res.json({
+        success: true,
+        count: transactions.length,
+        transactions
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Approve a held transaction, which sends it to MTN, or reject it (admin only).
+  // A rejected transaction is settled like a failed one, so reserved money goes back where it came from.
+  // Body: optional note
+  app.post('/api/admin/held-transactions/:referenceId/:action(approve|reject)', requireStaff('admin'), async (req, res) => {
+    try {
+      const { referenceId, action } = req.params;
+      const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 200) : '';
+      const review = {
+        decision: action === 'approve' ? 'APPROVED' : 'REJECTED',
+        by: req.staff.name,
+        at: new Date().toISOString(),
+        ...(note ? { note } : {})
+      };
+
+      // A large withdrawal cleared here still needs its maker-checker approval
+      const held = await store.getTransaction(referenceId);
+      const approvedStatus = held?.approval && !held.approval.decision ? 'PENDING_APPROVAL' : 'INITIATED';
+      const transaction = await releaseTransaction(referenceId, 'HELD', action === 'approve'
+        ? { status: approvedStatus, review }
+        : { status: 'REJECTED', review, error: { code: 'REJECTED_IN_REVIEW', message: note || 'Rejected in review' } });
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'No held transaction with this reference ID'
+        });
+      }
+      logger.info('Held transaction reviewed', { transactionId: referenceId, decision: review.decision, staff: req.staff.name });
+
+      let reply = 'Transaction rejected';
+      if (action === 'approve') {
+        reply = approvedStatus === 'INITIATED' ? 'Transaction approved and sent to MTN' : 'Transaction cleared - it now needs a withdrawal approval';
+      }
+      res.json({
+        success: true,
+        message: reply,
+        transaction: await store.getTransaction(referenceId)
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Refund all or part of a successful donation, saving or gift payment to its payer (admin only).
+  // Body: optional amount (defaults to everything still refundable), reason and
+  // method ('transfer' or 'momo_refund', defaults to config.refunds.method)
+  app.post('/api/admin/transactions/:referenceId/refunds', requireStaff('admin'), idempotent, async (req, res) => {
+    const { referenceId } = req.params;
+    if (refundsInProgress.has(referenceId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A refund of this transaction is already being created'
+      });
+    }
+
+    refundsInProgress.add(referenceId);
+    try {
+      const original = await store.getTransaction(referenceId);
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transaction not found'
+        });
+      }
+      if (!REFUNDABLE_TYPES.includes(original.type) || original.status !== 'SUCCESSFUL') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only successful donations, savings and gift payments can be refunded'
+        });
+      }
+
+      const method = req.body.method || config.refunds.method;
+      if (!REFUND_METHODS.includes(method)) {
+        return res.status(400).json({
+          success: false,
+          error: `Refund method must be one of: ${REFUND_METHODS.join(', ')}`
+        });
+      }
+
+      const { refundable } = await describeRefunds(original);
+      const value = req.body.amount !== undefined ? Number(req.body.amount) : refundable;
+      if (refundable <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'This payment has already been refunded in full'
+        });
+      }
+      if (!Number.isFinite(value) || value <= 0 || value > Math.min(refundable, market.maxAmount)) {
+        return res.status(400).json({
+          success: false,
+          error: `Refund amount must be more than 0 and at most ${Math.min(refundable, market.maxAmount)} ${market.currency}`
+        });
+      }
+
+      const refundId = generateReferenceId();
+      const account = refundSourceAccount(original);
+      try {
+        await reserveRefund(refundId, account, value);
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+          return res.status(400).json({
+            success: false,
+            error: `Only ${error.available} ${market.currency} is left in ${account} to refund from`
+          });
+        }
+        throw error;
+      }
+      await store.updateTransaction(original.id, { refundIds: [...(original.refundIds || []), refundId] });
+
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
+      const message = reason ? `Refund: ${reason}` : 'Refund from Akin NevMo';
+      const details = {
+        type: 'refund',
+        refundOf: original.id,
+        refundAccount: account,
+        refundMethod: method,
+        requestedBy: req.staff.name,
+        ...(reason ? { reason } : {}),
+        ...(value > config.approvals.withdrawalThreshold ? { approval: { requestedBy: req.staff.name } } : {})
+      };
+      const result = method === 'momo_refund'
+        ? await refundPayment(value, original, message, refundId, details)
+        : await sendMoney(value, original.payer, message, refundId, details);
+
+      res.json({
+        success: true,
+        message: result.pendingApproval
+          ? `Refund of ${value} ${market.currency} to +${original.payer} needs approval from another admin.`
+          : `Refund of ${value} ${market.currency} to +${original.payer} initiated!`,
+        transactionId: refundId,
+        refundable: roundAmount(refundable - value),
+        pendingApproval: Boolean(result.pendingApproval)
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    } finally {
+      refundsInProgress.delete(referenceId);
+    }
+  });
+
+  // Withdrawals and campaign payouts waiting for a maker-checker approval (staff only), oldest first
+  app.get('/api/admin/withdrawal-approvals', requireStaff('operator'), async (req, res) => {
+    try {
+      const transactions = await store.listTransactions({ status: 'PENDING_APPROVAL' });
+      res.json({
+        success: true,
+        count: transactions.length,
+        transactions
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Approve a withdrawal waiting for approval, which sends it to MTN, or reject it, which returns
+  // the reserved money (admin only). The approver must not be the person who asked for it.
+  // Body: optional note
+  app.post('/api/admin/withdrawal-approvals/:referenceId/:action(approve|reject)', requireStaff('admin'), async (req, res) => {
+    try {
+      const { referenceId, action } = req.params;
+      const pending = await store.getTransaction(referenceId);
+      if (!pending || pending.status !== 'PENDING_APPROVAL') {
+        return res.status(404).json({
+          success: false,
+          error: 'No withdrawal waiting for approval with this reference ID'
+        });
+      }
+      if (pending.approval.requestedBy === req.staff.name) {
+        return res.status(403).json({
+          success: false,
+          error: 'A withdrawal must be approved or rejected by someone other than the person who requested it'
+        });
+      }
+
+      const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 200) : '';
+      const approval = {
+        ...pending.approval,
+        decision: action === 'approve' ? 'APPROVED' : 'REJECTED',
+        decidedBy: req.staff.name,
+        decidedAt: new Date().toISOString(),
+        ...(note ? { note } : {})
+      };
+      const transaction = await releaseTransaction(referenceId, 'PENDING_APPROVAL', action === 'approve'
+        ? { status: 'INITIATED', approval }
+        : { status: 'REJECTED', approval, error: { code: 'REJECTED_IN_REVIEW', message: note || 'Withdrawal not approved' } });
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'No withdrawal waiting for approval with this reference ID'
+        });
+      }
+      logger.info('Withdrawal approval decided', {
+        transactionId: referenceId,
+        decision: approval.decision,
+        staff: req.staff.name,
+        requestedBy: approval.requestedBy
+      });
+
+      res.json({
+        success: true,
+        message: action === 'approve' ? 'Withdrawal approved and sent to MTN' : 'Withdrawal rejected',
+        transaction: await store.getTransaction(referenceId)
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Ledger accounts and their balances (staff only)
+  // Optional filter: ?prefix=savings:231887716973
+  app.get('/api/ledger/accounts', requireStaff('operator'), async (req, res) => {
+    try {
+      const accounts = await store.listAccounts(req.query.prefix || '');
+
+      res.json({
+        success: true,
+        count: accounts.length,
+        accounts: accounts.map(account => ({ ...account, balance: accountBalance(account) }))
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // One ledger account with its balance and entry history (staff only)
+  app.get('/api/ledger/accounts/:account', requireStaff('operator'), async (req, res) => {
+    try {
+      const account = await store.getAccount(req.params.account);
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          error: 'Account not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        account: { ...account, balance: accountBalance(account) }
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Audit log (admins only), newest first. Filters: ?action= (comma-separated), ?actor= (staff
+  // name or phone number), ?actorType=, ?targetType=, ?targetId= and ?from= / ?to= (to is
+  // exclusive). ?limit= sets the page size; pass nextCursor back as ?cursor= for older entries.
+  app.get('/api/admin/audit-log', requireStaff('admin'), async (req, res) => {
+    try {
+      const query = parseAuditQuery(req.query);
+      if (query.error) {
+        return res.status(400).json({
+          success: false,
+          error: query.error
+        });
+      }
+
+      const { entries, next } = await store.listAuditEntries(query.filters, {
+        before: query.before,
+        limit: query.limit
+      });
+      res.json({
+        success: true,
+        count: entries.length,
+        entries,
+        nextCursor: next ? String(next) : null
+      });
+    } catch (error) {
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // ======================
+  // SERVE FRONTEND HTML
+  // ======================
+
+  app.get('/', (req, res) => {
+    res.send(CUSTOMER_PAGE);
+  });
+
+  // Shareable campaign page - the page loads the campaign from /api/campaigns/:campaignId
+  app.get('/campaigns/:campaignId', (req, res) => {
+    res.send(CAMPAIGN_PAGE);
+  });
+
+  // Operations dashboard. The page itself holds no data: it asks for a staff API key and
+  // sends it with every call to the staff-only APIs.
+  app.get('/admin', (req, res) => {
+    res.send(ADMIN_PAGE);
+  });
+
+  // Services the entry point (and tests) need
+  app.locals.config = config;
+  app.locals.store = store;
+  app.locals.staffKeyCount = staffKeys.length;
+  app.locals.startReconciliationWorker = startReconciliationWorker;
+  app.locals.reconcilePendingTransactions = reconcilePendingTransactions;
+  app.locals.runReconciliationReport = runReconciliationReport;
+  app.locals.startSavingsScheduler = startSavingsScheduler;
+  app.locals.runSavingsPlans = runSavingsPlans;
+  app.locals.runDisbursementBatch = runDisbursementBatch;
+  app.locals.resumeDisbursementBatches = resumeDisbursementBatches;
+
+  return app;
+}
+
+// ======================
+// CUSTOMER PAGE
+// ======================
+
+const CUSTOMER_PAGE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Akin NevMo - Send Love with MTN Mobile Money</title>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        }
+        
+        :root {
+            --primary: #009688;
+            --primary-dark: #00796b;
+            --secondary: #ff9800;
+            --light: #f5f5f5;
+            --dark: #333;
+            --success: #4caf50;
+            --danger: #f44336;
+            --warning: #ff9800;
+            --info: #2196f3;
+        }
+        
+        body {
+            background: linear-gradient(135deg, #f5f5f5, #e8f5e8);
+            color: var(--dark);
+            line-height: 1.6;
+            padding: 20px;
+            min-height: 100vh;
+        }
+        
+        .container {
+            max-width: 800px;
+            margin: 0 auto;
+        }
+        
+        header {
+            background: linear-gradient(135deg, var(--primary), var(--primary-dark));
+            color: white;
+            padding: 25px 20px;
+            text-align: center;
+            border-radius: 16px;
+            margin-bottom: 25px;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.15);
+        }
+        
+        .logo {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 12px;
+            margin-bottom: 12px;
+        }
+        
+        .logo i {
+            font-size: 32px;
+            color: var(--secondary);
+        }
+        
+        h1 {
+            font-size: 28px;
+            font-weight: 700;
+        }
+        
+        h1 span {
+            color: var(--secondary);
+        }
+        
+        .subtitle {
+            font-size: 16px;
+            opacity: 0.9;
+            max-width: 600px;
+            margin: 0 auto;
+        }
+        
+        .tabs {
+            display: flex;
+            background: white;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.08);
+            margin-bottom: 25px;
+        }
+        
+        .tab-btn {
+            flex: 1;
+            padding: 16px;
+            border: none;
+            background: white;
+            color: var(--dark);
+            font-weight: 600;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            text-align: center;
+        }
+        
+        .tab-btn:hover {
+            background: #f0f0f0;
+        }
+        
+        .tab-btn.active {
+            background: var(--primary);
+            color: white;
+        }
+        
+        .tab-content {
+            display: none;
+            background: white;
+            padding: 25px;
+            border-radius: 16px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.08);
+        }
+        
+        .tab-content.active {
+            display: block;
+            animation: fadeIn 0.4s ease;
+        }
+        
+        @keyframes fadeIn {
+            from { opacity: 0; transform: translateY(10px); }
+            to { opacity: 1; transform: translateY(0); }
+        }
+        
+        .form-group {
+            margin-bottom: 20px;
+        }
+        
+        label {
+            display: block;
+            margin-bottom: 8px;
+            font-weight: 600;
+            color: var(--dark);
+        }
+        
+        input, select, textarea {
+            width: 100%;
+            padding: 14px;
+            border: 1px solid #ddd;
+            border-radius: 10px;
+            font-size: 16px;
+            transition: border-color 0.3s ease;
+        }
+        
+        input:focus, select:focus, textarea:focus {
+            border-color: var(--primary);
+            outline: none;
+            box-shadow: 0 0 0 3px rgba(0, 150, 136, 0.2);
+        }
+        
+        .btn {
+            background: var(--primary);
+            color: white;
+            border: none;
+            padding: 14px;
+            border-radius: 10px;
+            font-size: 18px;
+            font-weight: 600;
+            cursor: pointer;
+            width: 100%;
+            transition: all 0.3s ease;
+            box-shadow: 0 4px 10px rgba(0,0,0,0.15);
+        }
+        
+        .btn:hover {
+            background: var(--primary-dark);
+            transform: translateY(-2px);
+            box-shadow: 0 6px 15px rgba(0,0,0,0.2);
+        }
+        
+        .btn:disabled {
+            background: #cccccc;
+            cursor: not-allowed;
+            transform: none;
+            box-shadow: none;
+        }
+        
+        .status {
+            padding: 16px;
+            margin-top: 20px;
+            border-radius: 10px;
+            display: none;
+            animation: slideIn 0.3s ease;
+        }
+        
+        @keyframes slideIn {
+            from { opacity: 0; transform: translateX(-20px); }
+            to { opacity: 1; transform: translateX(0); }
+        }
+        
+        .status.success {
+            background: #d4edda;
+            color: #155724;
+            border: 1px solid #c3e6da;
+        }
+        
+        .status.error {
+            background: #f8d7da;
+            color: #721c24;
+            border: 1px solid #f5c6cb;
+        }
+        
+        .transaction-info {
+            background: #e3f2fd;
+            padding: 15px;
+            border-radius: 8px;
+            margin-top: 15px;
+            font-size: 14px;
+        }
+        
+        .mtn-section {
+            background: white;
+            padding: 20px;
+            border-radius: 16px;
+            margin-top: 25px;
+            text-align: center;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.08);
+        }
+        
+        .mtn-logo {
+            height: 40px;
+            margin: 0 auto 15px;
+        }
+        
+        .security-note {
+            font-size: 14px;
+            color: #666;
+            margin-top: 10px;
+            line-height: 1.5;
+        }
+        
+        .footer {
+            text-align: center;
+            margin-top: 30px;
+            color: #666;
+            font-size: 14px;
+        }
+        
+        @media (max-width: 600px) {
+            .tabs {
+                flex-direction: column;
+            }
+            
+            header {
+                padding: 20px 15px;
+            }
+            
+            h1 {
+                font-size: 24px;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <div class="logo">
+                <i class="fas fa-hand-holding-heart"></i>
+                <h1>Akin <span>NevMo</span></h1>
+            </div>
+            <p class="subtitle">Send love, save securely, and withdraw instantly using MTN Mobile Money</p>
+        </header>
+
+        <div class="tabs">
+            <button class="tab-btn active" data-tab="donate">
+                <i class="fas fa-donate"></i> Donate
+            </button>
+            <button class="tab-btn" data-tab="save">
+                <i class="fas fa-piggy-bank"></i> Save
+            </button>
+            <button class="tab-btn" data-tab="withdraw">
+                <i class="fas fa-wallet"></i> Withdraw
+            </button>
+            <button class="tab-btn" data-tab="account">
+                <i class="fas fa-user"></i> Account
+            </button>
+        </div>
+
+        <!-- DONATE TAB -->
+        <div class="tab-content active" id="donate-tab">
+            <h2 style="margin-bottom: 20px; color: var(--primary);">Send a Donation</h2>
+            <form id="donate-form">
+                <div class="form-group">
+                    <label for="donate-campaign"><i class="fas fa-hand-holding-heart"></i> Give To</label>
+                    <select id="donate-campaign">
+                        <option value="">General donation</option>
+                        <option value="gift">A loved one (send a gift)</option>
+                    </select>
+                </div>
+                <div class="form-group" id="donate-recipient-group" style="display:none;">
+                    <label for="donate-recipient"><i class="fas fa-gift"></i> Recipient's MTN Number</label>
+                    <input type="tel" id="donate-recipient" placeholder="e.g., 231887000000">
+                    <small id="donate-recipient-name"></small>
+                </div>
+                <div class="form-group">
+                    <label for="donate-phone"><i class="fas fa-mobile-alt"></i> Your MTN Number (you approve the payment)</label>
+                    <input type="tel" id="donate-phone" placeholder="e.g., 231887716973" required>
+                </div>
+                <div class="form-group">
+                    <label for="donate-amount"><i class="fas fa-coins"></i> Amount (<span class="currency"></span>)</label>
+                    <input type="number" id="donate-amount" class="amount-input" placeholder="Enter amount" required>
+                </div>
+                <div class="form-group">
+                    <label for="donate-message"><i class="fas fa-comment"></i> Personal Message (Optional)</label>
+                    <textarea id="donate-message" rows="2" placeholder="Add a note for your loved one"></textarea>
+                </div>
+                <button type="submit" class="btn" id="donate-btn">
+                    <i class="fas fa-paper-plane"></i> Send Donation
+                </button>
+            </form>
+            <div id="donate-status" class="status"></div>
+            <div id="donate-transaction" class="transaction-info" style="display:none;"></div>
+        </div>
+
+        <!-- SAVE TAB -->
+        <div class="tab-content" id="save-tab">
+            <h2 style="margin-bottom: 20px; color: var(--primary);">Save for Your Goals</h2>
+            <form id="save-form">
+                <div class="form-group">
+                    <label for="save-goal"><i class="fas fa-bullseye"></i> Savings Goal</label>
+                    <input type="text" id="save-goal" list="goal-options" placeholder="e.g., Emergency Fund, Birthday Gift" required>
+                    <datalist id="goal-options"></datalist>
+                </div>
+                <div class="form-group">
+                    <label for="save-amount"><i class="fas fa-coins"></i> Amount to Save (<span class="currency"></span>)</label>
+                    <input type="number" id="save-amount" class="amount-input" placeholder="Enter amount" required>
+                </div>
+                <div class="form-group">
+                    <label for="save-frequency"><i class="fas fa-calendar-alt"></i> Frequency</label>
+                    <select id="save-frequency" required>
+                        <option value="">Select frequency</option>
+                        <option value="once">Just once</option>
+                        <option value="daily">Daily</option>
+                        <option value="weekly">Weekly</option>
+                        <option value="monthly">Monthly</option>
+                    </select>
+                </div>
+                <div id="save-plan-fields" style="display:none;">
+                    <div class="form-group">
+                        <label for="save-start"><i class="fas fa-play"></i> Start Date (optional, default today)</label>
+                        <input type="date" id="save-start">
+                    </div>
+                    <div class="form-group">
+                        <label for="save-end"><i class="fas fa-stop"></i> End Date (optional)</label>
+                        <input type="date" id="save-end">
+                    </div>
+                    <div class="form-group">
+                        <label for="save-target"><i class="fas fa-flag-checkered"></i> Stop When I Have Saved (<span class="currency"></span>, optional)</label>
+                        <input type="number" id="save-target" class="target-input" placeholder="Target amount">
+                    </div>
+                </div>
+                <button type="submit" class="btn" id="save-btn">
+                    <i class="fas fa-save"></i> Start Saving
+                </button>
+            </form>
+            <div id="save-status" class="status"></div>
+            <div id="save-transaction" class="transaction-info" style="display:none;"></div>
+
+            <h3 style="margin: 30px 0 15px; color: var(--primary);">Your Goals</h3>
+            <div id="goals-list" class="transaction-info">Sign in on the Account tab to see your goals.</div>
+            <form id="goal-form" style="margin-top: 20px;">
+                <div class="form-group">
+                    <label for="goal-name"><i class="fas fa-bullseye"></i> New Goal</label>
+                    <input type="text" id="goal-name" placeholder="e.g., School Fees" required>
+                </div>
+                <div class="form-group">
+                    <label for="goal-target"><i class="fas fa-flag-checkered"></i> Target Amount (<span class="currency"></span>)</label>
+                    <input type="number" id="goal-target" class="target-input" placeholder="Enter target" required>
+                </div>
+                <div class="form-group">
+                    <label for="goal-deadline"><i class="fas fa-calendar-check"></i> Deadline (optional)</label>
+                    <input type="date" id="goal-deadline">
+                </div>
+                <div class="form-group">
+                    <label for="goal-lock"><i class="fas fa-lock"></i> Lock Withdrawals Until (optional)</label>
+                    <input type="date" id="goal-lock">
+                </div>
+                <button type="submit" class="btn" id="goal-btn">
+                    <i class="fas fa-plus"></i> Create Goal
+                </button>
+            </form>
+            <div id="goal-status" class="status"></div>
+        </div>
+
+        <!-- WITHDRAW TAB -->
+        <div class="tab-content" id="withdraw-tab">
+            <h2 style="margin-bottom: 20px; color: var(--primary);">Withdraw Funds</h2>
+            <form id="withdraw-form">
+                <div class="form-group">
+                    <label for="withdraw-amount"><i class="fas fa-coins"></i> Amount (<span class="currency"></span>)</label>
+                    <input type="number" id="withdraw-amount" class="amount-input" placeholder="Enter amount" required>
+                </div>
+                <div class="form-group">
+                    <label for="withdraw-goal"><i class="fas fa-bullseye"></i> From Savings Goal</label>
+                    <input type="text" id="withdraw-goal" list="goal-options" placeholder="e.g., Emergency Fund" required>
+                </div>
+                <p class="security-note" style="margin-bottom: 20px;">
+                    <i class="fas fa-mobile-alt"></i> Funds are sent to the MTN number you signed in with.
+                </p>
+                <button type="submit" class="btn" id="withdraw-btn">
+                    <i class="fas fa-wallet"></i> Withdraw to MTN
+                </button>
+            </form>
+            <div id="withdraw-status" class="status"></div>
+            <div id="withdraw-transaction" class="transaction-info" style="display:none;"></div>
+        </div>
+
+        <!-- ACCOUNT TAB -->
+        <div class="tab-content" id="account-tab">
+            <h2 style="margin-bottom: 20px; color: var(--primary);">Your Account</h2>
+            <div id="account-signed-out">
+                <form id="signin-form">
+                    <div class="form-group">
+                        <label for="signin-phone"><i class="fas fa-mobile-alt"></i> Your MTN Number</label>
+                        <input type="tel" id="signin-phone" placeholder="e.g., 231887716973" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="signin-name"><i class="fas fa-user"></i> Your Name (new accounts only)</label>
+                        <input type="text" id="signin-name" placeholder="Leave empty if you already have an account">
+                    </div>
+                    <button type="submit" class="btn" id="signin-btn">
+                        <i class="fas fa-sms"></i> Send Sign-in Code
+                    </button>
+                </form>
+                <form id="verify-form" style="display:none; margin-top: 20px;">
+                    <div class="form-group">
+                        <label for="verify-code"><i class="fas fa-key"></i> Code from SMS</label>
+                        <input type="text" id="verify-code" inputmode="numeric" maxlength="6" placeholder="6-digit code" required>
+                    </div>
+                    <button type="submit" class="btn" id="verify-btn">
+                        <i class="fas fa-sign-in-alt"></i> Sign In
+                    </button>
+                </form>
+            </div>
+            <div id="account-signed-in" style="display:none;">
+                <p id="account-user"></p>
+                <div id="account-balances" class="transaction-info"></div>
+                <div id="account-plans" class="transaction-info"></div>
+                <button type="button" class="btn" id="signout-btn" style="margin-top: 20px;">
+                    <i class="fas fa-sign-out-alt"></i> Sign Out
+                </button>
+            </div>
+            <div id="account-status" class="status"></div>
+        </div>
+
+        <div class="mtn-section">
+            <svg class="mtn-logo" viewBox="0 0 200 60">
+                <path d="M0 0h200v60H0z" fill="#ffc300"/>
+                <path d="M10 30H20V20h10V10h10V20h10V30h10V40h-10V50h-10V-40H20V40H10V30z" fill="#fff"/>
+            </svg>
+            <p><strong>Powered by MTN Mobile Money</strong></p>
+            <p class="security-note">
+                <i class="fas fa-lock"></i> All transactions are secured with MTN's banking-grade encryption.<br>
+                Your money is protected at all times.
+            </p>
+        </div>
+
+        <div class="footer">
+            <p>&copy; 2023 Akin NevMo. All rights reserved.</p>
+            <p>Send love, support, and care through MTN Mobile Money</p>
+        </div>
+    </div>
+
+    <script>
+        const BACKEND_URL = '';
+
+        // Currency, amount limits and phone number rules from /api/market
+        let MARKET = null;
+
+        // Same phone number rules as the server
+        ${normalizeMsisdn}
+
+        const currency = () => (MARKET ? MARKET.currency : '');
+
+        // Checked again by the server, so anything goes until the market has loaded
+        function isValidPhone(phone) {
+            return !MARKET || normalizeMsisdn(phone, MARKET) !== null;
+        }
+
+        function phoneError(label = 'a valid MTN phone number') {
+            const lengths = MARKET ? MARKET.nationalNumberLengths.join(' or ') : '';
+            return \`❌ Please enter \${label}\${MARKET ? \` (+\${MARKET.callingCode} and \${lengths} digits)\` : ''}\`;
+        }
+
+        async function loadMarket() {
+            const response = await fetch(\`\${BACKEND_URL}/api/market\`);
+            MARKET = (await response.json()).market;
+            document.querySelectorAll('.currency').forEach(el => { el.textContent = MARKET.currency; });
+            document.querySelectorAll('.amount-input').forEach(input => {
+                input.min = MARKET.minAmount;
+                input.max = MARKET.maxAmount;
+            });
+            document.querySelectorAll('.target-input').forEach(input => { input.min = MARKET.minAmount; });
+        }
+        
+        document.querySelectorAll('.tab-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+                document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+                button.classList.add('active');
+                document.getElementById(button.dataset.tab + '-tab').classList.add('active');
+                if (button.dataset.tab === 'account') loadAccount().catch(() => {});
+                if (button.dataset.tab === 'save' || button.dataset.tab === 'withdraw') loadGoals().catch(() => {});
+            });
+        });
+
+        function showStatus(id, message, type) {
+            const statusEl = document.getElementById(id);
+            statusEl.textContent = message;
+            statusEl.className = 'status ' + type;
+            statusEl.style.display = 'block';
+            setTimeout(() => { statusEl.style.display = 'none'; }, 6000);
+        }
+
+        function showTransactionInfo(id, transactionId) {
+            const infoEl = document.getElementById(id);
+            infoEl.innerHTML = \`<strong>Transaction ID:</strong> \${transactionId}<br>
+            <strong>Status:</strong> Checking...<br>
+            <button onclick="checkTransactionStatus('\${transactionId}', '\${id}')">Check Status</button>\`;
+            infoEl.style.display = 'block';
+        }
+
+        function checkTransactionStatus(transactionId, infoId) {
+            fetch(\`\${BACKEND_URL}/api/transaction/\${transactionId}\`)
+            .then(res => res.json())
+            .then(data => {
+                const infoEl = document.getElementById(infoId);
+                if (data.success) {
+                    const status = data.mtmStatus?.status || data.transaction?.status || 'UNKNOWN';
+                    infoEl.innerHTML = \`<strong>Transaction ID:</strong> \${transactionId}<br>
+                    <strong>Status:</strong> \${status}<br>
+                    <strong>Amount:</strong> \${data.transaction?.amount || 'N/A'} \${currency()}<br>
+                    \${data.refunded ? \`<strong>Refunded:</strong> \${data.refunded} \${currency()}<br>\` : ''}
+                    <button onclick="checkTransactionStatus('\${transactionId}', '\${infoId}')">Refresh</button>\`;
+                } else {
+                    infoEl.innerHTML = \`<strong>Error:</strong> \${data.error}\`;
+                }
+            })
+            .catch(err => {
+                document.getElementById(infoId).innerHTML = '<strong>Error:</strong> Failed to check status';
+            });
+        }
+
+        function showGiftInfo(id, giftId) {
+            const infoEl = document.getElementById(id);
+            infoEl.innerHTML = \`<strong>Gift ID:</strong> \${giftId}<br>
+            <strong>Status:</strong> Waiting for your approval...<br>
+            <button onclick="checkGiftStatus('\${giftId}', '\${id}')">Check Status</button>\`;
+            infoEl.style.display = 'block';
+        }
+
+        function checkGiftStatus(giftId, infoId) {
+            fetch(\`\${BACKEND_URL}/api/gifts/\${giftId}\`)
+            .then(res => res.json())
+            .then(data => {
+                const infoEl = document.getElementById(infoId);
+                if (data.success) {
+                    const legs = data.gift.legs.map(leg => \`\${leg.leg}: \${leg.status}\`).join(', ');
+                    infoEl.innerHTML = \`<strong>Gift ID:</strong> \${giftId}<br>
+                    <strong>Status:</strong> \${data.gift.status} (\${legs})<br>
+                    <strong>Amount:</strong> \${data.gift.amount} \${currency()} to +\${data.gift.recipient} (fee \${data.gift.fee} \${currency()})<br>
+                    <button onclick="checkGiftStatus('\${giftId}', '\${infoId}')">Refresh</button>\`;
+                } else {
+                    infoEl.innerHTML = \`<strong>Error:</strong> \${data.error}\`;
+                }
+            })
+            .catch(err => {
+                document.getElementById(infoId).innerHTML = '<strong>Error:</strong> Failed to check status';
+            });
+        }
+
+        // Name MTN has registered for a number, so the sender can check it before paying.
+        // Only signed-in users may look numbers up, so this is null for everyone else.
+        async function lookupPayee(phone) {
+            if (!getSessionToken()) return null;
+            const response = await fetch(\`\${BACKEND_URL}/api/payees/\${encodeURIComponent(phone)}\`, { headers: apiHeaders() });
+            return response.json();
+        }
+
+        function getSessionToken() {
+            return localStorage.getItem('akinSession');
+        }
+
+        // One Idempotency-Key per form submission: kept when the network fails so a retry
+        // cannot pay twice, and dropped once the server has answered
+        const idempotencyKeys = {};
+
+        function idempotencyKey(form) {
+            if (!idempotencyKeys[form]) {
+                idempotencyKeys[form] = window.crypto?.randomUUID
+                    ? window.crypto.randomUUID()
+                    : Date.now() + '-' + Math.random().toString(36).slice(2);
+            }
+            return idempotencyKeys[form];
+        }
+
+        function apiHeaders() {
+            const token = getSessionToken();
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) headers['Authorization'] = 'Bearer ' + token;
+            return headers;
+        }
+
+        // An element holding plain text, so what users typed (names, goals) is never read as HTML
+        function textElement(tag, text) {
+            const element = document.createElement(tag);
+            element.textContent = text;
+            return element;
+        }
+
+        async function loadAccount() {
+            const signedIn = document.getElementById('account-signed-in');
+            const signedOut = document.getElementById('account-signed-out');
+            if (!getSessionToken()) {
+                signedIn.style.display = 'none';
+                signedOut.style.display = 'block';
+                return;
+            }
+
+            const response = await fetch(\`\${BACKEND_URL}/api/account\`, { headers: apiHeaders() });
+            const result = await response.json();
+            if (!result.success) {
+                localStorage.removeItem('akinSession');
+                return loadAccount();
+            }
+
+            const user = document.getElementById('account-user');
+            user.replaceChildren(textElement('strong', 'Signed in as:'), \` \${result.user.name} (+\${result.user.phone})\`);
+            const balances = document.getElementById('account-balances');
+            if (result.balances.length) {
+                balances.replaceChildren(...result.balances.flatMap((b, i) => [
+                    ...(i > 0 ? [document.createElement('br')] : []),
+                    textElement('strong', \`\${b.goal}:\`),
+                    \` \${b.balance} \${currency()}\`
+                ]));
+            } else {
+                balances.textContent = 'No savings yet. Start saving on the Save tab!';
+            }
+
+            const plansResponse = await fetch(\`\${BACKEND_URL}/api/savings-plans\`, { headers: apiHeaders() });
+            const { plans = [] } = await plansResponse.json();
+            const planActions = { ACTIVE: ['pause', 'cancel'], PAUSED: ['resume', 'cancel'] };
+            const planList = document.getElementById('account-plans');
+            if (plans.length) {
+                planList.replaceChildren(textElement('strong', 'Savings plans'), ...plans.flatMap(plan => [
+                    document.createElement('br'),
+                    \`\${plan.goal}: \${plan.amount} \${currency()} \${plan.frequency} - \${plan.status.toLowerCase()}, \${plan.totalSaved} \${currency()} saved\` +
+                        (plan.status === 'ACTIVE' ? \` (next \${new Date(plan.nextRunAt).toLocaleDateString()})\` : ''),
+                    ...(planActions[plan.status] || []).flatMap(action => {
+                        const button = textElement('button', action);
+                        button.type = 'button';
+                        button.className = 'plan-action';
+                        button.dataset.plan = plan.id;
+                        button.dataset.action = action;
+                        return [' ', button];
+                    })
+                ]));
+            } else {
+                planList.textContent = 'No savings plans yet. Pick a frequency on the Save tab to start one.';
+            }
+            signedOut.style.display = 'none';
+            signedIn.style.display = 'block';
+        }
+
+        async function loadCampaigns() {
+            const response = await fetch(\`\${BACKEND_URL}/api/campaigns\`);
+            const result = await response.json();
+            const select = document.getElementById('donate-campaign');
+            (result.campaigns || []).forEach(campaign => {
+                const option = document.createElement('option');
+                option.value = campaign.id;
+                option.textContent = \`\${campaign.title} (\${campaign.percentComplete}% of \${campaign.targetAmount} \${currency()})\`;
+                select.appendChild(option);
+            });
+        }
+
+        async function loadGoals() {
+            if (!getSessionToken()) return;
+            const response = await fetch(\`\${BACKEND_URL}/api/goals\`, { headers: apiHeaders() });
+            const result = await response.json();
+            if (!result.success) return;
+
+            document.getElementById('goal-options').replaceChildren(...result.goals.map(goal => {
+                const option = document.createElement('option');
+                option.value = goal.name;
+                return option;
+            }));
+            const goalsList = document.getElementById('goals-list');
+            if (result.goals.length === 0) {
+                goalsList.textContent = 'No goals yet. Create one below or just type a goal name when you save.';
+                return;
+            }
+            goalsList.replaceChildren(...result.goals.flatMap(goal => {
+                const details = [\`\${goal.saved} \${currency()}\`];
+                if (goal.targetAmount) details.push(\`of \${goal.targetAmount} \${currency()} (\${goal.percentComplete}%)\`);
+                if (goal.projectedCompletionDate) {
+                    details.push(\`- on pace to finish \${new Date(goal.projectedCompletionDate).toLocaleDateString()}\`);
+                }
+                if (goal.deadline) details.push(\`- deadline \${new Date(goal.deadline).toLocaleDateString()}\`);
+                const nodes = [textElement('strong', \`\${goal.name}:\`), ' ' + details.join(' ')];
+                if (goal.locked) {
+                    const lock = document.createElement('i');
+                    lock.className = 'fas fa-lock';
+                    nodes.push(' ', lock, \` until \${new Date(goal.lockUntil).toLocaleDateString()}\`);
+                }
+                if (goal.targetAmount) {
+                    const bar = document.createElement('div');
+                    bar.style.cssText = 'background:#fff; border-radius:4px; height:8px; margin:5px 0 10px;';
+                    const fill = document.createElement('div');
+                    fill.style.cssText = \`background:var(--primary); border-radius:4px; height:8px; width:\${goal.percentComplete}%;\`;
+                    bar.appendChild(fill);
+                    nodes.push(bar);
+                } else {
+                    nodes.push(document.createElement('br'));
+                }
+                return nodes;
+            }));
+        }
+
+        function setButtonState(buttonId, disabled, text = null) {
+            const btn = document.getElementById(buttonId);
+            btn.disabled = disabled;
+            if (text) btn.innerHTML = text;
+        }
+
+        // Updated form handlers with transaction status
+        document.getElementById('donate-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const phone = document.getElementById('donate-phone').value.trim();
+            const amount = document.getElementById('donate-amount').value;
+            const message = document.getElementById('donate-message').value.trim() || undefined;
+            const campaignId = document.getElementById('donate-campaign').value || undefined;
+            const gift = campaignId === 'gift';
+            const recipient = document.getElementById('donate-recipient').value.trim();
+            
+            if (!isValidPhone(phone)) {
+                showStatus('donate-status', phoneError(), 'error');
+                return;
+            }
+            if (gift && !isValidPhone(recipient)) {
+                showStatus('donate-status', phoneError("the recipient's MTN number"), 'error');
+                return;
+            }
+            if (gift) {
+                try {
+                    const lookup = await lookupPayee(recipient);
+                    if (lookup && (!lookup.success || !lookup.payee.active)) {
+                        showStatus('donate-status', \`❌ \${lookup.error || 'This number is not an active MTN Mobile Money account'}\`, 'error');
+                        return;
+                    }
+                    const payee = lookup
+                        ? \`\${lookup.payee.name || 'an unnamed account'} (+\${lookup.payee.phone})\`
+                        : recipient;
+                    if (!confirm(\`Send \${amount} \${currency()} to \${payee}?\`)) return;
+                } catch (error) {
+                    showStatus('donate-status', '❌ Network error. Please check your connection.', 'error');
+                    return;
+                }
+            }
+            
+            setButtonState('donate-btn', true, '<i class="fas fa-spinner fa-spin"></i> Sending...');
+            showStatus('donate-status', gift ? 'Processing gift...' : 'Processing donation...', 'info');
+            
+            try {
+                const response = await fetch(\`\${BACKEND_URL}\${gift ? '/api/gifts' : '/api/donate'}\`, {
+                    method: 'POST',
+                    headers: { ...apiHeaders(), 'Idempotency-Key': idempotencyKey('donate') },
+                    body: JSON.stringify(gift
+                        ? { sender: phone, recipient, amount, message }
+                        : { phone, amount, message, campaignId })
+                });
+                
+                const result = await response.json();
+                delete idempotencyKeys['donate'];
+                
+                if (result.success && gift) {
+                    showStatus('donate-status', \`✅ \${result.message}\`, 'success');
+                    showGiftInfo('donate-transaction', result.giftId);
+                    document.getElementById('donate-form').reset();
+                    document.getElementById('donate-recipient-group').style.display = 'none';
+                    document.getElementById('donate-recipient-name').textContent = '';
+                } else if (result.success) {
+                    showStatus('donate-status', result.held
+                        ? \`⏳ \${result.message}\`
+                        : \`✅ Donation requested! Approve it on your phone. Transaction ID: \${result.transactionId}\`, 'success');
+                    showTransactionInfo('donate-transaction', result.transactionId);
+                    document.getElementById('donate-form').reset();
+                } else {
+                    showStatus('donate-status', \`❌ \${result.error}\`, 'error');
+                }
+            } catch (error) {
+                showStatus('donate-status', '❌ Network error. Please check your connection.', 'error');
+            } finally {
+                setButtonState('donate-btn', false, '<i class="fas fa-paper-plane"></i> Send Donation');
+            }
+        });
+
+        document.getElementById('goal-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!getSessionToken()) {
+                showStatus('goal-status', '❌ Please sign in on the Account tab first', 'error');
+                return;
+            }
+
+            setButtonState('goal-btn', true, '<i class="fas fa-spinner fa-spin"></i> Creating...');
+            try {
+                const response = await fetch(\`\${BACKEND_URL}/api/goals\`, {
+                    method: 'POST',
+                    headers: apiHeaders(),
+                    body: JSON.stringify({
+                        name: document.getElementById('goal-name').value.trim(),
+                        targetAmount: document.getElementById('goal-target').value,
+                        deadline: document.getElementById('goal-deadline').value || undefined,
+                        lockUntil: document.getElementById('goal-lock').value || undefined
+                    })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    showStatus('goal-status', \`✅ \${result.message}\`, 'success');
+                    document.getElementById('goal-form').reset();
+                    await loadGoals();
+                } else {
+                    showStatus('goal-status', \`❌ \${result.error}\`, 'error');
+                }
+            } catch (error) {
+                showStatus('goal-status', '❌ Network error. Please check your connection.', 'error');
+            } finally {
+                setButtonState('goal-btn', false, '<i class="fas fa-plus"></i> Create Goal');
+            }
+        });
+
+        document.getElementById('donate-campaign').addEventListener('change', (e) => {
+            document.getElementById('donate-recipient-group').style.display = e.target.value === 'gift' ? 'block' : 'none';
+        });
+
+        document.getElementById('donate-recipient').addEventListener('change', async (e) => {
+            const nameEl = document.getElementById('donate-recipient-name');
+            const phone = e.target.value.trim();
+            nameEl.textContent = '';
+            if (!phone || !isValidPhone(phone)) return;
+
+            nameEl.textContent = 'Checking number...';
+            try {
+                const lookup = await lookupPayee(phone);
+                if (!lookup) {
+                    nameEl.textContent = 'Sign in to see who this number is registered to';
+                } else if (!lookup.success) {
+                    nameEl.textContent = \`❌ \${lookup.error}\`;
+                } else if (!lookup.payee.active) {
+                    nameEl.textContent = '❌ Not an active MTN Mobile Money account';
+                } else {
+                    nameEl.textContent = \`✅ Registered to \${lookup.payee.name || 'an unnamed account'}\`;
+                }
+            } catch (error) {
+                nameEl.textContent = '';
+            }
+        });
+
+        document.getElementById('save-frequency').addEventListener('change', (e) => {
+            const recurring = e.target.value && e.target.value !== 'once';
+            document.getElementById('save-plan-fields').style.display = recurring ? 'block' : 'none';
+        });
+
+        document.getElementById('account-plans').addEventListener('click', async (e) => {
+            const button = e.target.closest('.plan-action');
+            if (!button) return;
+            button.disabled = true;
+            try {
+                const response = await fetch(\`\${BACKEND_URL}/api/savings-plans/\${button.dataset.plan}/\${button.dataset.action}\`, {
+                    method: 'POST',
+                    headers: apiHeaders()
+                });
+                const result = await response.json();
+                if (!result.success) showStatus('account-status', \`❌ \${result.error}\`, 'error');
+                await loadAccount();
+            } catch (error) {
+                showStatus('account-status', '❌ Network error. Please check your connection.', 'error');
+                button.disabled = false;
+            }
+        });
+
+        document.getElementById('save-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const goal = document.getElementById('save-goal').value.trim();
+            const amount = document.getElementById('save-amount').value;
+            const frequency = document.getElementById('save-frequency').value;
+            const startDate = document.getElementById('save-start').value;
+            const endDate = document.getElementById('save-end').value;
+            const targetAmount = document.getElementById('save-target').value;
+            const recurring = frequency !== 'once';
+            
+            if (!goal || !amount || !frequency) {
+                showStatus('save-status', '❌ Please fill all fields', 'error');
+                return;
+            }
+            
+            if (!getSessionToken()) {
+                showStatus('save-status', '❌ Please sign in on the Account tab first', 'error');
+                return;
+            }
+            
+            setButtonState('save-btn', true, '<i class="fas fa-spinner fa-spin"></i> Saving...');
+            showStatus('save-status', 'Processing savings...', 'info');
+            
+            try {
+                const response = await fetch(\`\${BACKEND_URL}\${recurring ? '/api/savings-plans' : '/api/save'}\`, {
+                    method: 'POST',
+                    headers: { ...apiHeaders(), 'Idempotency-Key': idempotencyKey('save') },
+                    body: JSON.stringify(recurring
+                        ? { goal, amount, frequency, startDate: startDate || undefined, endDate: endDate || undefined, targetAmount: targetAmount || undefined }
+                        : { goal, amount })
+                });
+                
+                const result = await response.json();
+                delete idempotencyKeys['save'];
+                
+                if (result.success && recurring) {
+                    showStatus('save-status', \`✅ \${result.message} Approve each request on your phone.\`, 'success');
+                    document.getElementById('save-form').reset();
+                    document.getElementById('save-plan-fields').style.display = 'none';
+                } else if (result.success) {
+                    showStatus('save-status', result.held
+                        ? \`⏳ \${result.message}\`
+                        : \`✅ Savings requested! Approve it on your phone. Transaction ID: \${result.transactionId}\`, 'success');
+                    showTransactionInfo('save-transaction', result.transactionId);
+                    document.getElementById('save-form').reset();
+                } else {
+                    showStatus('save-status', \`❌ \${result.error}\`, 'error');
+                }
+            } catch (error) {
+                showStatus('save-status', '❌ Network error. Please check your connection.', 'error');
+            } finally {
+                setButtonState('save-btn', false, '<i class="fas fa-save"></i> Start Saving');
+            }
+        });
+
+        document.getElementById('withdraw-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const amount = document.getElementById('withdraw-amount').value;
+            const goal = document.getElementById('withdraw-goal').value.trim();
+            
+            if (!getSessionToken()) {
+                showStatus('withdraw-status', '❌ Please sign in on the Account tab first', 'error');
+                return;
+            }
+            
+            setButtonState('withdraw-btn', true, '<i class="fas fa-spinner fa-spin"></i> Withdrawing...');
+            showStatus('withdraw-status', 'Processing withdrawal...', 'info');
+            
+            try {
+                const response = await fetch(\`\${BACKEND_URL}/api/withdraw\`, {
+                    method: 'POST',
+                    headers: { ...apiHeaders(), 'Idempotency-Key': idempotencyKey('withdraw') },
+                    body: JSON.stringify({ goal, amount })
+                });
+                
+                const result = await response.json();
+                delete idempotencyKeys['withdraw'];
+                
+                if (result.success) {
+                    showStatus('withdraw-status', result.held || result.pendingApproval
+                        ? \`⏳ \${result.message}\`
+                        : \`✅ Withdrawal initiated! Transaction ID: \${result.transactionId}\`, 'success');
+                    showTransactionInfo('withdraw-transaction', result.transactionId);
+                    document.getElementById('withdraw-form').reset();
+                } else {
+                    showStatus('withdraw-status', \`❌ \${result.error}\`, 'error');
+                }
+            } catch (error) {
+                showStatus('withdraw-status', '❌ Network error. Please check your connection.', 'error');
+            } finally {
+                setButtonState('withdraw-btn', false, '<i class="fas fa-wallet"></i> Withdraw to MTN');
+            }
+        });
+
+        document.getElementById('signin-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const phone = document.getElementById('signin-phone').value.trim();
+            const name = document.getElementById('signin-name').value.trim();
+            
+            if (!isValidPhone(phone)) {
+                showStatus('account-status', phoneError(), 'error');
+                return;
+            }
+            
+            setButtonState('signin-btn', true, '<i class="fas fa-spinner fa-spin"></i> Sending...');
+            
+            try {
+                const response = await fetch(\`\${BACKEND_URL}/api/auth/\${name ? 'register' : 'otp'}\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ phone, name })
+                });
+                
+                const result = await response.json();
+                
+                if (result.success) {
+                    showStatus('account-status', \`✅ \${result.message}\`, 'success');
+                    document.getElementById('verify-form').style.display = 'block';
+                } else {
+                    showStatus('account-status', \`❌ \${result.error}\`, 'error');
+                }
+            } catch (error) {
+                showStatus('account-status', '❌ Network error. Please check your connection.', 'error');
+            } finally {
+                setButtonState('signin-btn', false, '<i class="fas fa-sms"></i> Send Sign-in Code');
+            }
+        });
+
+        document.getElementById('verify-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const phone = document.getElementById('signin-phone').value.trim();
+            const code = document.getElementById('verify-code').value.trim();
+            
+            setButtonState('verify-btn', true, '<i class="fas fa-spinner fa-spin"></i> Signing in...');
+            
+            try {
+                const response = await fetch(\`\${BACKEND_URL}/api/auth/verify\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ phone, code })
+                });
+                
+                const result = await response.json();
+                
+                if (result.success) {
+                    localStorage.setItem('akinSession', result.token);
+                    document.getElementById('signin-form').reset();
+                    document.getElementById('verify-form').reset();
+                    document.getElementById('verify-form').style.display = 'none';
+                    showStatus('account-status', '✅ Signed in!', 'success');
+                    await loadAccount();
+                } else {
+                    showStatus('account-status', \`❌ \${result.error}\`, 'error');
+                }
+            } catch (error) {
+                showStatus('account-status', '❌ Network error. Please check your connection.', 'error');
+            } finally {
+                setButtonState('verify-btn', false, '<i class="fas fa-sign-in-alt"></i> Sign In');
+            }
+        });
+
+        document.getElementById('signout-btn').addEventListener('click', () => {
+            localStorage.removeItem('akinSession');
+            loadAccount();
+        });
+
+        loadMarket().catch(() => {}).finally(() => {
+            loadAccount().catch(() => {});
+            loadCampaigns().catch(() => {});
+        });
+    </script>
+</body>
+</html>
+`;
+
+// ======================
+// CAMPAIGN PAGE
+// ======================
+
+// Shareable page for one campaign. Campaign text comes from staff and donor names from the
+// public, so everything is written with textContent rather than innerHTML.
+const CAMPAIGN_PAGE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Akin NevMo - Campaign</title>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        }
+        
+        :root {
+            --primary: #009688;
+            --primary-dark: #00796b;
+            --secondary: #ff9800;
+            --dark: #333;
+        }
         
         body {
             background: linear-gradient(135deg, #f5f5f5, #e8f5e8);
@@ -364,91 +6737,32 @@ app.get('/', (req, res) => {
             margin: 0 auto;
         }
         
-        header {
-            background: linear-gradient(135deg, var(--primary), var(--primary-dark));
-            color: white;
-            padding: 25px 20px;
-            text-align: center;
+        header, .card {
+            background: white;
+            padding: 25px;
             border-radius: 16px;
             margin-bottom: 25px;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.15);
-        }
-        
-        .logo {
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            gap: 12px;
-            margin-bottom: 12px;
-        }
-        
-        .logo i {
-            font-size: 32px;
-            color: var(--secondary);
-        }
-        
-        h1 {
-            font-size: 28px;
-            font-weight: 700;
-        }
-        
-        h1 span {
-            color: var(--secondary);
-        }
-        
-        .subtitle {
-            font-size: 16px;
-            opacity: 0.9;
-            max-width: 600px;
-            margin: 0 auto;
-        }
-        
-        .tabs {
-            display: flex;
-            background: white;
-            border-radius: 12px;
-            overflow: hidden;
             box-shadow: 0 4px 12px rgba(0,0,0,0.08);
-            margin-bottom: 25px;
         }
         
-        .tab-btn {
-            flex: 1;
-            padding: 16px;
-            border: none;
-            background: white;
-            color: var(--dark);
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.3s ease;
-            text-align: center;
-        }
-        
-        .tab-btn:hover {
-            background: #f0f0f0;
-        }
-        
-        .tab-btn.active {
-            background: var(--primary);
+        header {
+            background: linear-gradient(135deg, var(--primary), var(--primary-dark));
             color: white;
+            text-align: center;
         }
         
-        .tab-content {
-            display: none;
-            background: white;
-            padding: 25px;
-            border-radius: 16px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.08);
-        }
-        
-        .tab-content.active {
-            display: block;
-            animation: fadeIn 0.4s ease;
+        .progress {
+            background: #eee;
+            border-radius: 8px;
+            height: 14px;
+            margin: 15px 0 8px;
+            overflow: hidden;
         }
         
-        @keyframes fadeIn {
-            from { opacity: 0; transform: translateY(10px); }
-            to { opacity: 1; transform: translateY(0); }
+        .progress div {
+            background: var(--secondary);
+            height: 14px;
+            width: 0;
         }
         
         .form-group {
@@ -459,22 +6773,14 @@ app.get('/', (req, res) => {
             display: block;
             margin-bottom: 8px;
             font-weight: 600;
-            color: var(--dark);
         }
         
-        input, select, textarea {
+        input[type="tel"], input[type="number"], input[type="text"] {
             width: 100%;
             padding: 14px;
             border: 1px solid #ddd;
             border-radius: 10px;
             font-size: 16px;
-            transition: border-color 0.3s ease;
-        }
-        
-        input:focus, select:focus, textarea:focus {
-            border-color: var(--primary);
-            outline: none;
-            box-shadow: 0 0 0 3px rgba(0, 150, 136, 0.2);
         }
         
         .btn {
@@ -487,414 +6793,679 @@ app.get('/', (req, res) => {
             font-weight: 600;
             cursor: pointer;
             width: 100%;
-            transition: all 0.3s ease;
-            box-shadow: 0 4px 10px rgba(0,0,0,0.15);
-        }
-        
-        .btn:hover {
-            background: var(--primary-dark);
-            transform: translateY(-2px);
-            box-shadow: 0 6px 15px rgba(0,0,0,0.2);
         }
         
         .btn:disabled {
             background: #cccccc;
             cursor: not-allowed;
-            transform: none;
-            box-shadow: none;
         }
         
-        .status {
-            padding: 16px;
-            margin-top: 20px;
-            border-radius: 10px;
-            display: none;
-            animation: slideIn 0.3s ease;
+        #donors li {
+            list-style: none;
+            padding: 8px 0;
+            border-bottom: 1px solid #eee;
         }
         
-        @keyframes slideIn {
-            from { opacity: 0; transform: translateX(-20px); }
-            to { opacity: 1; transform: translateX(0); }
+        #status {
+            margin-top: 20px;
+            font-weight: 600;
         }
-        
-        .status.success {
-            background: #d4edda;
-            color: #155724;
-            border: 1px solid #c3e6da;
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1 id="title">Loading campaign...</h1>
+            <p id="description"></p>
+        </header>
+
+        <div class="card">
+            <p><strong id="raised">0</strong> <span class="currency"></span> raised of <span id="target">0</span> <span class="currency"></span> goal</p>
+            <div class="progress"><div id="progress-bar"></div></div>
+            <p id="summary"></p>
+        </div>
+
+        <div class="card" id="donate-card">
+            <h2 style="margin-bottom: 20px; color: var(--primary);">Donate</h2>
+            <form id="donate-form">
+                <div class="form-group">
+                    <label for="phone"><i class="fas fa-mobile-alt"></i> Your MTN Number</label>
+                    <input type="tel" id="phone" placeholder="e.g., 231887716973" required>
+                </div>
+                <div class="form-group">
+                    <label for="amount"><i class="fas fa-coins"></i> Amount (<span class="currency"></span>)</label>
+                    <input type="number" id="amount" placeholder="Enter amount" required>
+                </div>
+                <div class="form-group">
+                    <label for="name"><i class="fas fa-user"></i> Your Name (optional)</label>
+                    <input type="text" id="name" maxlength="50">
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" id="anonymous"> Donate anonymously</label>
+                </div>
+                <button type="submit" class="btn" id="donate-btn">
+                    <i class="fas fa-heart"></i> Donate with MTN
+                </button>
+            </form>
+            <p id="status"></p>
+        </div>
+
+        <div class="card">
+            <h2 style="margin-bottom: 10px; color: var(--primary);">Recent Donors</h2>
+            <ul id="donors"></ul>
+        </div>
+    </div>
+
+    <script>
+        const campaignId = decodeURIComponent(location.pathname.split('/').pop());
+        let idempotencyKey = null;
+        let MARKET = null;
+
+        // Same phone number rules as the server
+        ${normalizeMsisdn}
+
+        async function loadMarket() {
+            const response = await fetch('/api/market');
+            MARKET = (await response.json()).market;
+            document.querySelectorAll('.currency').forEach(el => { el.textContent = MARKET.currency; });
+            document.getElementById('amount').min = MARKET.minAmount;
+            document.getElementById('amount').max = MARKET.maxAmount;
         }
-        
-        .status.error {
-            background: #f8d7da;
-            color: #721c24;
-            border: 1px solid #f5c6cb;
+
+        function setText(id, text) {
+            document.getElementById(id).textContent = text;
         }
-        
-        .transaction-info {
-            background: #e3f2fd;
-            padding: 15px;
-            border-radius: 8px;
-            margin-top: 15px;
-            font-size: 14px;
+
+        async function loadCampaign() {
+            const response = await fetch(\`/api/campaigns/\${encodeURIComponent(campaignId)}\`);
+            const result = await response.json();
+            if (!result.success) {
+                setText('title', 'Campaign not found');
+                document.getElementById('donate-card').style.display = 'none';
+                return;
+            }
+
+            const campaign = result.campaign;
+            document.title = \`Akin NevMo - \${campaign.title}\`;
+            setText('title', campaign.title);
+            setText('description', campaign.description);
+            setText('raised', campaign.raised);
+            setText('target', campaign.targetAmount);
+            document.getElementById('progress-bar').style.width = campaign.percentComplete + '%';
+            setText('summary', campaign.open
+                ? \`\${campaign.donorCount} donation(s) so far - open until \${new Date(campaign.endDate).toLocaleDateString()}\`
+                : \`\${campaign.donorCount} donation(s) - this campaign has ended\`);
+            document.getElementById('donate-card').style.display = campaign.open ? 'block' : 'none';
+
+            const donors = document.getElementById('donors');
+            donors.replaceChildren(...campaign.recentDonors.map(donor => {
+                const item = document.createElement('li');
+                item.textContent = \`\${donor.name} - \${donor.amount} \${MARKET ? MARKET.currency : ''}\`;
+                return item;
+            }));
+            if (campaign.recentDonors.length === 0) setText('donors', 'Be the first to donate!');
         }
-        
-        .mtn-section {
-            background: white;
+
+        document.getElementById('donate-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const phone = document.getElementById('phone').value.trim();
+            if (MARKET && !normalizeMsisdn(phone, MARKET)) {
+                setText('status', \`❌ Please enter a valid MTN phone number (+\${MARKET.callingCode} and \${MARKET.nationalNumberLengths.join(' or ')} digits)\`);
+                return;
+            }
+
+            const button = document.getElementById('donate-btn');
+            button.disabled = true;
+            setText('status', 'Sending payment request...');
+            idempotencyKey = idempotencyKey || (window.crypto?.randomUUID
+                ? window.crypto.randomUUID()
+                : Date.now() + '-' + Math.random().toString(36).slice(2));
+
+            try {
+                const response = await fetch('/api/donate', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+                    body: JSON.stringify({
+                        campaignId,
+                        phone,
+                        amount: document.getElementById('amount').value,
+                        donorName: document.getElementById('name').value.trim() || undefined,
+                        anonymous: document.getElementById('anonymous').checked
+                    })
+                });
+                const result = await response.json();
+                idempotencyKey = null;
+                setText('status', result.success ? \`\${result.held ? '⏳' : '✅'} \${result.message}\` : \`❌ \${result.error}\`);
+                if (result.success) document.getElementById('donate-form').reset();
+            } catch (error) {
+                setText('status', '❌ Network error. Please check your connection.');
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        loadMarket().catch(() => {}).finally(() => {
+            loadCampaign().catch(() => setText('title', 'Could not load this campaign'));
+        });
+    </script>
+</body>
+</html>
+`;
+
+const ADMIN_PAGE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Akin NevMo - Operations</title>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        }
+
+        :root {
+            --primary: #009688;
+            --primary-dark: #00796b;
+            --secondary: #ff9800;
+            --danger: #e53935;
+            --dark: #333;
+        }
+
+        body {
+            background: linear-gradient(135deg, #f5f5f5, #e8f5e8);
+            color: var(--dark);
+            line-height: 1.6;
             padding: 20px;
+            min-height: 100vh;
+        }
+
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+        }
+
+        header, .card {
+            background: white;
+            padding: 25px;
             border-radius: 16px;
-            margin-top: 25px;
-            text-align: center;
+            margin-bottom: 25px;
             box-shadow: 0 4px 12px rgba(0,0,0,0.08);
         }
-        
-        .mtn-logo {
-            height: 40px;
-            margin: 0 auto 15px;
+
+        header {
+            background: linear-gradient(135deg, var(--primary), var(--primary-dark));
+            color: white;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
         }
-        
-        .security-note {
-            font-size: 14px;
-            color: #666;
-            margin-top: 10px;
-            line-height: 1.5;
+
+        h2 {
+            margin-bottom: 15px;
+            color: var(--primary);
         }
-        
-        .footer {
+
+        .stats {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+            gap: 15px;
+            margin-bottom: 20px;
+        }
+
+        .stat {
+            background: #f9f9f9;
+            border-radius: 12px;
+            padding: 15px;
             text-align: center;
-            margin-top: 30px;
-            color: #666;
+        }
+
+        .stat strong {
+            display: block;
+            font-size: 26px;
+            color: var(--primary-dark);
+        }
+
+        .columns {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(380px, 1fr));
+            gap: 20px;
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
             font-size: 14px;
         }
-        
-        @media (max-width: 600px) {
-            .tabs {
-                flex-direction: column;
-            }
-            
-            header {
-                padding: 20px 15px;
-            }
-            
-            h1 {
-                font-size: 24px;
-            }
+
+        th, td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #eee;
+        }
+
+        #transactions tbody tr {
+            cursor: pointer;
+        }
+
+        #transactions tbody tr:hover, #transactions tbody tr.selected {
+            background: #e0f2f1;
+        }
+
+        .filters {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+            gap: 10px;
+            margin-bottom: 15px;
+        }
+
+        label {
+            display: block;
+            font-size: 13px;
+            font-weight: 600;
+        }
+
+        input, select {
+            width: 100%;
+            padding: 10px;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            font-size: 14px;
+        }
+
+        .btn {
+            background: var(--primary);
+            color: white;
+            border: none;
+            padding: 10px 16px;
+            border-radius: 8px;
+            font-size: 15px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .btn.secondary {
+            background: white;
+            color: var(--primary-dark);
+            border: 1px solid var(--primary);
+        }
+
+        .btn:disabled {
+            background: #cccccc;
+            cursor: not-allowed;
+        }
+
+        .actions {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+            margin-top: 10px;
+        }
+
+        pre {
+            background: #263238;
+            color: #eceff1;
+            padding: 15px;
+            border-radius: 8px;
+            overflow: auto;
+            font-size: 13px;
+            margin-top: 10px;
+        }
+
+        .error {
+            color: var(--danger);
+            font-weight: 600;
+        }
+
+        .hidden {
+            display: none;
         }
     </style>
-</head>
-<body>
-    <div class="container">
-        <header>
-            <div class="logo">
-                <i class="fas fa-hand-holding-heart"></i>
-                <h1>Akin <span>NevMo</span></h1>
-            </div>
-            <p class="subtitle">Send love, save securely, and withdraw instantly using MTN Mobile Money</p>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1><i class="fas fa-chart-line"></i> Akin NevMo Operations</h1>
+            <button class="btn secondary hidden" id="sign-out">Sign out</button>
         </header>
 
-        <div class="tabs">
-            <button class="tab-btn active" data-tab="donate">
-                <i class="fas fa-donate"></i> Donate
-            </button>
-            <button class="tab-btn" data-tab="save">
-                <i class="fas fa-piggy-bank"></i> Save
-            </button>
-            <button class="tab-btn" data-tab="withdraw">
-                <i class="fas fa-wallet"></i> Withdraw
-            </button>
-        </div>
-
-        <!-- DONATE TAB -->
-        <div class="tab-content active" id="donate-tab">
-            <h2 style="margin-bottom: 20px; color: var(--primary);">Send a Donation</h2>
-            <form id="donate-form">
-                <div class="form-group">
-                    <label for="donate-phone"><i class="fas fa-mobile-alt"></i> Recipient's MTN Number</label>
-                    <input type="tel" id="donate-phone" placeholder="e.g., 231887716973" required>
-                </div>
-                <div class="form-group">
-                    <label for="donate-amount"><i class="fas fa-coins"></i> Amount (XAF)</label>
-                    <input type="number" id="donate-amount" min="100" placeholder="Enter amount" required>
-                </div>
-                <div class="form-group">
-                    <label for="donate-message"><i class="fas fa-comment"></i> Personal Message (Optional)</label>
-                    <textarea id="donate-message" rows="2" placeholder="Add a note for your loved one"></textarea>
-                </div>
-                <button type="submit" class="btn" id="donate-btn">
-                    <i class="fas fa-paper-plane"></i> Send Donation
-                </button>
+        <div class="card" id="sign-in-card">
+            <h2>Staff sign-in</h2>
+            <form id="sign-in-form">
+                <label for="api-key"><i class="fas fa-key"></i> Staff API key</label>
+                <input type="password" id="api-key" autocomplete="off" required>
+                <div class="actions"><button type="submit" class="btn">Sign in</button></div>
             </form>
-            <div id="donate-status" class="status"></div>
-            <div id="donate-transaction" class="transaction-info" style="display:none;"></div>
+            <p class="error" id="sign-in-error"></p>
         </div>
 
-        <!-- SAVE TAB -->
-        <div class="tab-content" id="save-tab">
-            <h2 style="margin-bottom: 20px; color: var(--primary);">Save for Your Goals</h2>
-            <form id="save-form">
-                <div class="form-group">
-                    <label for="save-goal"><i class="fas fa-bullseye"></i> Savings Goal</label>
-                    <input type="text" id="save-goal" placeholder="e.g., Emergency Fund, Birthday Gift" required>
+        <div id="dashboard" class="hidden">
+            <div class="card">
+                <h2>Overview</h2>
+                <form id="stats-form" class="filters">
+                    <div><label for="stats-from">From</label><input type="date" id="stats-from"></div>
+                    <div><label for="stats-to">To (inclusive)</label><input type="date" id="stats-to"></div>
+                    <div><label>&nbsp;</label><button type="submit" class="btn">Update</button></div>
+                </form>
+                <div class="stats">
+                    <div class="stat"><strong id="stat-count">-</strong>transactions</div>
+                    <div class="stat"><strong id="stat-amount">-</strong>requested</div>
+                    <div class="stat"><strong id="stat-successful">-</strong>successful</div>
+                    <div class="stat"><strong id="stat-success-rate">-</strong>success rate</div>
+                    <div class="stat"><strong id="stat-failure-rate">-</strong>failure rate</div>
                 </div>
-                <div class="form-group">
-                    <label for="save-amount"><i class="fas fa-coins"></i> Amount to Save (XAF)</label>
-                    <input type="number" id="save-amount" min="100" placeholder="Enter amount" required>
-                </div>
-                <div class="form-group">
-                    <label for="save-frequency"><i class="fas fa-calendar-alt"></i> Frequency</label>
-                    <select id="save-frequency" required>
-                        <option value="">Select frequency</option>
-                        <option value="daily">Daily</option>
-                        <option value="weekly">Weekly</option>
-                        <option value="monthly">Monthly</option>
-                    </select>
+                <div class="columns">
+                    <div>
+                        <h3>Per day</h3>
+                        <table id="by-day">
+                            <thead><tr><th>Day</th><th>Count</th><th>Amount</th><th>Successful</th><th>Failed</th><th>Success rate</th></tr></thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                    <div>
+                        <h3>Per type</h3>
+                        <table id="by-type">
+                            <thead><tr><th>Type</th><th>Count</th><th>Amount</th><th>Successful</th><th>Failed</th><th>Success rate</th></tr></thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
                 </div>
-                <button type="submit" class="btn" id="save-btn">
-                    <i class="fas fa-save"></i> Start Saving
-                </button>
-            </form>
-            <div id="save-status" class="status"></div>
-            <div id="save-transaction" class="transaction-info" style="display:none;"></div>
-        </div>
+            </div>
 
-        <!-- WITHDRAW TAB -->
-        <div class="tab-content" id="withdraw-tab">
-            <h2 style="margin-bottom: 20px; color: var(--primary);">Withdraw Funds</h2>
-            <form id="withdraw-form">
-                <div class="form-group">
-                    <label for="withdraw-amount"><i class="fas fa-coins"></i> Amount (XAF)</label>
-                    <input type="number" id="withdraw-amount" min="100" placeholder="Enter amount" required>
-                </div>
-                <div class="form-group">
-                    <label for="withdraw-phone"><i class="fas fa-mobile-alt"></i> Your MTN Number</label>
-                    <input type="tel" id="withdraw-phone" placeholder="e.g., 231887716973" required>
+            <div class="card">
+                <h2>Transactions</h2>
+                <form id="search-form" class="filters">
+                    <div><label for="search-status">Status</label><select id="search-status"><option value="">Any</option></select></div>
+                    <div><label for="search-type">Type</label><select id="search-type"><option value="">Any</option></select></div>
+                    <div><label for="search-phone">Phone</label><input type="tel" id="search-phone"></div>
+                    <div><label for="search-min">Min amount</label><input type="number" id="search-min" min="0"></div>
+                    <div><label for="search-max">Max amount</label><input type="number" id="search-max" min="0"></div>
+                    <div><label for="search-from">From</label><input type="date" id="search-from"></div>
+                    <div><label for="search-to">To (inclusive)</label><input type="date" id="search-to"></div>
+                    <div><label for="search-sort">Sort</label>
+                        <select id="search-sort">
+                            <option value="createdAt:desc">Newest first</option>
+                            <option value="createdAt:asc">Oldest first</option>
+                            <option value="amount:desc">Largest first</option>
+                            <option value="amount:asc">Smallest first</option>
+                            <option value="updatedAt:desc">Recently updated</option>
+                        </select>
+                    </div>
+                    <div><label>&nbsp;</label><button type="submit" class="btn">Search</button></div>
+                </form>
+                <div class="actions">
+                    <button class="btn secondary" id="export-csv"><i class="fas fa-file-csv"></i> Export CSV</button>
+                    <button class="btn secondary" id="export-jsonl"><i class="fas fa-file-code"></i> Export JSON Lines</button>
                 </div>
-                <button type="submit" class="btn" id="withdraw-btn">
-                    <i class="fas fa-wallet"></i> Withdraw to MTN
-                </button>
-            </form>
-            <div id="withdraw-status" class="status"></div>
-            <div id="withdraw-transaction" class="transaction-info" style="display:none;"></div>
-        </div>
-
-        <div class="mtn-section">
-            <svg class="mtn-logo" viewBox="0 0 200 60">
-                <path d="M0 0h200v60H0z" fill="#ffc300"/>
-                <path d="M10 30H20V20h10V10h10V20h10V30h10V40h-10V50h-10V-40H20V40H10V30z" fill="#fff"/>
-            </svg>
-            <p><strong>Powered by MTN Mobile Money</strong></p>
-            <p class="security-note">
-                <i class="fas fa-lock"></i> All transactions are secured with MTN's banking-grade encryption.<br>
-                Your money is protected at all times.
-            </p>
-        </div>
+                <p class="error" id="search-error"></p>
+                <table id="transactions">
+                    <thead><tr><th>Created</th><th>Type</th><th>Status</th><th>Amount</th><th>Phone</th><th>Reference</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+                <div class="actions"><button class="btn secondary hidden" id="load-more">Load more</button></div>
+            </div>
 
-        <div class="footer">
-            <p>&copy; 2023 Akin NevMo. All rights reserved.</p>
-            <p>Send love, support, and care through MTN Mobile Money</p>
+            <div class="card hidden" id="details-card">
+                <h2>Transaction <span id="details-id"></span></h2>
+                <div class="actions">
+                    <button class="btn" id="recheck"><i class="fas fa-sync"></i> Re-check status with MTN</button>
+                </div>
+                <p id="recheck-result"></p>
+                <h3 style="margin-top: 15px;">Status details</h3>
+                <pre id="details-status"></pre>
+                <h3 style="margin-top: 15px;">MTN response</h3>
+                <pre id="details-response"></pre>
+                <h3 style="margin-top: 15px;">Full record</h3>
+                <pre id="details-record"></pre>
+            </div>
         </div>
     </div>
 
     <script>
-        const BACKEND_URL = '';
-        
-        document.querySelectorAll('.tab-btn').forEach(button => {
-            button.addEventListener('click', () => {
-                document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-                document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
-                button.classList.add('active');
-                document.getElementById(button.dataset.tab + '-tab').classList.add('active');
-            });
-        });
+        const TRANSACTION_TYPES = ${JSON.stringify(TRANSACTION_TYPES)};
+        const TRANSACTION_STATUSES = ${JSON.stringify(Object.keys(TRANSACTION_STATUS_RANK))};
+        const DAY_MS = 24 * 60 * 60 * 1000;
+        let apiKey = sessionStorage.getItem('akinNevmoStaffKey');
+        let currency = '';
+        let nextCursor = null;
+        let selected = null;
 
-        function showStatus(id, message, type) {
-            const statusEl = document.getElementById(id);
-            statusEl.textContent = message;
-            statusEl.className = 'status ' + type;
-            statusEl.style.display = 'block';
-            setTimeout(() => { statusEl.style.display = 'none'; }, 6000);
+        function setText(id, text) {
+            document.getElementById(id).textContent = text;
         }
 
-        function showTransactionInfo(id, transactionId) {
-            const infoEl = document.getElementById(id);
-            infoEl.innerHTML = \`<strong>Transaction ID:</strong> \${transactionId}<br>
-            <strong>Status:</strong> Checking...<br>
-            <button onclick="checkTransactionStatus('\${transactionId}', '\${id}')">Check Status</button>\`;
-            infoEl.style.display = 'block';
+        function show(id, visible) {
+            document.getElementById(id).classList.toggle('hidden', !visible);
         }
 
-        function checkTransactionStatus(transactionId, infoId) {
-            fetch(\`\${BACKEND_URL}/api/transaction/\${transactionId}\`)
-            .then(res => res.json())
-            .then(data => {
-                const infoEl = document.getElementById(infoId);
-                if (data.success) {
-                    const status = data.mtmStatus?.status || data.transaction?.status || 'UNKNOWN';
-                    infoEl.innerHTML = \`<strong>Transaction ID:</strong> \${transactionId}<br>
-                    <strong>Status:</strong> \${status}<br>
-                    <strong>Amount:</strong> \${data.transaction?.amount || 'N/A'} XAF<br>
-                    <button onclick="checkTransactionStatus('\${transactionId}', '\${infoId}')">Refresh</button>\`;
-                } else {
-                    infoEl.innerHTML = \`<strong>Error:</strong> \${data.error}\`;
-                }
-            })
-            .catch(err => {
-                document.getElementById(infoId).innerHTML = '<strong>Error:</strong> Failed to check status';
+        // Call a staff API with the signed-in key. Signs out when the key is refused.
+        async function staffFetch(url, options = {}) {
+            const response = await fetch(url, {
+                ...options,
+                headers: { ...(options.headers || {}), 'X-API-Key': apiKey }
             });
+            if (response.status === 401) {
+                signOut('That API key was not accepted');
+                throw new Error('Not signed in');
+            }
+            return response;
         }
 
-        function setButtonState(buttonId, disabled, text = null) {
-            const btn = document.getElementById(buttonId);
-            btn.disabled = disabled;
-            if (text) btn.innerHTML = text;
+        // A table row of plain text cells
+        function row(values) {
+            const tr = document.createElement('tr');
+            values.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value === null || value === undefined ? '-' : value;
+                tr.appendChild(td);
+            });
+            return tr;
         }
 
-        // Updated form handlers with transaction status
-        document.getElementById('donate-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const phone = document.getElementById('donate-phone').value.trim();
-            const amount = document.getElementById('donate-amount').value;
-            const message = document.getElementById('donate-message').value.trim() || 'Donation from Akin NevMo';
-            
-            if (!/^\\d{10,12}$/.test(phone.replace(/\\D/g, ''))) {
-                showStatus('donate-status', '❌ Please enter a valid MTN phone number (10-12 digits)', 'error');
+        const rate = value => (value === null ? '-' : value + '%');
+
+        // A date input as an ISO date at the start of that day (UTC), or the start of the next day
+        function dayBound(id, nextDay) {
+            const value = document.getElementById(id).value;
+            if (!value) return null;
+            const date = new Date(value + 'T00:00:00Z');
+            return new Date(date.getTime() + (nextDay ? DAY_MS : 0)).toISOString();
+        }
+
+        async function loadStats() {
+            const params = new URLSearchParams();
+            const from = dayBound('stats-from', false);
+            const to = dayBound('stats-to', true);
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+
+            const result = await (await staffFetch('/api/admin/stats?' + params)).json();
+            if (!result.success) {
+                setText('search-error', result.error);
                 return;
             }
-            
-            setButtonState('donate-btn', true, '<i class="fas fa-spinner fa-spin"></i> Sending...');
-            showStatus('donate-status', 'Processing donation...', 'info');
-            
-            try {
-                const response = await fetch(\`\${BACKEND_URL}/api/donate\`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ phone, amount, message })
-                });
-                
-                const result = await response.json();
-                
-                if (result.success) {
-                    showStatus('donate-status', \`✅ Donation initiated! Transaction ID: \${result.transactionId}\`, 'success');
-                    showTransactionInfo('donate-transaction', result.transactionId);
-                    document.getElementById('donate-form').reset();
-                } else {
-                    showStatus('donate-status', \`❌ \${result.error}\`, 'error');
-                }
-            } catch (error) {
-                showStatus('donate-status', '❌ Network error. Please check your connection.', 'error');
-            } finally {
-                setButtonState('donate-btn', false, '<i class="fas fa-paper-plane"></i> Send Donation');
-            }
-        });
+            currency = result.currency;
+            const stats = result.stats;
+            setText('stat-count', stats.count);
+            setText('stat-amount', \`\${stats.amount} \${currency}\`);
+            setText('stat-successful', \`\${stats.successfulAmount} \${currency}\`);
+            setText('stat-success-rate', rate(stats.successRate));
+            setText('stat-failure-rate', rate(stats.failureRate));
 
-        document.getElementById('save-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const goal = document.getElementById('save-goal').value.trim();
-            const amount = document.getElementById('save-amount').value;
-            const frequency = document.getElementById('save-frequency').value;
-            
-            if (!goal || !amount || !frequency) {
-                showStatus('save-status', '❌ Please fill all fields', 'error');
+            document.querySelector('#by-day tbody').replaceChildren(...stats.byDay.slice().reverse().map(day =>
+                row([day.day, day.count, day.amount, day.successful, day.failed, rate(day.successRate)])));
+            document.querySelector('#by-type tbody').replaceChildren(...stats.byType.map(type =>
+                row([type.type, type.count, type.amount, type.successful, type.failed, rate(type.successRate)])));
+        }
+
+        // The search form as /api/transactions query parameters
+        function searchParams() {
+            const params = new URLSearchParams();
+            const [sort, order] = document.getElementById('search-sort').value.split(':');
+            params.set('sort', sort);
+            params.set('order', order);
+            const fields = { status: 'search-status', type: 'search-type', phone: 'search-phone', minAmount: 'search-min', maxAmount: 'search-max' };
+            Object.entries(fields).forEach(([name, id]) => {
+                const value = document.getElementById(id).value.trim();
+                if (value) params.set(name, value);
+            });
+            const from = dayBound('search-from', false);
+            const to = dayBound('search-to', true);
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+            return params;
+        }
+
+        async function search(more) {
+            const params = searchParams();
+            if (more && nextCursor) params.set('cursor', nextCursor);
+            setText('search-error', '');
+
+            const result = await (await staffFetch('/api/transactions?' + params)).json();
+            if (!result.success) {
+                setText('search-error', result.error);
                 return;
             }
-            
-            setButtonState('save-btn', true, '<i class="fas fa-spinner fa-spin"></i> Saving...');
-            showStatus('save-status', 'Processing savings...', 'info');
-            
-            try {
-                const response = await fetch(\`\${BACKEND_URL}/api/save\`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ goal, amount, frequency })
+
+            const body = document.querySelector('#transactions tbody');
+            if (!more) body.replaceChildren();
+            result.transactions.forEach(transaction => {
+                const tr = row([
+                    new Date(transaction.createdAt).toLocaleString(),
+                    transaction.type,
+                    transaction.status,
+                    \`\${transaction.amount} \${transaction.currency || currency}\`,
+                    transaction.payer || transaction.recipient,
+                    transaction.id
+                ]);
+                tr.addEventListener('click', () => {
+                    document.querySelectorAll('#transactions tr.selected').forEach(other => other.classList.remove('selected'));
+                    tr.classList.add('selected');
+                    showDetails(transaction);
                 });
-                
+                body.appendChild(tr);
+            });
+            if (!more && result.transactions.length === 0) body.appendChild(row(['No transactions match', '', '', '', '', '']));
+            nextCursor = result.nextCursor;
+            show('load-more', Boolean(nextCursor));
+        }
+
+        const pretty = value => (value === undefined || value === null ? 'None yet' : JSON.stringify(value, null, 2));
+
+        function showDetails(transaction) {
+            selected = transaction;
+            show('details-card', true);
+            setText('details-id', transaction.id);
+            setText('details-status', pretty(transaction.statusDetails));
+            setText('details-response', pretty(transaction.mtmResponse));
+            setText('details-record', pretty(transaction));
+            setText('recheck-result', '');
+            document.getElementById('details-card').scrollIntoView({ behavior: 'smooth' });
+        }
+
+        async function recheck() {
+            const button = document.getElementById('recheck');
+            button.disabled = true;
+            setText('recheck-result', 'Asking MTN...');
+            try {
+                const response = await staffFetch(\`/api/admin/transactions/\${encodeURIComponent(selected.id)}/recheck\`, { method: 'POST' });
                 const result = await response.json();
-                
-                if (result.success) {
-                    showStatus('save-status', \`✅ Savings initiated! Transaction ID: \${result.transactionId}\`, 'success');
-                    showTransactionInfo('save-transaction', result.transactionId);
-                    document.getElementById('save-form').reset();
-                } else {
-                    showStatus('save-status', \`❌ \${result.error}\`, 'error');
+                if (!result.success) {
+                    setText('recheck-result', \`❌ \${result.error}\`);
+                    return;
                 }
+                showDetails(result.transaction);
+                setText('recheck-result', \`✅ MTN says \${result.mtmStatus.status || 'UNKNOWN'} - now \${result.transaction.status}\`);
             } catch (error) {
-                showStatus('save-status', '❌ Network error. Please check your connection.', 'error');
+                setText('recheck-result', \`❌ \${error.message}\`);
             } finally {
-                setButtonState('save-btn', false, '<i class="fas fa-save"></i> Start Saving');
+                button.disabled = false;
             }
-        });
+        }
 
-        document.getElementById('withdraw-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const amount = document.getElementById('withdraw-amount').value;
-            const phone = document.getElementById('withdraw-phone').value.trim();
-            
-            if (!/^\\d{10,12}$/.test(phone.replace(/\\D/g, ''))) {
-                showStatus('withdraw-status', '❌ Please enter a valid MTN phone number (10-12 digits)', 'error');
+        // Download an export of the current search (the key is sent as a header, so no plain link)
+        async function exportTransactions(format) {
+            const params = searchParams();
+            params.set('format', format);
+            const response = await staffFetch('/api/transactions/export?' + params);
+            if (!response.ok) {
+                setText('search-error', (await response.json()).error);
                 return;
             }
-            
-            setButtonState('withdraw-btn', true, '<i class="fas fa-spinner fa-spin"></i> Withdrawing...');
-            showStatus('withdraw-status', 'Processing withdrawal...', 'info');
-            
-            try {
-                const response = await fetch(\`\${BACKEND_URL}/api/withdraw\`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ phone, amount })
-                });
-                
-                const result = await response.json();
-                
-                if (result.success) {
-                    showStatus('withdraw-status', \`✅ Withdrawal initiated! Transaction ID: \${result.transactionId}\`, 'success');
-                    showTransactionInfo('withdraw-transaction', result.transactionId);
-                    document.getElementById('withdraw-form').reset();
-                } else {
-                    showStatus('withdraw-status', \`❌ \${result.error}\`, 'error');
-                }
-            } catch (error) {
-                showStatus('withdraw-status', '❌ Network error. Please check your connection.', 'error');
-            } finally {
-                setButtonState('withdraw-btn', false, '<i class="fas fa-wallet"></i> Withdraw to MTN');
-            }
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = \`transactions-\${new Date().toISOString().slice(0, 10)}.\${format}\`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+
+        async function start() {
+            show('sign-in-card', false);
+            show('dashboard', true);
+            show('sign-out', true);
+            await loadStats();
+            await search(false);
+        }
+
+        function signOut(message) {
+            apiKey = null;
+            sessionStorage.removeItem('akinNevmoStaffKey');
+            show('sign-in-card', true);
+            show('dashboard', false);
+            show('sign-out', false);
+            setText('sign-in-error', message || '');
+        }
+
+        TRANSACTION_STATUSES.forEach(status => document.getElementById('search-status').add(new Option(status, status)));
+        TRANSACTION_TYPES.forEach(type => document.getElementById('search-type').add(new Option(type, type)));
+
+        document.getElementById('sign-in-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            apiKey = document.getElementById('api-key').value.trim();
+            sessionStorage.setItem('akinNevmoStaffKey', apiKey);
+            document.getElementById('api-key').value = '';
+            start().catch(() => {});
+        });
+        document.getElementById('sign-out').addEventListener('click', () => signOut());
+        document.getElementById('stats-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadStats().catch(() => {});
+        });
+        document.getElementById('search-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            search(false).catch(() => {});
         });
+        document.getElementById('load-more').addEventListener('click', () => search(true).catch(() => {}));
+        document.getElementById('recheck').addEventListener('click', recheck);
+        document.getElementById('export-csv').addEventListener('click', () => exportTransactions('csv').catch(() => {}));
+        document.getElementById('export-jsonl').addEventListener('click', () => exportTransactions('jsonl').catch(() => {}));
+
+        if (apiKey) start().catch(() => {});
     </script>
 </body>
 </html>
-  `);
-});
-
-// ======================
-// CREATE .ENV FILE IF MISSING
-// ======================
-
-const fs = require('fs');
-if (!fs.existsSync('.env')) {
-  fs.writeFileSync('.env', `# MTN SANDBOX CREDENTIALS
-MTN_CONSUMER_KEY=YOUR_CONSUMER_KEY_HERE
-MTN_CONSUMER_SECRET=YOUR_CONSUMER_SECRET_HERE
-MTN_SUBSCRIPTION_KEY=YOUR_SUBSCRIPTION_KEY_HERE
-
-# SERVER CONFIG
-PORT=3000
-BASE_URL=https://sandbox.momodeveloper.mtn.com
-TARGET_ENVIRONMENT=sandbox
-`);
-  console.log('='.repeat(60));
-  console.log('📁 Created .env file - PLEASE EDIT IT WITH YOUR MTN CREDENTIALS!');
-  console.log('='.repeat(60));
-}
+`;
 
-// ======================
-// START SERVER
-// ======================
-
-app.listen(PORT, () => {
-  console.log('='.repeat(60));
-  console.log('🚀 AKIN NEVMO IS RUNNING!');
-  console.log('='.repeat(60));
-  console.log(`📱 All donations go to: +${PLATFORM_PHONE}`);
-  console.log(`🌐 Open in browser: http://localhost:${PORT}`);
-  console.log(`🔧 Edit .env file to add your MTN credentials`);
-  console.log(`🛡️  Using environment: ${MTN_CONFIG.targetEnvironment}`);
-  console.log('='.repeat(60));
-});
+module.exports = {
+  createApp,
+  loadConfig,
+  createMemoryStore,
+  createFileStore,
+  createMtnClient,
+  createTokenManager,
+  createCircuitBreaker,
+  createLogger,
+  maskPhoneNumbers,
+  MtnError,
+  toMtnError,
+  normalizeMsisdn,
+  transactionStats,
+  parseCsv,
+  toCsvLine,
+  MARKETS
+};
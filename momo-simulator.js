@@ -0,0 +1,394 @@
+// === AKIN NEVMO - LOCAL MTN MOMO SIMULATOR ===
+// A fake MTN MoMo API for offline development and automated tests.
+// Run with: node momo-simulator.js
+// Then start the app with: BASE_URL=http://localhost:4000 CALLBACK_BASE_URL=http://localhost:3000 node server.js
+
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// ======================
+// SCENARIOS
+// ======================
+
+// What happens to a request for a given MSISDN:
+//   success  - PENDING, then SUCCESSFUL after settleDelayMs
+//   failure  - PENDING, then FAILED after settleDelayMs (reason: `reason` or INTERNAL_PROCESSING_ERROR)
+//   rejected - PENDING, then REJECTED after settleDelayMs (the payer declined)
+//   pending  - PENDING forever
+//   error    - the request itself answers HTTP 500
+//   slow     - like success, but every response for this MSISDN is delayed by `responseDelayMs`
+//   inactive - the account holder is not active (transfers and payment requests fail)
+// Scenarios are objects, e.g. { outcome: 'failure', reason: 'PAYER_NOT_FOUND' }.
+const DEFAULT_SCENARIOS = {
+  '231000000001': { outcome: 'failure', reason: 'PAYER_NOT_FOUND' },
+  '231000000002': { outcome: 'rejected', reason: 'APPROVAL_REJECTED' },
+  '231000000003': { outcome: 'pending' },
+  '231000000004': { outcome: 'error' },
+  '231000000005': { outcome: 'slow', responseDelayMs: 5000 },
+  '231000000006': { outcome: 'inactive' }
+};
+
+const PRODUCTS = ['collection', 'disbursement', 'remittance'];
+
+// Never kept in the request log: the API user's Basic credentials, bearer tokens and subscription keys
+const CREDENTIAL_HEADERS = ['authorization', 'ocp-apim-subscription-key', 'x-api-key', 'cookie'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ======================
+// SIMULATOR
+// ======================
+
+function createMomoSimulator({
+  scenarios = DEFAULT_SCENARIOS,
+  defaultScenario = { outcome: 'success' },
+  settleDelayMs = 500,
+  initialBalance = 1000000,
+  currency = 'EUR',
+  tokenTtlSeconds = 3600,
+  maxLoggedRequests = 500
+} = {}) {
+  const state = {
+    scenarios: { ...scenarios },
+    tokens: new Map(),
+    payments: new Map(),
+    balances: Object.fromEntries(PRODUCTS.map(product => [product, initialBalance])),
+    requests: [],
+    callbacks: []
+  };
+  const timers = new Set();
+
+  const scenarioFor = msisdn => state.scenarios[msisdn] || defaultScenario;
+
+  function later(fn, ms) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+  }
+
+  // Post the final state of a payment to the X-Callback-Url it was created with
+  async function sendCallback(payment) {
+    if (!payment.callbackUrl) return;
+
+    const method = payment.kind === 'requesttopay' ? 'put' : 'post';
+    const body = paymentView(payment);
+    try {
+      await axios[method](payment.callbackUrl, body, { headers: { 'Content-Type': 'application/json' } });
+      state.callbacks.push({ url: payment.callbackUrl, body, delivered: true });
+    } catch (error) {
+      state.callbacks.push({ url: payment.callbackUrl, body, delivered: false, error: error.message });
+      console.error(`❌ Simulator callback to ${payment.callbackUrl} failed:`, error.message);
+    }
+  }
+
+  function settle(payment, status, reason) {
+    payment.status = status;
+    if (reason) payment.reason = reason;
+    if (status === 'SUCCESSFUL') {
+      payment.financialTransactionId = String(crypto.randomInt(100000000, 999999999));
+      const change = payment.kind === 'requesttopay' ? Number(payment.amount) : -Number(payment.amount);
+      state.balances[payment.product] += change;
+    }
+    sendCallback(payment);
+  }
+
+  // Shape MTN returns from the status endpoints and sends to callbacks
+  function paymentView(payment) {
+    const party = payment.kind === 'requesttopay' ? 'payer' : 'payee';
+    return {
+      amount: payment.amount,
+      currency: payment.currency,
+      financialTransactionId: payment.financialTransactionId,
+      externalId: payment.externalId,
+      [party]: payment.party,
+      payerMessage: payment.payerMessage,
+      payeeNote: payment.payeeNote,
+      status: payment.status,
+      ...(payment.reason ? { reason: payment.reason } : {})
+    };
+  }
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Request log, useful for assertions in tests: the last `maxLoggedRequests` requests,
+  // with credential headers redacted
+  app.use((req, res, next) => {
+    if (!req.path.startsWith('/_sim')) {
+      const headers = { ...req.headers };
+      CREDENTIAL_HEADERS.filter(name => name in headers).forEach(name => { headers[name] = '[redacted]'; });
+      state.requests.push({
+        method: req.method,
+        path: req.path,
+        headers,
+        body: req.body,
+        at: new Date().toISOString()
+      });
+      if (state.requests.length > maxLoggedRequests) state.requests.shift();
+    }
+    next();
+  });
+
+  function requireSubscriptionKey(req, res, next) {
+    if (!req.get('Ocp-Apim-Subscription-Key')) {
+      return res.status(401).json({
+        statusCode: 401,
+        message: 'Access denied due to missing subscription key.'
+      });
+    }
+    next();
+  }
+
+  function requireBearerToken(req, res, next) {
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const issued = state.tokens.get(token);
+    if (!issued || issued.product !== req.params.product || issued.expiresAt < Date.now()) {
+      return res.status(401).json({
+        message: 'Access token is invalid or expired',
+        code: 'INVALID_TOKEN'
+      });
+    }
+    next();
+  }
+
+  function requireProduct(req, res, next) {
+    if (!PRODUCTS.includes(req.params.product)) {
+      return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Unknown product' });
+    }
+    next();
+  }
+
+  // ======================
+  // MTN ENDPOINTS
+  // ======================
+
+  // Token
+  app.post('/:product/token/', requireProduct, requireSubscriptionKey, (req, res) => {
+    const [consumerKey, consumerSecret] = Buffer
+      .from((req.get('Authorization') || '').replace(/^Basic\s+/i, ''), 'base64')
+      .toString()
+      .split(':');
+
+    if (!consumerKey || !consumerSecret) {
+      return res.status(401).json({ error: 'login_failed', error_description: 'Basic credentials required' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    state.tokens.set(accessToken, {
+      product: req.params.product,
+      expiresAt: Date.now() + tokenTtlSeconds * 1000
+    });
+    res.json({
+      access_token: accessToken,
+      token_type: 'access_token',
+      expires_in: tokenTtlSeconds
+    });
+  });
+
+  // Transfer (disbursement, remittance), RequestToPay (collection) and Refund (disbursement).
+  // A refund pays the payer of the RequestToPay named by referenceIdToRefund.
+  async function createPayment(req, res, kind) {
+    const referenceId = req.get('X-Reference-Id');
+    let party = kind === 'requesttopay' ? req.body.payer : req.body.payee;
+    if (kind === 'refund') {
+      const original = state.payments.get(req.body.referenceIdToRefund);
+      if (!original || original.kind !== 'requesttopay' || original.status !== 'SUCCESSFUL') {
+        return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Payment to refund was not found.' });
+      }
+      party = original.party;
+    }
+    const msisdn = party?.partyId;
+    const scenario = scenarioFor(msisdn);
+
+    if (scenario.outcome === 'slow') await sleep(scenario.responseDelayMs || 5000);
+
+    if (!referenceId || !msisdn || !req.body.amount) {
+      return res.status(400).json({ code: 'INVALID_REQUEST', message: 'X-Reference-Id, amount and party are required' });
+    }
+    if (state.payments.has(referenceId)) {
+      return res.status(409).json({ code: 'RESOURCE_ALREADY_EXIST', message: 'Duplicated reference id. Creation of resource failed.' });
+    }
+    if (scenario.outcome === 'error') {
+      return res.status(500).json({ code: 'INTERNAL_PROCESSING_ERROR', message: 'An internal error occurred while processing.' });
+    }
+
+    const payment = {
+      referenceId,
+      kind,
+      product: req.params.product,
+      amount: String(req.body.amount),
+      currency: req.body.currency || currency,
+      externalId: req.body.externalId,
+      party,
+      payerMessage: req.body.payerMessage,
+      payeeNote: req.body.payeeNote,
+      status: 'PENDING',
+      callbackUrl: req.get('X-Callback-Url')
+    };
+    state.payments.set(referenceId, payment);
+
+    if (scenario.outcome === 'inactive') {
+      later(() => settle(payment, 'FAILED', 'PAYEE_NOT_FOUND'), settleDelayMs);
+    } else if (scenario.outcome === 'failure') {
+      later(() => settle(payment, 'FAILED', scenario.reason || 'INTERNAL_PROCESSING_ERROR'), settleDelayMs);
+    } else if (scenario.outcome === 'rejected') {
+      later(() => settle(payment, 'REJECTED', scenario.reason || 'APPROVAL_REJECTED'), settleDelayMs);
+    } else if (scenario.outcome !== 'pending') {
+      later(() => {
+        if (kind !== 'requesttopay' && state.balances[payment.product] < Number(payment.amount)) {
+          return settle(payment, 'FAILED', 'NOT_ENOUGH_FUNDS');
+        }
+        settle(payment, 'SUCCESSFUL');
+      }, settleDelayMs);
+    }
+
+    res.status(202).end();
+  }
+
+  async function getPayment(req, res, kind) {
+    const payment = state.payments.get(req.params.referenceId);
+    if (!payment || payment.kind !== kind || payment.product !== req.params.product) {
+      return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+    }
+
+    const scenario = scenarioFor(payment.party.partyId);
+    if (scenario.outcome === 'slow') await sleep(scenario.responseDelayMs || 5000);
+    res.json(paymentView(payment));
+  }
+
+  app.post('/:product/v1_0/transfer', requireProduct, requireSubscriptionKey, requireBearerToken,
+    (req, res) => createPayment(req, res, 'transfer'));
+  app.get('/:product/v1_0/transfer/:referenceId', requireProduct, requireSubscriptionKey, requireBearerToken,
+    (req, res) => getPayment(req, res, 'transfer'));
+  app.post('/:product/v1_0/refund', requireProduct, requireSubscriptionKey, requireBearerToken,
+    (req, res) => createPayment(req, res, 'refund'));
+  app.get('/:product/v1_0/refund/:referenceId', requireProduct, requireSubscriptionKey, requireBearerToken,
+    (req, res) => getPayment(req, res, 'refund'));
+  app.post('/:product/v1_0/requesttopay', requireProduct, requireSubscriptionKey, requireBearerToken,
+    (req, res) => createPayment(req, res, 'requesttopay'));
+  app.get('/:product/v1_0/requesttopay/:referenceId', requireProduct, requireSubscriptionKey, requireBearerToken,
+    (req, res) => getPayment(req, res, 'requesttopay'));
+
+  // Balance
+  app.get('/:product/v1_0/account/balance', requireProduct, requireSubscriptionKey, requireBearerToken, (req, res) => {
+    res.json({
+      availableBalance: String(state.balances[req.params.product]),
+      currency
+    });
+  });
+
+  // Account holder
+  app.get('/:product/v1_0/accountholder/:idType/:id/active', requireProduct, requireSubscriptionKey, requireBearerToken, (req, res) => {
+    res.json({ result: scenarioFor(req.params.id).outcome !== 'inactive' });
+  });
+
+  app.get('/:product/v1_0/accountholder/msisdn/:msisdn/basicuserinfo', requireProduct, requireSubscriptionKey, requireBearerToken, (req, res) => {
+    const scenario = scenarioFor(req.params.msisdn);
+    if (scenario.outcome === 'inactive') {
+      return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+    }
+    const givenName = scenario.givenName || 'Test';
+    const familyName = scenario.familyName || `User ${req.params.msisdn.slice(-4)}`;
+    res.json({
+      sub: req.params.msisdn,
+      name: `${givenName} ${familyName}`,
+      given_name: givenName,
+      family_name: familyName,
+      locale: 'en',
+      updated_at: Math.floor(Date.now() / 1000)
+    });
+  });
+
+  // ======================
+  // SIMULATOR CONTROL
+  // ======================
+
+  // Script the outcome for one MSISDN: PUT /_sim/scenarios/231000000009 { "outcome": "failure" }
+  app.put('/_sim/scenarios/:msisdn', (req, res) => {
+    state.scenarios[req.params.msisdn] = req.body;
+    res.json({ msisdn: req.params.msisdn, scenario: req.body });
+  });
+
+  app.get('/_sim/state', (req, res) => {
+    res.json({
+      scenarios: state.scenarios,
+      balances: state.balances,
+      payments: Array.from(state.payments.values()),
+      callbacks: state.callbacks,
+      requests: state.requests.length
+    });
+  });
+
+  // Make every issued token invalid, to exercise 401 handling
+  app.post('/_sim/tokens/expire', (req, res) => {
+    state.tokens.clear();
+    res.json({ expired: true });
+  });
+
+  app.post('/_sim/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  function reset() {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    state.scenarios = { ...scenarios };
+    state.tokens.clear();
+    state.payments.clear();
+    state.requests = [];
+    state.callbacks = [];
+    PRODUCTS.forEach(product => { state.balances[product] = initialBalance; });
+  }
+
+  return {
+    app,
+    state,
+    reset,
+    setScenario(msisdn, scenario) {
+      state.scenarios[msisdn] = scenario;
+    },
+    // Stop pending settlements (call before closing the server in tests)
+    stop() {
+      timers.forEach(clearTimeout);
+      timers.clear();
+    }
+  };
+}
+
+module.exports = { createMomoSimulator, DEFAULT_SCENARIOS };
+
+// ======================
+// START SIMULATOR
+// ======================
+
+if (require.main === module) {
+  const PORT = process.env.MOMO_SIM_PORT || 4000;
+  const scenariosFile = process.env.MOMO_SIM_SCENARIOS;
+  const scenarios = scenariosFile
+    ? { ...DEFAULT_SCENARIOS, ...JSON.parse(fs.readFileSync(scenariosFile, 'utf8')) }
+    : DEFAULT_SCENARIOS;
+
+  const simulator = createMomoSimulator({
+    scenarios,
+    settleDelayMs: Number(process.env.MOMO_SIM_SETTLE_DELAY_MS) || 500
+  });
+
+  simulator.app.listen(PORT, () => {
+    console.log('='.repeat(60));
+    console.log('🧪 MTN MOMO SIMULATOR IS RUNNING!');
+    console.log('='.repeat(60));
+    console.log(`🌐 Point the app at it: BASE_URL=http://localhost:${PORT}`);
+    console.log('📱 Scripted MSISDNs:');
+    Object.entries(scenarios).forEach(([msisdn, scenario]) => {
+      console.log(`   ${msisdn} → ${scenario.outcome}`);
+    });
+    console.log('   anything else → success');
+    console.log('='.repeat(60));
+  });
+}
@@ -0,0 +1,158 @@
+// === AKIN NEVMO - SERVER ENTRY POINT ===
+// Run with: node server.js
+// The app itself is built by createApp() in akin-nevmo.js
+
+const fs = require('fs');
+
+// ======================
+// CREATE .ENV FILE IF MISSING
+// ======================
+
+if (!fs.existsSync('.env')) {
+  fs.writeFileSync('.env', `# MTN SANDBOX CREDENTIALS
+MTN_CONSUMER_KEY=YOUR_CONSUMER_KEY_HERE
+MTN_CONSUMER_SECRET=YOUR_CONSUMER_SECRET_HERE
+MTN_SUBSCRIPTION_KEY=YOUR_SUBSCRIPTION_KEY_HERE
+
+# MTN COLLECTION CREDENTIALS (optional - defaults to the values above)
+# MTN_COLLECTION_CONSUMER_KEY=
+# MTN_COLLECTION_CONSUMER_SECRET=
+# MTN_COLLECTION_SUBSCRIPTION_KEY=
+
+# MTN REMITTANCE CREDENTIALS (optional - defaults to the values above)
+# MTN_REMITTANCE_CONSUMER_KEY=
+# MTN_REMITTANCE_CONSUMER_SECRET=
+# MTN_REMITTANCE_SUBSCRIPTION_KEY=
+
+# SERVER CONFIG
+PORT=3000
+BASE_URL=https://sandbox.momodeveloper.mtn.com
+TARGET_ENVIRONMENT=sandbox
+
+# MARKET (country preset: LR, CM, CI, GH or UG - sets currency, amount limits and phone number rules)
+MARKET=LR
+# MARKET_CURRENCY=        (defaults to EUR in the sandbox, the country's currency otherwise)
+# MARKET_MIN_AMOUNT=
+# MARKET_MAX_AMOUNT=
+# MARKET_CALLING_CODE=
+# MARKET_NUMBER_LENGTHS=  (comma-separated digits after the calling code, e.g. 9)
+
+# MTN REQUESTS (timeout per request, retries with a random backoff, and a circuit breaker that
+# fails fast for MTN_CIRCUIT_RESET_MS after MTN_CIRCUIT_FAILURE_THRESHOLD outages in a row)
+# MTN_TIMEOUT_MS=10000
+# MTN_MAX_RETRIES=2
+# MTN_RETRY_BASE_DELAY_MS=200
+# MTN_RETRY_MAX_DELAY_MS=5000
+# MTN_CIRCUIT_FAILURE_THRESHOLD=5
+# MTN_CIRCUIT_RESET_MS=30000
+
+# MTN CALLBACKS (public URL of this server, e.g. https://akin-nevmo.example.com)
+# CALLBACK_BASE_URL=
+# CALLBACK_SECRET=
+
+# SIGN-IN (set a long random SESSION_SECRET so sessions survive restarts)
+SESSION_SECRET=
+SMS_PROVIDER=console
+# SMS_HTTP_URL=
+# SMS_HTTP_TOKEN=
+
+# RECONCILIATION (background status checks)
+RECONCILE_ENABLED=true
+# RECONCILE_INTERVAL_MS=60000
+# TRANSACTION_TIMEOUT_MS=86400000
+# RECONCILE_REPORT_HOUR_UTC=2
+
+# SAVINGS PLANS (scheduler that collects recurring savings)
+SAVINGS_SCHEDULER_ENABLED=true
+# SAVINGS_SCHEDULER_INTERVAL_MS=60000
+# SAVINGS_PLAN_MAX_RETRIES=2
+# SAVINGS_PLAN_RETRY_DELAY_MS=3600000
+
+# GIFTS (fee the sender pays on top of a gift: percent of the amount plus a fixed amount in the market currency)
+# GIFT_FEE_PERCENT=0
+# GIFT_FEE_FIXED=0
+
+# PAYEE VALIDATION (check with MTN that a number is an active MoMo account before paying it)
+PAYEE_VALIDATION_ENABLED=true
+# PAYEE_LOOKUP_CACHE_MS=300000
+# Name lookups per signed-in user and per client IP over the window
+# PAYEE_LOOKUPS_PER_USER=20
+# PAYEE_LOOKUPS_PER_IP=60
+# PAYEE_LOOKUP_WINDOW_MS=900000
+
+# RISK CHECKS (limits per phone number and client IP; rapid repeats and unusual amounts are held for review)
+RISK_CHECKS_ENABLED=true
+# RISK_TRANSACTION_LIMIT=  (defaults to MARKET_MAX_AMOUNT)
+# RISK_DAILY_LIMIT=        (defaults to 2x MARKET_MAX_AMOUNT)
+# RISK_MONTHLY_LIMIT=      (defaults to 10x MARKET_MAX_AMOUNT)
+# RISK_IP_DAILY_LIMIT=     (defaults to 5x MARKET_MAX_AMOUNT)
+# RISK_IP_MONTHLY_LIMIT=   (defaults to 20x MARKET_MAX_AMOUNT)
+# RISK_RAPID_REPEAT_COUNT=5
+# RISK_RAPID_REPEAT_WINDOW_MS=600000
+# RISK_UNUSUAL_AMOUNT_FACTOR=5
+# TRUST_PROXY_HOPS=0       (reverse proxies in front of the app, so the client IP is read correctly)
+
+# REFUNDS (default way to pay refunds: transfer or momo_refund)
+# REFUND_METHOD=transfer
+
+# BULK DISBURSEMENTS (CSV batches paid by staff)
+# BULK_MAX_ROWS=1000
+# BULK_CONCURRENCY=3       (payments sent to MTN at the same time)
+
+# WITHDRAWAL APPROVALS (withdrawals and campaign payouts above this amount need a second person to approve them)
+# WITHDRAWAL_APPROVAL_THRESHOLD=  (defaults to MARKET_MAX_AMOUNT / 5)
+
+# IDEMPOTENCY (how long Idempotency-Key replays are remembered)
+# IDEMPOTENCY_RETENTION_MS=86400000
+
+# STAFF API KEYS for admin routes (name:role:key, comma-separated; roles: admin, operator)
+# STAFF_API_KEYS=amina:admin:change-me-to-a-long-random-key
+
+# LOGGING (JSON lines with phone numbers masked; debug, info, warn or error)
+# LOG_LEVEL=info
+
+# STORAGE (file or memory)
+STORAGE=file
+DATA_FILE=./akin-nevmo-data.json
+# AUDIT_FILE=./akin-nevmo-data.json.audit.jsonl
+`);
+  console.log('='.repeat(60));
+  console.log('📁 Created .env file - PLEASE EDIT IT WITH YOUR MTN CREDENTIALS!');
+  console.log('='.repeat(60));
+}
+
+require('dotenv').config();
+const { createApp, loadConfig } = require('./akin-nevmo');
+
+// ======================
+// START SERVER
+// ======================
+
+const config = loadConfig();
+const app = createApp({ config });
+const staffKeyCount = app.locals.staffKeyCount;
+
+if (config.reconcile.enabled) {
+  app.locals.startReconciliationWorker();
+}
+
+if (config.savings.schedulerEnabled) {
+  app.locals.startSavingsScheduler();
+}
+
+// Finish bulk disbursements a restart interrupted
+app.locals.resumeDisbursementBatches();
+
+app.listen(config.port, () => {
+  console.log('='.repeat(60));
+  console.log('🚀 AKIN NEVMO IS RUNNING!');
+  console.log('='.repeat(60));
+  console.log(`📱 Withdrawals are paid from: +${config.platformPhone}`);
+  console.log(`🌐 Open in browser: http://localhost:${config.port}`);
+  console.log(`📊 Operations dashboard: http://localhost:${config.port}/admin`);
+  console.log(`🔧 Edit .env file to add your MTN credentials`);
+  console.log(`🛡️  Using environment: ${config.mtn.targetEnvironment}`);
+  console.log(`💱 Market: ${config.market.country} (${config.market.currency}, +${config.market.callingCode})`);
+  console.log(`🔑 Staff API keys: ${staffKeyCount}${staffKeyCount ? '' : ' (admin routes are locked - set STAFF_API_KEYS)'}`);
+  console.log('='.repeat(60));
+});
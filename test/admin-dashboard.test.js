@@ -0,0 +1,102 @@
+// Operations dashboard: the /admin page, its figures and the manual status re-check
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { transactionStats } = require('../akin-nevmo');
+const { OPERATOR_KEY, callback, withApp } = require('./helpers');
+
+const operator = { 'X-API-Key': OPERATOR_KEY };
+
+async function donate(ctx, amount, status) {
+  const { body } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount } });
+  if (status) await callback(ctx, body.transactionId, status);
+  return body.transactionId;
+}
+
+test.describe('transactionStats', () => {
+  test.it('totals by day and type with rates over finished transactions', () => {
+    const stats = transactionStats([
+      { type: 'donation', amount: 100, status: 'SUCCESSFUL', createdAt: '2026-03-01T10:00:00.000Z' },
+      { type: 'donation', amount: 200, status: 'FAILED', createdAt: '2026-03-01T11:00:00.000Z' },
+      { type: 'withdrawal', amount: 50.5, status: 'PENDING', createdAt: '2026-03-02T09:00:00.000Z' },
+      { type: 'withdrawal', amount: 300, status: 'SUCCESSFUL', createdAt: '2026-03-02T12:00:00.000Z' }
+    ]);
+
+    assert.equal(stats.count, 4);
+    assert.equal(stats.amount, 650.5);
+    assert.equal(stats.successfulAmount, 400);
+    assert.equal(stats.successRate, 66.7);
+    assert.equal(stats.failureRate, 33.3);
+    assert.deepEqual(stats.byDay.map(day => [day.day, day.count, day.successRate]), [
+      ['2026-03-01', 2, 50],
+      ['2026-03-02', 2, 100]
+    ]);
+    assert.deepEqual(stats.byType.map(type => [type.type, type.amount, type.failed]), [
+      ['donation', 300, 1],
+      ['withdrawal', 350.5, 0]
+    ]);
+  });
+
+  test.it('has no rates before anything has finished', () => {
+    const stats = transactionStats([{ type: 'donation', amount: 100, status: 'PENDING', createdAt: '2026-03-01T10:00:00.000Z' }]);
+    assert.equal(stats.successRate, null);
+    assert.equal(stats.failureRate, null);
+  });
+});
+
+test.describe('admin dashboard', () => {
+  test.it('is served at /admin without any data in the page', withApp(async ({ request }) => {
+    const { status, text } = await request('GET', '/admin');
+    assert.equal(status, 200);
+    assert.match(text, /Staff API key/);
+    assert.match(text, /bulk_disbursement/);
+  }));
+
+  test.it('shows figures for a date range', withApp(async ctx => {
+    await donate(ctx, 700, 'SUCCESSFUL');
+    await donate(ctx, 800, 'FAILED');
+    await donate(ctx, 900);
+
+    assert.equal((await ctx.request('GET', '/api/admin/stats')).status, 401);
+    const { body } = await ctx.request('GET', '/api/admin/stats', { headers: operator });
+    assert.equal(body.currency, 'EUR');
+    assert.equal(body.stats.count, 3);
+    assert.equal(body.stats.amount, 2400);
+    assert.equal(body.stats.successRate, 50);
+    assert.deepEqual(body.stats.byType.map(type => type.type), ['donation']);
+
+    const past = await ctx.request('GET', '/api/admin/stats?from=2020-01-01&to=2020-02-01', { headers: operator });
+    assert.equal(past.body.stats.count, 0);
+    const invalid = await ctx.request('GET', '/api/admin/stats?from=2020-02-01&to=2020-01-01', { headers: operator });
+    assert.equal(invalid.status, 400);
+  }));
+});
+
+test.describe('status re-check', () => {
+  test.it('asks MTN about a transfer now', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const { body: saved } = await ctx.request('POST', '/api/save', { headers: auth, body: { goal: 'Fund', amount: 1000 } });
+    await callback(ctx, saved.transactionId, 'SUCCESSFUL');
+    const { body: withdrawal } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 400 } });
+    ctx.mtn.statuses[withdrawal.transactionId] = 'SUCCESSFUL';
+
+    const url = `/api/admin/transactions/${withdrawal.transactionId}/recheck`;
+    assert.equal((await ctx.request('POST', url)).status, 401);
+    const { status, body } = await ctx.request('POST', url, { headers: operator });
+    assert.equal(status, 200);
+    assert.equal(body.mtmStatus.status, 'SUCCESSFUL');
+    assert.equal(body.transaction.status, 'SUCCESSFUL');
+    assert.deepEqual(body.transaction.statusDetails, body.mtmStatus);
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'getTransferStatus').length, 1);
+  }));
+
+  test.it('is refused for transactions MTN never saw', withApp({ env: { RISK_RAPID_REPEAT_COUNT: '1' } }, async ctx => {
+    assert.equal((await ctx.request('POST', '/api/admin/transactions/nope/recheck', { headers: operator })).status, 404);
+
+    await donate(ctx, 700);
+    const held = await donate(ctx, 700);
+    const { status } = await ctx.request('POST', `/api/admin/transactions/${held}/recheck`, { headers: operator });
+    assert.equal(status, 400);
+  }));
+});
@@ -0,0 +1,520 @@
+// Integration tests for every route, run with: node --test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const { OPERATOR_KEY, ADMIN_KEY, callback, mtnError, saver, savingsBalance, withApp } = require('./helpers');
+
+// Save into a goal and let MTN report the payment as successful
+async function fundGoal(ctx, auth, goal, amount) {
+  const { body } = await ctx.request('POST', '/api/save', { headers: auth, body: { goal, amount } });
+  ctx.mtn.statuses[body.transactionId] = 'SUCCESSFUL';
+  await ctx.request('GET', `/api/transaction/${body.transactionId}`);
+  return body.transactionId;
+}
+
+test.describe('GET /health', () => {
+  test.it('hides details from anonymous callers', withApp(async ({ request }) => {
+    const { status, body } = await request('GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'OK');
+    assert.equal(body.platformPhone, undefined);
+  }));
+
+  test.it('shows details to staff', withApp(async ({ request }) => {
+    const { body } = await request('GET', '/health', { headers: { 'X-API-Key': OPERATOR_KEY } });
+    assert.equal(body.platformPhone, '231887716973');
+    assert.equal(body.storage, 'memory');
+    assert.equal(body.transactionCount, 0);
+  }));
+});
+
+test.describe('sign-in', () => {
+  test.it('rejects registration without a valid phone and name', withApp(async ({ request }) => {
+    const { status, body } = await request('POST', '/api/auth/register', { body: { phone: '123', name: 'Ama' } });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+
+    for (const name of [undefined, '  ', 123, { first: 'Ama' }]) {
+      const invalid = await request('POST', '/api/auth/register', { body: { phone: '231887000001', name } });
+      assert.equal(invalid.status, 400, JSON.stringify(name));
+    }
+  }));
+
+  test.it('rejects a second registration for the same phone', withApp(async ({ request }) => {
+    await request('POST', '/api/auth/register', { body: { phone: '231887000001', name: 'Ama' } });
+    const { status } = await request('POST', '/api/auth/register', { body: { phone: '231-887-000-001', name: 'Ama' } });
+    assert.equal(status, 409);
+  }));
+
+  test.it('only sends codes to registered phones', withApp(async ({ request, sms }) => {
+    const unknown = await request('POST', '/api/auth/otp', { body: { phone: '231887000002' } });
+    assert.equal(unknown.status, 404);
+
+    await request('POST', '/api/auth/register', { body: { phone: '231887000002', name: 'Kofi' } });
+    const { status } = await request('POST', '/api/auth/otp', { body: { phone: '231887000002' } });
+    assert.equal(status, 200);
+    assert.equal(sms.length, 2);
+  }));
+
+  test.it('returns 500 when the SMS cannot be sent', withApp(async ({ app, store }) => {
+    const { createApp } = require('../akin-nevmo');
+    const failing = createApp({
+      config: app.locals.config,
+      store,
+      mtnClient: {},
+      sendSms: async () => { throw new Error('Failed to send SMS'); }
+    });
+    const server = failing.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phone: '231887000003', name: 'Esi' })
+      });
+      assert.equal(response.status, 500);
+      assert.equal((await response.json()).error, 'Failed to send SMS');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }));
+
+  test.it('exchanges the SMS code for a session', withApp(async ({ request, sms }) => {
+    await request('POST', '/api/auth/register', { body: { phone: '231887000001', name: 'Ama' } });
+    const wrong = await request('POST', '/api/auth/verify', { body: { phone: '231887000001', code: '000000' } });
+    assert.equal(wrong.status, 401);
+
+    const code = sms[0].message.match(/\d{6}/)[0];
+    const { status, body } = await request('POST', '/api/auth/verify', { body: { phone: '231887000001', code } });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.equal(body.user.name, 'Ama');
+
+    const reused = await request('POST', '/api/auth/verify', { body: { phone: '231887000001', code } });
+    assert.equal(reused.status, 401);
+  }));
+
+  test.it('limits how many codes a phone is sent', withApp(async ({ request, sms }) => {
+    await request('POST', '/api/auth/register', { body: { phone: '231887000001', name: 'Ama' } });
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await request('POST', '/api/auth/otp', { body: { phone: '231887000001' } })).status, 200);
+    }
+
+    const { status, headers } = await request('POST', '/api/auth/otp', { body: { phone: '231887000001' } });
+    assert.equal(status, 429);
+    assert.ok(Number(headers.get('retry-after')) > 0);
+    assert.equal(sms.length, 3);
+  }));
+
+  test.it('keeps counting wrong codes when a new code is sent', withApp(async ({ request, sms }) => {
+    await request('POST', '/api/auth/register', { body: { phone: '231887000001', name: 'Ama' } });
+    for (let i = 0; i < 5; i++) {
+      await request('POST', '/api/auth/verify', { body: { phone: '231887000001', code: '000000' } });
+    }
+
+    await request('POST', '/api/auth/otp', { body: { phone: '231887000001' } });
+    const code = sms.pop().message.match(/\d{6}/)[0];
+    const { status } = await request('POST', '/api/auth/verify', { body: { phone: '231887000001', code } });
+    assert.equal(status, 401);
+  }));
+});
+
+test.describe('GET /api/account', () => {
+  test.it('requires a session', withApp(async ({ request }) => {
+    assert.equal((await request('GET', '/api/account')).status, 401);
+    const forged = await request('GET', '/api/account', { headers: { Authorization: 'Bearer nope.nope' } });
+    assert.equal(forged.status, 401);
+  }));
+
+  test.it('lists savings balances', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await fundGoal(ctx, auth, 'School fees', 500);
+
+    const { body } = await ctx.request('GET', '/api/account', { headers: auth });
+    assert.equal(body.user.phone, '231887000001');
+    assert.deepEqual(body.balances, [{ goal: 'School fees', balance: 500 }]);
+  }));
+});
+
+test.describe('POST /api/donate', () => {
+  test.it('validates the phone and amount', withApp(async ({ request, mtn }) => {
+    const small = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 50 } });
+    assert.equal(small.status, 400);
+    const badPhone = await request('POST', '/api/donate', { body: { phone: '12345', amount: 500 } });
+    assert.equal(badPhone.status, 400);
+    assert.equal(badPhone.body.error, 'Invalid phone number');
+    assert.equal(mtn.calls.length, 0);
+  }));
+
+  test.it('requests the payment from the donor', withApp(async ({ request, mtn, store }) => {
+    const { status, body } = await request('POST', '/api/donate', { body: { phone: '+231 887 000 009', amount: 700 } });
+    assert.equal(status, 200);
+    assert.equal(mtn.calls[0].method, 'requestToPay');
+    assert.equal(mtn.calls[0].args.payer, '231887000009');
+    assert.equal(mtn.calls[0].args.referenceId, body.transactionId);
+    assert.equal(body.status, `Check status using /api/transaction/${body.transactionId}`);
+
+    const transaction = await store.getTransaction(body.transactionId);
+    assert.equal(transaction.status, 'ACCEPTED');
+    assert.equal(transaction.type, 'donation');
+  }));
+
+  test.it('marks the transaction FAILED when MTN refuses', withApp(async ({ request, mtn, store }) => {
+    mtn.requestToPay = async () => {
+      throw mtnError(400, { code: 'PAYER_NOT_FOUND', message: 'Payer not found' });
+    };
+    const { status, body } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    assert.equal(status, 422);
+    assert.equal(body.error, 'Payer not found');
+
+    const [transaction] = await store.listTransactions({});
+    assert.equal(transaction.status, 'FAILED');
+    assert.deepEqual(transaction.error, { code: 'PAYER_NOT_FOUND', message: 'Payer not found' });
+  }));
+
+  test.it('replays a repeated Idempotency-Key', withApp(async ({ request, mtn }) => {
+    const headers = { 'Idempotency-Key': 'donate-1' };
+    const body = { phone: '231887000009', amount: 700 };
+    const first = await request('POST', '/api/donate', { headers, body });
+    const second = await request('POST', '/api/donate', { headers, body });
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.equal(second.body.transactionId, first.body.transactionId);
+    assert.equal(mtn.calls.length, 1);
+
+    const changed = await request('POST', '/api/donate', { headers, body: { ...body, amount: 800 } });
+    assert.equal(changed.status, 422);
+  }));
+
+  test.it('frees an Idempotency-Key whose request ended without an answer', withApp(async ctx => {
+    const headers = { 'Idempotency-Key': 'donate-1' };
+    const body = { phone: '231887000009', amount: 700 };
+    let answerMtn;
+    const requestToPay = ctx.mtn.requestToPay;
+    ctx.mtn.requestToPay = () => new Promise(resolve => { answerMtn = resolve; });
+    let released;
+    const releasing = new Promise(resolve => { released = resolve; });
+    const releaseIdempotencyKey = ctx.store.releaseIdempotencyKey;
+    ctx.store.releaseIdempotencyKey = key => releaseIdempotencyKey(key).then(released);
+
+    // The client gives up while MTN is still being asked
+    const abort = new AbortController();
+    const first = fetch(`${ctx.baseUrl}/api/donate`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: abort.signal
+    }).catch(error => error);
+    while (!answerMtn) await new Promise(resolve => setImmediate(resolve));
+    abort.abort();
+    await first;
+    assert.equal(await releasing, true);
+
+    ctx.mtn.requestToPay = requestToPay;
+    const retry = await ctx.request('POST', '/api/donate', { headers, body });
+    assert.equal(retry.status, 200);
+
+    // The abandoned request finishing late does not replace the retry's answer
+    answerMtn({});
+    const replay = await ctx.request('POST', '/api/donate', { headers, body });
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.body.transactionId, retry.body.transactionId);
+  }));
+});
+
+test.describe('POST /api/save', () => {
+  test.it('requires a session', withApp(async ({ request }) => {
+    const { status } = await request('POST', '/api/save', { body: { goal: 'Fund', amount: 500 } });
+    assert.equal(status, 401);
+  }));
+
+  test.it('validates the goal and amount', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const { status } = await ctx.request('POST', '/api/save', { headers: auth, body: { goal: 'Fund', amount: 99 } });
+    assert.equal(status, 400);
+    const noGoal = await ctx.request('POST', '/api/save', { headers: auth, body: { amount: 500 } });
+    assert.equal(noGoal.status, 400);
+  }));
+
+  test.it('charges the signed-in user', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const { body } = await ctx.request('POST', '/api/save', { headers: auth, body: { goal: ' Fund ', amount: '500' } });
+    assert.equal(ctx.mtn.calls[0].args.payer, '231887000001');
+
+    const transaction = await ctx.store.getTransaction(body.transactionId);
+    assert.equal(transaction.type, 'saving');
+    assert.equal(transaction.goal, 'Fund');
+    assert.equal(transaction.amount, 500);
+  }));
+});
+
+test.describe('POST /api/withdraw', () => {
+  test.it('requires a session', withApp(async ({ request }) => {
+    const { status } = await request('POST', '/api/withdraw', { body: { goal: 'Fund', amount: 500 } });
+    assert.equal(status, 401);
+  }));
+
+  test.it('refuses to overdraw a goal', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await fundGoal(ctx, auth, 'Fund', 500);
+
+    const { status, body } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 600 } });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Insufficient balance. Available: 500 EUR');
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'transfer').length, 0);
+  }));
+
+  test.it('reserves the amount and pays the user', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await fundGoal(ctx, auth, 'Fund', 500);
+
+    const { status, body } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 300 } });
+    assert.equal(status, 200);
+    const transfer = ctx.mtn.calls.find(call => call.method === 'transfer');
+    assert.equal(transfer.args.payee, '231887000001');
+    assert.equal(transfer.args.referenceId, body.transactionId);
+
+    const account = await ctx.request('GET', '/api/account', { headers: auth });
+    assert.deepEqual(account.body.balances, [{ goal: 'Fund', balance: 200 }]);
+  }));
+
+  test.it('marks the transfer FAILED and releases the reserve when MTN fails', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await fundGoal(ctx, auth, 'Fund', 500);
+    ctx.mtn.transfer = async () => {
+      throw mtnError(500, { error: 'Internal error' });
+    };
+
+    const { status, body } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 300 } });
+    assert.equal(status, 502);
+    assert.equal(body.error, 'Internal error');
+
+    const [transaction] = await ctx.store.listTransactions({ status: 'FAILED' });
+    assert.equal(transaction.type, 'withdrawal');
+    assert.deepEqual(transaction.error, { error: 'Internal error' });
+
+    const account = await ctx.request('GET', '/api/account', { headers: auth });
+    assert.deepEqual(account.body.balances, [{ goal: 'Fund', balance: 500 }]);
+  }));
+
+  test.it('falls back to a generic error when MTN does not answer', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await fundGoal(ctx, auth, 'Fund', 500);
+    ctx.mtn.transfer = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+
+    const { body } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 300 } });
+    assert.equal(body.error, 'Transfer failed');
+    const [transaction] = await ctx.store.listTransactions({ status: 'FAILED' });
+    assert.equal(transaction.error, 'connect ECONNREFUSED');
+  }));
+});
+
+test.describe('GET /api/transaction/:referenceId', () => {
+  test.it('checks MTN while the transaction is unfinished', withApp(async ({ request, mtn }) => {
+    const { body: donation } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+
+    const pending = await request('GET', `/api/transaction/${donation.transactionId}`);
+    assert.equal(pending.body.transaction.status, 'PENDING');
+    assert.equal(pending.body.mtmStatus.status, 'PENDING');
+    assert.equal(mtn.calls.at(-1).method, 'getRequestToPayStatus');
+
+    mtn.statuses[donation.transactionId] = 'SUCCESSFUL';
+    const done = await request('GET', `/api/transaction/${donation.transactionId}`);
+    assert.equal(done.body.transaction.status, 'SUCCESSFUL');
+  }));
+
+  test.it('shows only what the customer may see', withApp({ env: { RISK_RAPID_REPEAT_COUNT: '1' } }, async ({ request, store }) => {
+    await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    const { body: donation } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    const stored = await store.getTransaction(donation.transactionId);
+    assert.ok(stored.ip && stored.riskFlags);
+
+    const { body, text } = await request('GET', `/api/transaction/${donation.transactionId}`);
+    assert.deepEqual(Object.keys(body.transaction).sort(), ['amount', 'createdAt', 'currency', 'id', 'message', 'status', 'type', 'updatedAt']);
+    assert.doesNotMatch(text, /231887000009|127\.0\.0\.1|RAPID_REPEATS/);
+  }));
+
+  test.it('serves final statuses from the store without calling MTN', withApp(async ({ request, mtn }) => {
+    const { body: donation } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    mtn.statuses[donation.transactionId] = 'FAILED';
+    await request('GET', `/api/transaction/${donation.transactionId}`);
+    const callsBefore = mtn.calls.length;
+
+    const { body } = await request('GET', `/api/transaction/${donation.transactionId}`);
+    assert.equal(body.transaction.status, 'FAILED');
+    assert.equal(body.mtmStatus, undefined);
+    assert.equal(mtn.calls.length, callsBefore);
+  }));
+
+  test.it('asks MTN about references it does not know', withApp(async ({ request, mtn }) => {
+    const referenceId = crypto.randomUUID();
+    mtn.statuses[referenceId] = 'SUCCESSFUL';
+
+    const { status, body } = await request('GET', `/api/transaction/${referenceId}`);
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Transaction found in MTN system');
+    assert.equal(body.mtmStatus.status, 'SUCCESSFUL');
+    assert.equal(mtn.calls.at(-1).method, 'getTransferStatus');
+  }));
+
+  test.it('returns 404 when MTN does not know the reference either', withApp(async ({ request, mtn }) => {
+    mtn.getTransferStatus = async () => {
+      throw mtnError(404, { code: 'RESOURCE_NOT_FOUND', error: 'Requested resource was not found.' });
+    };
+    const { status, body } = await request('GET', `/api/transaction/${crypto.randomUUID()}`);
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Requested resource was not found.');
+  }));
+});
+
+test.describe('MTN callbacks', () => {
+  test.it('applies a matching callback once', withApp(async ({ request, mtn, store }) => {
+    const { body: donation } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    const url = `/api/mtn/callback/${donation.transactionId}`;
+    const payload = { externalId: donation.transactionId, amount: '700', status: 'SUCCESSFUL' };
+    mtn.statuses[donation.transactionId] = 'SUCCESSFUL';
+
+    const first = await request('PUT', url, { body: payload });
+    assert.deepEqual(first.body, { success: true, applied: true, status: 'SUCCESSFUL' });
+    const again = await request('POST', url, { body: payload });
+    assert.equal(again.body.applied, false);
+    const stored = await store.getTransaction(donation.transactionId);
+    assert.equal(stored.status, 'SUCCESSFUL');
+    assert.ok(stored.callbackReceivedAt);
+  }));
+
+  test.it('apply the status MTN reports, not the one in the callback', withApp(async ({ request, mtn, store }) => {
+    const { body: donation } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    const { status, body } = await request('PUT', `/api/mtn/callback/${donation.transactionId}`, { body: { status: 'SUCCESSFUL' } });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'PENDING');
+    assert.equal(mtn.calls.pop().method, 'getRequestToPayStatus');
+    assert.equal((await store.getTransaction(donation.transactionId)).status, 'PENDING');
+  }));
+
+  test.it('settle a transaction that timed out', withApp(async ctx => {
+    const auth = await saver(ctx, 1000);
+    const { body } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 300 } });
+    test.mock.timers.enable({ apis: ['Date'], now: Date.now() + ctx.config.reconcile.timeoutMs + 1 });
+    try {
+      await ctx.app.locals.reconcilePendingTransactions();
+    } finally {
+      test.mock.timers.reset();
+    }
+    assert.equal((await ctx.store.getTransaction(body.transactionId)).status, 'TIMED_OUT');
+    assert.equal(await savingsBalance(ctx, auth), 700);
+
+    const late = await callback(ctx, body.transactionId, 'FAILED');
+    assert.deepEqual(late.body, { success: true, applied: true, status: 'FAILED' });
+    assert.equal(await savingsBalance(ctx, auth), 1000);
+  }));
+
+  test.it('rejects unknown references and mismatched payloads', withApp(async ({ request }) => {
+    const unknown = await request('POST', `/api/mtn/callback/${crypto.randomUUID()}`, { body: { status: 'SUCCESSFUL' } });
+    assert.equal(unknown.status, 404);
+
+    const { body: donation } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    const wrongAmount = await request('POST', `/api/mtn/callback/${donation.transactionId}`, {
+      body: { externalId: donation.transactionId, amount: '7000', status: 'SUCCESSFUL' }
+    });
+    assert.equal(wrongAmount.status, 400);
+    const noStatus = await request('POST', `/api/mtn/callback/${donation.transactionId}`, { body: {} });
+    assert.equal(noStatus.status, 400);
+  }));
+
+  test.it('checks the signature when a callback secret is set', withApp({
+    env: { CALLBACK_BASE_URL: 'https://akin.example.com', CALLBACK_SECRET: 'callback-secret' }
+  }, async ({ request, mtn }) => {
+    const { body: donation } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    mtn.statuses[donation.transactionId] = 'SUCCESSFUL';
+    const callbackUrl = new URL(mtn.calls[0].args.callbackUrl);
+    assert.equal(callbackUrl.pathname, `/api/mtn/callback/${donation.transactionId}`);
+
+    const payload = { externalId: donation.transactionId, status: 'SUCCESSFUL' };
+    const forged = await request('PUT', `${callbackUrl.pathname}?signature=bad`, { body: payload });
+    assert.equal(forged.status, 403);
+    const signed = await request('PUT', callbackUrl.pathname + callbackUrl.search, { body: payload });
+    assert.equal(signed.body.applied, true);
+  }));
+});
+
+test.describe('staff routes', () => {
+  const routes = ['/api/transactions', '/api/transactions/export', '/api/admin/reconciliation', '/api/admin/savings-plans', '/api/admin/gifts', '/api/admin/held-transactions', '/api/admin/withdrawal-approvals', '/api/admin/stats', '/api/admin/audit-log', '/api/ledger/accounts'];
+
+  test.it('require a staff API key', withApp(async ({ request }) => {
+    for (const url of routes) {
+      assert.equal((await request('GET', url)).status, 401, url);
+      assert.equal((await request('GET', url, { headers: { 'X-API-Key': 'wrong' } })).status, 401, url);
+      assert.equal((await request('GET', url, { headers: { 'X-API-Key': ADMIN_KEY } })).status, 200, url);
+    }
+    const missing = await request('GET', '/api/ledger/accounts/platform:wallet', { headers: { 'X-API-Key': ADMIN_KEY } });
+    assert.equal(missing.status, 404);
+  }));
+
+  test.it('filter transactions', withApp(async ({ request }) => {
+    await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    await request('POST', '/api/donate', { body: { phone: '231887000008', amount: 800 } });
+
+    const headers = { 'X-API-Key': OPERATOR_KEY };
+    const all = await request('GET', '/api/transactions', { headers });
+    assert.equal(all.body.count, 2);
+    const one = await request('GET', '/api/transactions?phone=231887000008', { headers });
+    assert.equal(one.body.count, 1);
+    assert.equal(Object.values(one.body.transactions)[0].amount, 800);
+  }));
+
+  test.it('show ledger balances', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await fundGoal(ctx, auth, 'Fund', 500);
+
+    const headers = { 'X-API-Key': OPERATOR_KEY };
+    const { body } = await ctx.request('GET', '/api/ledger/accounts?prefix=savings:', { headers });
+    assert.deepEqual(body.accounts.map(account => [account.account, account.balance]), [['savings:231887000001:Fund', 500]]);
+
+    const wallet = await ctx.request('GET', '/api/ledger/accounts/platform:wallet', { headers });
+    assert.equal(wallet.body.account.balance, 500);
+  }));
+
+  test.it('report the last reconciliation run', withApp(async ({ app, request }) => {
+    await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    await app.locals.reconcilePendingTransactions();
+
+    const { body } = await request('GET', '/api/admin/reconciliation', { headers: { 'X-API-Key': OPERATOR_KEY } });
+    assert.equal(body.lastPendingRun.checked, 1);
+  }));
+
+  test.it('time out transactions past the deadline and stop checking them', withApp(async ({ app, request, mtn, store, config }) => {
+    const { body: donation } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    test.mock.timers.enable({ apis: ['Date'], now: Date.now() + config.reconcile.timeoutMs + 1 });
+    try {
+      await app.locals.reconcilePendingTransactions();
+      await app.locals.reconcilePendingTransactions();
+    } finally {
+      test.mock.timers.reset();
+    }
+
+    assert.equal((await store.getTransaction(donation.transactionId)).status, 'TIMED_OUT');
+    assert.equal(mtn.calls.filter(call => call.method === 'getRequestToPayStatus').length, 0);
+    const { body } = await request('GET', '/api/admin/reconciliation', { headers: { 'X-API-Key': OPERATOR_KEY } });
+    assert.deepEqual([body.lastPendingRun.checked, body.lastPendingRun.timedOut], [0, 0]);
+  }));
+});
+
+test.describe('GET /', () => {
+  test.it('serves the customer page', withApp(async ({ request }) => {
+    const { status, text } = await request('GET', '/');
+    assert.equal(status, 200);
+    assert.match(text, /Akin NevMo/);
+  }));
+
+  test.it('writes what users typed as text, not HTML', withApp(async ({ request }) => {
+    const { text } = await request('GET', '/');
+    const [script] = text.match(/<script>([\s\S]*?)<\/script>/).slice(1);
+    assert.doesNotThrow(() => new vm.Script(script));
+    assert.doesNotMatch(script, /innerHTML[^;]*(user\.name|goal\.name|plan\.goal|b\.goal)/);
+  }));
+});
@@ -0,0 +1,113 @@
+// Maker-checker approvals: large withdrawals and payouts wait for a second person
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPERATOR_KEY, ADMIN_KEY, callback, saver, savingsBalance, transfers, withApp } = require('./helpers');
+
+const SECOND_ADMIN_KEY = 'test-second-admin-key';
+const operator = { 'X-API-Key': OPERATOR_KEY };
+const admin = { 'X-API-Key': ADMIN_KEY };
+const secondAdmin = { 'X-API-Key': SECOND_ADMIN_KEY };
+const env = {
+  WITHDRAWAL_APPROVAL_THRESHOLD: '500',
+  STAFF_API_KEYS: `ops:operator:${OPERATOR_KEY},boss:admin:${ADMIN_KEY},kofi:admin:${SECOND_ADMIN_KEY}`
+};
+
+function withdraw(ctx, auth, amount) {
+  return ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount } });
+}
+
+function decide(ctx, referenceId, action, headers, body = {}) {
+  return ctx.request('POST', `/api/admin/withdrawal-approvals/${referenceId}/${action}`, { headers, body });
+}
+
+test.describe('large withdrawals', () => {
+  test.it('are sent straight away up to the threshold', withApp({ env }, async ctx => {
+    const auth = await saver(ctx);
+    const { body } = await withdraw(ctx, auth, 500);
+    assert.equal(body.pendingApproval, false);
+    assert.equal(transfers(ctx).length, 1);
+  }));
+
+  test.it('wait for approval above it with the savings set aside', withApp({ env }, async ctx => {
+    const auth = await saver(ctx);
+    const { status, body } = await withdraw(ctx, auth, 600);
+    assert.equal(status, 200);
+    assert.equal(body.pendingApproval, true);
+    assert.match(body.message, /needs to be approved/);
+    assert.equal(transfers(ctx).length, 0);
+    assert.equal(await savingsBalance(ctx, auth), 400);
+
+    const { body: list } = await ctx.request('GET', '/api/admin/withdrawal-approvals', { headers: operator });
+    assert.equal(list.count, 1);
+    assert.equal(list.transactions[0].id, body.transactionId);
+    assert.equal(list.transactions[0].approval.requestedBy, '231887000001');
+  }));
+
+  test.it('are sent once an admin approves them', withApp({ env }, async ctx => {
+    const auth = await saver(ctx);
+    const { body: pending } = await withdraw(ctx, auth, 600);
+
+    assert.equal((await decide(ctx, pending.transactionId, 'approve', operator)).status, 403);
+    const { status, body } = await decide(ctx, pending.transactionId, 'approve', admin, { note: 'Checked with the saver' });
+    assert.equal(status, 200);
+    assert.equal(body.transaction.status, 'ACCEPTED');
+    assert.equal(body.transaction.approval.decision, 'APPROVED');
+    assert.equal(body.transaction.approval.decidedBy, 'boss');
+    assert.equal(body.transaction.approval.note, 'Checked with the saver');
+    assert.ok(body.transaction.approval.decidedAt);
+    assert.equal(transfers(ctx)[0].args.referenceId, pending.transactionId);
+
+    assert.equal((await decide(ctx, pending.transactionId, 'approve', secondAdmin)).status, 404);
+  }));
+
+  test.it('return the savings when rejected', withApp({ env }, async ctx => {
+    const auth = await saver(ctx);
+    const { body: pending } = await withdraw(ctx, auth, 600);
+
+    const { body } = await decide(ctx, pending.transactionId, 'reject', admin);
+    assert.equal(body.transaction.status, 'REJECTED');
+    assert.equal(body.transaction.approval.decidedBy, 'boss');
+    assert.equal(transfers(ctx).length, 0);
+    assert.equal(await savingsBalance(ctx, auth), 1000);
+  }));
+
+  test.it('still need approval after a held review', withApp({ env: { ...env, RISK_RAPID_REPEAT_COUNT: '1' } }, async ctx => {
+    const auth = await saver(ctx);
+    await withdraw(ctx, auth, 200);
+    const { body: held } = await withdraw(ctx, auth, 600);
+    assert.equal(held.held, true);
+
+    const cleared = await ctx.request('POST', `/api/admin/held-transactions/${held.transactionId}/approve`, { headers: admin, body: {} });
+    assert.equal(cleared.body.transaction.status, 'PENDING_APPROVAL');
+    assert.equal(transfers(ctx).length, 1);
+
+    await decide(ctx, held.transactionId, 'approve', secondAdmin);
+    assert.equal(transfers(ctx).length, 2);
+  }));
+});
+
+test.describe('large campaign payouts', () => {
+  test.it('need an admin other than the one who asked for them', withApp({ env }, async ctx => {
+    const { body: created } = await ctx.request('POST', '/api/admin/campaigns', {
+      headers: operator,
+      body: { title: 'Roof', beneficiary: '231887000050', targetAmount: 5000, endDate: new Date(Date.now() + 86400000).toISOString() }
+    });
+    const campaignId = created.campaign.id;
+    const { body: donation } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1500, campaignId } });
+    await callback(ctx, donation.transactionId, 'SUCCESSFUL');
+
+    const { body: payout } = await ctx.request('POST', `/api/admin/campaigns/${campaignId}/payout`, { headers: admin, body: { amount: 1000 } });
+    assert.equal(payout.pendingApproval, true);
+
+    const own = await decide(ctx, payout.transactionId, 'approve', admin);
+    assert.equal(own.status, 403);
+    assert.equal(transfers(ctx).length, 0);
+
+    const { body } = await decide(ctx, payout.transactionId, 'approve', secondAdmin);
+    assert.equal(body.transaction.approval.requestedBy, 'boss');
+    assert.equal(body.transaction.approval.decidedBy, 'kofi');
+    assert.equal(transfers(ctx)[0].args.payee, '231887000050');
+  }));
+});
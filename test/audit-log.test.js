@@ -0,0 +1,164 @@
+// Audit log: who moved money or changed anything as staff, from where, and what changed
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileStore, createMemoryStore } = require('../akin-nevmo');
+const { OPERATOR_KEY, ADMIN_KEY, callback, withApp } = require('./helpers');
+
+const operator = { 'X-API-Key': OPERATOR_KEY };
+const admin = { 'X-API-Key': ADMIN_KEY };
+
+function auditLog(ctx, query = '') {
+  return ctx.request('GET', `/api/admin/audit-log${query}`, { headers: admin });
+}
+
+test.describe('audit log', () => {
+  test.it('follows a donation from the request to MTN\'s answer', withApp(async ctx => {
+    const { body } = await ctx.request('POST', '/api/donate', {
+      headers: { 'X-Request-Id': 'donate-1' },
+      body: { phone: '231887000009', amount: 700 }
+    });
+    await callback(ctx, body.transactionId, 'SUCCESSFUL');
+
+    const { entries } = (await auditLog(ctx, `?targetId=${body.transactionId}`)).body;
+    assert.deepEqual(entries.map(entry => [entry.action, entry.actor.type]), [
+      ['transaction.updated', 'mtn'],
+      ['transaction.updated', 'anonymous'],
+      ['transaction.created', 'anonymous']
+    ]);
+
+    const [settled, accepted, created] = entries;
+    assert.equal(created.requestId, 'donate-1');
+    assert.match(created.ip, /127\.0\.0\.1/);
+    assert.equal(created.before, null);
+    assert.equal(created.after.payer, '231887000009');
+    assert.equal(created.after.status, 'INITIATED');
+    assert.deepEqual([accepted.before.status, accepted.after.status], ['INITIATED', 'ACCEPTED']);
+    assert.deepEqual([settled.before.status, settled.after.status], ['ACCEPTED', 'SUCCESSFUL']);
+  }));
+
+  test.it('names the signed-in user behind a saving', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await ctx.request('POST', '/api/save', { headers: auth, body: { goal: 'Fund', amount: 500 } });
+
+    const { entries } = (await auditLog(ctx, '?action=transaction.created')).body;
+    assert.deepEqual(entries[0].actor, { type: 'user', phone: '231887000001' });
+    assert.equal((await auditLog(ctx, '?actor=0887000001')).body.count, 2);
+  }));
+
+  test.it('names the staff member behind admin actions', withApp(async ctx => {
+    const { body } = await ctx.request('POST', '/api/admin/campaigns', {
+      headers: operator,
+      body: { title: 'Roof', beneficiary: '231887000050', targetAmount: 5000, endDate: new Date(Date.now() + 86400000).toISOString() }
+    });
+    await ctx.request('POST', `/api/admin/campaigns/${body.campaign.id}/close`, { headers: operator });
+    await ctx.request('GET', '/api/transactions/export?format=jsonl', { headers: operator });
+
+    const { entries } = (await auditLog(ctx, '?actor=ops')).body;
+    assert.deepEqual(entries.map(entry => entry.action), ['transactions.exported', 'campaign.closed', 'campaign.created']);
+    assert.deepEqual(entries[0].actor, { type: 'staff', name: 'ops', role: 'operator' });
+    assert.equal(entries[0].details.format, 'jsonl');
+    assert.deepEqual(entries[1].target, { type: 'campaign', id: body.campaign.id });
+    assert.deepEqual([entries[1].before.status, entries[1].after.status], ['ACTIVE', 'CLOSED']);
+  }));
+
+  test.it('records bulk disbursements uploaded as CSV', withApp(async ctx => {
+    const { body: donation } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000 } });
+    await callback(ctx, donation.transactionId, 'SUCCESSFUL');
+    const { body } = await ctx.request('POST', '/api/admin/disbursements', {
+      headers: { ...admin, 'Content-Type': 'text/csv' },
+      body: '231887000021,100,Rent'
+    });
+    await ctx.app.locals.runDisbursementBatch(body.batch.id);
+
+    const { entries } = (await auditLog(ctx, '?actorType=staff')).body;
+    assert.deepEqual(entries.map(entry => entry.action), ['transaction.updated', 'transaction.created', 'disbursement_batch.created']);
+    assert.ok(entries.every(entry => entry.actor.name === 'boss'));
+  }));
+
+  test.it('pages from newest to oldest', withApp(async ctx => {
+    for (const amount of [700, 800, 900]) {
+      await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount } });
+    }
+
+    const first = await auditLog(ctx, '?action=transaction.created&limit=2');
+    assert.deepEqual(first.body.entries.map(entry => entry.after.amount), [900, 800]);
+    const second = await auditLog(ctx, `?action=transaction.created&limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(second.body.entries.map(entry => entry.after.amount), [700]);
+    assert.equal(second.body.nextCursor, null);
+  }));
+
+  test.it('is for admins only and checks its query', withApp(async ctx => {
+    assert.equal((await ctx.request('GET', '/api/admin/audit-log', { headers: operator })).status, 403);
+    for (const query of ['?actorType=robot', '?from=someday', '?limit=0', '?limit=501', '?cursor=abc']) {
+      assert.equal((await auditLog(ctx, query)).status, 400, query);
+    }
+  }));
+});
+
+test.describe('audit log store', () => {
+  test.it('numbers entries and hands out copies', async () => {
+    const store = createMemoryStore();
+    const first = await store.appendAuditEntry({ action: 'a', actor: { type: 'system' }, at: '2026-01-01T00:00:00.000Z' });
+    await store.appendAuditEntry({ action: 'b', actor: { type: 'system' }, at: '2026-01-02T00:00:00.000Z' });
+    assert.equal(first.sequence, 1);
+
+    const { entries } = await store.listAuditEntries({ from: '2026-01-02T00:00:00.000Z' });
+    assert.deepEqual(entries.map(entry => entry.sequence), [2]);
+    entries[0].action = 'changed';
+    assert.equal((await store.listAuditEntries()).entries[0].action, 'b');
+  });
+
+  test.it('appends entries to a file of their own', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'akin-nevmo-'));
+    const dataFile = path.join(dir, 'data.json');
+    const auditFile = `${dataFile}.audit.jsonl`;
+    try {
+      const store = createFileStore(dataFile);
+      await store.appendAuditEntry({ action: 'a', actor: { type: 'system' }, at: '2026-01-01T00:00:00.000Z' });
+      await store.appendAuditEntry({ action: 'b', actor: { type: 'system' }, at: '2026-01-02T00:00:00.000Z' });
+      assert.equal(JSON.parse(fs.readFileSync(dataFile, 'utf8')).auditLog, undefined);
+      assert.deepEqual(fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line).action), ['a', 'b']);
+
+      // A line cut short by a crash is dropped
+      fs.appendFileSync(auditFile, '{"action":"c"');
+      const reopened = createFileStore(dataFile);
+      assert.equal((await reopened.appendAuditEntry({ action: 'd', actor: { type: 'system' }, at: '2026-01-03T00:00:00.000Z' })).sequence, 3);
+      assert.deepEqual((await reopened.listAuditEntries()).entries.map(entry => entry.action), ['d', 'b', 'a']);
+      assert.deepEqual((await createFileStore(dataFile).listAuditEntries()).entries.map(entry => entry.sequence), [3, 2, 1]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test.it('moves entries out of an older data file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'akin-nevmo-'));
+    const dataFile = path.join(dir, 'data.json');
+    const entry = { action: 'a', actor: { type: 'system' }, at: '2026-01-01T00:00:00.000Z', sequence: 1 };
+    fs.writeFileSync(dataFile, JSON.stringify({
+      schemaVersion: 12,
+      transactions: [],
+      users: [],
+      journal: [],
+      idempotencyKeys: [],
+      savingsPlans: [],
+      goals: [],
+      campaigns: [],
+      gifts: [],
+      disbursementBatches: [],
+      auditLog: [entry]
+    }));
+    try {
+      const store = createFileStore(dataFile);
+      assert.deepEqual((await store.listAuditEntries()).entries, [entry]);
+      assert.equal(JSON.parse(fs.readFileSync(dataFile, 'utf8')).auditLog, undefined);
+      assert.equal((await store.appendAuditEntry({ ...entry, action: 'b' })).sequence, 2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,205 @@
+// Bulk disbursements: CSV batches validated up front and paid out row by row
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, toCsvLine } = require('../akin-nevmo');
+const { OPERATOR_KEY, ADMIN_KEY, callback, generalFund, mtnError, transfers, withApp } = require('./helpers');
+
+const operator = { 'X-API-Key': OPERATOR_KEY };
+const admin = { 'X-API-Key': ADMIN_KEY };
+
+const CSV = [
+  'msisdn,amount,note',
+  '231887000021,100,School fees',
+  '0887000022,250.50,"Rent, March"',
+  '+231 887 000 023,150,'
+].join('\n');
+
+// Donate to the general fund so there is something to pay out
+async function fund(ctx, amount = 5000) {
+  const { body } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount } });
+  await callback(ctx, body.transactionId, 'SUCCESSFUL');
+}
+
+async function upload(ctx, csv = CSV, { headers = admin, query = '' } = {}) {
+  return ctx.request('POST', `/api/admin/disbursements${query}`, {
+    headers: { ...headers, 'Content-Type': 'text/csv' },
+    body: csv
+  });
+}
+
+// Upload a batch and wait until every row has been sent
+async function runBatch(ctx, csv) {
+  const { status, body } = await upload(ctx, csv);
+  assert.equal(status, 202, body.error);
+  await ctx.app.locals.runDisbursementBatch(body.batch.id);
+  return body.batch.id;
+}
+
+test.describe('parseCsv', () => {
+  test.it('reads quoted fields and keeps line numbers', () => {
+    const rows = parseCsv('\uFEFFa,"b, c"\r\n\r\n"say ""hi""","two\nlines"\nlast,');
+    assert.deepEqual(rows, [
+      { line: 1, fields: ['a', 'b, c'] },
+      { line: 3, fields: ['say "hi"', 'two\nlines'] },
+      { line: 5, fields: ['last', ''] }
+    ]);
+  });
+
+  test.it('round-trips through toCsvLine', () => {
+    const line = toCsvLine(['Rent, March', 'say "hi"', null, 5]);
+    assert.deepEqual(parseCsv(line)[0].fields, ['Rent, March', 'say "hi"', '', '5']);
+    assert.equal(toCsvLine(['=SUM(A1)']), "'=SUM(A1)");
+  });
+});
+
+test.describe('bulk disbursement uploads', () => {
+  test.it('need an admin', withApp(async ctx => {
+    assert.equal((await upload(ctx, CSV, { headers: {} })).status, 401);
+    assert.equal((await upload(ctx, CSV, { headers: operator })).status, 403);
+  }));
+
+  test.it('report every bad row and send nothing', withApp(async ctx => {
+    await fund(ctx);
+    ctx.mtn.accountHolders['231887000024'] = { active: false };
+    const csv = [
+      'msisdn,amount,note',
+      '231887000021,100,ok',
+      'not a number,100,',
+      '231887000022,5000000,',
+      '231887000024,100,',
+      `231887000025,100,${'x'.repeat(161)}`,
+      '231887000026,100,a,b'
+    ].join('\n');
+
+    const { status, body } = await upload(ctx, csv);
+    assert.equal(status, 400);
+    assert.match(body.error, /5 of 6 rows have errors/);
+    assert.deepEqual(body.errors.map(error => error.line), [3, 4, 5, 6, 7]);
+    assert.match(body.errors[0].error, /not a valid phone number/);
+    assert.match(body.errors[1].error, /Amount must be/);
+    assert.match(body.errors[2].error, /not an active MTN Mobile Money account/);
+    assert.equal(transfers(ctx).length, 0);
+    assert.equal((await ctx.store.listDisbursementBatches()).length, 0);
+  }));
+
+  test.it('are refused when the account cannot cover the total', withApp(async ctx => {
+    await fund(ctx, 300);
+    const { status, body } = await upload(ctx);
+    assert.equal(status, 400);
+    assert.match(body.error, /needs 500.5 EUR but only 300 EUR/);
+    assert.equal(await generalFund(ctx), 300);
+  }));
+
+  test.it('count rows before looking up any payee', withApp({ env: { BULK_MAX_ROWS: '2' } }, async ctx => {
+    const csv = ['231887000021,100,', '231887000022,100,', '231887000023,100,'].join('\n');
+    const { status, body } = await upload(ctx, csv);
+    assert.equal(status, 400);
+    assert.match(body.error, /between 1 and 2 rows/);
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'isAccountHolderActive').length, 0);
+  }));
+
+  test.it('refuse an empty file or an unknown campaign', withApp(async ctx => {
+    assert.equal((await upload(ctx, 'msisdn,amount,note\n')).status, 400);
+    assert.equal((await upload(ctx, CSV, { query: '?campaignId=nope' })).status, 404);
+  }));
+});
+
+test.describe('bulk disbursement batches', () => {
+  test.it('pay every row from the general fund', withApp(async ctx => {
+    await fund(ctx);
+    const batchId = await runBatch(ctx);
+
+    assert.deepEqual(transfers(ctx).map(call => [call.args.payee, call.args.amount, call.args.payerMessage]), [
+      ['231887000021', 100, 'School fees'],
+      ['231887000022', 250.5, 'Rent, March'],
+      ['231887000023', 150, 'Payment from Akin NevMo']
+    ]);
+    assert.equal(await generalFund(ctx), 4499.5);
+
+    const { body } = await ctx.request('GET', `/api/admin/disbursements/${batchId}`, { headers: operator });
+    assert.equal(body.batch.status, 'COMPLETED');
+    assert.equal(body.batch.createdBy, 'boss');
+    assert.equal(body.batch.total, 500.5);
+    assert.deepEqual(body.batch.outcomes, { ACCEPTED: 3 });
+    assert.deepEqual(body.batch.rows.map(row => row.line), [2, 3, 4]);
+
+    const transaction = await ctx.store.getTransaction(body.batch.rows[0].transactionId);
+    assert.equal(transaction.type, 'bulk_disbursement');
+    assert.equal(transaction.batchId, batchId);
+  }));
+
+  test.it('track the outcome of each row', withApp(async ctx => {
+    await fund(ctx);
+    ctx.mtn.transfer = async request => {
+      if (request.payee === '231887000022') throw mtnError(400, { message: 'Payee not found' });
+      return {};
+    };
+    const batchId = await runBatch(ctx);
+    const { body: running } = await ctx.request('GET', `/api/admin/disbursements/${batchId}`, { headers: operator });
+    const [first] = running.batch.rows;
+    await callback(ctx, first.transactionId, 'SUCCESSFUL');
+
+    const { body } = await ctx.request('GET', `/api/admin/disbursements/${batchId}`, { headers: operator });
+    assert.deepEqual(body.batch.outcomes, { SUCCESSFUL: 1, FAILED: 1, ACCEPTED: 1 });
+    assert.equal(body.batch.paid, 100);
+    assert.equal(body.batch.rows[1].error, 'Payee not found');
+    // The failed row's money is back in the fund
+    assert.equal(await generalFund(ctx), 4750);
+
+    const list = await ctx.request('GET', '/api/admin/disbursements?status=COMPLETED', { headers: operator });
+    assert.equal(list.body.count, 1);
+    assert.equal(list.body.batches[0].rows, undefined);
+  }));
+
+  test.it('have a downloadable results file', withApp(async ctx => {
+    await fund(ctx);
+    const batchId = await runBatch(ctx);
+
+    const { status, headers, text } = await ctx.request('GET', `/api/admin/disbursements/${batchId}/results.csv`, { headers: operator });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/csv/);
+    assert.match(headers.get('content-disposition'), /attachment; filename="disbursement-/);
+    const rows = parseCsv(text).map(row => row.fields);
+    assert.deepEqual(rows[0], ['line', 'msisdn', 'amount', 'note', 'transaction_id', 'status', 'error']);
+    assert.deepEqual(rows[2].slice(0, 4), ['3', '231887000022', '250.5', 'Rent, March']);
+    assert.equal(rows[2][5], 'ACCEPTED');
+
+    assert.equal((await ctx.request('GET', '/api/admin/disbursements/nope/results.csv', { headers: operator })).status, 404);
+  }));
+
+  test.it('can be sent as JSON from a campaign', withApp(async ctx => {
+    const { body: created } = await ctx.request('POST', '/api/admin/campaigns', {
+      headers: operator,
+      body: { title: 'Roof', beneficiary: '231887000050', targetAmount: 5000, endDate: new Date(Date.now() + 86400000).toISOString() }
+    });
+    const campaignId = created.campaign.id;
+    const { body: donation } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000, campaignId } });
+    await callback(ctx, donation.transactionId, 'SUCCESSFUL');
+
+    const { status, body } = await ctx.request('POST', '/api/admin/disbursements', {
+      headers: admin,
+      body: { csv: '231887000021,400,Builder', campaignId }
+    });
+    assert.equal(status, 202, body.error);
+    assert.equal(body.batch.sourceAccount, `campaign:${campaignId}`);
+    await ctx.app.locals.runDisbursementBatch(body.batch.id);
+    assert.equal(transfers(ctx)[0].args.amount, 400);
+  }));
+
+  test.it('resume after a restart', withApp(async ctx => {
+    await fund(ctx);
+    const batchId = await runBatch(ctx, '231887000021,100,');
+    // A batch interrupted before its second row was sent
+    const batch = await ctx.store.getDisbursementBatch(batchId);
+    await ctx.store.updateDisbursementBatch(batchId, {
+      status: 'RUNNING',
+      rows: [...batch.rows, { line: 2, phone: '231887000022', amount: 200, note: '', transactionId: 'row-2' }]
+    });
+
+    await ctx.app.locals.resumeDisbursementBatches();
+    assert.deepEqual(transfers(ctx).map(call => call.args.referenceId), [batch.rows[0].transactionId, 'row-2']);
+    assert.equal((await ctx.store.getDisbursementBatch(batchId)).status, 'COMPLETED');
+  }));
+});
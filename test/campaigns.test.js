@@ -0,0 +1,196 @@
+// Donation campaigns: staff management, public pages, attributed donations and payouts
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPERATOR_KEY, ADMIN_KEY, callback, mtnError, withApp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const operator = { 'X-API-Key': OPERATOR_KEY };
+const admin = { 'X-API-Key': ADMIN_KEY };
+
+async function createCampaign(ctx, campaign) {
+  const { status, body } = await ctx.request('POST', '/api/admin/campaigns', {
+    headers: operator,
+    body: {
+      title: 'Clinic Roof',
+      description: 'Fix the roof before the rains',
+      beneficiary: '+231 887 000 050',
+      targetAmount: 10000,
+      endDate: new Date(Date.now() + 30 * DAY_MS).toISOString(),
+      ...campaign
+    }
+  });
+  assert.equal(status, 201, body.error);
+  return body.campaign;
+}
+
+// Donate and let MTN report the payment as successful
+async function donate(ctx, body) {
+  const { status, body: result } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000, ...body } });
+  assert.equal(status, 200, result.error);
+  await callback(ctx, result.transactionId, 'SUCCESSFUL');
+  return result;
+}
+
+test.describe('campaign management', () => {
+  test.it('is staff only', withApp(async ({ request }) => {
+    assert.equal((await request('POST', '/api/admin/campaigns', { body: { title: 'x' } })).status, 401);
+    assert.equal((await request('GET', '/api/admin/campaigns')).status, 401);
+  }));
+
+  test.it('validates new campaigns', withApp(async ({ request }) => {
+    const valid = { title: 'Roof', beneficiary: '231887000050', targetAmount: 1000, endDate: new Date(Date.now() + DAY_MS).toISOString() };
+    const invalid = [
+      { ...valid, title: '' },
+      { ...valid, beneficiary: '12345' },
+      { ...valid, targetAmount: 50 },
+      { ...valid, endDate: '2020-01-01' },
+      { ...valid, endDate: undefined }
+    ];
+    for (const body of invalid) {
+      const { status } = await request('POST', '/api/admin/campaigns', { headers: operator, body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  }));
+
+  test.it('creates and closes campaigns', withApp(async ctx => {
+    const campaign = await createCampaign(ctx);
+    assert.equal(campaign.beneficiary, '231887000050');
+    assert.equal(campaign.createdBy, 'ops');
+    assert.equal(campaign.open, true);
+
+    const closed = await ctx.request('POST', `/api/admin/campaigns/${campaign.id}/close`, { headers: operator });
+    assert.equal(closed.body.campaign.status, 'CLOSED');
+    assert.equal((await ctx.request('POST', `/api/admin/campaigns/${campaign.id}/close`, { headers: operator })).status, 404);
+
+    const list = await ctx.request('GET', '/api/admin/campaigns?status=CLOSED', { headers: operator });
+    assert.equal(list.body.count, 1);
+  }));
+});
+
+test.describe('public campaigns', () => {
+  test.it('list only open campaigns', withApp(async ctx => {
+    const open = await createCampaign(ctx, { title: 'Open' });
+    const closed = await createCampaign(ctx, { title: 'Closed' });
+    await ctx.request('POST', `/api/admin/campaigns/${closed.id}/close`, { headers: operator });
+
+    const { body } = await ctx.request('GET', '/api/campaigns');
+    assert.deepEqual(body.campaigns.map(campaign => campaign.id), [open.id]);
+    assert.equal(body.campaigns[0].beneficiary, undefined);
+  }));
+
+  test.it('show progress and recent donors without their numbers', withApp(async ctx => {
+    const campaign = await createCampaign(ctx);
+    await donate(ctx, { campaignId: campaign.id, donorName: 'Ama', amount: 1500 });
+    await donate(ctx, { campaignId: campaign.id, donorName: 'Kofi', anonymous: true, amount: 1000 });
+    await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700, campaignId: campaign.id } });
+    await donate(ctx, { campaignId: (await createCampaign(ctx, { title: 'Other' })).id, amount: 900 });
+    await donate(ctx, { amount: 800 });
+
+    const { status, body, text } = await ctx.request('GET', `/api/campaigns/${campaign.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.campaign.raised, 2500);
+    assert.equal(body.campaign.percentComplete, 25);
+    assert.equal(body.campaign.donorCount, 2);
+    assert.deepEqual(body.campaign.recentDonors.map(donor => [donor.name, donor.amount]), [['Anonymous', 1000], ['Ama', 1500]]);
+    assert.doesNotMatch(text, /231887000009|Kofi/);
+
+    assert.equal((await ctx.request('GET', '/api/campaigns/nope')).status, 404);
+  }));
+
+  test.it('have a shareable page', withApp(async ({ request }) => {
+    const { status, text } = await request('GET', '/campaigns/any-id');
+    assert.equal(status, 200);
+    assert.match(text, /Recent Donors/);
+  }));
+});
+
+test.describe('campaign donations', () => {
+  test.it('are attributed to the campaign', withApp(async ctx => {
+    const campaign = await createCampaign(ctx);
+    const result = await donate(ctx, { campaignId: campaign.id });
+    assert.match(result.message, /Clinic Roof/);
+
+    const transaction = await ctx.store.getTransaction(result.transactionId);
+    assert.equal(transaction.campaignId, campaign.id);
+    const collection = ctx.mtn.calls.find(call => call.method === 'requestToPay');
+    assert.equal(collection.args.payerMessage, 'Donation to "Clinic Roof"');
+
+    const account = await ctx.store.getAccount(`campaign:${campaign.id}`);
+    assert.equal(account.credits, 1000);
+  }));
+
+  test.it('are refused for unknown, closed or ended campaigns', withApp(async ctx => {
+    const unknown = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000, campaignId: 'nope' } });
+    assert.equal(unknown.status, 404);
+
+    const closed = await createCampaign(ctx);
+    await ctx.request('POST', `/api/admin/campaigns/${closed.id}/close`, { headers: operator });
+    const toClosed = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000, campaignId: closed.id } });
+    assert.equal(toClosed.status, 400);
+
+    const ended = await createCampaign(ctx, { endDate: new Date(Date.now() + 1000).toISOString() });
+    test.mock.timers.enable({ apis: ['Date'], now: Date.now() + 2000 });
+    try {
+      const toEnded = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000, campaignId: ended.id } });
+      assert.equal(toEnded.status, 400);
+    } finally {
+      test.mock.timers.reset();
+    }
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'requestToPay').length, 0);
+  }));
+
+  test.it('without a campaign still go to the general fund', withApp(async ctx => {
+    await donate(ctx, {});
+    const account = await ctx.store.getAccount('campaign:general');
+    assert.equal(account.credits, 1000);
+  }));
+});
+
+test.describe('campaign payouts', () => {
+  test.it('need an admin', withApp(async ctx => {
+    const campaign = await createCampaign(ctx);
+    const { status } = await ctx.request('POST', `/api/admin/campaigns/${campaign.id}/payout`, { headers: operator, body: {} });
+    assert.equal(status, 403);
+  }));
+
+  test.it('pay the balance to the beneficiary', withApp(async ctx => {
+    const campaign = await createCampaign(ctx);
+    await donate(ctx, { campaignId: campaign.id, amount: 1500 });
+
+    const { status, body } = await ctx.request('POST', `/api/admin/campaigns/${campaign.id}/payout`, { headers: admin, body: {} });
+    assert.equal(status, 200);
+    const transfer = ctx.mtn.calls.find(call => call.method === 'transfer');
+    assert.equal(transfer.args.payee, '231887000050');
+    assert.equal(transfer.args.amount, 1500);
+
+    const transaction = await ctx.store.getTransaction(body.transactionId);
+    assert.equal(transaction.type, 'campaign_payout');
+    assert.equal(transaction.requestedBy, 'boss');
+
+    const again = await ctx.request('POST', `/api/admin/campaigns/${campaign.id}/payout`, { headers: admin, body: {} });
+    assert.equal(again.status, 400);
+    const tooMuch = await ctx.request('POST', `/api/admin/campaigns/${campaign.id}/payout`, { headers: admin, body: { amount: 500 } });
+    assert.equal(tooMuch.status, 400);
+    assert.match(tooMuch.body.error, /Available: 0 EUR/);
+
+    // Raised stays the same after the payout
+    const page = await ctx.request('GET', `/api/campaigns/${campaign.id}`);
+    assert.equal(page.body.campaign.raised, 1500);
+  }));
+
+  test.it('return the money to the campaign when MTN fails', withApp(async ctx => {
+    const campaign = await createCampaign(ctx);
+    await donate(ctx, { campaignId: campaign.id, amount: 1500 });
+    ctx.mtn.transfer = async () => {
+      throw mtnError(500, { error: 'Internal error' });
+    };
+
+    const { status } = await ctx.request('POST', `/api/admin/campaigns/${campaign.id}/payout`, { headers: admin, body: { amount: 1000 } });
+    assert.equal(status, 502);
+
+    const list = await ctx.request('GET', '/api/admin/campaigns', { headers: operator });
+    assert.equal(list.body.campaigns[0].available, 1500);
+  }));
+});
@@ -0,0 +1,71 @@
+// File store: changes appended to a log that is folded into the data file
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileStore } = require('../akin-nevmo');
+
+const createdAt = '2026-01-01T00:00:00.000Z';
+
+async function withDataFile(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'akin-nevmo-'));
+  try {
+    await run(path.join(dir, 'data.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const logLines = dataFile => fs.readFileSync(`${dataFile}.log`, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+test.describe('file store', () => {
+  test.it('appends each change to the log instead of rewriting the data file', () => withDataFile(async dataFile => {
+    const store = createFileStore(dataFile);
+    const written = fs.readFileSync(dataFile, 'utf8');
+
+    await store.createTransaction({ id: 't1', type: 'donation', amount: 100, payer: '231887000009', status: 'INITIATED', createdAt });
+    await store.updateTransaction('t1', { status: 'SUCCESSFUL' });
+    await store.claimIdempotencyKey({ key: 'k1', fingerprint: 'f', expiresAt: '2000-01-01T00:00:00.000Z' });
+    await store.purgeIdempotencyKeys();
+
+    assert.equal(fs.readFileSync(dataFile, 'utf8'), written);
+    const changes = logLines(dataFile);
+    assert.deepEqual(changes.map(change => [change.collection, change.key]), [
+      ['transactions', 't1'],
+      ['transactions', 't1'],
+      ['idempotencyKeys', 'k1'],
+      ['idempotencyKeys', 'k1']
+    ]);
+    assert.equal(changes[1].value.status, 'SUCCESSFUL');
+    // A removed record is logged with a null value
+    assert.equal(changes[3].value, null);
+  }));
+
+  test.it('replays the log on start-up and folds it into the data file', () => withDataFile(async dataFile => {
+    const store = createFileStore(dataFile);
+    await store.createUser({ phone: '231887000001', name: 'Ama' });
+    await store.createTransaction({ id: 't1', type: 'donation', amount: 100, payer: '231887000001', status: 'INITIATED', createdAt });
+    await store.updateTransaction('t1', { status: 'SUCCESSFUL' });
+    // A line cut short by a crash is dropped
+    fs.appendFileSync(`${dataFile}.log`, '{"collection":"users"');
+
+    const reopened = createFileStore(dataFile);
+    assert.equal((await reopened.getUser('231887000001')).name, 'Ama');
+    assert.equal((await reopened.getTransaction('t1')).status, 'SUCCESSFUL');
+    assert.equal(fs.readFileSync(`${dataFile}.log`, 'utf8'), '');
+    assert.equal(JSON.parse(fs.readFileSync(dataFile, 'utf8')).transactions[0].status, 'SUCCESSFUL');
+  }));
+
+  test.it('folds the log in after compactEvery changes', () => withDataFile(async dataFile => {
+    const store = createFileStore(dataFile, { compactEvery: 2 });
+    await store.createUser({ phone: '231887000001', name: 'Ama' });
+    assert.equal(logLines(dataFile).length, 1);
+
+    await store.createUser({ phone: '231887000002', name: 'Kofi' });
+    assert.equal(logLines(dataFile).length, 0);
+    assert.equal(JSON.parse(fs.readFileSync(dataFile, 'utf8')).users.length, 2);
+  }));
+});
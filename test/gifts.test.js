@@ -0,0 +1,151 @@
+// Gifts: collected from the sender, delivered to the recipient, refunded when delivery fails
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPERATOR_KEY, callback, mtnError, transfers, withApp } = require('./helpers');
+
+const SENDER = '231887000001';
+const RECIPIENT = '231887000002';
+const withFees = { env: { GIFT_FEE_PERCENT: '2', GIFT_FEE_FIXED: '50' } };
+
+async function sendGift(ctx, body) {
+  const { status, body: result } = await ctx.request('POST', '/api/gifts', {
+    body: { sender: SENDER, recipient: RECIPIENT, amount: 1000, ...body }
+  });
+  assert.equal(status, 200, result.error);
+  return result;
+}
+
+async function balance(ctx, account) {
+  const { body } = await ctx.request('GET', `/api/ledger/accounts/${encodeURIComponent(account)}`, {
+    headers: { 'X-API-Key': OPERATOR_KEY }
+  });
+  return body.account ? body.account.balance : 0;
+}
+
+test.describe('sending a gift', () => {
+  test.it('validates the request', withApp(async ({ request }) => {
+    const invalid = [
+      { recipient: RECIPIENT, amount: 1000 },
+      { sender: SENDER, amount: 1000 },
+      { sender: SENDER, recipient: RECIPIENT, amount: 50 },
+      { sender: SENDER, recipient: '12345', amount: 1000 },
+      { sender: SENDER, recipient: `+${SENDER}`, amount: 1000 }
+    ];
+    for (const body of invalid) {
+      const { status } = await request('POST', '/api/gifts', { body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+  }));
+
+  test.it('collects the amount plus the fee from the sender', withApp(withFees, async ctx => {
+    const result = await sendGift(ctx);
+    assert.deepEqual([result.amount, result.fee, result.total], [1000, 70, 1070]);
+
+    const collection = ctx.mtn.calls.find(call => call.method === 'requestToPay');
+    assert.equal(collection.args.payer, SENDER);
+    assert.equal(collection.args.amount, 1070);
+    assert.equal(collection.args.referenceId, result.transactionId);
+
+    const { body } = await ctx.request('GET', `/api/gifts/${result.giftId}`);
+    assert.equal(body.gift.status, 'COLLECTING');
+    assert.deepEqual(body.gift.legs.map(leg => leg.leg), ['collection']);
+  }));
+
+  test.it('delivers the gift once the sender has paid', withApp(withFees, async ctx => {
+    const result = await sendGift(ctx, { message: 'Happy birthday!' });
+    await callback(ctx, result.transactionId, 'SUCCESSFUL');
+    await callback(ctx, result.transactionId, 'SUCCESSFUL');
+
+    assert.equal(transfers(ctx).length, 1);
+    const [{ args: delivery }] = transfers(ctx);
+    assert.equal(delivery.payee, RECIPIENT);
+    assert.equal(delivery.amount, 1000);
+    assert.equal(delivery.payerMessage, 'Happy birthday!');
+
+    await callback(ctx, delivery.referenceId, 'SUCCESSFUL');
+    const { body } = await ctx.request('GET', `/api/gifts/${result.giftId}`);
+    assert.equal(body.gift.status, 'COMPLETED');
+    assert.deepEqual(body.gift.legs.map(leg => [leg.leg, leg.status]), [['collection', 'SUCCESSFUL'], ['disbursement', 'SUCCESSFUL']]);
+
+    assert.equal(await balance(ctx, `gift:${result.giftId}`), 0);
+    assert.equal(await balance(ctx, 'revenue:fees'), 70);
+    assert.equal(await balance(ctx, 'platform:wallet'), 70);
+  }));
+
+  test.it('fails without sending anything when the sender declines', withApp(async ctx => {
+    const result = await sendGift(ctx);
+    await callback(ctx, result.transactionId, 'REJECTED');
+
+    const gift = await ctx.store.getGift(result.giftId);
+    assert.equal(gift.status, 'FAILED');
+    assert.equal(transfers(ctx).length, 0);
+  }));
+
+  test.it('moves on when the status is polled instead of called back', withApp(async ctx => {
+    const result = await sendGift(ctx);
+    ctx.mtn.statuses[result.transactionId] = 'SUCCESSFUL';
+
+    const { body } = await ctx.request('GET', `/api/gifts/${result.giftId}`);
+    assert.equal(body.gift.status, 'DISBURSING');
+    assert.equal(transfers(ctx)[0].args.payee, RECIPIENT);
+  }));
+
+  test.it('returns the money to the gift when the delivery could not be stored', withApp(async ctx => {
+    const result = await sendGift(ctx);
+    const createTransaction = ctx.store.createTransaction;
+    ctx.store.createTransaction = async transaction => {
+      if (transaction.type === 'gift_disbursement') throw new Error('Disk full');
+      return createTransaction(transaction);
+    };
+    await callback(ctx, result.transactionId, 'SUCCESSFUL');
+
+    assert.equal(transfers(ctx).length, 0);
+    assert.equal(await balance(ctx, `gift:${result.giftId}`), 1000);
+    assert.equal(await balance(ctx, 'pending:disbursements'), 0);
+  }));
+});
+
+test.describe('gift refunds', () => {
+  test.it('refund everything to the sender when MTN refuses the delivery', withApp(withFees, async ctx => {
+    const sent = [];
+    ctx.mtn.transfer = async request => {
+      sent.push(request);
+      if (request.payee === RECIPIENT) throw mtnError(500, { error: 'Internal error' });
+      return {};
+    };
+
+    const result = await sendGift(ctx);
+    await callback(ctx, result.transactionId, 'SUCCESSFUL');
+
+    assert.deepEqual(sent.map(request => [request.payee, request.amount]), [[RECIPIENT, 1000], [SENDER, 1070]]);
+    let gift = await ctx.store.getGift(result.giftId);
+    assert.equal(gift.status, 'REFUNDING');
+
+    await callback(ctx, gift.refundId, 'SUCCESSFUL');
+    gift = await ctx.store.getGift(result.giftId);
+    assert.equal(gift.status, 'REFUNDED');
+    assert.equal(await balance(ctx, `gift:${result.giftId}`), 0);
+    assert.equal(await balance(ctx, 'revenue:fees'), 0);
+  }));
+
+  test.it('flag gifts whose refund failed for staff', withApp(async ctx => {
+    const result = await sendGift(ctx);
+    await callback(ctx, result.transactionId, 'SUCCESSFUL');
+    let gift = await ctx.store.getGift(result.giftId);
+    await callback(ctx, gift.disbursementId, 'FAILED');
+
+    gift = await ctx.store.getGift(result.giftId);
+    assert.equal(gift.status, 'REFUNDING');
+    assert.equal(transfers(ctx)[1].args.payee, SENDER);
+    await callback(ctx, gift.refundId, 'FAILED');
+
+    const { body } = await ctx.request('GET', '/api/admin/gifts?status=REFUND_FAILED', { headers: { 'X-API-Key': OPERATOR_KEY } });
+    assert.equal(body.count, 1);
+    assert.equal(body.gifts[0].id, result.giftId);
+    assert.deepEqual(body.gifts[0].legs.map(leg => leg.status), ['SUCCESSFUL', 'FAILED', 'FAILED']);
+    // The money stays on the gift's account until it is returned by hand
+    assert.equal(await balance(ctx, `gift:${result.giftId}`), 1000);
+  }));
+});
@@ -0,0 +1,177 @@
+// Savings goals: targets, progress, lock dates and the migration that links old savings to goals
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileStore } = require('../akin-nevmo');
+const { callback, withApp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function createGoal(ctx, auth, goal) {
+  const { status, body } = await ctx.request('POST', '/api/goals', {
+    headers: auth,
+    body: { name: 'School Fees', targetAmount: 2000, ...goal }
+  });
+  assert.equal(status, 201, body.error);
+  return body.goal;
+}
+
+// Save into a goal and let MTN report the payment as successful
+async function deposit(ctx, auth, body) {
+  const { body: result } = await ctx.request('POST', '/api/save', { headers: auth, body });
+  await callback(ctx, result.transactionId, 'SUCCESSFUL');
+  return result;
+}
+
+test.describe('savings goals', () => {
+  test.it('validate new goals', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const invalid = [
+      { name: '', targetAmount: 2000 },
+      { name: 'Rent' },
+      { name: 'Rent', targetAmount: 50 },
+      { name: 'Rent', targetAmount: 2000, deadline: '2020-01-01' },
+      { name: 'Rent', targetAmount: 2000, lockUntil: 'later' }
+    ];
+    for (const body of invalid) {
+      const { status } = await ctx.request('POST', '/api/goals', { headers: auth, body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+
+    await createGoal(ctx, auth, { name: 'Rent' });
+    const duplicate = await ctx.request('POST', '/api/goals', { headers: auth, body: { name: ' Rent ', targetAmount: 900 } });
+    assert.equal(duplicate.status, 409);
+    assert.equal((await ctx.request('GET', '/api/goals')).status, 401);
+  }));
+
+  test.it('link deposits to their goal', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const goal = await createGoal(ctx, auth);
+    assert.deepEqual([goal.saved, goal.percentComplete, goal.locked], [0, 0, false]);
+
+    const byId = await deposit(ctx, auth, { goalId: goal.id, amount: 500 });
+    const byName = await deposit(ctx, auth, { goal: 'School Fees', amount: 300 });
+    assert.equal(byId.goalId, goal.id);
+    assert.equal(byName.goalId, goal.id);
+
+    const { body } = await ctx.request('GET', `/api/goals/${goal.id}`, { headers: auth });
+    assert.equal(body.goal.saved, 800);
+    assert.equal(body.goal.percentComplete, 40);
+    assert.deepEqual(body.deposits.map(d => [d.id, d.amount, d.status]), [
+      [byId.transactionId, 500, 'SUCCESSFUL'],
+      [byName.transactionId, 300, 'SUCCESSFUL']
+    ]);
+
+    const other = await ctx.signIn('231887000002', 'Kofi');
+    assert.equal((await ctx.request('GET', `/api/goals/${goal.id}`, { headers: other })).status, 404);
+    const foreign = await ctx.request('POST', '/api/save', { headers: other, body: { goalId: goal.id, amount: 500 } });
+    assert.equal(foreign.status, 404);
+  }));
+
+  test.it('create a goal without a target for a new goal name', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await deposit(ctx, auth, { goal: 'Holiday', amount: 500 });
+
+    const { body } = await ctx.request('GET', '/api/goals', { headers: auth });
+    assert.equal(body.count, 1);
+    assert.equal(body.goals[0].name, 'Holiday');
+    assert.equal(body.goals[0].targetAmount, null);
+    assert.equal(body.goals[0].percentComplete, null);
+    assert.equal(body.goals[0].saved, 500);
+  }));
+
+  test.it('project the completion date from the saving pace', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const goal = await createGoal(ctx, auth, { deadline: new Date(Date.now() + 15 * DAY_MS).toISOString() });
+    await deposit(ctx, auth, { goalId: goal.id, amount: 500 });
+    const depositedAt = new Date((await ctx.store.listTransactions({ status: 'SUCCESSFUL' }))[0].updatedAt);
+
+    // Too little history for a projection yet
+    let { body } = await ctx.request('GET', '/api/goals', { headers: auth });
+    assert.equal(body.goals[0].projectedCompletionDate, null);
+
+    // 500 saved in 5 days leaves 1500, so 15 more days at the same pace - past the deadline
+    test.mock.timers.enable({ apis: ['Date'], now: depositedAt.getTime() + 5 * DAY_MS });
+    try {
+      ({ body } = await ctx.request('GET', '/api/goals', { headers: auth }));
+    } finally {
+      test.mock.timers.reset();
+    }
+    assert.equal(body.goals[0].projectedCompletionDate, new Date(depositedAt.getTime() + 20 * DAY_MS).toISOString());
+    assert.equal(body.goals[0].onTrack, false);
+  }));
+
+  test.it('block withdrawals before the lock date', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const goal = await createGoal(ctx, auth, { lockUntil: new Date(Date.now() + 30 * DAY_MS).toISOString() });
+    await deposit(ctx, auth, { goalId: goal.id, amount: 500 });
+
+    const locked = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goalId: goal.id, amount: 200 } });
+    assert.equal(locked.status, 403);
+    assert.match(locked.body.error, /locked until/);
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'transfer').length, 0);
+
+    const unknown = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Nothing', amount: 200 } });
+    assert.equal(unknown.status, 404);
+  }));
+
+  test.it('link savings plans to their goal', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const goal = await createGoal(ctx, auth);
+    const { body } = await ctx.request('POST', '/api/savings-plans', {
+      headers: auth,
+      body: { goalId: goal.id, amount: 500, frequency: 'weekly' }
+    });
+    assert.equal(body.plan.goalId, goal.id);
+    assert.equal(body.plan.goal, 'School Fees');
+
+    await ctx.app.locals.runSavingsPlans();
+    const [transaction] = await ctx.store.listTransactions({});
+    assert.equal(transaction.goalId, goal.id);
+  }));
+});
+
+test.describe('goal migration', () => {
+  test.it('creates goals for existing savings and links them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'akin-nevmo-'));
+    const dataFile = path.join(dir, 'data.json');
+    fs.writeFileSync(dataFile, JSON.stringify({
+      schemaVersion: 6,
+      transactions: [
+        { id: 't1', type: 'saving', goal: 'Rent', payer: '231887000001', amount: 500, status: 'SUCCESSFUL', createdAt: '2026-01-01T00:00:00.000Z' },
+        { id: 't2', type: 'withdrawal', goal: 'Rent', recipient: '231887000001', amount: 200, status: 'SUCCESSFUL', createdAt: '2026-01-02T00:00:00.000Z' }
+      ],
+      users: [],
+      journal: [{
+        reference: 'opening:231887000001:Old Fund',
+        lines: [
+          { account: 'platform:wallet', debit: 100 },
+          { account: 'savings:231887000001:Old Fund', credit: 100 }
+        ],
+        createdAt: '2025-12-01T00:00:00.000Z'
+      }],
+      idempotencyKeys: [],
+      savingsPlans: [{ id: 'p1', phone: '231887000001', goal: 'Rent', status: 'ACTIVE', runs: [], createdAt: '2026-01-01T00:00:00.000Z' }]
+    }));
+
+    try {
+      const store = createFileStore(dataFile);
+      const goals = await store.listGoals({ phone: '231887000001' });
+      assert.deepEqual(goals.map(goal => goal.name), ['Old Fund', 'Rent']);
+
+      const rent = await store.findGoal('231887000001', 'Rent');
+      assert.equal((await store.getTransaction('t1')).goalId, rent.id);
+      assert.equal((await store.getTransaction('t2')).goalId, rent.id);
+      assert.equal((await store.getSavingsPlan('p1')).goalId, rent.id);
+      const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+      assert.ok(saved.schemaVersion >= 7);
+      assert.equal(saved.goals.length, 2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
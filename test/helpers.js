@@ -0,0 +1,205 @@
+// Shared helpers for the integration tests: an app wired to an in-memory store,
+// a fake MTN client, a captured SMS outbox and captured log lines, listening on a random port.
+
+const { createApp, createLogger, createMemoryStore, loadConfig, toMtnError } = require('../akin-nevmo');
+
+const OPERATOR_KEY = 'operator-test-key';
+const ADMIN_KEY = 'admin-test-key';
+
+// Error the real MTN client rejects with when MTN answers `status`
+function mtnError(status, data) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data };
+  return toMtnError(error);
+}
+
+// Stands in for createMtnClient(). Every call is recorded in `calls`; override a
+// method (e.g. `mtn.transfer = async () => { throw mtnError(500, ...) }`) to change its answer.
+function createFakeMtnClient() {
+  const calls = [];
+  const statuses = {};
+  const accountHolders = {};
+
+  function record(method, args) {
+    calls.push({ method, args });
+  }
+
+  return {
+    calls,
+    // Status MTN reports for a reference ID (defaults to PENDING)
+    statuses,
+    // Account holder for an MSISDN, e.g. { active: false } (defaults to an active "Test User")
+    accountHolders,
+
+    async getAccessToken() {
+      return 'fake-token';
+    },
+
+    async transfer(request) {
+      record('transfer', request);
+      return {};
+    },
+
+    async requestToPay(request) {
+      record('requestToPay', request);
+      return {};
+    },
+
+    async refund(request) {
+      record('refund', request);
+      return {};
+    },
+
+    async getTransferStatus(referenceId) {
+      record('getTransferStatus', referenceId);
+      return { externalId: referenceId, status: statuses[referenceId] || 'PENDING' };
+    },
+
+    async getRequestToPayStatus(referenceId) {
+      record('getRequestToPayStatus', referenceId);
+      return { externalId: referenceId, status: statuses[referenceId] || 'PENDING' };
+    },
+
+    async getRefundStatus(referenceId) {
+      record('getRefundStatus', referenceId);
+      return { externalId: referenceId, status: statuses[referenceId] || 'PENDING' };
+    },
+
+    async isAccountHolderActive(msisdn) {
+      record('isAccountHolderActive', msisdn);
+      return (accountHolders[msisdn] || {}).active !== false;
+    },
+
+    async getBasicUserInfo(msisdn) {
+      record('getBasicUserInfo', msisdn);
+      const name = (accountHolders[msisdn] || {}).name || 'Test User';
+      return { sub: msisdn, name };
+    }
+  };
+}
+
+// Start an app for one test. Call `close()` when done.
+async function startTestApp({ env = {}, store = createMemoryStore(), mtnClient = createFakeMtnClient() } = {}) {
+  const config = loadConfig({
+    STORAGE: 'memory',
+    RECONCILE_ENABLED: 'false',
+    SESSION_SECRET: 'test-session-secret',
+    STAFF_API_KEYS: `ops:operator:${OPERATOR_KEY},boss:admin:${ADMIN_KEY}`,
+    ...env
+  });
+  const sms = [];
+  const logs = [];
+  const app = createApp({
+    config,
+    logger: createLogger({ level: 'debug', write: line => logs.push(JSON.parse(line)) }),
+    store,
+    mtnClient,
+    sendSms: async (to, message) => { sms.push({ to, message }); }
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // fetch() wrapper that sends JSON (or a string body as is) and returns { status, headers, body }
+  async function request(method, url, { body, headers = {} } = {}) {
+    const raw = typeof body === 'string';
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': raw ? 'text/plain' : 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined && !raw ? JSON.stringify(body) : body
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = undefined;
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  // Register a user, sign in with the SMS code and return the session headers
+  async function signIn(phone = '231887000001', name = 'Ama') {
+    await request('POST', '/api/auth/register', { body: { phone, name } });
+    const code = sms.filter(message => message.to === phone).pop().message.match(/\d{6}/)[0];
+    const { body } = await request('POST', '/api/auth/verify', { body: { phone, code } });
+    return { Authorization: `Bearer ${body.token}` };
+  }
+
+  return {
+    app,
+    baseUrl,
+    config,
+    store,
+    mtn: mtnClient,
+    sms,
+    logs,
+    request,
+    signIn,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// MTN settles a transaction: its status lookup now answers `status` and it sends the callback
+function callback(ctx, referenceId, status) {
+  ctx.mtn.statuses[referenceId] = status;
+  return ctx.request('PUT', `/api/mtn/callback/${referenceId}`, { body: { status } });
+}
+
+// Transfers sent to the fake MTN client so far
+const transfers = ctx => ctx.mtn.calls.filter(call => call.method === 'transfer');
+
+// Sign in and save `amount` into "Fund", letting MTN report the payment as successful
+async function saver(ctx, amount = 1000) {
+  const auth = await ctx.signIn();
+  const { body } = await ctx.request('POST', '/api/save', { headers: auth, body: { goal: 'Fund', amount } });
+  await callback(ctx, body.transactionId, 'SUCCESSFUL');
+  return auth;
+}
+
+// Balance of the signed-in user's "Fund" goal
+async function savingsBalance(ctx, auth) {
+  const { body } = await ctx.request('GET', '/api/account', { headers: auth });
+  return body.balances.find(balance => balance.goal === 'Fund').balance;
+}
+
+// Balance of the ledger account holding general donations
+async function generalFund(ctx) {
+  const account = await ctx.store.getAccount('campaign:general');
+  return account.credits - account.debits;
+}
+
+// Wrap a test body so it gets a fresh app (`startTestApp(options)`) that is closed afterwards
+function withApp(options, run) {
+  if (typeof options === 'function') {
+    run = options;
+    options = {};
+  }
+  return async () => {
+    const ctx = await startTestApp(options);
+    try {
+      await run(ctx);
+    } finally {
+      await ctx.close();
+    }
+  };
+}
+
+module.exports = {
+  OPERATOR_KEY,
+  ADMIN_KEY,
+  mtnError,
+  createFakeMtnClient,
+  startTestApp,
+  withApp,
+  callback,
+  transfers,
+  saver,
+  savingsBalance,
+  generalFund
+};
@@ -0,0 +1,107 @@
+// Structured logs: JSON lines tagged with the request ID, with phone numbers masked
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createLogger, createMtnClient, loadConfig, maskPhoneNumbers } = require('../akin-nevmo');
+const { OPERATOR_KEY, mtnError, withApp } = require('./helpers');
+
+test.describe('maskPhoneNumbers', () => {
+  test.it('hides the middle of every phone number', () => {
+    assert.equal(maskPhoneNumbers('Gift to +231887000009'), 'Gift to +231******009');
+    assert.equal(maskPhoneNumbers('/accountholder/msisdn/0887000009/active'), '/accountholder/msisdn/088****009/active');
+  });
+
+  test.it('leaves dates, amounts and IDs alone', () => {
+    for (const text of ['2026-03-01T10:00:00.000Z', '250000', 'c8a1e2f4-9b3d-4e6f-8a7b-1c2d3e4f5a6b']) {
+      assert.equal(maskPhoneNumbers(text), text);
+    }
+  });
+});
+
+test.describe('createLogger', () => {
+  test.it('writes JSON lines at or above its level', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'warn', write: line => lines.push(JSON.parse(line)) });
+    logger.info('Not written');
+    logger.child({ job: 'test' }).warn('Written', { phone: '231887000009', payload: { partyId: '231887000009' } });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'warn');
+    assert.equal(lines[0].msg, 'Written');
+    assert.equal(lines[0].job, 'test');
+    assert.equal(lines[0].phone, '231******009');
+    assert.equal(lines[0].payload.partyId, '231******009');
+    assert.ok(lines[0].time);
+  });
+
+  test.it('describes errors with MTN answers masked', () => {
+    const lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+    logger.error('Failed', { error: mtnError(400, { message: 'Payee 231887000009 not found' }) });
+
+    assert.deepEqual(lines[0].error, {
+      name: 'MtnError',
+      message: 'Payee 231******009 not found',
+      code: 'MTN_REJECTED',
+      status: 400,
+      response: { message: 'Payee 231******009 not found' }
+    });
+  });
+});
+
+test.describe('request logging', () => {
+  test.it('tags every line of a request with its request ID', withApp(async ctx => {
+    ctx.mtn.requestToPay = async () => {
+      throw mtnError(400, { message: 'Payer 231887000009 not found' });
+    };
+    const { headers } = await ctx.request('POST', '/api/donate', {
+      headers: { 'X-Request-Id': 'donate-1' },
+      body: { phone: '231887000009', amount: 700 }
+    });
+    assert.equal(headers.get('x-request-id'), 'donate-1');
+
+    const failed = ctx.logs.find(line => line.msg === 'MTN payment request failed');
+    assert.equal(failed.requestId, 'donate-1');
+    const access = ctx.logs.find(line => line.msg === 'HTTP request');
+    assert.deepEqual([access.requestId, access.method, access.path, access.status], ['donate-1', 'POST', '/api/donate', 422]);
+    assert.ok(!JSON.stringify(ctx.logs).includes('231887000009'));
+  }));
+
+  test.it('makes up a request ID when there is no usable one', withApp(async ctx => {
+    const none = await ctx.request('GET', '/api/market');
+    const bad = await ctx.request('GET', '/api/market', { headers: { 'X-Request-Id': 'no spaces allowed' } });
+    assert.match(none.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    assert.notEqual(bad.headers.get('x-request-id'), 'no spaces allowed');
+  }));
+
+  test.it('passes the request ID on to MTN calls', async () => {
+    const mtnServer = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(req.url.endsWith('/token/')
+        ? { access_token: 'token', expires_in: 3600 }
+        : { result: true, name: 'Kofi Mensah' }));
+    });
+    await new Promise(resolve => mtnServer.listen(0, '127.0.0.1', resolve));
+    const lines = [];
+    const mtnClient = createMtnClient(
+      loadConfig({ BASE_URL: `http://127.0.0.1:${mtnServer.address().port}` }).mtn,
+      { logger: createLogger({ write: line => lines.push(JSON.parse(line)) }) }
+    );
+
+    try {
+      await withApp({ mtnClient }, async ctx => {
+        const { status } = await ctx.request('GET', '/api/payees/231887000002', { headers: { 'X-API-Key': OPERATOR_KEY, 'X-Request-Id': 'lookup-1' } });
+        assert.equal(status, 200);
+      })();
+    } finally {
+      await new Promise(resolve => mtnServer.close(resolve));
+    }
+
+    const calls = lines.filter(line => line.msg === 'MTN request');
+    assert.ok(calls.length >= 2);
+    assert.ok(calls.every(line => line.requestId === 'lookup-1'));
+    assert.ok(calls.some(line => line.path === '/disbursement/v1_0/accountholder/msisdn/231******002/active'));
+  });
+});
@@ -0,0 +1,152 @@
+// Market rules: currency, amount limits and E.164 phone numbers
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileStore, loadConfig, normalizeMsisdn, MARKETS } = require('../akin-nevmo');
+const { withApp } = require('./helpers');
+
+test.describe('normalizeMsisdn', () => {
+  test.it('accepts international and national formats', () => {
+    for (const input of ['+231 887 716 973', '00231887716973', '231887716973', '0887716973', '887716973', '(0887) 716-973']) {
+      assert.equal(normalizeMsisdn(input, MARKETS.LR), '231887716973', input);
+    }
+  });
+
+  test.it('rejects numbers that do not fit the market', () => {
+    for (const input of ['', '88771697', '2318877169733', '+237699000000', 'call me', '+231 88x 716 973']) {
+      assert.equal(normalizeMsisdn(input, MARKETS.LR), null, input);
+    }
+  });
+
+  test.it('keeps a leading 0 that is part of the national number', () => {
+    assert.equal(normalizeMsisdn('07 01 02 03 04', MARKETS.CI), '2250701020304');
+    assert.equal(normalizeMsisdn('+225 07 01 02 03 04', MARKETS.CI), '2250701020304');
+  });
+});
+
+test.describe('market configuration', () => {
+  test.it('uses EUR in the MTN sandbox and the local currency elsewhere', () => {
+    assert.equal(loadConfig({}).market.currency, 'EUR');
+    assert.equal(loadConfig({ TARGET_ENVIRONMENT: 'mtnliberia' }).market.currency, 'LRD');
+    assert.equal(loadConfig({ MARKET: 'cm', TARGET_ENVIRONMENT: 'mtncameroon' }).market.currency, 'XAF');
+  });
+
+  test.it('lets each rule be overridden', () => {
+    const { market } = loadConfig({
+      MARKET: 'GH',
+      MARKET_CURRENCY: 'USD',
+      MARKET_MIN_AMOUNT: '5',
+      MARKET_MAX_AMOUNT: '50',
+      MARKET_NUMBER_LENGTHS: '9,10'
+    });
+    assert.deepEqual(market, {
+      country: 'GH',
+      currency: 'USD',
+      callingCode: '233',
+      nationalNumberLengths: [9, 10],
+      minAmount: 5,
+      maxAmount: 50
+    });
+  });
+
+  test.it('refuses an unknown market', () => {
+    assert.throws(() => loadConfig({ MARKET: 'XX' }), /Unknown MARKET/);
+  });
+});
+
+test.describe('market rules in the API', () => {
+  test.it('are published for the pages', withApp(async ({ request, config }) => {
+    const { body } = await request('GET', '/api/market');
+    assert.deepEqual(body.market, config.market);
+  }));
+
+  test.it('send the market currency to MTN', withApp({ env: { MARKET: 'CM', MARKET_CURRENCY: 'XAF' } }, async ctx => {
+    const { body } = await ctx.request('POST', '/api/donate', { body: { phone: '699000000', amount: 700 } });
+    const collection = ctx.mtn.calls.find(call => call.method === 'requestToPay');
+    assert.equal(collection.args.currency, 'XAF');
+    assert.equal(collection.args.payer, '237699000000');
+    assert.equal((await ctx.store.getTransaction(body.transactionId)).currency, 'XAF');
+    assert.match(body.message, /700 XAF/);
+  }));
+
+  test.it('enforce the amount limits', withApp({ env: { MARKET_MIN_AMOUNT: '200', MARKET_MAX_AMOUNT: '1000' } }, async ({ request }) => {
+    for (const amount of [150, 1001, 'lots']) {
+      const { status, body } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount } });
+      assert.equal(status, 400, String(amount));
+      assert.match(body.error, /200 - 1000 EUR/);
+    }
+    const { status } = await request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000 } });
+    assert.equal(status, 200);
+  }));
+
+  test.it('store phone numbers in E.164', withApp(async ctx => {
+    await ctx.request('POST', '/api/auth/register', { body: { phone: '0887000001', name: 'Ama' } });
+    assert.equal(ctx.sms[0].to, '231887000001');
+    const code = ctx.sms[0].message.match(/\d{6}/)[0];
+    const { body } = await ctx.request('POST', '/api/auth/verify', { body: { phone: '0887 000 001', code } });
+    assert.equal(body.user.phone, '231887000001');
+
+    const other = await ctx.request('POST', '/api/auth/register', { body: { phone: '+231 887 000 001', name: 'Ama' } });
+    assert.equal(other.status, 409);
+    const foreign = await ctx.request('POST', '/api/auth/register', { body: { phone: '+237 699 000 000', name: 'Paul' } });
+    assert.equal(foreign.status, 400);
+  }));
+});
+
+test.describe('phone number migration', () => {
+  test.it('moves numbers stored as typed to E.164', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'akin-nevmo-'));
+    const dataFile = path.join(dir, 'data.json');
+    const createdAt = '2026-01-01T00:00:00.000Z';
+    fs.writeFileSync(dataFile, JSON.stringify({
+      schemaVersion: 11,
+      transactions: [
+        { id: 't1', type: 'saving', goal: 'Rent', goalId: 'g1', payer: '0887000001', amount: 500, status: 'SUCCESSFUL', createdAt },
+        { id: 't2', type: 'saving', goal: 'Rent', goalId: 'g2', payer: '231887000001', amount: 300, status: 'SUCCESSFUL', createdAt },
+        { id: 't3', type: 'donation', payer: '12345', amount: 100, status: 'SUCCESSFUL', createdAt }
+      ],
+      users: [{ phone: '0887000001', name: 'Ama', createdAt }, { phone: '231887000001', name: 'Ama again', createdAt }],
+      journal: [
+        { reference: 't1:settled', lines: [{ account: 'platform:wallet', debit: 500 }, { account: 'savings:0887000001:Rent', credit: 500 }], createdAt },
+        { reference: 't2:settled', lines: [{ account: 'platform:wallet', debit: 300 }, { account: 'savings:231887000001:Rent', credit: 300 }], createdAt }
+      ],
+      idempotencyKeys: [],
+      savingsPlans: [{ id: 'p1', phone: '0887000001', goal: 'Rent', goalId: 'g2', status: 'ACTIVE', runs: [], createdAt }],
+      goals: [
+        { id: 'g1', phone: '0887000001', name: 'Rent', createdAt },
+        { id: 'g2', phone: '231887000001', name: 'Rent', createdAt }
+      ],
+      campaigns: [],
+      gifts: [{ id: 'gift1', sender: '0887000001', recipient: '0887000002', status: 'COMPLETED', createdAt }],
+      disbursementBatches: [],
+      auditLog: []
+    }));
+
+    try {
+      const store = createFileStore(dataFile, { market: MARKETS.LR });
+      assert.equal((await store.getUser('231887000001')).name, 'Ama');
+      assert.equal((await store.getAccount('savings:231887000001:Rent')).credits, 800);
+      assert.equal(await store.getAccount('savings:0887000001:Rent'), null);
+
+      const goals = await store.listGoals({ phone: '231887000001' });
+      assert.deepEqual(goals.map(goal => goal.id), ['g1']);
+      assert.equal((await store.getTransaction('t2')).goalId, 'g1');
+      const transactions = await store.listTransactions({ phone: '231887000001' });
+      assert.deepEqual(transactions.map(transaction => transaction.id), ['t1', 't2']);
+      assert.equal((await store.getTransaction('t3')).payer, '12345');
+
+      const plan = await store.getSavingsPlan('p1');
+      assert.deepEqual([plan.phone, plan.goalId], ['231887000001', 'g1']);
+      const gift = await store.getGift('gift1');
+      assert.deepEqual([gift.sender, gift.recipient], ['231887000001', '231887000002']);
+      assert.equal(JSON.parse(fs.readFileSync(dataFile, 'utf8')).users.length, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+// The app against the local MoMo simulator, through the real MTN client and MTN's callbacks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLogger, createMtnClient, loadConfig } = require('../akin-nevmo');
+const { createMomoSimulator } = require('../momo-simulator');
+const { withApp } = require('./helpers');
+
+// Run a test body against an app wired to a running simulator, reachable at `simulator.url`
+function withSimulator(run) {
+  return async () => {
+    const simulator = createMomoSimulator({ settleDelayMs: 20 });
+    const server = await new Promise(resolve => {
+      const listening = simulator.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    simulator.url = `http://127.0.0.1:${server.address().port}`;
+    const mtnClient = createMtnClient(
+      loadConfig({ BASE_URL: simulator.url }).mtn,
+      { logger: createLogger({ write: () => {} }) }
+    );
+
+    try {
+      await withApp({ mtnClient }, async ctx => {
+        // The app's port is only known once it listens, so point MTN's callbacks at it now
+        ctx.config.mtn.callbackBaseUrl = ctx.baseUrl;
+        await run(ctx, simulator);
+      })();
+    } finally {
+      simulator.stop();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Wait until the simulator has sent `count` callbacks
+async function callbacksSent(simulator, count) {
+  for (let waited = 0; simulator.state.callbacks.length < count; waited += 10) {
+    assert.ok(waited < 2000, 'the simulator sent no callback');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return simulator.state.callbacks;
+}
+
+// Wait until the callbacks the simulator sent have been handled
+async function settled(ctx, referenceId) {
+  for (let waited = 0; ; waited += 10) {
+    const transaction = await ctx.store.getTransaction(referenceId);
+    if (transaction.callbackReceivedAt) return transaction;
+    assert.ok(waited < 2000, 'the callback was not applied');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test.describe('MoMo simulator', () => {
+  test.it('settles a donation and calls back', withSimulator(async (ctx, simulator) => {
+    const { status, body } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    assert.equal(status, 200, body.error);
+
+    const [callback] = await callbacksSent(simulator, 1);
+    assert.equal(callback.delivered, true);
+    assert.equal(callback.url, `${ctx.baseUrl}/api/mtn/callback/${body.transactionId}`);
+    assert.equal(callback.body.status, 'SUCCESSFUL');
+
+    const transaction = await settled(ctx, body.transactionId);
+    assert.equal(transaction.status, 'SUCCESSFUL');
+    assert.equal(transaction.statusDetails.payer.partyId, '231887000009');
+    assert.equal(simulator.state.balances.collection, 1000700);
+  }));
+
+  test.it('fails a payment from a number scripted to fail', withSimulator(async (ctx, simulator) => {
+    await fetch(`${simulator.url}/_sim/scenarios/231887000010`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ outcome: 'failure', reason: 'NOT_ENOUGH_FUNDS' })
+    });
+    const { body } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000010', amount: 700 } });
+    await callbacksSent(simulator, 1);
+
+    const transaction = await settled(ctx, body.transactionId);
+    assert.equal(transaction.status, 'FAILED');
+    assert.equal(transaction.statusDetails.reason, 'NOT_ENOUGH_FUNDS');
+    assert.equal(simulator.state.balances.collection, 1000000);
+  }));
+
+  test.it('keeps only the latest requests, without credentials', async () => {
+    const simulator = createMomoSimulator({ maxLoggedRequests: 2 });
+    const server = await new Promise(resolve => {
+      const listening = simulator.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+      for (const product of ['collection', 'disbursement', 'remittance']) {
+        await fetch(`http://127.0.0.1:${server.address().port}/${product}/v1_0/account/balance`, {
+          headers: { Authorization: 'Bearer secret-token', 'Ocp-Apim-Subscription-Key': 'secret-key' }
+        });
+      }
+      const { requests } = simulator.state;
+      assert.deepEqual(requests.map(request => request.path), ['/disbursement/v1_0/account/balance', '/remittance/v1_0/account/balance']);
+      assert.equal(requests[0].headers.authorization, '[redacted]');
+      assert.equal(requests[0].headers['ocp-apim-subscription-key'], '[redacted]');
+      assert.doesNotMatch(JSON.stringify(requests), /secret/);
+    } finally {
+      simulator.stop();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
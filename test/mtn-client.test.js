@@ -0,0 +1,209 @@
+// MTN client policy: timeouts, retries with the same reference ID, the circuit breaker and typed errors
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createCircuitBreaker, createLogger, createMtnClient, loadConfig, MtnError } = require('../akin-nevmo');
+const { mtnError, saver, savingsBalance, withApp } = require('./helpers');
+
+const quiet = createLogger({ write: () => {} });
+
+const TRANSFER = { referenceId: 'ref-1', amount: 100, currency: 'EUR', payee: '231887000021', payerMessage: 'Hi', payeeNote: 'Hi' };
+
+// Start a stand-in MTN API. `answer(count)` is asked about every request but token requests
+// and returns [status, body], or nothing to leave the request hanging until it times out.
+async function startMtn(answer, { token = [200, { access_token: 'token', expires_in: 3600 }] } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const reply = req.url.endsWith('/token/') ? token : answer(requests.push(req));
+      if (!reply) return;
+      res.writeHead(reply[0], { 'Content-Type': 'application/json' });
+      res.end(reply[1] ? JSON.stringify(reply[1]) : '');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const client = createMtnClient(loadConfig({
+    BASE_URL: `http://127.0.0.1:${server.address().port}`,
+    MTN_TIMEOUT_MS: '100',
+    MTN_RETRY_BASE_DELAY_MS: '1',
+    MTN_CIRCUIT_FAILURE_THRESHOLD: '3'
+  }).mtn, { logger: quiet });
+
+  return {
+    client,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Run a test body against a stand-in MTN API that is closed afterwards
+function withMtn(answer, options, run) {
+  if (typeof options === 'function') {
+    run = options;
+    options = {};
+  }
+  return async () => {
+    const mtn = await startMtn(answer, options);
+    try {
+      await run(mtn);
+    } finally {
+      await mtn.close();
+    }
+  };
+}
+
+test.describe('MTN client', () => {
+  test.it('retries a status lookup that timed out', withMtn(
+    count => (count === 1 ? null : [200, { status: 'SUCCESSFUL' }]),
+    async ({ client, requests }) => {
+      const status = await client.getTransferStatus('ref-1');
+      assert.equal(status.status, 'SUCCESSFUL');
+      assert.equal(requests.length, 2);
+    }
+  ));
+
+  test.it('re-sends a transfer with the same reference ID after a server error', withMtn(
+    count => (count === 1 ? [500, { message: 'Internal error' }] : [202]),
+    async ({ client, requests }) => {
+      await client.transfer(TRANSFER);
+      assert.deepEqual(requests.map(req => req.headers['x-reference-id']), ['ref-1', 'ref-1']);
+    }
+  ));
+
+  test.it('takes a 409 after an unanswered transfer to mean it got through', withMtn(
+    count => (count === 1 ? null : [409, { code: 'RESOURCE_ALREADY_EXIST' }]),
+    async ({ client, requests }) => {
+      await client.transfer(TRANSFER);
+      assert.equal(requests.length, 2);
+    }
+  ));
+
+  test.it('takes a 409 after a server error on a transfer to mean it got through', withMtn(
+    count => (count === 1 ? [500, { message: 'Internal error' }] : [409, { code: 'RESOURCE_ALREADY_EXIST' }]),
+    async ({ client, requests }) => {
+      await client.transfer(TRANSFER);
+      assert.equal(requests.length, 2);
+    }
+  ));
+
+  test.it('does not retry a request MTN refused', withMtn(
+    () => [400, { code: 'PAYEE_NOT_FOUND', message: 'Payee not found' }],
+    async ({ client, requests }) => {
+      await assert.rejects(client.transfer(TRANSFER), error => {
+        assert.ok(error instanceof MtnError);
+        assert.equal(error.code, 'MTN_REJECTED');
+        assert.equal(error.httpStatus, 422);
+        assert.equal(error.message, 'Payee not found');
+        assert.equal(error.outcomeUnknown, false);
+        return true;
+      });
+      assert.equal(requests.length, 1);
+    }
+  ));
+
+  test.it('cannot tell whether a transfer that never got an answer went through', withMtn(
+    () => null,
+    async ({ client, requests }) => {
+      await assert.rejects(client.transfer(TRANSFER), { code: 'MTN_TIMEOUT', httpStatus: 504, outcomeUnknown: true });
+      assert.equal(requests.length, 3);
+    }
+  ));
+
+  test.it('fails fast once MTN keeps failing and reports the open circuit', withMtn(
+    () => [503, { message: 'Service unavailable' }],
+    async ({ client, requests }) => {
+      await assert.rejects(client.getTransferStatus('ref-1'), { code: 'MTN_SERVER_ERROR' });
+      assert.equal(requests.length, 3);
+
+      await assert.rejects(client.transfer(TRANSFER), { code: 'MTN_UNAVAILABLE', httpStatus: 503, outcomeUnknown: false });
+      assert.equal(requests.length, 3);
+      assert.equal(client.health().state, 'OPEN');
+    }
+  ));
+
+  test.it('reports credentials MTN refuses as an auth failure', withMtn(
+    () => [200, {}],
+    { token: [401, { error: 'invalid_client' }] },
+    async ({ client, requests }) => {
+      await assert.rejects(client.getTransferStatus('ref-1'), { code: 'MTN_AUTH_FAILED', httpStatus: 502 });
+      assert.equal(requests.length, 0);
+      assert.equal(client.health().state, 'CLOSED');
+    }
+  ));
+});
+
+test.describe('circuit breaker', () => {
+  const outage = () => Promise.reject(new MtnError('MTN_SERVER_ERROR', 'Internal error'));
+
+  test.it('lets one trial call through after resetMs', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, resetMs: 20, logger: quiet });
+    await assert.rejects(breaker.run(outage));
+    await assert.rejects(breaker.run(outage));
+    await assert.rejects(breaker.run(async () => 'ok'), { code: 'MTN_UNAVAILABLE' });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(breaker.status().state, 'HALF_OPEN');
+    assert.equal(await breaker.run(async () => 'ok'), 'ok');
+    assert.deepEqual(breaker.status(), { state: 'CLOSED', failures: 0 });
+  });
+
+  test.it('only counts outages', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, logger: quiet });
+    await assert.rejects(breaker.run(outage));
+    await assert.rejects(breaker.run(() => Promise.reject(new MtnError('MTN_REJECTED', 'Payee not found'))));
+    await assert.rejects(breaker.run(outage));
+    assert.equal(breaker.status().state, 'CLOSED');
+  });
+});
+
+test.describe('MTN failures in the app', () => {
+  test.it('leave a transfer that may have reached MTN to the reconciliation worker', withApp(async ctx => {
+    const auth = await saver(ctx, 500);
+    ctx.mtn.transfer = async () => {
+      throw new MtnError('MTN_TIMEOUT', 'MTN did not answer in time', { outcomeUnknown: true });
+    };
+
+    const { status, body } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 300 } });
+    assert.equal(status, 504);
+    assert.equal(body.error, 'MTN did not answer in time');
+
+    const [transaction] = await ctx.store.listTransactions({ status: 'INITIATED' });
+    assert.equal(transaction.type, 'withdrawal');
+    assert.equal(transaction.submitUnconfirmed.code, 'MTN_TIMEOUT');
+    assert.equal(await savingsBalance(ctx, auth), 200);
+
+    // MTN has never heard of it, so it is failed and the money goes back
+    ctx.mtn.getTransferStatus = async () => {
+      throw mtnError(404, { code: 'RESOURCE_NOT_FOUND' });
+    };
+    await ctx.app.locals.reconcilePendingTransactions();
+    assert.equal((await ctx.store.getTransaction(transaction.id)).status, 'FAILED');
+    assert.equal(await savingsBalance(ctx, auth), 500);
+  }));
+
+  test.it('answer 503 while MTN is unavailable', withApp(async ctx => {
+    ctx.mtn.requestToPay = async () => {
+      throw new MtnError('MTN_UNAVAILABLE', 'MTN is unavailable at the moment, please try again shortly');
+    };
+    const { status, body } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 700 } });
+    assert.equal(status, 503);
+    assert.match(body.error, /try again shortly/);
+    const [transaction] = await ctx.store.listTransactions({});
+    assert.equal(transaction.status, 'FAILED');
+  }));
+
+  test.it('show in /health', withApp(async ctx => {
+    ctx.mtn.health = () => ({ state: 'OPEN', failures: 5 });
+    const { status, body } = await ctx.request('GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'DEGRADED');
+    assert.equal(body.mtn, 'OPEN');
+  }));
+});
@@ -0,0 +1,128 @@
+// Payee validation: MTN account holder lookups before money is sent to a number
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPERATOR_KEY, mtnError, withApp } = require('./helpers');
+
+const operator = { 'X-API-Key': OPERATOR_KEY };
+const lookups = ctx => ctx.mtn.calls.filter(call => call.method === 'isAccountHolderActive');
+const lookUp = (ctx, phone, headers = operator) => ctx.request('GET', `/api/payees/${phone}`, { headers });
+
+test.describe('GET /api/payees/:phone', () => {
+  test.it('shows the registered name', withApp(async ctx => {
+    ctx.mtn.accountHolders['231887000002'] = { name: 'Kofi Mensah' };
+    const { status, body } = await lookUp(ctx, '+231%20887%20000%20002');
+    assert.equal(status, 200);
+    assert.deepEqual(body.payee, { phone: '231887000002', active: true, name: 'Kofi Mensah' });
+
+    assert.equal((await lookUp(ctx, '12345')).status, 400);
+  }));
+
+  test.it('reports inactive numbers without a name', withApp(async ctx => {
+    ctx.mtn.accountHolders['231887000002'] = { active: false };
+    const { body } = await lookUp(ctx, '231887000002');
+    assert.deepEqual(body.payee, { phone: '231887000002', active: false, name: null });
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'getBasicUserInfo').length, 0);
+  }));
+
+  test.it('caches lookups for a while', withApp(async ctx => {
+    await lookUp(ctx, '231887000002');
+    await lookUp(ctx, '231887000002');
+    assert.equal(lookups(ctx).length, 1);
+
+    test.mock.timers.enable({ apis: ['Date'], now: Date.now() + ctx.config.payees.lookupCacheMs + 1 });
+    try {
+      await lookUp(ctx, '231887000002');
+    } finally {
+      test.mock.timers.reset();
+    }
+    assert.equal(lookups(ctx).length, 2);
+  }));
+
+  test.it('still answers when MTN does not share the name', withApp(async ctx => {
+    ctx.mtn.getBasicUserInfo = async () => {
+      throw mtnError(404, { code: 'RESOURCE_NOT_FOUND' });
+    };
+    const { body } = await lookUp(ctx, '231887000002');
+    assert.deepEqual(body.payee, { phone: '231887000002', active: true, name: null });
+  }));
+
+  test.it('needs a signed-in user or a staff key', withApp(async ctx => {
+    assert.equal((await lookUp(ctx, '231887000002', {})).status, 401);
+    assert.equal((await lookUp(ctx, '231887000002', await ctx.signIn())).status, 200);
+    assert.equal(lookups(ctx).length, 1);
+  }));
+
+  test.it('limits lookups per user and per client IP', withApp({
+    env: { PAYEE_LOOKUPS_PER_USER: '2', PAYEE_LOOKUPS_PER_IP: '3' }
+  }, async ctx => {
+    const auth = await ctx.signIn();
+    assert.equal((await lookUp(ctx, '231887000002', auth)).status, 200);
+    assert.equal((await lookUp(ctx, '231887000003', auth)).status, 200);
+    const refused = await lookUp(ctx, '231887000004', auth);
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+
+    // Another caller from the same address only has what is left of the IP's limit
+    assert.equal((await lookUp(ctx, '231887000004')).status, 429);
+    assert.equal(lookups(ctx).length, 2);
+  }));
+
+  test.it('answers 503 when MTN cannot be reached', withApp(async ctx => {
+    ctx.mtn.isAccountHolderActive = async () => {
+      throw mtnError(500, { code: 'INTERNAL_PROCESSING_ERROR' });
+    };
+    const { status } = await lookUp(ctx, '231887000002');
+    assert.equal(status, 503);
+  }));
+});
+
+test.describe('sending to an inactive number', () => {
+  test.it('refuses gifts', withApp(async ctx => {
+    ctx.mtn.accountHolders['231887000002'] = { active: false };
+    const { status, body } = await ctx.request('POST', '/api/gifts', {
+      body: { sender: '231887000001', recipient: '231887000002', amount: 1000 }
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /not an active MTN Mobile Money account/);
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'requestToPay').length, 0);
+  }));
+
+  test.it('refuses withdrawals', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    ctx.mtn.accountHolders['231887000001'] = { active: false };
+    const { status } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 500 } });
+    assert.equal(status, 400);
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'transfer').length, 0);
+  }));
+
+  test.it('refuses campaign beneficiaries', withApp(async ctx => {
+    ctx.mtn.accountHolders['231887000050'] = { active: false };
+    const { status } = await ctx.request('POST', '/api/admin/campaigns', {
+      headers: { 'X-API-Key': OPERATOR_KEY },
+      body: { title: 'Roof', beneficiary: '231887000050', targetAmount: 1000, endDate: new Date(Date.now() + 86400000).toISOString() }
+    });
+    assert.equal(status, 400);
+  }));
+
+  test.it('is not checked when validation is turned off', withApp({ env: { PAYEE_VALIDATION_ENABLED: 'false' } }, async ctx => {
+    ctx.mtn.accountHolders['231887000002'] = { active: false };
+    const { status } = await ctx.request('POST', '/api/gifts', {
+      body: { sender: '231887000001', recipient: '231887000002', amount: 1000 }
+    });
+    assert.equal(status, 200);
+    assert.equal(lookups(ctx).length, 0);
+  }));
+});
+
+test.describe('gifts', () => {
+  test.it('remember the name the recipient is registered to', withApp(async ctx => {
+    ctx.mtn.accountHolders['231887000002'] = { name: 'Kofi Mensah' };
+    const { body } = await ctx.request('POST', '/api/gifts', {
+      body: { sender: '231887000001', recipient: '231887000002', amount: 1000 }
+    });
+    const gift = await ctx.store.getGift(body.giftId);
+    assert.equal(gift.recipientName, 'Kofi Mensah');
+  }));
+});
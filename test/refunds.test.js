@@ -0,0 +1,176 @@
+// Refunds: full and partial refunds of collected payments, linked to the payment they return
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPERATOR_KEY, ADMIN_KEY, callback, generalFund, mtnError, transfers, withApp } = require('./helpers');
+
+const operator = { 'X-API-Key': OPERATOR_KEY };
+const admin = { 'X-API-Key': ADMIN_KEY };
+
+// Donate and let MTN report the payment as successful
+async function donation(ctx, amount = 1000) {
+  const { body } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount } });
+  await callback(ctx, body.transactionId, 'SUCCESSFUL');
+  return body.transactionId;
+}
+
+function refund(ctx, referenceId, body = {}, headers = admin) {
+  return ctx.request('POST', `/api/admin/transactions/${referenceId}/refunds`, { headers, body });
+}
+
+test.describe('refunds', () => {
+  test.it('need an admin', withApp(async ctx => {
+    const id = await donation(ctx);
+    assert.equal((await refund(ctx, id, {}, {})).status, 401);
+    assert.equal((await refund(ctx, id, {}, operator)).status, 403);
+  }));
+
+  test.it('return the whole payment by default', withApp(async ctx => {
+    const id = await donation(ctx);
+    const { status, body } = await refund(ctx, id, { reason: 'Donated twice' });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.refundable, 0);
+
+    const [transfer] = transfers(ctx);
+    assert.equal(transfer.args.payee, '231887000009');
+    assert.equal(transfer.args.amount, 1000);
+    assert.equal(transfer.args.payerMessage, 'Refund: Donated twice');
+
+    const stored = await ctx.store.getTransaction(body.transactionId);
+    assert.equal(stored.type, 'refund');
+    assert.equal(stored.refundOf, id);
+    assert.equal(stored.refundMethod, 'transfer');
+    assert.equal(stored.requestedBy, 'boss');
+    assert.equal(await generalFund(ctx), 0);
+
+    const again = await refund(ctx, id);
+    assert.equal(again.status, 400);
+    assert.match(again.body.error, /refunded in full/);
+  }));
+
+  test.it('can be partial up to what is left', withApp(async ctx => {
+    const id = await donation(ctx);
+    const first = await refund(ctx, id, { amount: 300 });
+    assert.equal(first.body.refundable, 700);
+
+    const tooMuch = await refund(ctx, id, { amount: 800 });
+    assert.equal(tooMuch.status, 400);
+    assert.match(tooMuch.body.error, /at most 700 EUR/);
+
+    const rest = await refund(ctx, id);
+    assert.equal(rest.body.refundable, 0);
+    assert.deepEqual(transfers(ctx).map(call => call.args.amount), [300, 700]);
+  }));
+
+  test.it('are shown with the payment they return', withApp(async ctx => {
+    const id = await donation(ctx);
+    const { body: created } = await refund(ctx, id, { amount: 400 });
+    await callback(ctx, created.transactionId, 'SUCCESSFUL');
+
+    const { body: original } = await ctx.request('GET', `/api/transaction/${id}`);
+    assert.deepEqual(original.refunds.map(r => [r.id, r.status]), [[created.transactionId, 'SUCCESSFUL']]);
+    assert.equal(original.refunded, 400);
+    assert.equal(original.refundable, 600);
+
+    const { body: lookup } = await ctx.request('GET', `/api/transaction/${created.transactionId}`);
+    assert.equal(lookup.transaction.refundOf, id);
+    assert.equal(lookup.original.id, id);
+  }));
+
+  test.it('give the money back to its account when they fail', withApp(async ctx => {
+    const id = await donation(ctx);
+    const { body: created } = await refund(ctx, id, { amount: 400 });
+    assert.equal(await generalFund(ctx), 600);
+
+    await callback(ctx, created.transactionId, 'FAILED');
+    assert.equal(await generalFund(ctx), 1000);
+    assert.equal((await refund(ctx, id)).body.refundable, 0);
+    assert.equal(transfers(ctx)[1].args.amount, 1000);
+  }));
+
+  test.it('are refused when MTN fails and the money stays put', withApp(async ctx => {
+    const id = await donation(ctx);
+    ctx.mtn.transfer = async () => {
+      throw mtnError(500, { error: 'Internal error' });
+    };
+    assert.equal((await refund(ctx, id)).status, 502);
+    assert.equal(await generalFund(ctx), 1000);
+  }));
+
+  test.it('only return successful collections', withApp(async ctx => {
+    assert.equal((await refund(ctx, 'nope')).status, 404);
+
+    const { body: pending } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000 } });
+    assert.equal((await refund(ctx, pending.transactionId)).status, 400);
+
+    const id = await donation(ctx);
+    assert.equal((await refund(ctx, id, { method: 'cash' })).status, 400);
+    const { body: created } = await refund(ctx, id);
+    assert.equal((await refund(ctx, created.transactionId)).status, 400);
+  }));
+
+  test.it('take savings out of the goal they were saved in', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const { body: saved } = await ctx.request('POST', '/api/save', { headers: auth, body: { goal: 'Fund', amount: 1000 } });
+    await callback(ctx, saved.transactionId, 'SUCCESSFUL');
+    const withdrawn = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 800 } });
+    await callback(ctx, withdrawn.body.transactionId, 'SUCCESSFUL');
+
+    const { status, body } = await refund(ctx, saved.transactionId);
+    assert.equal(status, 400);
+    assert.match(body.error, /Only 200 EUR is left/);
+    assert.equal((await refund(ctx, saved.transactionId, { amount: 200 })).status, 200);
+  }));
+
+  test.it('can use the MoMo refund endpoint', withApp({ env: { REFUND_METHOD: 'momo_refund' } }, async ctx => {
+    const id = await donation(ctx);
+    const { body } = await refund(ctx, id, { amount: 250 });
+
+    const call = ctx.mtn.calls.find(call => call.method === 'refund');
+    assert.equal(call.args.referenceId, body.transactionId);
+    assert.equal(call.args.referenceIdToRefund, id);
+    assert.equal(call.args.amount, 250);
+    assert.equal(transfers(ctx).length, 0);
+
+    ctx.mtn.statuses[body.transactionId] = 'SUCCESSFUL';
+    const { body: lookup } = await ctx.request('GET', `/api/transaction/${body.transactionId}`);
+    assert.equal(lookup.transaction.status, 'SUCCESSFUL');
+    assert.ok(ctx.mtn.calls.some(call => call.method === 'getRefundStatus'));
+  }));
+
+  test.it('above the threshold need a second admin', withApp({ env: { WITHDRAWAL_APPROVAL_THRESHOLD: '500' } }, async ctx => {
+    const id = await donation(ctx);
+    const { body } = await refund(ctx, id, { amount: 600 });
+    assert.equal(body.pendingApproval, true);
+    assert.equal(transfers(ctx).length, 0);
+
+    const own = await ctx.request('POST', `/api/admin/withdrawal-approvals/${body.transactionId}/approve`, { headers: admin, body: {} });
+    assert.equal(own.status, 403);
+  }));
+});
+
+test.describe('refunded donations', () => {
+  test.it('no longer count towards the campaign', withApp(async ctx => {
+    const { body: created } = await ctx.request('POST', '/api/admin/campaigns', {
+      headers: operator,
+      body: { title: 'Roof', beneficiary: '231887000050', targetAmount: 5000, endDate: new Date(Date.now() + 86400000).toISOString() }
+    });
+    const campaignId = created.campaign.id;
+    const ids = [];
+    for (const amount of [1000, 500]) {
+      const { body } = await ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount, campaignId } });
+      await callback(ctx, body.transactionId, 'SUCCESSFUL');
+      ids.push(body.transactionId);
+    }
+
+    for (const [id, amount] of [[ids[0], 400], [ids[1], 500]]) {
+      const { body } = await refund(ctx, id, { amount });
+      await callback(ctx, body.transactionId, 'SUCCESSFUL');
+    }
+
+    const { body } = await ctx.request('GET', `/api/campaigns/${campaignId}`);
+    assert.equal(body.campaign.raised, 600);
+    assert.equal(body.campaign.donorCount, 1);
+  }));
+});
@@ -0,0 +1,148 @@
+// Risk checks: limits per number and client IP, and held transactions reviewed by an admin
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPERATOR_KEY, ADMIN_KEY, callback, saver, savingsBalance, transfers, withApp } = require('./helpers');
+
+const operator = { 'X-API-Key': OPERATOR_KEY };
+const admin = { 'X-API-Key': ADMIN_KEY };
+
+function donate(ctx, body) {
+  return ctx.request('POST', '/api/donate', { body: { phone: '231887000009', amount: 1000, ...body } });
+}
+
+const collections = ctx => ctx.mtn.calls.filter(call => call.method === 'requestToPay');
+
+test.describe('risk limits', () => {
+  test.it('refuse payments over the daily limit for a number', withApp({ env: { RISK_DAILY_LIMIT: '1500' } }, async ctx => {
+    assert.equal((await donate(ctx)).status, 200);
+
+    const { status, body } = await donate(ctx);
+    assert.equal(status, 403);
+    assert.match(body.error, /daily limit for \+231887000009 of 1500 EUR/);
+    assert.equal(collections(ctx).length, 1);
+
+    const [refused] = await ctx.store.listTransactions({ status: 'FAILED' });
+    assert.equal(refused.error.code, 'LIMIT_EXCEEDED');
+    assert.deepEqual(refused.riskFlags, ['DAILY_LIMIT']);
+  }));
+
+  test.it('do not count failed payments', withApp({ env: { RISK_DAILY_LIMIT: '1500' } }, async ctx => {
+    const { body } = await donate(ctx);
+    await callback(ctx, body.transactionId, 'FAILED');
+    assert.equal((await donate(ctx)).status, 200);
+  }));
+
+  test.it('apply to every number paying from the same client', withApp({ env: { RISK_IP_DAILY_LIMIT: '1500' } }, async ctx => {
+    assert.equal((await donate(ctx, { phone: '231887000008' })).status, 200);
+
+    // Found through the IP index rather than by reading every recent transaction
+    const queries = [];
+    const listTransactions = ctx.store.listTransactions;
+    ctx.store.listTransactions = filters => {
+      queries.push(filters);
+      return listTransactions(filters);
+    };
+    const { status, body } = await donate(ctx, { phone: '231887000007' });
+    assert.equal(status, 403);
+    assert.match(body.error, /daily limit for your network/);
+    assert.ok(queries.length > 0 && queries.every(filters => filters.phone || filters.ip));
+
+    const [first] = await listTransactions({ phone: '231887000008' });
+    assert.deepEqual((await listTransactions({ ip: first.ip })).map(transaction => transaction.payer), ['231887000008', '231887000007']);
+    assert.equal((await listTransactions({ ip: '203.0.113.7' })).length, 0);
+  }));
+
+  test.it('return the reserved savings when a withdrawal is refused', withApp({ env: { RISK_DAILY_LIMIT: '1500' } }, async ctx => {
+    const auth = await saver(ctx, 1000);
+    const { status } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 600 } });
+    assert.equal(status, 403);
+    assert.equal(transfers(ctx).length, 0);
+    assert.equal(await savingsBalance(ctx, auth), 1000);
+  }));
+
+  test.it('can be turned off', withApp({ env: { RISK_CHECKS_ENABLED: 'false', RISK_DAILY_LIMIT: '500' } }, async ctx => {
+    assert.equal((await donate(ctx)).status, 200);
+  }));
+});
+
+test.describe('held transactions', () => {
+  test.it('are rapid repeats, which are not sent to MTN', withApp({ env: { RISK_RAPID_REPEAT_COUNT: '2' } }, async ctx => {
+    await donate(ctx);
+    await donate(ctx);
+    const { status, body } = await donate(ctx);
+    assert.equal(status, 200);
+    assert.equal(body.held, true);
+    assert.match(body.message, /security review/);
+    assert.equal(collections(ctx).length, 2);
+
+    const { body: lookup } = await ctx.request('GET', `/api/transaction/${body.transactionId}`);
+    assert.equal(lookup.transaction.status, 'HELD');
+    assert.deepEqual((await ctx.store.getTransaction(body.transactionId)).riskFlags, ['RAPID_REPEATS']);
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'getRequestToPayStatus').length, 0);
+  }));
+
+  test.it('are unusually large amounts', withApp(async ctx => {
+    for (let i = 0; i < 3; i++) {
+      const { body } = await donate(ctx);
+      await callback(ctx, body.transactionId, 'SUCCESSFUL');
+    }
+    assert.equal((await donate(ctx, { amount: 5000 })).body.held, false);
+    const { body } = await donate(ctx, { amount: 6000 });
+    assert.equal(body.held, true);
+    assert.deepEqual((await ctx.store.getTransaction(body.transactionId)).riskFlags, ['UNUSUAL_AMOUNT']);
+  }));
+
+  test.it('ignore callbacks', withApp({ env: { RISK_RAPID_REPEAT_COUNT: '1' } }, async ctx => {
+    await donate(ctx);
+    const { body } = await donate(ctx);
+    const { body: result } = await callback(ctx, body.transactionId, 'SUCCESSFUL');
+    assert.equal(result.applied, false);
+    assert.equal((await ctx.store.getTransaction(body.transactionId)).status, 'HELD');
+  }));
+});
+
+test.describe('held transaction review', () => {
+  test.it('lists held transactions for staff', withApp({ env: { RISK_RAPID_REPEAT_COUNT: '1' } }, async ctx => {
+    await donate(ctx);
+    const { body: held } = await donate(ctx);
+
+    assert.equal((await ctx.request('GET', '/api/admin/held-transactions')).status, 401);
+    const { body } = await ctx.request('GET', '/api/admin/held-transactions', { headers: operator });
+    assert.equal(body.count, 1);
+    assert.equal(body.transactions[0].id, held.transactionId);
+  }));
+
+  test.it('sends an approved transaction to MTN', withApp({ env: { RISK_RAPID_REPEAT_COUNT: '1' } }, async ctx => {
+    await donate(ctx);
+    const { body: held } = await donate(ctx);
+    const url = `/api/admin/held-transactions/${held.transactionId}/approve`;
+
+    assert.equal((await ctx.request('POST', url, { headers: operator, body: {} })).status, 403);
+    const { status, body } = await ctx.request('POST', url, { headers: admin, body: { note: 'Called the donor' } });
+    assert.equal(status, 200);
+    assert.equal(body.transaction.status, 'ACCEPTED');
+    assert.equal(body.transaction.review.decision, 'APPROVED');
+    assert.equal(body.transaction.review.by, 'boss');
+    assert.equal(body.transaction.review.note, 'Called the donor');
+    assert.equal(collections(ctx).length, 2);
+    assert.equal(collections(ctx)[1].args.referenceId, held.transactionId);
+
+    assert.equal((await ctx.request('POST', url, { headers: admin, body: {} })).status, 404);
+  }));
+
+  test.it('returns the savings of a rejected withdrawal', withApp({ env: { RISK_RAPID_REPEAT_COUNT: '1' } }, async ctx => {
+    const auth = await saver(ctx, 1000);
+    await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 300 } });
+    const { body: held } = await ctx.request('POST', '/api/withdraw', { headers: auth, body: { goal: 'Fund', amount: 300 } });
+    assert.equal(held.held, true);
+    assert.equal(await savingsBalance(ctx, auth), 400);
+
+    const { body } = await ctx.request('POST', `/api/admin/held-transactions/${held.transactionId}/reject`, { headers: admin, body: {} });
+    assert.equal(body.transaction.status, 'REJECTED');
+    assert.equal(body.transaction.review.decision, 'REJECTED');
+    assert.equal(transfers(ctx).length, 1);
+    assert.equal(await savingsBalance(ctx, auth), 700);
+  }));
+});
@@ -0,0 +1,258 @@
+// Recurring savings plans: routes and the scheduler that collects them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPERATOR_KEY, callback, mtnError, withApp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function createPlan(ctx, auth, plan) {
+  const { status, body } = await ctx.request('POST', '/api/savings-plans', {
+    headers: auth,
+    body: { goal: 'Rent', amount: 500, frequency: 'weekly', ...plan }
+  });
+  assert.equal(status, 201, body.error);
+  return body.plan;
+}
+
+// Let MTN report the plan's pending collection as finished
+async function finishCollection(ctx, planId, status = 'SUCCESSFUL') {
+  const plan = await ctx.store.getSavingsPlan(planId);
+  await callback(ctx, plan.activeTransactionId, status);
+}
+
+test.describe('savings plan routes', () => {
+  test.it('require a session', withApp(async ({ request }) => {
+    assert.equal((await request('GET', '/api/savings-plans')).status, 401);
+    const { status } = await request('POST', '/api/savings-plans', { body: { goal: 'Rent', amount: 500, frequency: 'weekly' } });
+    assert.equal(status, 401);
+  }));
+
+  test.it('validate the plan', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const invalid = [
+      { goal: 'Rent', amount: 500, frequency: 'yearly' },
+      { goal: 'Rent', amount: 50, frequency: 'weekly' },
+      { goal: 'Rent', amount: 500, frequency: 'weekly', startDate: '2020-01-01' },
+      { goal: 'Rent', amount: 500, frequency: 'weekly', startDate: 'soon' },
+      { goal: 'Rent', amount: 500, frequency: 'weekly', endDate: new Date(Date.now() - DAY_MS).toISOString() },
+      { goal: 'Rent', amount: 500, frequency: 'weekly', targetAmount: 400 }
+    ];
+    for (const body of invalid) {
+      const { status } = await ctx.request('POST', '/api/savings-plans', { headers: auth, body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+    assert.equal((await ctx.store.listSavingsPlans()).length, 0);
+  }));
+
+  test.it('create, list and show plans for their owner only', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const plan = await createPlan(ctx, auth, { goal: ' Rent ' });
+    assert.equal(plan.goal, 'Rent');
+    assert.equal(plan.status, 'ACTIVE');
+    assert.equal(plan.nextRunAt, plan.startDate);
+
+    const list = await ctx.request('GET', '/api/savings-plans', { headers: auth });
+    assert.deepEqual(list.body.plans.map(p => p.id), [plan.id]);
+    const one = await ctx.request('GET', `/api/savings-plans/${plan.id}`, { headers: auth });
+    assert.deepEqual(one.body.plan.runs, []);
+
+    const other = await ctx.signIn('231887000002', 'Kofi');
+    assert.equal((await ctx.request('GET', `/api/savings-plans/${plan.id}`, { headers: other })).status, 404);
+    assert.equal((await ctx.request('POST', `/api/savings-plans/${plan.id}/cancel`, { headers: other })).status, 404);
+    assert.equal((await ctx.request('GET', '/api/savings-plans', { headers: other })).body.count, 0);
+  }));
+
+  test.it('pause, resume and cancel', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const plan = await createPlan(ctx, auth);
+    const act = action => ctx.request('POST', `/api/savings-plans/${plan.id}/${action}`, { headers: auth });
+
+    assert.equal((await act('resume')).status, 409);
+    assert.equal((await act('pause')).body.plan.status, 'PAUSED');
+    await ctx.app.locals.runSavingsPlans(new Date(Date.now() + 1000));
+    assert.equal(ctx.mtn.calls.length, 0);
+
+    assert.equal((await act('resume')).body.plan.status, 'ACTIVE');
+    assert.equal((await act('cancel')).body.plan.status, 'CANCELLED');
+    assert.equal((await act('pause')).status, 409);
+    assert.equal((await act('cancel')).status, 409);
+  }));
+
+  test.it('resume skips the cycles missed while paused', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const plan = await createPlan(ctx, auth, { frequency: 'daily' });
+    await ctx.request('POST', `/api/savings-plans/${plan.id}/pause`, { headers: auth });
+    await ctx.store.updateSavingsPlan(plan.id, {
+      startDate: new Date(Date.now() - 3.5 * DAY_MS).toISOString(),
+      nextRunAt: new Date(Date.now() - 3.5 * DAY_MS).toISOString()
+    });
+
+    const { body } = await ctx.request('POST', `/api/savings-plans/${plan.id}/resume`, { headers: auth });
+    assert.equal(body.plan.cycle, 4);
+    assert.ok(new Date(body.plan.nextRunAt) > new Date());
+  }));
+
+  test.it('are listed for staff', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    await createPlan(ctx, auth);
+    await ctx.app.locals.runSavingsPlans();
+
+    const { body } = await ctx.request('GET', '/api/admin/savings-plans?status=ACTIVE', { headers: { 'X-API-Key': OPERATOR_KEY } });
+    assert.equal(body.count, 1);
+    assert.equal(body.lastSchedulerRun.started, 1);
+  }));
+});
+
+test.describe('savings plan scheduler', () => {
+  test.it('collects on each due date and credits the goal', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const plan = await createPlan(ctx, auth);
+    const { runSavingsPlans } = ctx.app.locals;
+
+    const first = await runSavingsPlans();
+    assert.equal(first.started, 1);
+    const request = ctx.mtn.calls[0];
+    assert.equal(request.method, 'requestToPay');
+    assert.equal(request.args.payer, '231887000001');
+    const transaction = await ctx.store.getTransaction(request.args.referenceId);
+    assert.equal(transaction.planId, plan.id);
+    assert.equal(transaction.goal, 'Rent');
+
+    // Nothing new starts while the collection is unfinished
+    assert.equal((await runSavingsPlans()).started, 0);
+
+    await finishCollection(ctx, plan.id);
+    const settled = await runSavingsPlans();
+    assert.equal(settled.settled, 1);
+
+    const updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.totalSaved, 500);
+    assert.equal(updated.cycle, 1);
+    assert.equal(new Date(updated.nextRunAt) - new Date(plan.startDate), 7 * DAY_MS);
+    assert.deepEqual(updated.runs.map(run => [run.cycle, run.attempt, run.status]), [[0, 1, 'SUCCESSFUL']]);
+
+    const account = await ctx.request('GET', '/api/account', { headers: auth });
+    assert.deepEqual(account.body.balances, [{ goal: 'Rent', balance: 500 }]);
+
+    assert.equal((await runSavingsPlans(new Date(Date.now() + 6 * DAY_MS))).started, 0);
+    assert.equal((await runSavingsPlans(new Date(Date.now() + 8 * DAY_MS))).started, 1);
+  }));
+
+  test.it('retries a failed cycle and then skips it', withApp({
+    env: { SAVINGS_PLAN_MAX_RETRIES: '1', SAVINGS_PLAN_RETRY_DELAY_MS: '60000' }
+  }, async ctx => {
+    const auth = await ctx.signIn();
+    const plan = await createPlan(ctx, auth);
+    const { runSavingsPlans } = ctx.app.locals;
+    ctx.mtn.requestToPay = async () => {
+      throw mtnError(500, { message: 'Service unavailable' });
+    };
+
+    const now = new Date();
+    await runSavingsPlans(now);
+    let updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.cycle, 0);
+    assert.equal(updated.attempts, 1);
+    assert.equal(updated.activeTransactionId, null);
+    assert.equal(new Date(updated.nextRunAt) - now, 60000);
+    assert.equal(updated.runs[0].status, 'FAILED');
+    assert.deepEqual(updated.runs[0].error, { message: 'Service unavailable' });
+
+    assert.equal((await runSavingsPlans(new Date(now.getTime() + 30000))).started, 0);
+    await runSavingsPlans(new Date(now.getTime() + 60000));
+    updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.cycle, 1);
+    assert.equal(updated.attempts, 0);
+    assert.deepEqual(updated.runs.map(run => [run.cycle, run.attempt, run.status]), [[0, 1, 'FAILED'], [0, 2, 'FAILED']]);
+    assert.equal(updated.totalSaved, 0);
+  }));
+
+  test.it('retries when the payer rejects the request', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const plan = await createPlan(ctx, auth);
+    await ctx.app.locals.runSavingsPlans();
+    await finishCollection(ctx, plan.id, 'REJECTED');
+    await ctx.app.locals.runSavingsPlans();
+
+    const updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.cycle, 0);
+    assert.equal(updated.runs[0].status, 'REJECTED');
+    assert.ok(new Date(updated.nextRunAt) > new Date());
+  }));
+
+  test.it('stops exactly at the target amount', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const plan = await createPlan(ctx, auth, { frequency: 'daily', targetAmount: 800 });
+    const { runSavingsPlans } = ctx.app.locals;
+
+    await runSavingsPlans();
+    await finishCollection(ctx, plan.id);
+    await runSavingsPlans();
+    await runSavingsPlans(new Date(Date.now() + DAY_MS));
+    assert.equal(ctx.mtn.calls.filter(call => call.method === 'requestToPay')[1].args.amount, 300);
+    await finishCollection(ctx, plan.id);
+    await runSavingsPlans(new Date(Date.now() + DAY_MS));
+
+    const updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.status, 'COMPLETED');
+    assert.equal(updated.totalSaved, 800);
+  }));
+
+  test.it('completes after the end date', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const start = new Date();
+    const plan = await createPlan(ctx, auth, {
+      frequency: 'daily',
+      startDate: start.toISOString(),
+      endDate: new Date(start.getTime() + DAY_MS).toISOString()
+    });
+    const { runSavingsPlans } = ctx.app.locals;
+
+    for (const day of [0, 1]) {
+      await runSavingsPlans(new Date(start.getTime() + day * DAY_MS));
+      await finishCollection(ctx, plan.id);
+    }
+    await runSavingsPlans(new Date(start.getTime() + DAY_MS));
+
+    const updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.status, 'COMPLETED');
+    assert.equal(updated.runs.length, 2);
+    assert.equal(updated.totalSaved, 1000);
+  }));
+
+  test.it('keeps the start day for monthly plans', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const year = new Date().getUTCFullYear() + 1;
+    const plan = await createPlan(ctx, auth, { frequency: 'monthly', startDate: `${year}-01-31` });
+    const { runSavingsPlans } = ctx.app.locals;
+    const leap = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+
+    await runSavingsPlans(new Date(plan.startDate));
+    await finishCollection(ctx, plan.id);
+    await runSavingsPlans(new Date(plan.startDate));
+    let updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.nextRunAt.slice(0, 10), `${year}-02-${leap ? 29 : 28}`);
+
+    await runSavingsPlans(new Date(updated.nextRunAt));
+    await finishCollection(ctx, plan.id);
+    await runSavingsPlans(new Date(updated.nextRunAt));
+    updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.nextRunAt.slice(0, 10), `${year}-03-31`);
+  }));
+
+  test.it('still credits a collection that finishes after the plan is cancelled', withApp(async ctx => {
+    const auth = await ctx.signIn();
+    const plan = await createPlan(ctx, auth);
+    await ctx.app.locals.runSavingsPlans();
+    await ctx.request('POST', `/api/savings-plans/${plan.id}/cancel`, { headers: auth });
+    await finishCollection(ctx, plan.id);
+    await ctx.app.locals.runSavingsPlans();
+
+    const updated = await ctx.store.getSavingsPlan(plan.id);
+    assert.equal(updated.status, 'CANCELLED');
+    assert.equal(updated.totalSaved, 500);
+    assert.equal(updated.activeTransactionId, null);
+  }));
+});
@@ -0,0 +1,127 @@
+// Transaction search for staff: filters, sorting, cursor pages and streamed exports
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPERATOR_KEY, callback, withApp } = require('./helpers');
+
+const operator = { 'X-API-Key': OPERATOR_KEY };
+
+function search(ctx, query = '') {
+  return ctx.request('GET', `/api/transactions${query}`, { headers: operator });
+}
+
+// Three donations (700, 800 and 900) and a successful 500 saving
+async function seed(ctx) {
+  for (const [phone, amount] of [['231887000009', 700], ['231887000008', 800], ['231887000009', 900]]) {
+    await ctx.request('POST', '/api/donate', { body: { phone, amount } });
+  }
+  const auth = await ctx.signIn();
+  const { body } = await ctx.request('POST', '/api/save', { headers: auth, body: { goal: 'Fund', amount: 500 } });
+  await callback(ctx, body.transactionId, 'SUCCESSFUL');
+}
+
+const amounts = body => body.transactions.map(transaction => transaction.amount);
+// Transactions created in the same millisecond have no fixed order, so filters compare sorted amounts
+const sortedAmounts = body => amounts(body).sort((a, b) => a - b);
+
+test.describe('transaction search', () => {
+  test.it('filters by status, type, phone and amount', withApp(async ctx => {
+    await seed(ctx);
+
+    assert.deepEqual(sortedAmounts((await search(ctx)).body), [500, 700, 800, 900]);
+    assert.deepEqual(sortedAmounts((await search(ctx, '?type=saving')).body), [500]);
+    assert.deepEqual(sortedAmounts((await search(ctx, '?status=SUCCESSFUL,FAILED')).body), [500]);
+    assert.deepEqual(sortedAmounts((await search(ctx, '?type=donation&phone=0887000009')).body), [700, 900]);
+    assert.deepEqual(sortedAmounts((await search(ctx, '?minAmount=750&maxAmount=900')).body), [800, 900]);
+  }));
+
+  test.it('filters by date', withApp(async ctx => {
+    await seed(ctx);
+    const all = (await search(ctx)).body.transactions;
+    const at = encodeURIComponent(all[1].createdAt);
+
+    // from is inclusive and to exclusive, so the two halves never overlap
+    const after = (await search(ctx, `?from=${at}`)).body.transactions;
+    const before = (await search(ctx, `?to=${at}`)).body.transactions;
+    assert.ok(after.every(transaction => transaction.createdAt >= all[1].createdAt));
+    assert.ok(before.every(transaction => transaction.createdAt < all[1].createdAt));
+    assert.equal(after.length + before.length, all.length);
+    assert.equal((await search(ctx, '?to=2000-01-01')).body.count, 0);
+  }));
+
+  test.it('sorts and pages with a cursor', withApp(async ctx => {
+    await seed(ctx);
+
+    const first = await search(ctx, '?sort=amount&order=desc&limit=3');
+    assert.deepEqual(amounts(first.body), [900, 800, 700]);
+    assert.ok(first.body.nextCursor);
+
+    const second = await search(ctx, `?sort=amount&order=desc&limit=3&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(amounts(second.body), [500]);
+    assert.equal(second.body.nextCursor, null);
+
+    // A cursor only fits the sort it came from
+    const mismatched = await search(ctx, `?sort=createdAt&limit=3&cursor=${first.body.nextCursor}`);
+    assert.equal(mismatched.status, 400);
+
+    // and its value must have the type of the sort key
+    const crafted = Buffer.from(JSON.stringify({ sort: 'amount', order: 'desc', value: '900', id: 'x' })).toString('base64url');
+    assert.equal((await search(ctx, `?sort=amount&order=desc&cursor=${crafted}`)).status, 400);
+  }));
+
+  test.it('rejects invalid queries', withApp(async ctx => {
+    for (const query of ['?status=DONE', '?type=loan', '?minAmount=lots', '?from=someday', '?sort=phone', '?order=up', '?limit=0', '?limit=501', '?cursor=junk']) {
+      assert.equal((await search(ctx, query)).status, 400, query);
+    }
+  }));
+});
+
+test.describe('transaction export', () => {
+  test.it('streams CSV with a header row', withApp(async ctx => {
+    await seed(ctx);
+
+    const { status, headers, text } = await ctx.request('GET', '/api/transactions/export?type=donation&sort=amount', { headers: operator });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/csv/);
+    assert.match(headers.get('content-disposition'), /attachment; filename="transactions-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = text.trim().split('\n');
+    assert.equal(lines[0], 'id,createdAt,updatedAt,type,status,amount,currency,payer,recipient,goal,campaignId,giftId,batchId,refundOf,message');
+    assert.deepEqual(lines.slice(1).map(line => line.split(',')[5]), ['700', '800', '900']);
+  }));
+
+  test.it('streams JSON Lines across pages', withApp(async ctx => {
+    for (let i = 0; i < 501; i++) {
+      await ctx.store.createTransaction({
+        id: `t${String(i).padStart(3, '0')}`,
+        type: 'donation',
+        amount: 100 + i,
+        payer: '231887000009',
+        status: 'SUCCESSFUL',
+        createdAt: new Date(Date.UTC(2026, 0, 1) + i * 1000).toISOString()
+      });
+    }
+
+    // Read with a single scan, not a query per page
+    let scans = 0;
+    const scanTransactions = ctx.store.scanTransactions;
+    ctx.store.scanTransactions = (...args) => {
+      scans++;
+      return scanTransactions(...args);
+    };
+
+    const { headers, text } = await ctx.request('GET', '/api/transactions/export?format=jsonl&order=desc', { headers: operator });
+    assert.equal(scans, 1);
+    assert.match(headers.get('content-type'), /application\/x-ndjson/);
+    const rows = text.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(rows.length, 501);
+    assert.equal(rows[0].id, 't500');
+    assert.equal(rows[500].id, 't000');
+  }));
+
+  test.it('is staff only and checks its query', withApp(async ctx => {
+    assert.equal((await ctx.request('GET', '/api/transactions/export')).status, 401);
+    assert.equal((await ctx.request('GET', '/api/transactions/export?format=xml', { headers: operator })).status, 400);
+  }));
+});